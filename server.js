@@ -5,10 +5,55 @@ import path from 'path';
 import { exec } from 'child_process';
 import os from 'os';
 import 'dotenv/config';
+import { describeConfirmation, intentRegistry } from './server/intentRegistry.js';
+import { registerBuiltinIntents } from './server/builtinIntents.js';
+import { launcher, assertSafeArgument } from './server/launcher.js';
+import { apps, appKey, AppCatalogError } from './server/apps.js';
+import { desktopEntries } from './server/desktopEntries.js';
+import { processManager, ProcessError } from './server/processes.js';
+import { audio, AudioError } from './server/audio.js';
+import { display, DisplayError } from './server/display.js';
+import { connectivity, ConnectivityError } from './server/connectivity.js';
+import { fileSearch, FileSearchError } from './server/fileSearch.js';
+import { fileOperations, FileOperationError } from './server/fileOps.js';
+import { clipboard, ClipboardError } from './server/clipboard.js';
+import { confirmations } from './server/confirmations.js';
+import { powerActions, PowerActionTracker } from './server/powerActions.js';
+import {
+    probeSystem,
+    probeMemory,
+    probeStorage,
+    probeCPU,
+    probeNetwork,
+    probeBattery,
+    probeTemperature,
+    formatInfo
+} from './server/systemInfo.js';
+import { metricsSampler, METRICS } from './server/metrics.js';
+import { alertManager, AlertManager, AlertRuleError } from './server/alerts.js';
+import { clientEvents } from './server/clientEvents.js';
+import {
+    normalizeRoutine,
+    normalizeRoutineName,
+    rememberRoutineNames,
+    runRoutine,
+    RoutineError,
+    MAX_ROUTINE_DEPTH
+} from './server/routines.js';
+import { Scheduler, ScheduleError, parseSchedule } from './server/scheduler.js';
+import { notifier } from './server/notifier.js';
+import { reminders, ReminderManager, ReminderError } from './server/reminders.js';
+import { conversations, resolveFollowUp } from './server/conversation.js';
+import { splitCompound } from './server/compound.js';
+import { suggestCommands, isConfident, describeSuggestions, rankMatches } from './server/fuzzy.js';
+import { DEFAULT_LOCALE, listLocales, negotiateLocale, toEnglish, translator } from './server/i18n.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Server-wide dry-run switch: resolve and plan commands without executing them
+const DRY_RUN = ['1', 'true', 'yes'].includes((process.env.DRY_RUN || '').toLowerCase());
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -16,6 +61,10 @@ app.use(express.static('public'));
 
 // In-memory storage fallback
 let inMemoryCommands = [];
+let inMemoryRoutines = new Map();
+let inMemorySchedules = new Map();
+let inMemoryApps = new Map();
+let inMemoryFileOperations = new Map();
 let mongoConnected = false;
 let dbInitialized = false;
 
@@ -60,21 +109,114 @@ mongoose.connection.on('connected', () => {
     console.log('✅ MongoDB reconnected');
 });
 
+// A confirmation as recorded on a history entry, or on the step of a
+// compound command that asked for it
+const confirmationRecord = {
+    token: String,
+    action: String,
+    state: { type: String, enum: ['pending', 'confirmed', 'cancelled', 'expired'] },
+    expiresAt: Date,
+    resolvedAt: Date
+};
+
 // Command Schema
 const commandSchema = new mongoose.Schema({
     text: { type: String, required: true },
-    type: { type: String, enum: ['voice', 'text'], required: true },
+    type: { type: String, enum: ['voice', 'text', 'routine', 'scheduled'], required: true },
     timestamp: { type: Date, default: Date.now },
-    status: { type: String, enum: ['success', 'error'], required: true },
+    status: { type: String, enum: ['success', 'error', 'needs_confirmation', 'cancelled', 'expired'], required: true },
     response: { type: String, required: true },
+    intent: String,
+    scheduleId: String,
+    sessionId: String,
+    // Language the command was given and answered in
+    locale: String,
+    // What a translation, follow-up ("again", "more") or fuzzy correction
+    // resolved to
+    interpretation: {
+        text: String,
+        followUp: String,
+        corrected: Boolean,
+        translated: Boolean
+    },
+    steps: [{
+        _id: false,
+        command: String,
+        status: String,
+        response: String,
+        intent: String,
+        confirmation: confirmationRecord
+    }],
+    confirmation: confirmationRecord,
     platform: { type: String, default: os.platform() },
     userAgent: String
 });
 
 const Command = mongoose.model('Command', commandSchema);
 
+// Routine Schema
+const routineSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true },
+    steps: [{
+        _id: false,
+        command: { type: String, required: true },
+        delayMs: { type: Number, default: 0 }
+    }],
+    stopOnError: { type: Boolean, default: true },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+const Routine = mongoose.model('Routine', routineSchema);
+
+// Schedule Schema (times in ms since epoch, as used by the scheduler)
+const scheduleSchema = new mongoose.Schema({
+    id: { type: String, required: true, unique: true },
+    command: { type: String, required: true },
+    cron: String,
+    runAt: Number,
+    description: String,
+    confirmed: { type: Boolean, default: false },
+    locale: String,
+    nextRunAt: Number,
+    lastRunAt: Date,
+    lastStatus: String,
+    runCount: { type: Number, default: 0 },
+    createdAt: { type: Date, default: Date.now }
+});
+
+const Schedule = mongoose.model('Schedule', scheduleSchema);
+
+// Custom application catalog entries (added or overriding a built-in)
+const appSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true },
+    label: String,
+    aliases: [String],
+    // platform -> list of argv candidates
+    platforms: { type: mongoose.Schema.Types.Mixed, required: true },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+const App = mongoose.model('App', appSchema);
+
+// File operation history, walked back by "undo the last file operation"
+const fileOperationSchema = new mongoose.Schema({
+    id: { type: Number, required: true, unique: true },
+    type: { type: String, enum: ['createFolder', 'move', 'copy', 'rename', 'trash'], required: true },
+    source: String,
+    target: { type: String, required: true },
+    trashInfo: String,
+    // Size and newest modification time of a copy, checked before undoing it
+    size: Number,
+    mtimeMs: Number,
+    at: { type: String, required: true }
+});
+
+const FileOperation = mongoose.model('FileOperation', fileOperationSchema);
+
 // Helper functions for data storage
-const saveCommand = async (commandData) => {
+const waitForDatabase = async () => {
     // Wait for database initialization if not ready
     if (!dbInitialized) {
         await new Promise(resolve => {
@@ -88,6 +230,10 @@ const saveCommand = async (commandData) => {
             checkInit();
         });
     }
+};
+
+const saveCommand = async (commandData) => {
+    await waitForDatabase();
     
     if (mongoConnected) {
         try {
@@ -117,19 +263,7 @@ const saveCommand = async (commandData) => {
 };
 
 const getCommands = async (limit = 50) => {
-    // Wait for database initialization if not ready
-    if (!dbInitialized) {
-        await new Promise(resolve => {
-            const checkInit = () => {
-                if (dbInitialized) {
-                    resolve();
-                } else {
-                    setTimeout(checkInit, 100);
-                }
-            };
-            checkInit();
-        });
-    }
+    await waitForDatabase();
     
     if (mongoConnected) {
         try {
@@ -147,1080 +281,2210 @@ const getCommands = async (limit = 50) => {
     return inMemoryCommands.slice(0, limit);
 };
 
-const clearCommands = async () => {
-    // Wait for database initialization if not ready
-    if (!dbInitialized) {
-        await new Promise(resolve => {
-            const checkInit = () => {
-                if (dbInitialized) {
-                    resolve();
-                } else {
-                    setTimeout(checkInit, 100);
-                }
-            };
-            checkInit();
-        });
-    }
+const updateCommand = async (id, changes) => {
+    await waitForDatabase();
     
     if (mongoConnected) {
         try {
-            await Command.deleteMany({});
-            return;
+            return await Command.findByIdAndUpdate(id, changes, { new: true });
         } catch (error) {
-            console.log('MongoDB clear failed, using in-memory storage');
+            console.log('MongoDB update failed, using in-memory storage');
             mongoConnected = false;
         }
     }
     
     // Fallback to in-memory storage
-    inMemoryCommands = [];
+    const command = inMemoryCommands.find(entry => entry._id === id);
+    if (command) {
+        Object.assign(command, changes);
+    }
+    return command || null;
 };
 
-// Command Processing Functions
-class CommandProcessor {
-    static async processCommand(commandText, userAgent = '') {
-        const cmd = commandText.toLowerCase().trim();
-        let response = '';
-        let status = 'success';
+// Record the outcome of one step of a compound command and recompute the
+// entry's status and response from its steps
+const updateCommandStep = async (id, index, changes) => {
+    await waitForDatabase();
 
+    if (mongoConnected) {
         try {
-            // Web-based commands (work on all platforms)
-            if (cmd.includes('open') && (cmd.includes('.com') || cmd.includes('.org') || cmd.includes('.net') || cmd.includes('.io'))) {
-                const urlMatch = cmd.match(/open\s+([a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/);
-                if (urlMatch) {
-                    const url = urlMatch[1];
-                    await this.openWebsite(url);
-                    response = `✅ Opening ${url}`;
-                }
-            }
-            
-            // Search commands
-            else if (cmd.includes('search') || cmd.includes('google')) {
-                const searchTerm = cmd.replace(/search|google/g, '').trim();
-                if (searchTerm) {
-                    await this.openWebsite(`google.com/search?q=${encodeURIComponent(searchTerm)}`);
-                    response = `✅ Searching Google for: ${searchTerm}`;
-                }
-            }
-            
-            // YouTube search
-            else if (cmd.includes('youtube')) {
-                const searchTerm = cmd.replace(/youtube|search|on/g, '').trim();
-                if (searchTerm) {
-                    await this.openWebsite(`youtube.com/results?search_query=${encodeURIComponent(searchTerm)}`);
-                    response = `✅ Searching YouTube for: ${searchTerm}`;
-                } else {
-                    await this.openWebsite('youtube.com');
-                    response = `✅ Opening YouTube`;
-                }
-            }
-            
-            // Time and date
-            else if (cmd.includes('time') || cmd.includes('what time')) {
-                const now = new Date();
-                response = `🕐 Current time: ${now.toLocaleTimeString()}`;
-            }
-            
-            else if (cmd.includes('date') || cmd.includes('what date')) {
-                const now = new Date();
-                response = `📅 Current date: ${now.toLocaleDateString()}`;
-            }
-            
-            // Weather
-            else if (cmd.includes('weather')) {
-                await this.openWebsite('weather.com');
-                response = `🌤️ Opening weather information`;
-            }
-            
-            // System-specific commands
-            else if (cmd.includes('calculator') || cmd.includes('calc')) {
-                await this.openApplication('calculator');
-                response = `🧮 Opening calculator`;
-            }
-            
-            else if (cmd.includes('notepad') || cmd.includes('text editor')) {
-                await this.openApplication('notepad');
-                response = `📝 Opening text editor`;
-            }
-            
-            // WhatsApp commands
-            else if (cmd.includes('whatsapp') || cmd.includes('open whatsapp')) {
-                if (cmd.includes('call') && (cmd.includes('mom') || cmd.includes('dad') || cmd.includes('friend'))) {
-                    const contact = cmd.includes('mom') ? 'Mom' : cmd.includes('dad') ? 'Dad' : 'Friend';
-                    await this.openWhatsAppCall(contact);
-                    response = `📞 Calling ${contact} on WhatsApp`;
-                } else if (cmd.includes('message') || cmd.includes('text')) {
-                    const contactMatch = cmd.match(/(?:message|text)\s+(\w+)/);
-                    const contact = contactMatch ? contactMatch[1] : 'contact';
-                    await this.openWhatsAppMessage(contact);
-                    response = `💬 Opening WhatsApp chat with ${contact}`;
-                } else {
-                    await this.openApplication('whatsapp');
-                    response = `💬 Opening WhatsApp`;
-                }
-            }
-            
-            // File manager commands
-            else if (cmd.includes('file manager') || cmd.includes('explorer') || cmd.includes('files')) {
-                if (cmd.includes('downloads')) {
-                    await this.openFileLocation('downloads');
-                    response = `📁 Opening Downloads folder`;
-                } else if (cmd.includes('documents')) {
-                    await this.openFileLocation('documents');
-                    response = `📁 Opening Documents folder`;
-                } else if (cmd.includes('desktop')) {
-                    await this.openFileLocation('desktop');
-                    response = `📁 Opening Desktop folder`;
-                } else {
-                    await this.openApplication('filemanager');
-                    response = `📁 Opening File Manager`;
-                }
-            }
-            
-            // Settings commands
-            else if (cmd.includes('settings') || cmd.includes('control panel')) {
-                if (cmd.includes('wifi') || cmd.includes('network')) {
-                    await this.openSettings('network');
-                    response = `⚙️ Opening Network Settings`;
-                } else if (cmd.includes('display') || cmd.includes('screen')) {
-                    await this.openSettings('display');
-                    response = `⚙️ Opening Display Settings`;
-                } else if (cmd.includes('sound') || cmd.includes('audio')) {
-                    await this.openSettings('sound');
-                    response = `⚙️ Opening Sound Settings`;
-                } else if (cmd.includes('bluetooth')) {
-                    await this.openSettings('bluetooth');
-                    response = `⚙️ Opening Bluetooth Settings`;
-                } else {
-                    await this.openSettings('main');
-                    response = `⚙️ Opening System Settings`;
-                }
-            }
-            
-            // Application launching commands
-            else if (cmd.includes('open') || cmd.includes('launch') || cmd.includes('start')) {
-                const appMatch = cmd.match(/(?:open|launch|start)\s+(.+)/);
-                if (appMatch) {
-                    const appName = appMatch[1].trim();
-                    await this.openSpecificApplication(appName);
-                    response = `🚀 Opening ${appName}`;
-                }
-            }
-            
-            // System control commands (require elevated permissions)
-            else if (cmd.includes('shutdown')) {
-                const timeMatch = cmd.match(/(\d+)\s*(seconds?|minutes?)/);
-                let seconds = 60; // default 1 minute
-                
-                if (timeMatch) {
-                    const value = parseInt(timeMatch[1]);
-                    const unit = timeMatch[2];
-                    seconds = unit.startsWith('minute') ? value * 60 : value;
-                }
-                
-                await this.systemShutdown(seconds);
-                response = `⚠️ System will shutdown in ${seconds} seconds`;
-            }
-            
-            else if (cmd.includes('restart') || cmd.includes('reboot')) {
-                await this.systemRestart();
-                response = `🔄 System restart initiated`;
-            }
-            
-            else if (cmd.includes('sleep') || cmd.includes('hibernate')) {
-                await this.systemSleep();
-                response = `😴 System going to sleep`;
-            }
-            
-            // Volume control
-            else if (cmd.includes('volume up') || cmd.includes('increase volume')) {
-                await this.adjustVolume('up');
-                response = `🔊 Volume increased`;
-            }
-            
-            else if (cmd.includes('volume down') || cmd.includes('decrease volume')) {
-                await this.adjustVolume('down');
-                response = `🔉 Volume decreased`;
-            }
-            
-            else if (cmd.includes('mute') || cmd.includes('volume off')) {
-                await this.adjustVolume('mute');
-                response = `🔇 Volume muted`;
-            }
-            
-            // System information commands
-            else if (cmd.includes('system info') || cmd.includes('system information') || cmd.includes('computer specs')) {
-                const systemInfo = await this.getSystemInfo();
-                response = systemInfo;
-            }
-            
-            else if (cmd.includes('ram') || cmd.includes('memory')) {
-                const memoryInfo = await this.getMemoryInfo();
-                response = memoryInfo;
-            }
-            
-            else if (cmd.includes('storage') || cmd.includes('disk space') || cmd.includes('hard drive')) {
-                const storageInfo = await this.getStorageInfo();
-                response = storageInfo;
-            }
-            
-            else if (cmd.includes('cpu') || cmd.includes('processor')) {
-                const cpuInfo = await this.getCPUInfo();
-                response = cpuInfo;
-            }
-            
-            else if (cmd.includes('network') || cmd.includes('ip address') || cmd.includes('wifi')) {
-                const networkInfo = await this.getNetworkInfo();
-                response = networkInfo;
-            }
-            
-            else if (cmd.includes('battery') && (cmd.includes('laptop') || cmd.includes('computer'))) {
-                const batteryInfo = await this.getBatteryInfo();
-                response = batteryInfo;
-            }
-            
-            else if (cmd.includes('temperature') && (cmd.includes('cpu') || cmd.includes('system'))) {
-                const tempInfo = await this.getTemperatureInfo();
-                response = tempInfo;
-            }
-            
-            // Default case
-            else {
-                status = 'error';
-                response = `❌ Command not recognized. Try: "open google.com", "search weather", "open calculator", or "what time is it"`;
+            const command = await Command.findById(id);
+            if (!command?.steps[index]) {
+                return null;
             }
-            
+            Object.assign(command.steps[index], changes);
+            command.status = compoundStatus(command.steps.map(step => step.status));
+            command.response = command.steps.map(step => step.response).join('\n');
+            return await command.save();
         } catch (error) {
-            console.error('Command execution error:', error);
-            status = 'error';
-            
-            // Enhanced error handling for specific error types
-            if (error.code === 127) {
-                response = `❌ Application not found or not installed. Please ensure the requested application is installed and accessible.`;
-            } else if (error.message.includes('ENOENT')) {
-                response = `❌ Command not available on this system. This feature may require additional software installation.`;
-            } else if (error.message.includes('permission')) {
-                response = `❌ Permission denied. This command may require administrator privileges.`;
-            } else {
-                response = `❌ Error executing command: ${error.message}`;
-            }
+            console.log('MongoDB update failed, using in-memory storage');
+            mongoConnected = false;
         }
+    }
 
-        return { status, response };
+    // Fallback to in-memory storage
+    const command = inMemoryCommands.find(entry => entry._id === id);
+    if (!command?.steps?.[index]) {
+        return null;
     }
+    Object.assign(command.steps[index], changes);
+    command.status = compoundStatus(command.steps.map(step => step.status));
+    command.response = command.steps.map(step => step.response).join('\n');
+    return command;
+};
 
-    static async getSystemInfo() {
-        const platform = os.platform();
-        const arch = os.arch();
-        const hostname = os.hostname();
-        const uptime = Math.floor(os.uptime() / 3600); // hours
-        const totalMem = (os.totalmem() / (1024 ** 3)).toFixed(2); // GB
-        const freeMem = (os.freemem() / (1024 ** 3)).toFixed(2); // GB
-        const usedMem = (totalMem - freeMem).toFixed(2);
-        
-        let osInfo = '';
+const clearCommands = async () => {
+    await waitForDatabase();
+    
+    if (mongoConnected) {
         try {
-            if (platform === 'win32') {
-                osInfo = await this.executeCommand('wmic os get Caption,Version /format:list');
-            } else if (platform === 'darwin') {
-                osInfo = await this.executeCommand('sw_vers');
-            } else {
-                osInfo = await this.executeCommand('lsb_release -a 2>/dev/null || cat /etc/os-release');
-            }
-        } catch (e) {
-            osInfo = `${platform} ${arch}`;
+            await Command.deleteMany({});
+            return;
+        } catch (error) {
+            console.log('MongoDB clear failed, using in-memory storage');
+            mongoConnected = false;
         }
-        
-        return `💻 System Information:
-🖥️ Hostname: ${hostname}
-⚙️ Platform: ${platform} (${arch})
-🕐 Uptime: ${uptime} hours
-🧠 Memory: ${usedMem}GB used / ${totalMem}GB total (${freeMem}GB free)
-📋 OS Details: ${osInfo.substring(0, 200)}`;
     }
     
-    static async getMemoryInfo() {
-        const totalMem = os.totalmem();
-        const freeMem = os.freemem();
-        const usedMem = totalMem - freeMem;
-        
-        const totalGB = (totalMem / (1024 ** 3)).toFixed(2);
-        const usedGB = (usedMem / (1024 ** 3)).toFixed(2);
-        const freeGB = (freeMem / (1024 ** 3)).toFixed(2);
-        const usagePercent = ((usedMem / totalMem) * 100).toFixed(1);
-        
-        let detailedInfo = '';
+    // Fallback to in-memory storage
+    inMemoryCommands = [];
+};
+
+// Routine storage
+const getRoutines = async () => {
+    await waitForDatabase();
+    
+    if (mongoConnected) {
         try {
-            const platform = os.platform();
-            if (platform === 'win32') {
-                detailedInfo = await this.executeCommand('wmic memorychip get Capacity,Speed,Manufacturer /format:list');
-            } else if (platform === 'darwin') {
-                detailedInfo = await this.executeCommand('system_profiler SPMemoryDataType');
-            } else {
-                detailedInfo = await this.executeCommand('sudo dmidecode --type memory 2>/dev/null | grep -E "Size|Speed|Type:" || free -h');
-            }
-        } catch (e) {
-            detailedInfo = 'Detailed memory info not available';
+            return await Routine.find().sort({ name: 1 }).select('-__v').lean();
+        } catch (error) {
+            console.log('MongoDB fetch failed, using in-memory storage');
+            mongoConnected = false;
         }
-        
-        return `🧠 Memory Information:
-📊 Total RAM: ${totalGB} GB
-✅ Used: ${usedGB} GB (${usagePercent}%)
-🆓 Free: ${freeGB} GB
-📋 Details: ${detailedInfo.substring(0, 300)}`;
     }
     
-    static async getStorageInfo() {
-        const platform = os.platform();
-        let storageInfo = '';
-        
+    // Fallback to in-memory storage
+    return [...inMemoryRoutines.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+const getRoutine = async (name) => {
+    await waitForDatabase();
+    
+    if (mongoConnected) {
         try {
-            if (platform === 'win32') {
-                storageInfo = await this.executeCommand('wmic logicaldisk get Size,FreeSpace,Caption /format:list');
-            } else if (platform === 'darwin') {
-                storageInfo = await this.executeCommand('df -h / && diskutil list');
-            } else {
-                storageInfo = await this.executeCommand('df -h --total && lsblk');
-            }
+            return await Routine.findOne({ name }).select('-__v').lean();
         } catch (error) {
-            storageInfo = 'Storage information not available';
+            console.log('MongoDB fetch failed, using in-memory storage');
+            mongoConnected = false;
         }
-        
-        return `💾 Storage Information:
-${storageInfo}`;
     }
     
-    static async getCPUInfo() {
-        const cpus = os.cpus();
-        const cpuModel = cpus[0].model;
-        const cpuCores = cpus.length;
-        const cpuSpeed = cpus[0].speed;
-        
-        let detailedInfo = '';
+    // Fallback to in-memory storage
+    return inMemoryRoutines.get(name) || null;
+};
+
+const saveRoutine = async (routineData) => {
+    await waitForDatabase();
+    let routine = null;
+    
+    if (mongoConnected) {
         try {
-            const platform = os.platform();
-            if (platform === 'win32') {
-                detailedInfo = await this.executeCommand('wmic cpu get Name,NumberOfCores,NumberOfLogicalProcessors,MaxClockSpeed /format:list');
-            } else if (platform === 'darwin') {
-                detailedInfo = await this.executeCommand('sysctl -n machdep.cpu.brand_string && sysctl -n hw.ncpu');
-            } else {
-                detailedInfo = await this.executeCommand('lscpu');
-            }
-        } catch (e) {
-            detailedInfo = 'Detailed CPU info not available';
+            routine = await Routine.findOneAndUpdate(
+                { name: routineData.name },
+                { ...routineData, updatedAt: new Date() },
+                { upsert: true, new: true, setDefaultsOnInsert: true }
+            ).select('-__v').lean();
+        } catch (error) {
+            console.log('MongoDB save failed, using in-memory storage');
+            mongoConnected = false;
         }
-        
-        return `⚡ CPU Information:
-🔧 Model: ${cpuModel}
-🔢 Cores: ${cpuCores}
-⚡ Speed: ${cpuSpeed} MHz
-📋 Details: ${detailedInfo.substring(0, 400)}`;
     }
     
-    static async getNetworkInfo() {
-        const networkInterfaces = os.networkInterfaces();
-        let networkInfo = '🌐 Network Information:\n';
-        
-        for (const [name, interfaces] of Object.entries(networkInterfaces)) {
-            if (interfaces) {
-                for (const iface of interfaces) {
-                    if (!iface.internal) {
-                        networkInfo += `📡 ${name}: ${iface.address} (${iface.family})\n`;
-                    }
-                }
-            }
-        }
-        
+    if (!routine) {
+        // Fallback to in-memory storage
+        const existing = inMemoryRoutines.get(routineData.name);
+        routine = {
+            _id: existing?._id || Date.now().toString(),
+            ...routineData,
+            createdAt: existing?.createdAt || new Date(),
+            updatedAt: new Date()
+        };
+        inMemoryRoutines.set(routine.name, routine);
+    }
+    
+    await refreshRoutineNames();
+    return routine;
+};
+
+const deleteRoutine = async (name) => {
+    await waitForDatabase();
+    let deleted = false;
+    
+    if (mongoConnected) {
         try {
-            const platform = os.platform();
-            let additionalInfo = '';
-            if (platform === 'win32') {
-                additionalInfo = await this.executeCommand('ipconfig /all');
-            } else {
-                additionalInfo = await this.executeCommand('ifconfig || ip addr show');
-            }
-            networkInfo += `\n📋 Details: ${additionalInfo.substring(0, 300)}`;
-        } catch (e) {
-            networkInfo += '\n📋 Additional network details not available';
+            deleted = (await Routine.deleteOne({ name })).deletedCount > 0;
+        } catch (error) {
+            console.log('MongoDB delete failed, using in-memory storage');
+            mongoConnected = false;
         }
-        
-        return networkInfo;
     }
     
-    static async getBatteryInfo() {
-        const platform = os.platform();
-        let batteryInfo = '';
-        
+    // Fallback to in-memory storage
+    deleted = inMemoryRoutines.delete(name) || deleted;
+    await refreshRoutineNames();
+    return deleted;
+};
+
+// Keep the routine intent's name lookup in sync with storage
+const refreshRoutineNames = async () => {
+    rememberRoutineNames((await getRoutines()).map(routine => routine.name));
+};
+
+refreshRoutineNames().catch(error => console.error('Routine load error:', error));
+
+// Application catalog storage
+const getApps = async () => {
+    await waitForDatabase();
+    
+    if (mongoConnected) {
         try {
-            if (platform === 'win32') {
-                batteryInfo = await this.executeCommand('wmic path Win32_Battery get EstimatedChargeRemaining,BatteryStatus /format:list');
-            } else if (platform === 'darwin') {
-                batteryInfo = await this.executeCommand('pmset -g batt');
-            } else {
-                batteryInfo = await this.executeCommand('upower -i /org/freedesktop/UPower/devices/battery_BAT0 2>/dev/null || cat /sys/class/power_supply/BAT*/capacity 2>/dev/null');
-            }
-            
-            if (batteryInfo.trim()) {
-                return `🔋 Battery Information:
-${batteryInfo}`;
-            } else {
-                return '🔋 Battery: Not available (Desktop computer or battery info inaccessible)';
-            }
+            return await App.find().sort({ name: 1 }).select('-__v').lean();
         } catch (error) {
-            return '🔋 Battery: Information not available';
+            console.log('MongoDB fetch failed, using in-memory storage');
+            mongoConnected = false;
         }
     }
     
-    static async getTemperatureInfo() {
-        const platform = os.platform();
-        let tempInfo = '';
-        
+    // Fallback to in-memory storage
+    return [...inMemoryApps.values()];
+};
+
+const saveApp = async (appData) => {
+    await waitForDatabase();
+    
+    if (mongoConnected) {
         try {
-            if (platform === 'win32') {
-                tempInfo = await this.executeCommand('wmic /namespace:\\\\root\\wmi PATH MSAcpi_ThermalZoneTemperature get CurrentTemperature /format:list');
-            } else if (platform === 'darwin') {
-                tempInfo = await this.executeCommand('sudo powermetrics --samplers smc -n 1 2>/dev/null | grep -i temp || echo "Temperature monitoring requires admin privileges"');
-            } else {
-                tempInfo = await this.executeCommand('sensors 2>/dev/null || cat /sys/class/thermal/thermal_zone*/temp 2>/dev/null');
-            }
-            
-            if (tempInfo.trim()) {
-                return `🌡️ Temperature Information:
-${tempInfo}`;
-            } else {
-                return '🌡️ Temperature: Sensors not available or require additional permissions';
-            }
+            return await App.findOneAndUpdate(
+                { name: appData.name },
+                { ...appData, updatedAt: new Date() },
+                { upsert: true, new: true, setDefaultsOnInsert: true }
+            ).select('-__v').lean();
         } catch (error) {
-            return '🌡️ Temperature: Information not available';
+            console.log('MongoDB save failed, using in-memory storage');
+            mongoConnected = false;
         }
     }
     
-    static async executeCommand(command) {
-        return new Promise((resolve, reject) => {
-            exec(command, { timeout: 10000 }, (error, stdout, stderr) => {
-                if (error) {
-                    reject(error);
-                } else {
-                    resolve(stdout || stderr || 'No output');
-                }
-            });
-        });
-    }
+    // Fallback to in-memory storage
+    const existing = inMemoryApps.get(appData.name);
+    const entry = {
+        ...appData,
+        createdAt: existing?.createdAt || new Date(),
+        updatedAt: new Date()
+    };
+    inMemoryApps.set(entry.name, entry);
+    return entry;
+};
 
-    static async openWhatsAppCall(contact) {
-        const platform = os.platform();
-        let command;
-        
-        switch (platform) {
-            case 'win32':
-                // Open WhatsApp and initiate call (requires WhatsApp Desktop)
-                command = `start whatsapp://call?phone=${encodeURIComponent(contact)}`;
-                break;
-            case 'darwin':
-                command = `open whatsapp://call?phone=${encodeURIComponent(contact)}`;
-                break;
-            default:
-                command = `xdg-open whatsapp://call?phone=${encodeURIComponent(contact)}`;
-                break;
+const deleteApp = async (name) => {
+    await waitForDatabase();
+    
+    if (mongoConnected) {
+        try {
+            await App.deleteOne({ name });
+        } catch (error) {
+            console.log('MongoDB delete failed, using in-memory storage');
+            mongoConnected = false;
         }
-        
-        return new Promise((resolve, reject) => {
-            exec(command, (error) => {
-                if (error) {
-                    // Fallback to opening WhatsApp web
-                    this.openWebsite('web.whatsapp.com');
-                    resolve();
-                } else {
-                    resolve();
-                }
-            });
-        });
     }
+    
+    // Fallback to in-memory storage
+    inMemoryApps.delete(name);
+};
 
-    static async openWhatsAppMessage(contact) {
-        const platform = os.platform();
-        let command;
-        
-        switch (platform) {
-            case 'win32':
-                command = `start whatsapp://send?phone=${encodeURIComponent(contact)}`;
-                break;
-            case 'darwin':
-                command = `open whatsapp://send?phone=${encodeURIComponent(contact)}`;
-                break;
-            default:
-                command = `xdg-open whatsapp://send?phone=${encodeURIComponent(contact)}`;
-                break;
+apps.load({ list: getApps, save: saveApp, delete: deleteApp })
+    .catch(error => console.error('App catalog load error:', error));
+
+// Installed applications from .desktop files (Linux), kept current as
+// applications are installed or removed
+desktopEntries.on('change', entries => apps.setDiscovered(entries));
+desktopEntries.start().catch(error => console.error('Application index error:', error));
+
+// Schedule storage
+const getSchedules = async () => {
+    await waitForDatabase();
+    
+    if (mongoConnected) {
+        try {
+            return await Schedule.find().select('-_id -__v').lean();
+        } catch (error) {
+            console.log('MongoDB fetch failed, using in-memory storage');
+            mongoConnected = false;
         }
-        
-        return new Promise((resolve, reject) => {
-            exec(command, (error) => {
-                if (error) {
-                    this.openWebsite('web.whatsapp.com');
-                    resolve();
-                } else {
-                    resolve();
-                }
-            });
-        });
     }
+    
+    // Fallback to in-memory storage
+    return [...inMemorySchedules.values()].map(schedule => ({ ...schedule }));
+};
 
-    static async openFileLocation(location) {
-        const platform = os.platform();
-        let command;
-        
-        switch (platform) {
-            case 'win32':
-                const winPaths = {
-                    downloads: '%USERPROFILE%\\Downloads',
-                    documents: '%USERPROFILE%\\Documents',
-                    desktop: '%USERPROFILE%\\Desktop',
-                    pictures: '%USERPROFILE%\\Pictures',
-                    music: '%USERPROFILE%\\Music'
-                };
-                command = `explorer "${winPaths[location] || winPaths.downloads}"`;
-                break;
-            case 'darwin':
-                const macPaths = {
-                    downloads: '~/Downloads',
-                    documents: '~/Documents',
-                    desktop: '~/Desktop',
-                    pictures: '~/Pictures',
-                    music: '~/Music'
-                };
-                command = `open "${macPaths[location] || macPaths.downloads}"`;
-                break;
-            default:
-                const linuxPaths = {
-                    downloads: '~/Downloads',
-                    documents: '~/Documents',
-                    desktop: '~/Desktop',
-                    pictures: '~/Pictures',
-                    music: '~/Music'
+const saveSchedule = async (schedule) => {
+    await waitForDatabase();
+    
+    if (mongoConnected) {
+        try {
+            await Schedule.findOneAndUpdate({ id: schedule.id }, schedule, { upsert: true });
+            return;
+        } catch (error) {
+            console.log('MongoDB save failed, using in-memory storage');
+            mongoConnected = false;
+        }
+    }
+    
+    // Fallback to in-memory storage
+    inMemorySchedules.set(schedule.id, { ...schedule });
+};
+
+const deleteSchedule = async (id) => {
+    await waitForDatabase();
+    
+    if (mongoConnected) {
+        try {
+            await Schedule.deleteOne({ id });
+            return;
+        } catch (error) {
+            console.log('MongoDB delete failed, using in-memory storage');
+            mongoConnected = false;
+        }
+    }
+    
+    // Fallback to in-memory storage
+    inMemorySchedules.delete(id);
+};
+
+// File operation storage
+const getFileOperations = async () => {
+    await waitForDatabase();
+    
+    if (mongoConnected) {
+        try {
+            return await FileOperation.find().sort({ id: 1 }).select('-_id -__v').lean();
+        } catch (error) {
+            console.log('MongoDB fetch failed, using in-memory storage');
+            mongoConnected = false;
+        }
+    }
+    
+    // Fallback to in-memory storage
+    return [...inMemoryFileOperations.values()];
+};
+
+const saveFileOperation = async (operation) => {
+    await waitForDatabase();
+    
+    if (mongoConnected) {
+        try {
+            await FileOperation.findOneAndUpdate({ id: operation.id }, operation, { upsert: true });
+            return;
+        } catch (error) {
+            console.log('MongoDB save failed, using in-memory storage');
+            mongoConnected = false;
+        }
+    }
+    
+    // Fallback to in-memory storage
+    inMemoryFileOperations.set(operation.id, { ...operation });
+};
+
+const deleteFileOperation = async (id) => {
+    await waitForDatabase();
+    
+    if (mongoConnected) {
+        try {
+            await FileOperation.deleteOne({ id });
+            return;
+        } catch (error) {
+            console.log('MongoDB delete failed, using in-memory storage');
+            mongoConnected = false;
+        }
+    }
+    
+    // Fallback to in-memory storage
+    inMemoryFileOperations.delete(id);
+};
+
+fileOperations.load({ list: getFileOperations, save: saveFileOperation, delete: deleteFileOperation })
+    .catch(error => console.error('File operation history load error:', error));
+
+// Scheduled commands run through CommandProcessor like any other command
+const scheduler = new Scheduler({
+    store: { list: getSchedules, save: saveSchedule, delete: deleteSchedule },
+    run: (schedule) => CommandProcessor.processCommand(schedule.command, 'scheduler', {
+        confirmed: schedule.confirmed,
+        scheduled: true,
+        locale: schedule.locale || DEFAULT_LOCALE
+    })
+});
+
+// Command Processing Functions
+registerBuiltinIntents(intentRegistry);
+
+// Deliver alert transitions to connected clients
+alertManager.on('fired', (event) => clientEvents.broadcast('alert', event));
+alertManager.on('recovered', (event) => clientEvents.broadcast('alert', event));
+
+// Record the outcome of confirmed, cancelled and expired actions on the
+// history entry that requested them, or on its step for compound commands
+confirmations.on('resolved', async (confirmation, outcome) => {
+    const { historyId, step } = confirmation.metadata;
+    if (!historyId) {
+        return;
+    }
+    const changes = {
+        status: outcome.status,
+        response: outcome.response,
+        confirmation: {
+            token: confirmation.token,
+            action: confirmation.action,
+            state: confirmation.state,
+            expiresAt: confirmation.expiresAt,
+            resolvedAt: new Date()
+        }
+    };
+    try {
+        if (step === undefined) {
+            await updateCommand(historyId, changes);
+        } else {
+            await updateCommandStep(historyId, step, changes);
+        }
+    } catch (error) {
+        console.error('Confirmation history update error:', error);
+    }
+});
+
+// A compound command failed if any part did, waits while any part waits
+// and did nothing when every confirmation was declined or ran out
+const compoundStatus = (statuses) => {
+    if (statuses.includes('error')) {
+        return 'error';
+    }
+    if (statuses.includes('needs_confirmation')) {
+        return 'needs_confirmation';
+    }
+    if (!statuses.includes('success')) {
+        return statuses.includes('cancelled') ? 'cancelled' : 'expired';
+    }
+    return 'success';
+};
+
+class CommandProcessor {
+    static launcher = launcher;
+    static apps = apps;
+    static processes = processManager;
+    static audio = audio;
+    static display = display;
+    static connectivity = connectivity;
+    static files = fileSearch;
+    static fileOps = fileOperations;
+    static clipboard = clipboard;
+    static powerActions = powerActions;
+    static alerts = alertManager;
+    static routines = { list: getRoutines, get: getRoutine, save: saveRoutine, delete: deleteRoutine };
+    static scheduler = scheduler;
+    static reminders = reminders;
+    static notifier = notifier;
+    static conversations = conversations;
+    static confirmations = confirmations;
+    // True on the processor returned by withDryRun, which is already planning
+    static planning = false;
+
+    static async processCommand(commandText, userAgent = '', options = {}) {
+        const locale = options.locale || DEFAULT_LOCALE;
+        options = { ...options, locale };
+
+        if ((DRY_RUN || options.dryRun) && !this.planning) {
+            const plan = [];
+            const result = await this.withDryRun(plan).processCommand(commandText, userAgent, {
+                ...options,
+                dryRun: false,
+                confirmed: true
+            });
+            const t = translator(locale);
+            return { ...result, response: t('dryRun', { response: result.response }), dryRun: true, plan };
+        }
+
+        // Commands in other languages are rewritten into English first
+        const translation = toEnglish(commandText, locale);
+        const { translated } = translation;
+        let { text } = translation;
+
+        // Follow-ups ("again", "more", "now on youtube") are rewritten against
+        // the session's previous command before resolution
+        const { sessionId } = options;
+        const inSession = Boolean(sessionId) && !options.routineDepth;
+        let followUp = null;
+        if (inSession) {
+            const resolved = resolveFollowUp(text.toLowerCase().trim(), this.conversations.last(sessionId), intentRegistry, translator(locale));
+            if (resolved?.error) {
+                return {
+                    status: 'error',
+                    response: resolved.error,
+                    intent: null,
+                    slots: {},
+                    interpretation: { text, followUp: null, corrected: false, translated, intent: null, slots: {} }
                 };
-                command = `xdg-open "${linuxPaths[location] || linuxPaths.downloads}"`;
-                break;
+            }
+            if (resolved) {
+                ({ text, followUp } = resolved);
+            }
         }
-        
-        return new Promise((resolve, reject) => {
-            exec(command, (error) => {
-                if (error) {
-                    if (error.code === 127) {
-                        reject(new Error(`File manager not found or not installed. Please ensure a file manager is installed and accessible.`));
-                    } else {
-                        reject(error);
-                    }
-                } else {
-                    resolve();
-                }
+
+        // "open spotify and turn the volume down" runs as two commands
+        const parts = splitCompound(text.toLowerCase().trim(), intentRegistry);
+        const result = parts
+            ? await this.runCompound(parts, userAgent, options)
+            : await this.dispatch(text, userAgent, options);
+
+        // A fuzzy correction ("opne calculater") replaces what was heard
+        const corrected = Boolean(result.correction);
+        if (corrected) {
+            text = result.correction.text;
+        }
+
+        // Answers to a confirmation are not something to repeat or undo
+        if (inSession && result.intent && !['confirm', 'cancel'].includes(result.intent)) {
+            this.conversations.remember(sessionId, { text, intent: result.intent, slots: result.slots, result });
+        }
+        return {
+            ...result,
+            interpretation: { text, followUp, corrected, translated, intent: result.intent, slots: result.slots }
+        };
+    }
+
+    // Run the parts of a compound utterance in order and aggregate the
+    // outcome; per-part results are returned as `steps`. Every part that
+    // waits for confirmation keeps its own, listed in `confirmations` with
+    // the index of its step ("shut down and empty the trash" asks twice).
+    static async runCompound(parts, userAgent, options) {
+        const steps = [];
+        const confirmations = [];
+
+        for (const part of parts) {
+            const result = await this.dispatch(part, userAgent, options);
+            const step = { command: part, status: result.status, response: result.response, intent: result.intent };
+            if (result.confirmation) {
+                const { token, action, state, expiresAt } = result.confirmation;
+                step.confirmation = { token, action, state, expiresAt };
+                confirmations.push({ ...result.confirmation, step: steps.length });
+            }
+            steps.push(step);
+        }
+
+        return {
+            status: compoundStatus(steps.map(step => step.status)),
+            response: steps.map(step => step.response).join('\n'),
+            intent: 'compound',
+            slots: {},
+            steps,
+            ...(confirmations.length && { confirmation: confirmations[0], confirmations })
+        };
+    }
+
+    // Resolve a command to an intent and run it
+    static async dispatch(commandText, userAgent, options) {
+        const cmd = commandText.toLowerCase().trim();
+        const match = intentRegistry.resolve(cmd);
+        const t = translator(options.locale);
+
+        if (!match && !options.corrected) {
+            // Near misses ("opne calculater") run when the correction is
+            // clear, otherwise the client gets suggestions to pick from
+            const suggestions = suggestCommands(cmd, {
+                registry: intentRegistry,
+                appNames: this.apps.spokenNames()
             });
+            if (isConfident(suggestions)) {
+                const result = await this.dispatch(suggestions[0].text, userAgent, { ...options, corrected: true });
+                return { ...result, correction: suggestions[0] };
+            }
+            if (suggestions.length) {
+                return {
+                    status: 'error',
+                    response: describeSuggestions(suggestions, t),
+                    intent: null,
+                    slots: {},
+                    suggestions
+                };
+            }
+        }
+
+        if (!match) {
+            // Default case
+            return {
+                status: 'error',
+                response: t('notRecognized'),
+                intent: null,
+                slots: {}
+            };
+        }
+
+        const context = {
+            cmd,
+            text: commandText,
+            slots: match.slots,
+            options,
+            userAgent,
+            processor: this,
+            locale: t.locale,
+            t
+        };
+
+        // Destructive intents are parked until the user confirms them
+        const description = this.confirmationFor(match, t);
+        if (description && !options.confirmed) {
+            return this.requestConfirmation(match, context, description);
+        }
+        return this.runIntent(match, context);
+    }
+
+    static confirmationFor(match, t = translator()) {
+        return describeConfirmation(match.intent, match.slots, t);
+    }
+
+    static async runIntent(match, context) {
+        const { t } = context;
+        let response = '';
+        let status = 'success';
+        let extra = {};
+
+        try {
+            const result = await match.intent.handler(context);
+
+            if (typeof result === 'string') {
+                response = result;
+            } else if (result) {
+                // Handlers may return extra fields (e.g. routine step results)
+                ({ status = status, response, ...extra } = result);
+            }
+            
+        } catch (error) {
+            console.error('Command execution error:', error);
+            status = 'error';
+            
+            // Enhanced error handling for specific error types
+            if (error.code === 127) {
+                response = t('error.appNotFound');
+            } else if (error.message.includes('ENOENT')) {
+                response = t('error.unavailable');
+            } else if (error.message.includes('permission')) {
+                response = t('error.permission');
+            } else {
+                response = t('error.failed', { message: error.message });
+            }
+        }
+
+        return { status, response, intent: match.intent.name, slots: match.slots, ...extra };
+    }
+
+    static requestConfirmation(match, context, description = this.confirmationFor(match, context.t)) {
+        const confirmation = this.confirmations.request({
+            action: match.intent.name,
+            description,
+            locale: context.locale,
+            execute: (pending) => this.runIntent(match, {
+                ...context,
+                options: { ...context.options, confirmed: true, confirmation: pending }
+            })
         });
+        const seconds = Math.round(this.confirmations.timeoutMs / 1000);
+
+        return {
+            status: 'needs_confirmation',
+            response: context.t('confirmation.prompt', { action: description, seconds }),
+            intent: match.intent.name,
+            slots: match.slots,
+            confirmation
+        };
     }
 
-    static async openSettings(settingType) {
-        const platform = os.platform();
-        let command;
-        
-        switch (platform) {
-            case 'win32':
-                const winSettings = {
-                    main: 'ms-settings:',
-                    network: 'ms-settings:network',
-                    display: 'ms-settings:display',
-                    sound: 'ms-settings:sound',
-                    bluetooth: 'ms-settings:bluetooth',
-                    privacy: 'ms-settings:privacy',
-                    update: 'ms-settings:windowsupdate'
-                };
-                command = `start ${winSettings[settingType] || winSettings.main}`;
-                break;
-            case 'darwin':
-                const macSettings = {
-                    main: 'open -b com.apple.systempreferences',
-                    network: 'open -b com.apple.systempreferences /System/Library/PreferencePanes/Network.prefPane',
-                    display: 'open -b com.apple.systempreferences /System/Library/PreferencePanes/Displays.prefPane',
-                    sound: 'open -b com.apple.systempreferences /System/Library/PreferencePanes/Sound.prefPane',
-                    bluetooth: 'open -b com.apple.systempreferences /System/Library/PreferencePanes/Bluetooth.prefPane'
-                };
-                command = macSettings[settingType] || macSettings.main;
-                break;
-            default:
-                const linuxSettings = {
-                    main: 'gnome-control-center || systemsettings5 || unity-control-center',
-                    network: 'gnome-control-center network || systemsettings5 kcm_networkmanagement',
-                    display: 'gnome-control-center display || systemsettings5 kcm_displayconfiguration',
-                    sound: 'gnome-control-center sound || systemsettings5 kcm_pulseaudio',
-                    bluetooth: 'gnome-control-center bluetooth || systemsettings5 kcm_bluetooth'
-                };
-                command = linuxSettings[settingType] || linuxSettings.main;
-                break;
+    // Confirm or cancel a pending action. Without a token the most recent
+    // pending action is used.
+    static async resolveConfirmation(decision, token, t = translator()) {
+        const pending = token ? this.confirmations.get(token) : this.confirmations.latest();
+        if (!pending) {
+            return { status: 'error', response: t('confirmation.nothingPending') };
         }
-        
-        return new Promise((resolve, reject) => {
-            exec(command, (error) => {
-                if (error) {
-                    if (error.code === 127) {
-                        reject(new Error(`Settings application not found. Please ensure system settings are accessible.`));
-                    } else {
-                        reject(error);
-                    }
-                } else {
-                    resolve();
-                }
-            });
+
+        if (decision === 'cancel') {
+            this.confirmations.cancel(pending.token);
+            return { status: 'success', response: t('confirmation.cancelled', { action: pending.description }) };
+        }
+        const { outcome } = await this.confirmations.confirm(pending.token);
+        // A dry run only plans the pending action
+        if (outcome.planned) {
+            return { status: 'success', response: t('confirmation.planned', { action: pending.description }) };
+        }
+        return { status: outcome.status, response: outcome.response };
+    }
+
+    static async clearHistory() {
+        await clearCommands();
+    }
+
+    // Run a stored routine. Steps go through processCommand, so routines can
+    // contain anything a user could say, including other routines.
+    static async runRoutine(routine, userAgent = '', options = {}) {
+        const depth = (options.routineDepth || 0) + 1;
+        if (depth > MAX_ROUTINE_DEPTH) {
+            return { status: 'error', response: translator(options.locale)('routines.tooDeep', { depth: MAX_ROUTINE_DEPTH }), steps: [] };
+        }
+        return runRoutine(routine, (command) => this.processCommand(command, userAgent, { ...options, routineDepth: depth }), {
+            t: translator(options.locale)
         });
     }
 
-    static async openSpecificApplication(appName) {
-        const platform = os.platform();
-        const app = appName.toLowerCase();
-        let command;
-        
-        // Common applications mapping
-        const appMappings = {
-            win32: {
-                'chrome': 'start chrome',
-                'firefox': 'start firefox',
-                'edge': 'start msedge',
-                'notepad': 'notepad',
-                'calculator': 'calc',
-                'paint': 'mspaint',
-                'word': 'start winword',
-                'excel': 'start excel',
-                'powerpoint': 'start powerpnt',
-                'outlook': 'start outlook',
-                'teams': 'start ms-teams:',
-                'zoom': 'start zoommtg:',
-                'discord': 'start discord:',
-                'spotify': 'start spotify:',
-                'steam': 'start steam:',
-                'vscode': 'code',
-                'photoshop': 'start photoshop',
-                'illustrator': 'start illustrator',
-                'premiere': 'start premiere',
-                'aftereffects': 'start aftereffects'
-            },
-            darwin: {
-                'chrome': 'open -a "Google Chrome"',
-                'firefox': 'open -a Firefox',
-                'safari': 'open -a Safari',
-                'textedit': 'open -a TextEdit',
-                'calculator': 'open -a Calculator',
-                'word': 'open -a "Microsoft Word"',
-                'excel': 'open -a "Microsoft Excel"',
-                'powerpoint': 'open -a "Microsoft PowerPoint"',
-                'outlook': 'open -a "Microsoft Outlook"',
-                'teams': 'open -a "Microsoft Teams"',
-                'zoom': 'open -a zoom.us',
-                'discord': 'open -a Discord',
-                'spotify': 'open -a Spotify',
-                'steam': 'open -a Steam',
-                'vscode': 'open -a "Visual Studio Code"',
-                'photoshop': 'open -a "Adobe Photoshop"',
-                'illustrator': 'open -a "Adobe Illustrator"',
-                'premiere': 'open -a "Adobe Premiere Pro"'
-            },
-            linux: {
-                'chrome': 'google-chrome || chromium-browser',
-                'firefox': 'firefox',
-                'gedit': 'gedit',
-                'calculator': 'gnome-calculator || kcalc',
-                'libreoffice': 'libreoffice',
-                'writer': 'libreoffice --writer',
-                'calc': 'libreoffice --calc',
-                'impress': 'libreoffice --impress',
-                'thunderbird': 'thunderbird',
-                'discord': 'discord',
-                'spotify': 'spotify',
-                'steam': 'steam',
-                'vscode': 'code',
-                'gimp': 'gimp',
-                'inkscape': 'inkscape'
-            }
-        };
-        
-        const platformApps = appMappings[platform] || appMappings.linux;
-        command = platformApps[app];
-        
-        if (!command) {
-            // Try generic approach
-            switch (platform) {
-                case 'win32':
-                    command = `start ${appName}`;
-                    break;
-                case 'darwin':
-                    command = `open -a "${appName}"`;
-                    break;
-                default:
-                    command = appName;
-                    break;
-            }
-        }
-        
-        return new Promise((resolve, reject) => {
-            exec(command, (error) => {
-                if (error) {
-                    if (error.code === 127) {
-                        reject(new Error(`Application "${appName}" not found or not installed. Please ensure it's installed and in your system's PATH.`));
-                    } else {
-                        reject(error);
-                    }
-                } else {
-                    resolve();
-                }
-            });
-        });
+    // A processor whose helpers record the commands they would run into
+    // `plan` instead of running them. Destructive intents run unconfirmed
+    // here since nothing is executed.
+    static withDryRun(plan) {
+        const recorder = this.launcher.recording(plan);
+        // Processes are listed for real but never signalled
+        const processes = this.processes.recording(plan);
+        // Volume can be read but changes are only planned
+        const audioRecorder = this.audio.recording(plan);
+        const displayRecorder = this.display.recording(plan);
+        const connectivityRecorder = this.connectivity.recording(plan);
+        // File operations are validated but only planned
+        const fileOpsRecorder = this.fileOps.recording(plan);
+        // The clipboard can be read but writes are only planned
+        const clipboardRecorder = this.clipboard.recording(plan);
+        const tracker = new PowerActionTracker({ launcher: recorder });
+        tracker.actions = new Map(this.powerActions.actions);
+
+        // Alert rules created or removed during a dry run are discarded
+        const alerts = new AlertManager();
+        alerts.rules = new Map(this.alerts.rules);
+        alerts.start = () => {};
+
+        // Routines can be read but not changed
+        const routines = {
+            ...this.routines,
+            save: async (routine) => {
+                plan.push({ name: 'saveRoutine', command: null, args: [routine.name] });
+                return routine;
+            },
+            delete: async (name) => {
+                plan.push({ name: 'deleteRoutine', command: null, args: [name] });
+                return Boolean(await this.routines.get(name));
+            }
+        };
+
+        // Schedules are validated but not stored
+        const shadowScheduler = {
+            list: () => this.scheduler.list(),
+            get: (id) => this.scheduler.get(id),
+            create: async (spec) => {
+                const schedule = this.scheduler.preview(spec);
+                plan.push({ name: 'schedule', command: null, args: [schedule.command, schedule.cron || new Date(schedule.runAt).toISOString()] });
+                return schedule;
+            },
+            cancel: async (id) => {
+                plan.push({ name: 'cancelSchedule', command: null, args: [id] });
+                return Boolean(this.scheduler.get(id));
+            }
+        };
+
+        // Timers and reminders are validated but never armed
+        const shadowReminders = new ReminderManager({ notifier: null });
+        shadowReminders.entries = new Map(this.reminders.entries);
+        shadowReminders.arm = (entry) => {
+            plan.push({ name: entry.kind, command: null, args: [entry.message, entry.dueAt.toISOString()] });
+        };
+        shadowReminders.cancel = (id) => {
+            plan.push({ name: 'cancelReminder', command: null, args: [id] });
+            return shadowReminders.entries.delete(id);
+        };
+        shadowReminders.snooze = (id, seconds) => {
+            plan.push({ name: 'snoozeReminder', command: null, args: [id, String(seconds)] });
+            return shadowReminders.entries.get(id);
+        };
+        const shadowNotifier = {
+            notify: async (notification) => {
+                plan.push({ name: 'notify', command: null, args: [notification.title, notification.message] });
+                return { notification, deliveries: [] };
+            }
+        };
+
+        // Pending actions can be looked up, but answering one only plans it:
+        // the parked action is neither run nor taken off the real queue
+        const answer = (name, token) => {
+            const confirmation = confirmations.get(token);
+            plan.push({ name, command: null, args: [confirmation.action, confirmation.description] });
+            return confirmation;
+        };
+        const shadowConfirmations = {
+            timeoutMs: confirmations.timeoutMs,
+            get: (token) => confirmations.get(token),
+            latest: () => confirmations.latest(),
+            request: ({ action, description }) => {
+                plan.push({ name: 'confirmation', command: null, args: [action, description] });
+                return { token: null, action, description, state: 'pending' };
+            },
+            confirm: async (token) => ({ confirmation: answer('confirm', token), outcome: { status: 'success', planned: true } }),
+            cancel: (token) => ({ confirmation: answer('cancelConfirmation', token), outcome: { status: 'cancelled', planned: true } })
+        };
+
+        // Follow-ups resolve against the real session, which is left unchanged
+        const shadowConversations = {
+            last: (id) => this.conversations.last(id),
+            remember: () => {}
+        };
+
+        return class extends this {
+            static planning = true;
+            static launcher = recorder;
+            static processes = processes;
+            static audio = audioRecorder;
+            static display = displayRecorder;
+            static connectivity = connectivityRecorder;
+            static fileOps = fileOpsRecorder;
+            static clipboard = clipboardRecorder;
+            static powerActions = tracker;
+            static alerts = alerts;
+            static routines = routines;
+            static scheduler = shadowScheduler;
+            static reminders = shadowReminders;
+            static notifier = shadowNotifier;
+            static conversations = shadowConversations;
+            static confirmations = shadowConfirmations;
+
+            static async clearHistory() {
+                plan.push({ name: 'clearHistory', command: null, args: [] });
+            }
+
+            static async executeCommand(command) {
+                plan.push({ name: 'probe', command, args: [], shell: true });
+                return '';
+            }
+        };
+    }
+
+    // Context for the system probes: platform tools run through executeCommand
+    static probeContext() {
+        return {
+            platform: this.launcher.platform,
+            run: (command) => this.executeCommand(command)
+        };
+    }
+
+    static async getSystemInfo() {
+        return probeSystem(this.probeContext());
+    }
+    
+    static async getMemoryInfo() {
+        return probeMemory(this.probeContext());
+    }
+    
+    static async getStorageInfo() {
+        return probeStorage(this.probeContext());
+    }
+    
+    static async getCPUInfo() {
+        return probeCPU(this.probeContext());
+    }
+    
+    static async getNetworkInfo() {
+        return probeNetwork(this.probeContext());
+    }
+    
+    static async getBatteryInfo() {
+        return probeBattery(this.probeContext());
+    }
+    
+    static async getTemperatureInfo() {
+        return probeTemperature(this.probeContext());
+    }
+    
+    static async executeCommand(command) {
+        return new Promise((resolve, reject) => {
+            exec(command, { timeout: 10000 }, (error, stdout, stderr) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(stdout || stderr || 'No output');
+                }
+            });
+        });
+    }
+
+    // Run a launcher catalog entry, turning "not installed" into a
+    // helper-specific message.
+    static async launchEntry(name, args, notFoundMessage, options = {}) {
+        try {
+            return await this.launcher.launch(name, args, options);
+        } catch (error) {
+            if (error.code === 127 || error.code === 'ENOTSUP') {
+                throw new Error(notFoundMessage);
+            }
+            throw error;
+        }
+    }
+
+    static async openWhatsAppCall(contact) {
+        try {
+            await this.launcher.open(`whatsapp://call?phone=${encodeURIComponent(contact)}`, { detached: true });
+        } catch (error) {
+            // Fallback to opening WhatsApp web
+            await this.openWebsite('web.whatsapp.com');
+        }
+    }
+
+    static async openWhatsAppMessage(contact) {
+        try {
+            await this.launcher.open(`whatsapp://send?phone=${encodeURIComponent(contact)}`, { detached: true });
+        } catch (error) {
+            await this.openWebsite('web.whatsapp.com');
+        }
+    }
+
+    static async openFileLocation(location) {
+        const folder = this.files.folders[location] ?? this.files.folders.downloads;
+
+        try {
+            await this.launcher.open(folder, { detached: true });
+        } catch (error) {
+            if (error.code === 127) {
+                throw new Error(`File manager not found or not installed. Please ensure a file manager is installed and accessible.`);
+            }
+            throw error;
+        }
+    }
+
+    // Open a search match with its default application
+    static async openFile(file) {
+        try {
+            await this.launcher.open(file, { detached: true });
+        } catch (error) {
+            if (error.code === 127) {
+                throw new Error(`No application found to open files. Please ensure a desktop opener (xdg-open) is installed.`);
+            }
+            throw error;
+        }
+    }
+
+    static async openSettings(settingType) {
+        const entry = this.launcher.has(`settings:${settingType}`) ? `settings:${settingType}` : 'settings:main';
+        await this.launchEntry(entry, [], `Settings application not found. Please ensure system settings are accessible.`, { detached: true });
+    }
+
+    // Map a spoken application name or alias onto the app catalog, allowing
+    // near misses ("spotfy"). Returns { name } or { suggestions } when it is
+    // unclear.
+    static matchApplication(appName) {
+        const known = this.apps.find(appName);
+        if (known && this.launcher.has(known.name)) {
+            return { name: known.name };
+        }
+
+        const matches = rankMatches(appKey(appName), this.apps.spokenNames())
+            .map(({ value, score }) => ({ text: `open ${value}`, intent: 'openApplication', score, name: this.apps.find(value).name }));
+        if (isConfident(matches)) {
+            return { name: matches[0].name };
+        }
+        // macOS can still open applications outside the catalog by name
+        if (matches.length && !this.launcher.has('appByName')) {
+            return { suggestions: matches.map(({ name, ...suggestion }) => suggestion) };
+        }
+        return { name: appName };
+    }
+
+    static async openSpecificApplication(appName) {
+        const app = this.apps.find(appName);
+        const notFound = `Application "${appName}" not found or not installed. Please ensure it's installed and in your system's PATH.`;
+
+        if (app && this.launcher.has(app.name)) {
+            return this.launchEntry(app.name, [], notFound, { detached: true });
+        }
+
+        // Spoken names are never executed directly. macOS can still look an
+        // unknown application up by name, passed to `open -a` as one argument.
+        if (this.launcher.has('appByName')) {
+            return this.launchEntry('appByName', [assertSafeArgument(appName)], notFound);
+        }
+        throw new Error(notFound);
+    }
+
+    static async openWebsite(url) {
+        const fullUrl = url.startsWith('http') ? url : `https://${url}`;
+
+        try {
+            await this.launcher.open(fullUrl, { detached: true });
+        } catch (error) {
+            if (error.code === 127) {
+                throw new Error(`Web browser not found. Please ensure a web browser is installed and accessible.`);
+            }
+            throw error;
+        }
+    }
+
+    static async openApplication(appName) {
+        const app = this.apps.find(appName);
+        if (!app || !this.launcher.has(app.name)) {
+            throw new Error(`Application "${appName}" not available on this platform`);
+        }
+        await this.launchEntry(app.name, [], `Application "${appName}" not found or not installed. Please ensure it's installed and in your system's PATH.`, { detached: true });
+    }
+
+    // Close a running application by spoken name or pid. Catalog
+    // applications are also found by the executables they launch ("vs code"
+    // runs as "code"). Returns { name, results } (see ProcessManager.terminate).
+    static async closeApplication(target, { force = false } = {}) {
+        if (/^\d+$/.test(target)) {
+            const results = await this.processes.terminate({ pid: Number(target), force });
+            return { name: results[0]?.name ?? target, results };
+        }
+
+        const app = this.apps.find(target);
+        const results = await this.processes.terminate({
+            name: app?.name ?? target,
+            aliases: app ? [app.label, ...this.apps.executables(app.name)] : [],
+            force
+        });
+        return { name: app?.label ?? target, results };
+    }
+
+    static async focusApplication(appName) {
+        const app = this.apps.find(appName);
+        const name = app?.label ?? appName;
+        await this.launchEntry('focus', [assertSafeArgument(name)], `Window switching is not available. On Linux, please install wmctrl.`);
+        return name;
+    }
+
+    static async systemShutdown(seconds = 60, { commandId = null } = {}) {
+        try {
+            return await this.powerActions.scheduleShutdown(seconds, { commandId });
+        } catch (error) {
+            if (error.code === 127) {
+                throw new Error(`Shutdown command not available or requires administrator privileges.`);
+            }
+            throw error;
+        }
+    }
+
+    static async systemRestart() {
+        await this.launchEntry('restart', [], `Restart command not available or requires administrator privileges.`);
+    }
+
+    static async systemSleep() {
+        await this.launchEntry('sleep', [], `Sleep command not available or requires administrator privileges.`);
+    }
+
+    // Output volume through the audio module: 'up' / 'down' step by 10%,
+    // 'set' takes a level, 'mute', 'unmute' and 'toggle' switch muting.
+    // Resolves to the new level or muted state when the backend reports it.
+    static async adjustVolume(action, level = 50) {
+        switch (action) {
+            case 'up':
+                return this.audio.changeVolume(10);
+            case 'down':
+                return this.audio.changeVolume(-10);
+            case 'set':
+                return this.audio.setVolume(level);
+            case 'mute':
+                return this.audio.mute();
+            case 'unmute':
+                return this.audio.unmute();
+            case 'toggle':
+                return this.audio.toggleMute();
+            default:
+                throw new Error(`Unknown volume action "${action}"`);
+        }
+    }
+
+    // Display control through the display module: 'up' / 'down' step
+    // brightness by 10%, 'set' takes a level, 'on' / 'off' switch the display
+    // and 'nightLight' takes true, false or 'toggle'. Resolves to the new
+    // brightness level or state.
+    static async adjustDisplay(action, value = 50) {
+        switch (action) {
+            case 'up':
+                return this.display.changeBrightness(10);
+            case 'down':
+                return this.display.changeBrightness(-10);
+            case 'set':
+                return this.display.setBrightness(value);
+            case 'on':
+                return this.display.setPower(true);
+            case 'off':
+                return this.display.setPower(false);
+            case 'nightLight':
+                return this.display.setNightLight(value);
+            default:
+                throw new Error(`Unknown display action "${action}"`);
+        }
+    }
+
+    // Audio streams of a spoken application; catalog applications are also
+    // found by their label and executables
+    static audioTarget(appName) {
+        const app = this.apps.find(appName);
+        return {
+            label: app?.label ?? appName,
+            target: {
+                name: app?.name ?? appName,
+                aliases: app ? [app.label, ...this.apps.executables(app.name)] : []
+            }
+        };
+    }
+
+    // Desktop notification through the platform's own mechanism
+    static async notifyDesktop(title, message) {
+        const platform = this.launcher.platform;
+        const oneLine = (text) => String(text).replace(/[\r\n\0]+/g, ' ');
+        let args;
+
+        switch (platform) {
+            case 'darwin': // macOS
+                const appleString = (text) => `"${oneLine(text).replace(/[\\"]/g, '\\$&')}"`;
+                args = [`display notification ${appleString(message)} with title ${appleString(title)}`];
+                break;
+
+            case 'win32': // Windows toast
+                // PowerShell also closes single-quoted strings on typographic quotes
+                const psString = (text) => `'${oneLine(text).replace(/['\u2018\u2019\u201a\u201b]/g, "''")}'`;
+                args = [[
+                    '[Windows.UI.Notifications.ToastNotificationManager, Windows.UI.Notifications, ContentType = WindowsRuntime] > $null',
+                    '$template = [Windows.UI.Notifications.ToastNotificationManager]::GetTemplateContent([Windows.UI.Notifications.ToastTemplateType]::ToastText02)',
+                    '$text = $template.GetElementsByTagName(\'text\')',
+                    `$text.Item(0).AppendChild($template.CreateTextNode(${psString(title)})) > $null`,
+                    `$text.Item(1).AppendChild($template.CreateTextNode(${psString(message)})) > $null`,
+                    '[Windows.UI.Notifications.ToastNotificationManager]::CreateToastNotifier(\'Voice Control\').Show([Windows.UI.Notifications.ToastNotification]::new($template))'
+                ].join('; ')];
+                break;
+
+            default: // Linux
+                args = ['--', oneLine(title), oneLine(message)];
+                break;
+        }
+
+        await this.launchEntry('notify', args, `Desktop notifications not available. Please install notify-send (libnotify).`);
+    }
+}
+
+// Alert rules read their metrics with the platform tools, like the info commands
+alertManager.context = CommandProcessor.probeContext();
+
+// Desktop delivery is opt-in: NOTIFY_BACKENDS=clients,desktop
+notifier.register('desktop', (notification) => CommandProcessor.notifyDesktop(notification.title, notification.message));
+
+// Log every scheduled run to history and tell connected clients about it
+scheduler.on('ran', async (schedule, result) => {
+    try {
+        const command = await saveCommand({
+            text: schedule.command,
+            type: 'scheduled',
+            status: result.status,
+            response: result.response,
+            intent: result.intent,
+            scheduleId: schedule.id,
+            steps: result.steps,
+            locale: schedule.locale || DEFAULT_LOCALE,
+            userAgent: 'scheduler'
+        });
+        clientEvents.broadcast('scheduled', {
+            scheduleId: schedule.id,
+            historyId: command._id,
+            command: schedule.command,
+            status: result.status,
+            response: result.response,
+            nextRunAt: schedule.cron ? schedule.nextRunAt : null
+        });
+    } catch (error) {
+        console.error('Scheduled run history error:', error);
+    }
+});
+
+scheduler.load().catch(error => console.error('Schedule load error:', error));
+
+// Get __dirname equivalent for ES modules
+const __dirname = path.dirname(new URL(import.meta.url).pathname);
+
+// The request's language: a `lang` body field, else Accept-Language. Null
+// when `lang` names a language there are no resources for.
+const requestLocale = (req) => negotiateLocale({
+    lang: req.body?.lang,
+    acceptLanguage: req.headers['accept-language']
+});
+
+const unsupportedLanguage = (req) => ({
+    error: `Unsupported language "${req.body.lang}". Available: ${listLocales().map(locale => locale.code).join(', ')}`
+});
+
+// API Routes
+app.get('/api/status', (req, res) => {
+    res.json({ 
+        status: 'online', 
+        platform: os.platform(),
+        dryRun: DRY_RUN,
+        timestamp: new Date().toISOString()
+    });
+});
+
+app.post('/api/execute', async (req, res) => {
+    try {
+        const { text, type, token, dryRun } = req.body;
+        const userAgent = req.headers['user-agent'] || '';
+        // Optional dialogue session for follow-ups ("again", "now on youtube")
+        const sessionId = req.body.sessionId || req.headers['x-session-id'] || null;
+        
+        if (!text || !type) {
+            return res.status(400).json({ error: 'Missing required fields: text, type' });
+        }
+        const locale = requestLocale(req);
+        if (!locale) {
+            return res.status(400).json(unsupportedLanguage(req));
+        }
+
+        // Process the command
+        const result = await CommandProcessor.processCommand(text, userAgent, { token, dryRun, sessionId, locale });
+
+        // Dry runs only report the plan; nothing is executed or recorded
+        if (result.dryRun) {
+            return res.json({
+                dryRun: true,
+                locale,
+                response: result.response,
+                status: result.status,
+                intent: result.intent,
+                slots: result.slots,
+                steps: result.steps,
+                interpretation: result.interpretation,
+                suggestions: result.suggestions,
+                plan: result.plan
+            });
+        }
+        
+        // Save to database with fallback
+        const command = await saveCommand({
+            text,
+            type,
+            status: result.status,
+            response: result.response,
+            intent: result.intent,
+            steps: result.steps,
+            sessionId,
+            locale,
+            interpretation: ['followUp', 'corrected', 'translated'].some(key => result.interpretation[key]) ? {
+                text: result.interpretation.text,
+                followUp: result.interpretation.followUp,
+                corrected: result.interpretation.corrected,
+                translated: result.interpretation.translated
+            } : undefined,
+            // Compound commands record their confirmations on the steps
+            confirmation: result.confirmation && !result.confirmations ? {
+                token: result.confirmation.token,
+                action: result.confirmation.action,
+                state: result.confirmation.state,
+                expiresAt: result.confirmation.expiresAt
+            } : undefined,
+            userAgent
+        });
+
+        for (const { token: pendingToken, step } of result.confirmations || (result.confirmation ? [result.confirmation] : [])) {
+            confirmations.attach(pendingToken, { historyId: command._id, step });
+        }
+        
+        res.json({
+            id: command._id,
+            locale,
+            response: result.response,
+            status: result.status,
+            intent: result.intent,
+            slots: result.slots,
+            steps: result.steps,
+            interpretation: result.interpretation,
+            suggestions: result.suggestions,
+            confirmation: result.confirmation && {
+                token: result.confirmation.token,
+                expiresAt: result.confirmation.expiresAt
+            },
+            confirmations: result.confirmations?.map(({ token: pendingToken, action, expiresAt, step }) => ({ token: pendingToken, action, expiresAt, step })),
+            timestamp: command.timestamp
+        });
+        
+    } catch (error) {
+        console.error('API Error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/locales', (req, res) => {
+    res.json({ default: DEFAULT_LOCALE, locales: listLocales() });
+});
+
+app.get('/api/intents', (req, res) => {
+    res.json(intentRegistry.list().map(intent => ({
+        name: intent.name,
+        priority: intent.priority,
+        patterns: intent.patterns.map(pattern => pattern.source),
+        slots: [...new Set([...intent.required, ...Object.keys(intent.slots)])]
+    })));
+});
+
+app.get('/api/confirmations', (req, res) => {
+    res.json(confirmations.list());
+});
+
+app.post('/api/confirmations/:token', async (req, res) => {
+    try {
+        const { decision } = req.body;
+
+        if (!['confirm', 'cancel'].includes(decision)) {
+            return res.status(400).json({ error: 'decision must be "confirm" or "cancel"' });
+        }
+        if (!confirmations.get(req.params.token)) {
+            return res.status(404).json({ error: 'Unknown or expired confirmation token' });
+        }
+
+        const { confirmation, outcome } = decision === 'confirm'
+            ? await confirmations.confirm(req.params.token)
+            : confirmations.cancel(req.params.token);
+        res.json({ ...outcome, confirmation });
+    } catch (error) {
+        console.error('Confirmation error:', error);
+        res.status(500).json({ error: 'Failed to resolve confirmation' });
+    }
+});
+
+app.get('/api/power-actions', (req, res) => {
+    res.json(powerActions.list());
+});
+
+app.delete('/api/power-actions', async (req, res) => {
+    try {
+        const cancelled = await powerActions.cancel();
+        res.json({ cancelled });
+    } catch (error) {
+        console.error('Power action cancel error:', error);
+        res.status(500).json({ error: 'Failed to cancel power actions' });
+    }
+});
+
+app.delete('/api/power-actions/:id', async (req, res) => {
+    try {
+        if (!powerActions.get(req.params.id)) {
+            return res.status(404).json({ error: 'Power action not found' });
+        }
+        const cancelled = await powerActions.cancel(req.params.id);
+        res.json({ cancelled });
+    } catch (error) {
+        console.error('Power action cancel error:', error);
+        res.status(500).json({ error: 'Failed to cancel power actions' });
+    }
+});
+
+app.get('/api/history', async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 50;
+        const commands = await getCommands(limit);
+        
+        res.json(commands);
+    } catch (error) {
+        console.error('History fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch history' });
+    }
+});
+
+// Clearing history is a two-step operation: the first call returns a
+// confirmation token, a second call with ?token=... performs it
+app.delete('/api/history', async (req, res) => {
+    try {
+        const token = req.query.token || req.body?.token;
+
+        if (!token) {
+            const locale = requestLocale(req) || DEFAULT_LOCALE;
+            const t = translator(locale);
+            const description = t('history.confirmClear');
+            const command = await saveCommand({
+                text: 'clear history',
+                type: 'text',
+                status: 'needs_confirmation',
+                response: t('confirmation.prompt', { action: description, seconds: Math.round(confirmations.timeoutMs / 1000) }),
+                intent: 'clearHistory',
+                userAgent: req.headers['user-agent'] || ''
+            });
+            const confirmation = confirmations.request({
+                action: 'clearHistory',
+                description,
+                locale,
+                execute: async () => {
+                    await clearCommands();
+                    // The pending entry was wiped with everything else; keep a record of the clear
+                    await saveCommand({
+                        text: 'clear history',
+                        type: 'text',
+                        status: 'success',
+                        response: t('history.cleared'),
+                        intent: 'clearHistory'
+                    });
+                    return { status: 'success', response: t('history.cleared') };
+                },
+                metadata: { historyId: command._id }
+            });
+            return res.status(202).json({
+                status: 'needs_confirmation',
+                message: 'Repeat the request with the token to clear history',
+                token: confirmation.token,
+                expiresAt: confirmation.expiresAt
+            });
+        }
+
+        const pending = confirmations.get(token);
+        if (!pending || pending.action !== 'clearHistory') {
+            return res.status(404).json({ error: 'Unknown or expired confirmation token' });
+        }
+
+        const { outcome } = await confirmations.confirm(token);
+        if (outcome.status !== 'success') {
+            return res.status(500).json({ error: 'Failed to clear history' });
+        }
+        res.json({ message: 'History cleared successfully' });
+    } catch (error) {
+        console.error('History clear error:', error);
+        res.status(500).json({ error: 'Failed to clear history' });
+    }
+});
+
+// System information endpoints. ?format=json returns the probe object,
+// ?format=text (the default) the rendered text in the Accept-Language.
+const sendInfo = (req, res, kind, info) => {
+    const format = req.query.format || 'text';
+    if (!['json', 'text'].includes(format)) {
+        return res.status(400).json({ error: 'format must be "json" or "text"' });
+    }
+    res.json({ info: format === 'json' ? info : formatInfo(kind, info, translator(requestLocale(req) || DEFAULT_LOCALE)) });
+};
+
+app.get('/api/system-info', async (req, res) => {
+    try {
+        const info = await CommandProcessor.getSystemInfo();
+        sendInfo(req, res, 'system', info);
+    } catch (error) {
+        console.error('System info error:', error);
+        res.status(500).json({ error: 'Failed to get system information' });
+    }
+});
+
+app.get('/api/memory-info', async (req, res) => {
+    try {
+        const info = await CommandProcessor.getMemoryInfo();
+        sendInfo(req, res, 'memory', info);
+    } catch (error) {
+        console.error('Memory info error:', error);
+        res.status(500).json({ error: 'Failed to get memory information' });
+    }
+});
+
+app.get('/api/storage-info', async (req, res) => {
+    try {
+        const info = await CommandProcessor.getStorageInfo();
+        sendInfo(req, res, 'storage', info);
+    } catch (error) {
+        console.error('Storage info error:', error);
+        res.status(500).json({ error: 'Failed to get storage information' });
+    }
+});
+
+app.get('/api/cpu-info', async (req, res) => {
+    try {
+        const info = await CommandProcessor.getCPUInfo();
+        sendInfo(req, res, 'cpu', info);
+    } catch (error) {
+        console.error('CPU info error:', error);
+        res.status(500).json({ error: 'Failed to get CPU information' });
+    }
+});
+
+app.get('/api/network-info', async (req, res) => {
+    try {
+        const info = await CommandProcessor.getNetworkInfo();
+        sendInfo(req, res, 'network', info);
+    } catch (error) {
+        console.error('Network info error:', error);
+        res.status(500).json({ error: 'Failed to get network information' });
+    }
+});
+
+app.get('/api/battery-info', async (req, res) => {
+    try {
+        const info = await CommandProcessor.getBatteryInfo();
+        sendInfo(req, res, 'battery', info);
+    } catch (error) {
+        console.error('Battery info error:', error);
+        res.status(500).json({ error: 'Failed to get battery information' });
+    }
+});
+
+app.get('/api/temperature-info', async (req, res) => {
+    try {
+        const info = await CommandProcessor.getTemperatureInfo();
+        sendInfo(req, res, 'temperature', info);
+    } catch (error) {
+        console.error('Temperature info error:', error);
+        res.status(500).json({ error: 'Failed to get temperature information' });
+    }
+});
+
+// Live metrics over Server-Sent Events.
+// ?metrics=cpu,memory selects metrics (default: all), ?interval=ms slows
+// delivery for this client; sampling itself is shared by all clients.
+app.get('/api/metrics/stream', (req, res) => {
+    const metrics = req.query.metrics ? String(req.query.metrics).split(',').map(metric => metric.trim()) : METRICS;
+    const unknown = metrics.filter(metric => !METRICS.includes(metric));
+    if (unknown.length) {
+        return res.status(400).json({ error: `Unknown metrics: ${unknown.join(', ')}`, available: METRICS });
+    }
+    const interval = Math.max(metricsSampler.intervalMs, parseInt(req.query.interval) || 0);
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.write(`retry: ${interval}\n\n`);
+
+    let lastSent = 0;
+    const unsubscribe = metricsSampler.subscribe(metrics, (sample) => {
+        const now = Date.now();
+        // Allow a little jitter so a 2000ms client is not skipped every other tick
+        if (now - lastSent < interval - metricsSampler.intervalMs / 2) {
+            return;
+        }
+        lastSent = now;
+        res.write(`event: metrics\ndata: ${JSON.stringify(sample)}\n\n`);
+    });
+
+    req.on('close', unsubscribe);
+});
+
+app.get('/api/metrics', (req, res) => {
+    res.json({
+        intervalMs: metricsSampler.intervalMs,
+        subscribers: metricsSampler.subscribers.size,
+        metrics: METRICS,
+        latest: metricsSampler.latest
+    });
+});
+
+// Server-pushed events (alerts, ...). ?types=alert limits the event types.
+app.get('/api/events', (req, res) => {
+    const types = req.query.types ? String(req.query.types).split(',') : null;
+    const detach = clientEvents.attach(res, { types });
+    req.on('close', detach);
+});
+
+// Metric alert rules
+app.get('/api/alerts', (req, res) => {
+    res.json(alertManager.list());
+});
+
+app.post('/api/alerts', (req, res) => {
+    try {
+        const locale = requestLocale(req);
+        if (!locale) {
+            return res.status(400).json(unsupportedLanguage(req));
+        }
+        const rule = alertManager.create({ ...req.body, locale });
+        res.status(201).json(rule);
+    } catch (error) {
+        if (error instanceof AlertRuleError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Alert create error:', error);
+        res.status(500).json({ error: 'Failed to create alert' });
+    }
+});
+
+app.get('/api/alerts/events', (req, res) => {
+    const limit = parseInt(req.query.limit) || 50;
+    res.json(alertManager.events.slice(0, limit));
+});
+
+app.delete('/api/alerts/:id', (req, res) => {
+    if (!alertManager.delete(req.params.id)) {
+        return res.status(404).json({ error: 'Alert not found' });
+    }
+    res.json({ message: 'Alert deleted' });
+});
+
+// Dialogue sessions used for follow-up commands
+app.get('/api/sessions/:id', (req, res) => {
+    const session = conversations.get(req.params.id);
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found or expired' });
+    }
+    res.json(session);
+});
+
+app.delete('/api/sessions/:id', (req, res) => {
+    if (!conversations.forget(req.params.id)) {
+        return res.status(404).json({ error: 'Session not found or expired' });
+    }
+    res.json({ message: 'Session cleared' });
+});
+
+// Timers and reminders. POST takes { kind, message, label, dueAt | inSeconds }.
+app.get('/api/reminders', (req, res) => {
+    res.json(reminders.list({
+        kind: req.query.kind || null,
+        includeFired: req.query.includeFired === 'true'
+    }));
+});
+
+app.post('/api/reminders', (req, res) => {
+    try {
+        const locale = requestLocale(req);
+        if (!locale) {
+            return res.status(400).json(unsupportedLanguage(req));
+        }
+        res.status(201).json(reminders.create({ ...req.body, locale }));
+    } catch (error) {
+        if (error instanceof ReminderError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Reminder create error:', error);
+        res.status(500).json({ error: 'Failed to create reminder' });
+    }
+});
+
+app.post('/api/reminders/:id/snooze', (req, res) => {
+    if (!reminders.get(req.params.id)) {
+        return res.status(404).json({ error: 'Reminder not found' });
+    }
+    const seconds = Number(req.body?.seconds) || undefined;
+    res.json(reminders.snooze(req.params.id, seconds));
+});
+
+app.delete('/api/reminders/:id', (req, res) => {
+    if (!reminders.cancel(req.params.id)) {
+        return res.status(404).json({ error: 'Reminder not found' });
+    }
+    res.json({ message: 'Reminder cancelled' });
+});
+
+// Notification backends; PUT toggles one, e.g. { enabled: true } for desktop
+app.get('/api/notifications/backends', (req, res) => {
+    res.json(notifier.list());
+});
+
+app.put('/api/notifications/backends/:name', (req, res) => {
+    if (!notifier.backends.has(req.params.name)) {
+        return res.status(404).json({ error: 'Notification backend not found' });
+    }
+    notifier.enable(req.params.name, Boolean(req.body?.enabled));
+    res.json(notifier.list());
+});
+
+// Scheduled commands. POST takes { command, cron | runAt } or a spoken
+// { text: "open calendar.google.com every weekday at 9am" }. Destructive
+// commands only run unattended when created with confirmed: true.
+app.get('/api/schedules', (req, res) => {
+    res.json(scheduler.list());
+});
+
+app.post('/api/schedules', async (req, res) => {
+    try {
+        const { text, command, cron, runAt, confirmed } = req.body || {};
+        const locale = requestLocale(req);
+        if (!locale) {
+            return res.status(400).json(unsupportedLanguage(req));
+        }
+        const spec = text ? parseSchedule(text.toLowerCase().trim()) : { command, cron, runAt };
+        if (!spec) {
+            return res.status(400).json({ error: 'Could not find a schedule in that text, e.g. "every day at 9am"' });
+        }
+        const schedule = await scheduler.create({ ...spec, confirmed: Boolean(confirmed), locale });
+        res.status(201).json(schedule);
+    } catch (error) {
+        if (error instanceof ScheduleError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Schedule create error:', error);
+        res.status(500).json({ error: 'Failed to create schedule' });
+    }
+});
+
+app.get('/api/schedules/:id', (req, res) => {
+    const schedule = scheduler.get(req.params.id);
+    if (!schedule) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json(schedule);
+});
+
+app.delete('/api/schedules/:id', async (req, res) => {
+    if (!await scheduler.cancel(req.params.id)) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json({ message: 'Schedule cancelled' });
+});
+
+// Application catalog
+const appWithAvailability = (entry) => ({ ...entry, availability: apps.availability(entry.name) });
+
+const appCatalogError = (res, error, action) => {
+    if (error instanceof AppCatalogError) {
+        return res.status(error.code === 'ENOENT' ? 404 : 400).json({ error: error.message });
+    }
+    console.error(`App ${action} error:`, error);
+    res.status(500).json({ error: `Failed to ${action} application` });
+};
+
+// ?installed=true limits the list to applications present on this machine
+app.get('/api/apps', (req, res) => {
+    const entries = req.query.installed === 'true' ? apps.installed() : apps.list();
+    res.json(entries.map(appWithAvailability));
+});
+
+// Rescan .desktop files now instead of waiting for a directory change
+app.post('/api/apps/refresh', async (req, res) => {
+    try {
+        const entries = await desktopEntries.refresh();
+        res.json({ discovered: entries.length });
+    } catch (error) {
+        console.error('Application index refresh error:', error);
+        res.status(500).json({ error: 'Failed to refresh applications' });
+    }
+});
+
+app.get('/api/apps/:name', (req, res) => {
+    const entry = apps.find(req.params.name);
+    if (!entry) {
+        return res.status(404).json({ error: 'Application not found' });
+    }
+    res.json(appWithAvailability(entry));
+});
+
+app.post('/api/apps', async (req, res) => {
+    try {
+        res.status(201).json(appWithAvailability(await apps.save(req.body || {})));
+    } catch (error) {
+        appCatalogError(res, error, 'save');
+    }
+});
+
+// Partial update; a built-in becomes a custom override
+app.put('/api/apps/:name', async (req, res) => {
+    try {
+        res.json(appWithAvailability(await apps.update(req.params.name, req.body || {})));
+    } catch (error) {
+        appCatalogError(res, error, 'update');
+    }
+});
+
+app.delete('/api/apps/:name', async (req, res) => {
+    try {
+        const result = await apps.delete(req.params.name);
+        res.json({ message: result === 'reset' ? 'Application reset to its built-in definition' : 'Application deleted' });
+    } catch (error) {
+        appCatalogError(res, error, 'delete');
+    }
+});
+
+// Running processes. ?sort=cpu|memory, ?limit=N and ?name= filter the list.
+app.get('/api/processes', async (req, res) => {
+    try {
+        res.json(await processManager.list({
+            sort: req.query.sort,
+            limit: parseInt(req.query.limit) || null,
+            name: req.query.name || null
+        }));
+    } catch (error) {
+        if (error instanceof ProcessError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Process list error:', error);
+        res.status(500).json({ error: 'Failed to list processes' });
+    }
+});
+
+const terminateProcesses = async (req, res, target) => {
+    try {
+        const results = await processManager.terminate({
+            ...target,
+            force: req.query.force === 'true' || req.body?.force === true,
+            // Capped so a request cannot hang on a process that ignores SIGTERM
+            graceMs: req.body?.graceMs !== undefined ? Math.min(Math.max(Number(req.body.graceMs) || 0, 0), 30000) : undefined
+        });
+        if (results.every(result => result.outcome === 'protected')) {
+            return res.status(403).json({ error: 'Protected system process', results });
+        }
+        res.json({ results });
+    } catch (error) {
+        if (error instanceof ProcessError) {
+            return res.status(error.code === 'ENOENT' ? 404 : 400).json({ error: error.message });
+        }
+        console.error('Process terminate error:', error);
+        res.status(500).json({ error: 'Failed to terminate process' });
+    }
+};
+
+// Graceful first, forced after the grace period (or right away with ?force=true)
+app.delete('/api/processes/:pid', (req, res) => {
+    if (!/^\d+$/.test(req.params.pid)) {
+        return res.status(400).json({ error: 'pid must be a number' });
+    }
+    terminateProcesses(req, res, { pid: Number(req.params.pid) });
+});
+
+// { pid } or { name }, plus optional force and graceMs
+app.post('/api/processes/terminate', (req, res) => {
+    const { pid = null, name = null } = req.body || {};
+    terminateProcesses(req, res, { pid, name });
+});
+
+// Audio: GET reports { backend, volume, muted }; POST takes { volume },
+// { delta } and/or { muted: true | false | 'toggle' }
+const audioError = (res, error) => {
+    if (error instanceof AudioError) {
+        return res.status(error.code === 'ENOENT' ? 404 : error.code === 'ENOTSUP' ? 501 : 400).json({ error: error.message });
+    }
+    console.error('Audio error:', error);
+    res.status(500).json({ error: 'Audio control failed' });
+};
+
+app.get('/api/audio', async (req, res) => {
+    try {
+        res.json(await audio.status());
+    } catch (error) {
+        audioError(res, error);
+    }
+});
+
+app.post('/api/audio', async (req, res) => {
+    const { volume, delta, muted } = req.body || {};
+    try {
+        if (volume !== undefined) {
+            if (!Number.isFinite(Number(volume))) {
+                return res.status(400).json({ error: 'volume must be a number from 0 to 100' });
+            }
+            await audio.setVolume(Number(volume));
+        } else if (delta !== undefined) {
+            if (!Number.isFinite(Number(delta))) {
+                return res.status(400).json({ error: 'delta must be a number' });
+            }
+            await audio.changeVolume(Number(delta));
+        }
+        if (muted === 'toggle') {
+            await audio.toggleMute();
+        } else if (muted !== undefined) {
+            await (muted ? audio.mute() : audio.unmute());
+        }
+        res.json(await audio.status());
+    } catch (error) {
+        audioError(res, error);
+    }
+});
+
+// Applications playing audio
+app.get('/api/audio/streams', async (req, res) => {
+    try {
+        res.json(await audio.streams());
+    } catch (error) {
+        audioError(res, error);
+    }
+});
+
+// { volume } and/or { muted } for every stream of the named application
+app.post('/api/audio/streams/:app', async (req, res) => {
+    const { volume, muted } = req.body || {};
+    const { target } = CommandProcessor.audioTarget(req.params.app);
+    try {
+        if (volume !== undefined) {
+            if (!Number.isFinite(Number(volume))) {
+                return res.status(400).json({ error: 'volume must be a number from 0 to 100' });
+            }
+            await audio.setAppVolume(target, Number(volume));
+        }
+        if (muted !== undefined) {
+            await audio.setAppMute(target, muted === 'toggle' ? 'toggle' : Boolean(muted));
+        }
+        res.json(await audio.streams().catch(() => []));
+    } catch (error) {
+        audioError(res, error);
+    }
+});
+
+// Display: GET reports { backends, brightness, nightLight }; POST takes
+// { brightness }, { delta }, { nightLight: true | false | 'toggle' } and/or
+// { power: 'on' | 'off' }
+const displayError = (res, error) => {
+    if (error instanceof DisplayError) {
+        return res.status(error.code === 'ENOTSUP' ? 501 : 400).json({ error: error.message });
+    }
+    console.error('Display error:', error);
+    res.status(500).json({ error: 'Display control failed' });
+};
+
+const displayStatus = async () => ({
+    backends: await display.capabilities(),
+    brightness: await display.getBrightness().catch(() => null),
+    nightLight: await display.getNightLight().catch(() => null)
+});
+
+app.get('/api/display', async (req, res) => {
+    try {
+        res.json(await displayStatus());
+    } catch (error) {
+        displayError(res, error);
+    }
+});
+
+app.post('/api/display', async (req, res) => {
+    const { brightness, delta, nightLight, power } = req.body || {};
+    if (power !== undefined && !['on', 'off'].includes(power)) {
+        return res.status(400).json({ error: 'power must be "on" or "off"' });
+    }
+    try {
+        if (brightness !== undefined) {
+            if (!Number.isFinite(Number(brightness))) {
+                return res.status(400).json({ error: 'brightness must be a number from 1 to 100' });
+            }
+            await display.setBrightness(Number(brightness));
+        } else if (delta !== undefined) {
+            if (!Number.isFinite(Number(delta))) {
+                return res.status(400).json({ error: 'delta must be a number' });
+            }
+            await display.changeBrightness(Number(delta));
+        }
+        if (nightLight !== undefined) {
+            await display.setNightLight(nightLight === 'toggle' ? 'toggle' : Boolean(nightLight));
+        }
+        if (power !== undefined) {
+            await display.setPower(power === 'on');
+        }
+        res.json(await displayStatus());
+    } catch (error) {
+        displayError(res, error);
+    }
+});
+
+// Wi-Fi and Bluetooth
+const connectivityError = (res, error) => {
+    if (error instanceof ConnectivityError) {
+        const status = { ENOENT: 404, ENOTSUP: 501, ENODEV: 501, EFAIL: 502 }[error.code] || 400;
+        return res.status(status).json({ error: error.message });
+    }
+    console.error('Connectivity error:', error);
+    res.status(500).json({ error: 'Connectivity control failed' });
+};
+
+// { adapters, wifi, bluetooth: { powered, controller, connected } }
+app.get('/api/connectivity', async (req, res) => {
+    try {
+        res.json({ adapters: connectivity.capabilities(), ...await connectivity.status() });
+    } catch (error) {
+        connectivityError(res, error);
+    }
+});
+
+app.get('/api/wifi', async (req, res) => {
+    try {
+        res.json(await connectivity.wifiStatus());
+    } catch (error) {
+        connectivityError(res, error);
+    }
+});
+
+// { enabled: true | false }
+app.post('/api/wifi', async (req, res) => {
+    const { enabled } = req.body || {};
+    if (typeof enabled !== 'boolean') {
+        return res.status(400).json({ error: 'enabled must be true or false' });
+    }
+    try {
+        await connectivity.setWifi(enabled);
+        res.json(await connectivity.wifiStatus());
+    } catch (error) {
+        connectivityError(res, error);
+    }
+});
+
+app.get('/api/wifi/networks', async (req, res) => {
+    try {
+        res.json(await connectivity.wifiNetworks());
+    } catch (error) {
+        connectivityError(res, error);
     }
+});
 
-    static async openWebsite(url) {
-        const fullUrl = url.startsWith('http') ? url : `https://${url}`;
-        const platform = os.platform();
-        
-        let command;
-        switch (platform) {
-            case 'darwin': // macOS
-                command = `open "${fullUrl}"`;
-                break;
-            case 'win32': // Windows
-                command = `start "" "${fullUrl}"`;
-                break;
-            default: // Linux and others
-                command = `xdg-open "${fullUrl}"`;
-                break;
-        }
-        
-        return new Promise((resolve, reject) => {
-            exec(command, (error) => {
-                if (error) {
-                    if (error.code === 127) {
-                        reject(new Error(`Web browser not found. Please ensure a web browser is installed and accessible.`));
-                    } else {
-                        reject(error);
-                    }
-                } else {
-                    resolve();
-                }
-            });
-        });
+// { ssid, password }; the password is only needed for a network not joined before
+app.post('/api/wifi/connect', async (req, res) => {
+    const { ssid, password = null } = req.body || {};
+    if (!ssid || typeof ssid !== 'string') {
+        return res.status(400).json({ error: 'ssid is required' });
+    }
+    try {
+        await connectivity.connectWifi(ssid, password ? String(password) : null);
+        res.json(await connectivity.wifiStatus());
+    } catch (error) {
+        connectivityError(res, error);
     }
+});
 
-    static async openApplication(appName) {
-        const platform = os.platform();
-        let command;
-        
-        switch (platform) {
-            case 'darwin': // macOS
-                const macApps = {
-                    calculator: 'open -a Calculator',
-                    notepad: 'open -a TextEdit',
-                    filemanager: 'open -a Finder',
-                    whatsapp: 'open -a WhatsApp'
-                };
-                command = macApps[appName];
-                break;
-                
-            case 'win32': // Windows
-                const winApps = {
-                    calculator: 'calc',
-                    notepad: 'notepad',
-                    filemanager: 'explorer',
-                    whatsapp: 'start whatsapp:'
-                };
-                command = winApps[appName];
-                break;
-                
-            default: // Linux
-                const linuxApps = {
-                    calculator: 'gnome-calculator || kcalc || xcalc',
-                    notepad: 'echo "Text editor not available in this environment"',
-                    filemanager: 'echo "File manager not available in this environment"',
-                    whatsapp: 'xdg-open https://web.whatsapp.com'
-                };
-                command = linuxApps[appName];
-                break;
-        }
-        
-        if (command) {
-            return new Promise((resolve, reject) => {
-                exec(command, (error) => {
-                    if (error) {
-                        if (error.code === 127) {
-                            reject(new Error(`Application "${appName}" not found or not installed. Please ensure it's installed and in your system's PATH.`));
-                        } else {
-                            reject(error);
-                        }
-                    } else {
-                        resolve();
-                    }
-                });
-            });
-        } else {
-            throw new Error(`Application "${appName}" not available on this platform`);
-        }
+// { powered, controller, devices }
+app.get('/api/bluetooth', async (req, res) => {
+    try {
+        const status = await connectivity.bluetoothStatus();
+        res.json({ ...status, devices: status.powered ? await connectivity.bluetoothDevices() : [] });
+    } catch (error) {
+        connectivityError(res, error);
     }
+});
 
-    static async systemShutdown(seconds = 60) {
-        const platform = os.platform();
-        let command;
-        
-        switch (platform) {
-            case 'darwin': // macOS
-                command = `sudo shutdown -h +${Math.ceil(seconds / 60)}`;
-                break;
-            case 'win32': // Windows
-                command = `shutdown /s /t ${seconds}`;
-                break;
-            default: // Linux
-                command = `sudo shutdown -h +${Math.ceil(seconds / 60)}`;
-                break;
-        }
-        
-        return new Promise((resolve, reject) => {
-            exec(command, (error) => {
-                if (error) {
-                    if (error.code === 127) {
-                        reject(new Error(`Shutdown command not available or requires administrator privileges.`));
-                    } else {
-                        reject(error);
-                    }
-                } else {
-                    resolve();
-                }
-            });
-        });
+// { powered: true | false }
+app.post('/api/bluetooth', async (req, res) => {
+    const { powered } = req.body || {};
+    if (typeof powered !== 'boolean') {
+        return res.status(400).json({ error: 'powered must be true or false' });
+    }
+    try {
+        await connectivity.setBluetooth(powered);
+        res.json(await connectivity.bluetoothStatus());
+    } catch (error) {
+        connectivityError(res, error);
     }
+});
 
-    static async systemRestart() {
-        const platform = os.platform();
-        let command;
-        
-        switch (platform) {
-            case 'darwin': // macOS
-                command = 'sudo shutdown -r now';
-                break;
-            case 'win32': // Windows
-                command = 'shutdown /r /t 10';
-                break;
-            default: // Linux
-                command = 'sudo reboot';
-                break;
-        }
-        
-        return new Promise((resolve, reject) => {
-            exec(command, (error) => {
-                if (error) {
-                    if (error.code === 127) {
-                        reject(new Error(`Restart command not available or requires administrator privileges.`));
-                    } else {
-                        reject(error);
-                    }
-                } else {
-                    resolve();
-                }
-            });
-        });
+// Connect or disconnect a known device by address or name
+app.post('/api/bluetooth/devices/:device/connect', async (req, res) => {
+    try {
+        res.json(await connectivity.connectDevice(req.params.device));
+    } catch (error) {
+        connectivityError(res, error);
     }
+});
 
-    static async systemSleep() {
-        const platform = os.platform();
-        let command;
-        
-        switch (platform) {
-            case 'darwin': // macOS
-                command = 'pmset sleepnow';
-                break;
-            case 'win32': // Windows
-                command = 'rundll32.exe powrprof.dll,SetSuspendState 0,1,0';
-                break;
-            default: // Linux
-                command = 'systemctl suspend';
-                break;
-        }
-        
-        return new Promise((resolve, reject) => {
-            exec(command, (error) => {
-                if (error) {
-                    if (error.code === 127) {
-                        reject(new Error(`Sleep command not available or requires administrator privileges.`));
-                    } else {
-                        reject(error);
-                    }
-                } else {
-                    resolve();
-                }
-            });
-        });
+app.post('/api/bluetooth/devices/:device/disconnect', async (req, res) => {
+    try {
+        res.json(await connectivity.disconnectDevice(req.params.device));
+    } catch (error) {
+        connectivityError(res, error);
     }
+});
 
-    static async adjustVolume(action) {
-        const platform = os.platform();
-        let command;
-        
-        switch (platform) {
-            case 'darwin': // macOS
-                const macCommands = {
-                    up: 'osascript -e "set volume output volume (output volume of (get volume settings) + 10)"',
-                    down: 'osascript -e "set volume output volume (output volume of (get volume settings) - 10)"',
-                    mute: 'osascript -e "set volume output muted true"'
-                };
-                command = macCommands[action];
-                break;
-                
-            case 'win32': // Windows
-                const winCommands = {
-                    up: 'nircmd.exe changesysvolume 6553',
-                    down: 'nircmd.exe changesysvolume -6553',
-                    mute: 'nircmd.exe mutesysvolume 1'
-                };
-                command = winCommands[action];
-                break;
-                
-            default: // Linux
-                const linuxCommands = {
-                    up: 'amixer -D pulse sset Master 10%+',
-                    down: 'amixer -D pulse sset Master 10%-',
-                    mute: 'amixer -D pulse sset Master mute'
-                };
-                command = linuxCommands[action];
-                break;
+// File search: ?q=, ext (comma separated), folder, modifiedAfter,
+// modifiedBefore (ISO dates), sort (relevance | newest) and limit
+app.get('/api/files/search', async (req, res) => {
+    const { q = '', ext = '', folder = null, modifiedAfter = null, modifiedBefore = null, sort = 'relevance' } = req.query;
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 20, 1), 200);
+    for (const date of [modifiedAfter, modifiedBefore]) {
+        if (date && Number.isNaN(new Date(date).getTime())) {
+            return res.status(400).json({ error: `Invalid date "${date}"` });
         }
-        
-        if (command) {
-            return new Promise((resolve, reject) => {
-                exec(command, (error) => {
-                    if (error) {
-                        if (error.code === 127) {
-                            reject(new Error(`Volume control not available. Please ensure audio system is properly configured.`));
-                        } else {
-                            reject(error);
-                        }
-                    } else {
-                        resolve();
-                    }
-                });
-            });
-        } else {
-            throw new Error(`Volume control not available on this platform`);
+    }
+    try {
+        res.json(await fileSearch.search({
+            query: q,
+            extensions: String(ext).split(',').map(item => item.trim()).filter(Boolean),
+            folder,
+            modifiedAfter,
+            modifiedBefore,
+            sort: sort === 'newest' ? 'newest' : 'relevance',
+            limit
+        }));
+    } catch (error) {
+        if (error instanceof FileSearchError) {
+            return res.status(400).json({ error: error.message });
         }
+        console.error('File search error:', error);
+        res.status(500).json({ error: 'File search failed' });
     }
-}
-
-// Get __dirname equivalent for ES modules
-const __dirname = path.dirname(new URL(import.meta.url).pathname);
+});
 
-// API Routes
-app.get('/api/status', (req, res) => {
-    res.json({ 
-        status: 'online', 
-        platform: os.platform(),
-        timestamp: new Date().toISOString()
-    });
+app.get('/api/files/roots', (req, res) => {
+    res.json({ roots: fileSearch.roots, folders: fileSearch.folders });
 });
 
-app.post('/api/execute', async (req, res) => {
+// { path } of a file inside the searchable roots
+app.post('/api/files/open', async (req, res) => {
+    const { path: file } = req.body || {};
+    if (!file || typeof file !== 'string' || !path.isAbsolute(file)) {
+        return res.status(400).json({ error: 'An absolute path is required' });
+    }
+    if (!await fileSearch.contains(file)) {
+        return res.status(403).json({ error: 'Only files inside the search roots can be opened' });
+    }
     try {
-        const { text, type } = req.body;
-        const userAgent = req.headers['user-agent'] || '';
-        
-        if (!text || !type) {
-            return res.status(400).json({ error: 'Missing required fields: text, type' });
-        }
-
-        // Process the command
-        const result = await CommandProcessor.processCommand(text, userAgent);
-        
-        // Save to database with fallback
-        const command = await saveCommand({
-            text,
-            type,
-            status: result.status,
-            response: result.response,
-            userAgent
-        });
-        
-        res.json({
-            id: command._id,
-            response: result.response,
-            status: result.status,
-            timestamp: command.timestamp
-        });
-        
+        await CommandProcessor.openFile(path.resolve(file));
+        res.json({ opened: path.resolve(file) });
     } catch (error) {
-        console.error('API Error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        console.error('File open error:', error);
+        res.status(500).json({ error: error.message });
     }
 });
 
-app.get('/api/history', async (req, res) => {
+// File operations: history (newest first), new operations and undo
+const fileOperationError = (res, error) => {
+    if (error instanceof FileOperationError) {
+        const status = { ENOENT: 404, EACCES: 403, EEXIST: 409, ECHANGED: 409, ESTALE: 410, ENOTSUP: 501 }[error.code] || 400;
+        return res.status(status).json({ error: error.message });
+    }
+    console.error('File operation error:', error);
+    res.status(500).json({ error: 'File operation failed' });
+};
+
+app.get('/api/files/operations', (req, res) => {
+    res.json(fileOperations.list());
+});
+
+// { type: 'createFolder', name, folder } | { type: 'move' | 'copy', path, folder }
+// | { type: 'rename', path, name } | { type: 'trash', path }
+app.post('/api/files/operations', async (req, res) => {
+    const { type, path: file, folder, name } = req.body || {};
+    const needsPath = ['move', 'copy', 'rename', 'trash'].includes(type);
+    if (type !== 'createFolder' && !needsPath) {
+        return res.status(400).json({ error: 'type must be createFolder, move, copy, rename or trash' });
+    }
+    if (needsPath && (typeof file !== 'string' || !path.isAbsolute(file))) {
+        return res.status(400).json({ error: 'An absolute path is required' });
+    }
     try {
-        const limit = parseInt(req.query.limit) || 50;
-        const commands = await getCommands(limit);
-        
-        res.json(commands);
+        let operation;
+        switch (type) {
+            case 'createFolder':
+                operation = await fileOperations.createFolder(name, { folder: folder || 'documents' });
+                break;
+            case 'move':
+                operation = await fileOperations.move(file, folder);
+                break;
+            case 'copy':
+                operation = await fileOperations.copy(file, folder);
+                break;
+            case 'rename':
+                operation = await fileOperations.rename(file, name);
+                break;
+            default:
+                operation = await fileOperations.trash(file);
+        }
+        res.status(201).json(operation);
     } catch (error) {
-        console.error('History fetch error:', error);
-        res.status(500).json({ error: 'Failed to fetch history' });
+        fileOperationError(res, error);
     }
 });
 
-app.delete('/api/history', async (req, res) => {
+app.post('/api/files/operations/undo', async (req, res) => {
     try {
-        await clearCommands();
-        res.json({ message: 'History cleared successfully' });
+        res.json(await fileOperations.undo());
     } catch (error) {
-        console.error('History clear error:', error);
-        res.status(500).json({ error: 'Failed to clear history' });
+        fileOperationError(res, error);
     }
 });
 
-// System information endpoints
-app.get('/api/system-info', async (req, res) => {
+// Clipboard: GET reports { backend, text }; POST { text } replaces it
+const clipboardError = (res, error) => {
+    if (error instanceof ClipboardError) {
+        const status = { ENOTSUP: 501, EFAIL: 502 }[error.code] || 400;
+        return res.status(status).json({ error: error.message });
+    }
+    console.error('Clipboard error:', error);
+    res.status(500).json({ error: 'Clipboard access failed' });
+};
+
+app.get('/api/clipboard', async (req, res) => {
     try {
-        const info = await CommandProcessor.getSystemInfo();
-        res.json({ info });
+        const text = await clipboard.read();
+        res.json({ ...clipboard.capabilities(), text });
     } catch (error) {
-        console.error('System info error:', error);
-        res.status(500).json({ error: 'Failed to get system information' });
+        clipboardError(res, error);
     }
 });
 
-app.get('/api/memory-info', async (req, res) => {
+app.post('/api/clipboard', async (req, res) => {
+    const { text } = req.body || {};
+    if (typeof text !== 'string') {
+        return res.status(400).json({ error: 'text must be a string' });
+    }
     try {
-        const info = await CommandProcessor.getMemoryInfo();
-        res.json({ info });
+        res.json({ ...clipboard.capabilities(), text: await clipboard.write(text) });
     } catch (error) {
-        console.error('Memory info error:', error);
-        res.status(500).json({ error: 'Failed to get memory information' });
+        clipboardError(res, error);
     }
 });
 
-app.get('/api/storage-info', async (req, res) => {
+// Routines
+app.get('/api/routines', async (req, res) => {
     try {
-        const info = await CommandProcessor.getStorageInfo();
-        res.json({ info });
+        res.json(await getRoutines());
     } catch (error) {
-        console.error('Storage info error:', error);
-        res.status(500).json({ error: 'Failed to get storage information' });
+        console.error('Routine fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch routines' });
     }
 });
 
-app.get('/api/cpu-info', async (req, res) => {
+app.post('/api/routines', async (req, res) => {
     try {
-        const info = await CommandProcessor.getCPUInfo();
-        res.json({ info });
+        const routine = await saveRoutine(normalizeRoutine(req.body || {}));
+        res.status(201).json(routine);
     } catch (error) {
-        console.error('CPU info error:', error);
-        res.status(500).json({ error: 'Failed to get CPU information' });
+        if (error instanceof RoutineError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Routine save error:', error);
+        res.status(500).json({ error: 'Failed to save routine' });
     }
 });
 
-app.get('/api/network-info', async (req, res) => {
+app.get('/api/routines/:name', async (req, res) => {
+    const routine = await getRoutine(normalizeRoutineName(req.params.name));
+    if (!routine) {
+        return res.status(404).json({ error: 'Routine not found' });
+    }
+    res.json(routine);
+});
+
+app.delete('/api/routines/:name', async (req, res) => {
+    if (!await deleteRoutine(normalizeRoutineName(req.params.name))) {
+        return res.status(404).json({ error: 'Routine not found' });
+    }
+    res.json({ message: 'Routine deleted' });
+});
+
+// Run a routine directly; recorded as one history entry with nested steps
+app.post('/api/routines/:name/run', async (req, res) => {
     try {
-        const info = await CommandProcessor.getNetworkInfo();
-        res.json({ info });
+        const routine = await getRoutine(normalizeRoutineName(req.params.name));
+        if (!routine) {
+            return res.status(404).json({ error: 'Routine not found' });
+        }
+
+        const locale = requestLocale(req);
+        if (!locale) {
+            return res.status(400).json(unsupportedLanguage(req));
+        }
+
+        const userAgent = req.headers['user-agent'] || '';
+        const result = await CommandProcessor.runRoutine(routine, userAgent, { locale });
+        const command = await saveCommand({
+            text: `run routine ${routine.name}`,
+            type: 'routine',
+            status: result.status,
+            response: result.response,
+            intent: 'runRoutine',
+            steps: result.steps,
+            locale,
+            userAgent
+        });
+
+        res.json({
+            id: command._id,
+            response: result.response,
+            status: result.status,
+            steps: result.steps,
+            timestamp: command.timestamp
+        });
     } catch (error) {
-        console.error('Network info error:', error);
-        res.status(500).json({ error: 'Failed to get network information' });
+        console.error('Routine run error:', error);
+        res.status(500).json({ error: 'Failed to run routine' });
     }
 });
 
@@ -1239,5 +2503,8 @@ app.use((err, req, res, next) => {
 app.listen(PORT, () => {
     console.log(`🚀 Server running on http://localhost:${PORT}`);
     console.log(`📱 Platform: ${os.platform()}`);
+    if (DRY_RUN) {
+        console.log('🧪 Dry-run mode: commands are planned but never executed');
+    }
     console.log(`🗄️  Database: ${MONGODB_URI}`);
 });
\ No newline at end of file
@@ -0,0 +1,265 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { probeBattery, probeMemory, probeTemperature, probeStorage } from './systemInfo.js';
+import { extractDuration } from './entities.js';
+import { DEFAULT_LOCALE, translator } from './i18n.js';
+
+// Threshold alerts on system metrics.
+//
+// A rule watches one metric and fires when the value crosses its threshold
+// and stays there for `durationSeconds`. Per rule state:
+//   ok --crossed--> pending --held for duration--> firing
+//   pending --recovered--> ok
+//   firing --recovered past hysteresis--> ok
+// A firing rule only re-arms once the value moves back past the threshold by
+// `hysteresis`, so a reading hovering around the threshold does not flap.
+// Emits 'fired' and 'recovered' with (event, rule). Rule names and event
+// messages are worded in the rule's `locale`.
+
+export const ALERT_METRICS = {
+    battery: {
+        label: 'Battery',
+        unit: '%',
+        read: async (context) => {
+            const battery = await probeBattery(context);
+            return battery.available ? battery.percent : null;
+        }
+    },
+    memory: {
+        label: 'Memory usage',
+        unit: '%',
+        read: async (context) => (await probeMemory(context)).usagePercent
+    },
+    temperature: {
+        label: 'Temperature',
+        unit: '°C',
+        read: async (context) => {
+            const { sensors } = await probeTemperature(context);
+            return sensors.length ? Math.max(...sensors.map(sensor => sensor.celsius)) : null;
+        }
+    },
+    disk: {
+        label: 'Disk usage',
+        unit: '%',
+        read: async (context) => {
+            const { disks } = await probeStorage(context);
+            return disks.length ? Math.max(...disks.map(disk => disk.usagePercent ?? 0)) : null;
+        }
+    }
+};
+
+export class AlertRuleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AlertRuleError';
+    }
+}
+
+const METRIC_WORDS = {
+    battery: ['battery'],
+    memory: ['memory', 'ram'],
+    temperature: ['temperature', 'temp'],
+    disk: ['disk', 'storage', 'hard drive']
+};
+
+// "tell me when battery drops below 20%",
+// "alert me if memory usage stays above 90% for 5 minutes"
+export const parseAlertRule = (cmd) => {
+    const metric = Object.keys(METRIC_WORDS)
+        .find(key => METRIC_WORDS[key].some(word => new RegExp(`\\b${word}\\b`).test(cmd)));
+    const comparison = cmd.match(/\b(below|under|less than|lower than|above|over|more than|higher than|exceeds?)\s+(\d+(?:\.\d+)?)/);
+
+    if (!metric || !comparison) {
+        return null;
+    }
+
+    const operator = ['below', 'under', 'less than', 'lower than'].includes(comparison[1]) ? 'below' : 'above';
+    const sustained = cmd.match(/\bfor\s+(.+)$/);
+    const duration = sustained ? extractDuration(sustained[1]) : null;
+
+    return {
+        metric,
+        operator,
+        threshold: Number(comparison[2]),
+        durationSeconds: duration ? duration.value : 0
+    };
+};
+
+// "Battery below 20%", "Memory usage above 90% for 5 minutes"; metrics
+// without a message of their own go by their label
+export const describeRule = (rule, metrics = ALERT_METRICS, t = translator(rule.locale)) => {
+    const { label, unit } = metrics[rule.metric];
+    const key = `alerts.metric.${rule.metric}`;
+    const translated = t(key);
+    const metric = translated === key ? label : translated;
+    const description = t(`alerts.rule.${rule.operator}`, { metric, threshold: `${rule.threshold}${unit}` });
+    return rule.durationSeconds
+        ? t('alerts.rule.sustained', { rule: description, duration: t.duration(rule.durationSeconds * 1000) })
+        : description;
+};
+
+export class AlertManager extends EventEmitter {
+    constructor({
+        intervalMs = Number(process.env.ALERT_INTERVAL_MS) || 15000,
+        metrics = ALERT_METRICS,
+        context = {},
+        maxEvents = 100
+    } = {}) {
+        super();
+        this.intervalMs = intervalMs;
+        this.metrics = metrics;
+        this.context = context;
+        this.maxEvents = maxEvents;
+        this.rules = new Map();
+        this.events = [];
+        this.timer = null;
+    }
+
+    create({ metric, operator, threshold, durationSeconds = 0, hysteresis, name, locale = DEFAULT_LOCALE }) {
+        if (!this.metrics[metric]) {
+            throw new AlertRuleError(`Unknown metric "${metric}". Use one of: ${Object.keys(this.metrics).join(', ')}`);
+        }
+        if (!['above', 'below'].includes(operator)) {
+            throw new AlertRuleError('operator must be "above" or "below"');
+        }
+        if (!Number.isFinite(Number(threshold))) {
+            throw new AlertRuleError('threshold must be a number');
+        }
+
+        const rule = {
+            id: randomUUID(),
+            metric,
+            operator,
+            threshold: Number(threshold),
+            durationSeconds: Math.max(0, Number(durationSeconds) || 0),
+            hysteresis: hysteresis === undefined ? 5 : Math.max(0, Number(hysteresis)),
+            locale,
+            state: 'ok',
+            since: null,
+            lastValue: null,
+            lastFiredAt: null,
+            createdAt: new Date()
+        };
+        rule.name = name || describeRule(rule, this.metrics);
+
+        this.rules.set(rule.id, rule);
+        this.start();
+        return rule;
+    }
+
+    list() {
+        return [...this.rules.values()];
+    }
+
+    get(id) {
+        return this.rules.get(id) || null;
+    }
+
+    delete(id) {
+        const deleted = this.rules.delete(id);
+        if (this.rules.size === 0) {
+            this.stop();
+        }
+        return deleted;
+    }
+
+    clear() {
+        const count = this.rules.size;
+        this.rules.clear();
+        this.stop();
+        return count;
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => {
+            this.evaluate().catch(error => console.error('Alert evaluation error:', error));
+        }, this.intervalMs);
+        this.timer.unref?.();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    crossed(rule, value) {
+        return rule.operator === 'above' ? value > rule.threshold : value < rule.threshold;
+    }
+
+    recovered(rule, value) {
+        return rule.operator === 'above'
+            ? value <= rule.threshold - rule.hysteresis
+            : value >= rule.threshold + rule.hysteresis;
+    }
+
+    record(type, rule, value) {
+        const { unit } = this.metrics[rule.metric];
+        const event = {
+            id: randomUUID(),
+            type,
+            ruleId: rule.id,
+            metric: rule.metric,
+            value,
+            threshold: rule.threshold,
+            message: translator(rule.locale)(type === 'fired' ? 'alerts.fired' : 'alerts.recovered', { name: rule.name, value: `${value}${unit}` }),
+            timestamp: new Date()
+        };
+        this.events.unshift(event);
+        this.events.length = Math.min(this.events.length, this.maxEvents);
+        this.emit(type, event, rule);
+        return event;
+    }
+
+    // Evaluate every rule once. Each metric is read at most once per pass.
+    async evaluate(now = Date.now()) {
+        const readings = new Map();
+
+        for (const rule of this.rules.values()) {
+            if (!readings.has(rule.metric)) {
+                let value = null;
+                try {
+                    value = await this.metrics[rule.metric].read(this.context);
+                } catch (error) {
+                    console.error(`Alert metric ${rule.metric} read error:`, error);
+                }
+                readings.set(rule.metric, value);
+            }
+
+            const value = readings.get(rule.metric);
+            if (value === null || value === undefined) {
+                continue;
+            }
+            rule.lastValue = value;
+
+            if (rule.state === 'firing') {
+                if (this.recovered(rule, value)) {
+                    rule.state = 'ok';
+                    rule.since = null;
+                    this.record('recovered', rule, value);
+                }
+                continue;
+            }
+
+            if (!this.crossed(rule, value)) {
+                rule.state = 'ok';
+                rule.since = null;
+                continue;
+            }
+
+            if (rule.state === 'ok') {
+                rule.state = 'pending';
+                rule.since = now;
+            }
+            if (now - rule.since >= rule.durationSeconds * 1000) {
+                rule.state = 'firing';
+                rule.lastFiredAt = new Date(now);
+                this.record('fired', rule, value);
+            }
+        }
+    }
+}
+
+export const alertManager = new AlertManager();
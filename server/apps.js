@@ -0,0 +1,488 @@
+import os from 'os';
+import path from 'path';
+import { launcher as defaultLauncher, defaultCatalog } from './launcher.js';
+
+// Application catalog: the applications "open <app>" can start.
+//
+// Built-in applications ship below, and on Linux installed applications are
+// discovered from .desktop files (see desktopEntries.js). Custom entries
+// (added through /api/apps and kept in a store) add applications or override
+// a built-in or discovered one of the same name; deleting an override brings
+// the original back. Precedence is custom, built-in, discovered. The merged
+// entries are installed into the launcher's allow-list, so they stay
+// shell-free.
+//
+// Application shape:
+//   { name, label, aliases: [spoken names], platforms: { darwin, win32, linux } }
+// Each platform lists argv candidates like the launcher catalog; the first
+// one whose executable is installed is used. Names and aliases are matched
+// without spaces, so "vs code" finds "vscode". Discovered applications also
+// carry `keywords` ("browser"), matched only when no name or alias does.
+
+export class AppCatalogError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'AppCatalogError';
+        this.code = code;
+    }
+}
+
+const PLATFORMS = ['darwin', 'win32', 'linux'];
+
+// Launch commands that start some other program
+const LAUNCH_WRAPPERS = new Set(['open', 'xdg-open', 'gio', 'cmd.exe', 'explorer.exe', 'env']);
+
+export const builtinApps = [
+    {
+        name: 'calculator',
+        label: 'Calculator',
+        platforms: {
+            darwin: [['open', '-a', 'Calculator']],
+            win32: [['calc.exe']],
+            linux: [['gnome-calculator'], ['kcalc'], ['xcalc']]
+        }
+    },
+    {
+        name: 'notepad',
+        label: 'Text Editor',
+        aliases: ['text editor', 'editor'],
+        platforms: {
+            darwin: [['open', '-a', 'TextEdit']],
+            win32: [['notepad.exe']],
+            linux: [['gnome-text-editor'], ['gedit'], ['kate'], ['mousepad'], ['xed']]
+        }
+    },
+    {
+        name: 'filemanager',
+        label: 'File Manager',
+        aliases: ['file manager', 'file explorer', 'finder'],
+        platforms: {
+            darwin: [['open', '-a', 'Finder']],
+            win32: [['explorer.exe']],
+            linux: [['nautilus'], ['dolphin'], ['thunar'], ['nemo'], ['xdg-open', os.homedir()]]
+        }
+    },
+    {
+        name: 'terminal',
+        label: 'Terminal',
+        aliases: ['command prompt', 'console'],
+        platforms: {
+            darwin: [['open', '-a', 'Terminal']],
+            win32: [['wt.exe'], ['cmd.exe', '/d', '/c', 'start', '', 'cmd']],
+            linux: [['x-terminal-emulator'], ['gnome-terminal'], ['konsole'], ['xfce4-terminal'], ['xterm']]
+        }
+    },
+    {
+        name: 'whatsapp',
+        label: 'WhatsApp',
+        aliases: ['whats app'],
+        platforms: {
+            darwin: [['open', '-a', 'WhatsApp']],
+            win32: [['explorer.exe', 'whatsapp:']],
+            linux: [['xdg-open', 'https://web.whatsapp.com']]
+        }
+    },
+    {
+        name: 'chrome',
+        label: 'Google Chrome',
+        aliases: ['google chrome', 'chromium'],
+        platforms: {
+            darwin: [['open', '-a', 'Google Chrome']],
+            win32: [['cmd.exe', '/d', '/c', 'start', '', 'chrome']],
+            linux: [['google-chrome'], ['chromium-browser'], ['chromium']]
+        }
+    },
+    {
+        name: 'firefox',
+        label: 'Firefox',
+        aliases: ['mozilla firefox'],
+        platforms: {
+            darwin: [['open', '-a', 'Firefox']],
+            win32: [['cmd.exe', '/d', '/c', 'start', '', 'firefox']],
+            linux: [['firefox']]
+        }
+    },
+    {
+        name: 'edge',
+        label: 'Microsoft Edge',
+        aliases: ['microsoft edge'],
+        platforms: {
+            win32: [['cmd.exe', '/d', '/c', 'start', '', 'msedge']],
+            linux: [['microsoft-edge']]
+        }
+    },
+    { name: 'safari', label: 'Safari', platforms: { darwin: [['open', '-a', 'Safari']] } },
+    { name: 'textedit', label: 'TextEdit', platforms: { darwin: [['open', '-a', 'TextEdit']] } },
+    { name: 'gedit', label: 'gedit', platforms: { linux: [['gedit']] } },
+    { name: 'paint', label: 'Paint', aliases: ['ms paint', 'mspaint'], platforms: { win32: [['mspaint.exe']] } },
+    {
+        name: 'word',
+        label: 'Microsoft Word',
+        aliases: ['microsoft word', 'ms word'],
+        platforms: {
+            darwin: [['open', '-a', 'Microsoft Word']],
+            win32: [['cmd.exe', '/d', '/c', 'start', '', 'winword']],
+            linux: [['libreoffice', '--writer']]
+        }
+    },
+    {
+        name: 'excel',
+        label: 'Microsoft Excel',
+        aliases: ['microsoft excel', 'ms excel'],
+        platforms: {
+            darwin: [['open', '-a', 'Microsoft Excel']],
+            win32: [['cmd.exe', '/d', '/c', 'start', '', 'excel']],
+            linux: [['libreoffice', '--calc']]
+        }
+    },
+    {
+        name: 'powerpoint',
+        label: 'Microsoft PowerPoint',
+        aliases: ['microsoft powerpoint', 'power point'],
+        platforms: {
+            darwin: [['open', '-a', 'Microsoft PowerPoint']],
+            win32: [['cmd.exe', '/d', '/c', 'start', '', 'powerpnt']],
+            linux: [['libreoffice', '--impress']]
+        }
+    },
+    {
+        name: 'outlook',
+        label: 'Microsoft Outlook',
+        aliases: ['microsoft outlook'],
+        platforms: {
+            darwin: [['open', '-a', 'Microsoft Outlook']],
+            win32: [['cmd.exe', '/d', '/c', 'start', '', 'outlook']]
+        }
+    },
+    {
+        name: 'teams',
+        label: 'Microsoft Teams',
+        aliases: ['microsoft teams'],
+        platforms: {
+            darwin: [['open', '-a', 'Microsoft Teams']],
+            win32: [['explorer.exe', 'ms-teams:']]
+        }
+    },
+    {
+        name: 'zoom',
+        label: 'Zoom',
+        platforms: {
+            darwin: [['open', '-a', 'zoom.us']],
+            win32: [['explorer.exe', 'zoommtg:']],
+            linux: [['zoom']]
+        }
+    },
+    {
+        name: 'discord',
+        label: 'Discord',
+        platforms: {
+            darwin: [['open', '-a', 'Discord']],
+            win32: [['explorer.exe', 'discord:']],
+            linux: [['discord']]
+        }
+    },
+    {
+        name: 'spotify',
+        label: 'Spotify',
+        platforms: {
+            darwin: [['open', '-a', 'Spotify']],
+            win32: [['explorer.exe', 'spotify:']],
+            linux: [['spotify']]
+        }
+    },
+    {
+        name: 'steam',
+        label: 'Steam',
+        platforms: {
+            darwin: [['open', '-a', 'Steam']],
+            win32: [['explorer.exe', 'steam:']],
+            linux: [['steam']]
+        }
+    },
+    {
+        name: 'vscode',
+        label: 'Visual Studio Code',
+        aliases: ['visual studio code', 'vs code', 'code'],
+        platforms: {
+            darwin: [['open', '-a', 'Visual Studio Code']],
+            win32: [['code.cmd']],
+            linux: [['code']]
+        }
+    },
+    {
+        name: 'photoshop',
+        label: 'Adobe Photoshop',
+        aliases: ['adobe photoshop'],
+        platforms: {
+            darwin: [['open', '-a', 'Adobe Photoshop']],
+            win32: [['cmd.exe', '/d', '/c', 'start', '', 'photoshop']]
+        }
+    },
+    {
+        name: 'illustrator',
+        label: 'Adobe Illustrator',
+        aliases: ['adobe illustrator'],
+        platforms: {
+            darwin: [['open', '-a', 'Adobe Illustrator']],
+            win32: [['cmd.exe', '/d', '/c', 'start', '', 'illustrator']]
+        }
+    },
+    {
+        name: 'premiere',
+        label: 'Adobe Premiere Pro',
+        aliases: ['premiere pro', 'adobe premiere'],
+        platforms: {
+            darwin: [['open', '-a', 'Adobe Premiere Pro']],
+            win32: [['cmd.exe', '/d', '/c', 'start', '', 'premiere']]
+        }
+    },
+    {
+        name: 'aftereffects',
+        label: 'Adobe After Effects',
+        aliases: ['after effects'],
+        platforms: { win32: [['cmd.exe', '/d', '/c', 'start', '', 'aftereffects']] }
+    },
+    { name: 'libreoffice', label: 'LibreOffice', aliases: ['libre office'], platforms: { linux: [['libreoffice']] } },
+    { name: 'writer', label: 'LibreOffice Writer', aliases: ['libreoffice writer'], platforms: { linux: [['libreoffice', '--writer']] } },
+    {
+        name: 'calc',
+        label: 'LibreOffice Calc',
+        aliases: ['libreoffice calc'],
+        platforms: {
+            win32: [['calc.exe']],
+            linux: [['libreoffice', '--calc']]
+        }
+    },
+    { name: 'impress', label: 'LibreOffice Impress', aliases: ['libreoffice impress'], platforms: { linux: [['libreoffice', '--impress']] } },
+    { name: 'thunderbird', label: 'Thunderbird', platforms: { linux: [['thunderbird']] } },
+    { name: 'gimp', label: 'GIMP', platforms: { linux: [['gimp']] } },
+    { name: 'inkscape', label: 'Inkscape', platforms: { linux: [['inkscape']] } }
+];
+
+// "VS Code" -> "vscode"
+export const appKey = (name) => String(name || '').toLowerCase().replace(/\s+/g, '');
+
+const normalizeSpoken = (name) => String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const normalizeCandidates = (platform, candidates) => {
+    if (!Array.isArray(candidates) || candidates.length === 0) {
+        throw new AppCatalogError(`${platform} needs at least one launch command`, 'EINVAL');
+    }
+    // A bare string is one executable name, never split on spaces
+    return candidates.map(candidate => {
+        const argv = typeof candidate === 'string' ? [candidate] : candidate;
+        if (!Array.isArray(argv) || !argv[0] || !argv.every(arg => typeof arg === 'string')) {
+            throw new AppCatalogError(`${platform} launch commands must be argv arrays of strings`, 'EINVAL');
+        }
+        if (argv.some(arg => /[\0\r\n]/.test(arg))) {
+            throw new AppCatalogError(`${platform} launch command contains control characters`, 'EINVAL');
+        }
+        if (argv[0].startsWith('-')) {
+            throw new AppCatalogError(`${platform} launch command must start with an executable`, 'EINVAL');
+        }
+        return argv;
+    });
+};
+
+// Validate an API payload into an application entry
+export const normalizeApp = ({ name, label, aliases = [], platforms } = {}) => {
+    const key = appKey(name);
+    if (!/^[a-z0-9][a-z0-9._-]*$/.test(key)) {
+        throw new AppCatalogError('Application name is required (letters, digits, ".", "_" or "-")', 'EINVAL');
+    }
+    if (defaultCatalog[key]) {
+        throw new AppCatalogError(`"${key}" is reserved for a system command`, 'EINVAL');
+    }
+    if (!Array.isArray(aliases) || !aliases.every(alias => typeof alias === 'string')) {
+        throw new AppCatalogError('aliases must be a list of names', 'EINVAL');
+    }
+    if (!platforms || typeof platforms !== 'object') {
+        throw new AppCatalogError(`platforms must map ${PLATFORMS.join(', ')} to launch commands`, 'EINVAL');
+    }
+    const unknown = Object.keys(platforms).filter(platform => !PLATFORMS.includes(platform));
+    if (unknown.length) {
+        throw new AppCatalogError(`Unknown platform ${unknown.join(', ')}; use ${PLATFORMS.join(', ')}`, 'EINVAL');
+    }
+    if (!Object.keys(platforms).length) {
+        throw new AppCatalogError('At least one platform needs a launch command', 'EINVAL');
+    }
+
+    return {
+        name: key,
+        label: typeof label === 'string' && label.trim() ? label.trim() : key,
+        aliases: [...new Set(aliases.map(normalizeSpoken).filter(alias => alias && appKey(alias) !== key))],
+        platforms: Object.fromEntries(Object.entries(platforms)
+            .map(([platform, candidates]) => [platform, normalizeCandidates(platform, candidates)]))
+    };
+};
+
+export class AppCatalog {
+    constructor({ builtins = builtinApps, launcher = defaultLauncher, store = null } = {}) {
+        this.builtins = new Map(builtins.map(app => [app.name, normalizeApp(app)]));
+        this.custom = new Map();
+        this.discovered = new Map();
+        this.launcher = launcher;
+        this.store = store;
+        this.sync();
+    }
+
+    // Read custom entries from `store` ({ list, save, delete })
+    async load(store = this.store) {
+        this.store = store;
+        this.custom = new Map((await store.list()).map(app => [app.name, normalizeApp(app)]));
+        this.sync();
+        return this.list();
+    }
+
+    // Replace the discovered applications (desktopEntries 'change' events).
+    // Entries that fail validation, e.g. named like a system command, are
+    // left out.
+    setDiscovered(entries) {
+        this.discovered = new Map();
+        for (const entry of entries) {
+            try {
+                const app = normalizeApp(entry);
+                this.discovered.set(app.name, {
+                    ...app,
+                    keywords: (entry.keywords || []).map(normalizeSpoken).filter(Boolean),
+                    desktopId: entry.desktopId,
+                    file: entry.file
+                });
+            } catch {
+                // not launchable through the catalog
+            }
+        }
+        this.sync();
+    }
+
+    // Rebuild the spoken-name index and the launcher's allow-list
+    sync() {
+        const apps = this.list();
+        const configured = apps.filter(app => app.builtin || app.custom);
+        // Includes entries shadowed by a configured application of the same
+        // name, whose "web browser" then finds that one
+        const discovered = [...this.discovered.values()];
+        this.index = new Map();
+        const claim = (spoken, name) => {
+            const key = appKey(spoken);
+            if (key && !this.index.has(key)) {
+                this.index.set(key, name);
+            }
+        };
+
+        // Names win over aliases, configured aliases over discovered ones,
+        // and keywords come last
+        apps.forEach(app => claim(app.name, app.name));
+        configured.forEach(app => app.aliases.forEach(alias => claim(alias, app.name)));
+        discovered.forEach(app => app.aliases.forEach(alias => claim(alias, app.name)));
+        discovered.forEach(app => app.keywords.forEach(keyword => claim(keyword, app.name)));
+
+        this.launcher.catalog = {
+            ...defaultCatalog,
+            ...Object.fromEntries(apps.map(app => [app.name, app.platforms]))
+        };
+    }
+
+    list() {
+        const names = new Set([...this.builtins.keys(), ...this.custom.keys(), ...this.discovered.keys()]);
+        return [...names].sort().map(name => this.get(name));
+    }
+
+    get(name) {
+        const app = this.custom.get(name) || this.builtins.get(name) || this.discovered.get(name);
+        return app ? {
+            ...app,
+            builtin: this.builtins.has(name),
+            custom: this.custom.has(name),
+            discovered: this.discovered.has(name)
+        } : null;
+    }
+
+    // Look an application up by name or alias ("vs code", "Text Editor")
+    find(spoken) {
+        const name = this.index.get(appKey(spoken));
+        return name ? this.get(name) : null;
+    }
+
+    // Names and aliases of the applications available on this platform,
+    // space-free like the keys `find` matches on
+    spokenNames() {
+        return this.list()
+            .filter(app => this.launcher.has(app.name))
+            .flatMap(app => [app.name, ...app.aliases.map(appKey)]);
+    }
+
+    // Executable names an application runs as on this platform, for finding
+    // its processes. Commands that only hand off to another program
+    // ("open -a Spotify", "start '' chrome") name it in their last argument.
+    executables(name) {
+        const app = this.get(name);
+        const candidates = app?.platforms[this.launcher.platformKey()] || [];
+        return [...new Set(candidates.map(argv => LAUNCH_WRAPPERS.has(path.basename(argv[0]).toLowerCase())
+            ? argv[argv.length - 1]
+            : path.basename(argv[0])))];
+    }
+
+    // Installed state of an application on this platform
+    availability(name) {
+        return this.launcher.availability(name);
+    }
+
+    // Applications whose executable is present on this machine
+    installed() {
+        return this.list().filter(app => this.availability(app.name).available);
+    }
+
+    async save(definition) {
+        const app = normalizeApp(definition);
+        // Discovered applications give their aliases up to configured ones
+        const taken = app.aliases.filter(alias => {
+            const owner = this.get(this.index.get(appKey(alias)));
+            return owner && owner.name !== app.name && (owner.builtin || owner.custom);
+        });
+        if (taken.length) {
+            throw new AppCatalogError(`Alias already used by another application: ${taken.join(', ')}`, 'EEXIST');
+        }
+
+        await this.store?.save(app);
+        this.custom.set(app.name, app);
+        this.sync();
+        return this.get(app.name);
+    }
+
+    // Merge changes into an existing entry (built-in, discovered or custom)
+    async update(name, changes = {}) {
+        const current = this.find(name);
+        if (!current) {
+            throw new AppCatalogError(`No application named "${name}"`, 'ENOENT');
+        }
+        const { label, aliases, platforms } = current;
+        return this.save({
+            label,
+            aliases,
+            ...changes,
+            platforms: { ...platforms, ...changes.platforms },
+            name: current.name
+        });
+    }
+
+    // Remove a custom entry. Returns 'deleted', or 'reset' when a built-in or
+    // discovered application was overridden and is back in effect.
+    async delete(name) {
+        const app = this.find(name);
+        if (!app) {
+            throw new AppCatalogError(`No application named "${name}"`, 'ENOENT');
+        }
+        if (!app.custom) {
+            const origin = app.builtin ? 'is built in' : `comes from ${app.file || 'an installed .desktop file'}`;
+            throw new AppCatalogError(`"${app.name}" ${origin}; override it with PUT instead`, 'EINVAL');
+        }
+
+        await this.store?.delete(app.name);
+        this.custom.delete(app.name);
+        this.sync();
+        return app.builtin || app.discovered ? 'reset' : 'deleted';
+    }
+}
+
+export const apps = new AppCatalog();
@@ -0,0 +1,399 @@
+import { execFile } from 'child_process';
+import { launcher as defaultLauncher } from './launcher.js';
+
+// Audio control: output volume, mute and per-application stream volume.
+//
+// The first available backend is used: pactl (PulseAudio and PipeWire),
+// wpctl (WirePlumber) or amixer on Linux, osascript on macOS and nircmd on
+// Windows. AUDIO_BACKEND forces one by name; "memory" keeps the state in
+// process, for machines without sound hardware.
+//
+// A backend is an object built around `run(command, args, { change })`:
+//   name                            backend name
+//   get()                           => { volume (0-100, null if unknown), muted }
+//   set(level)                      absolute volume in percent
+//   setMute(state)                  true, false or 'toggle'
+//   change(delta)                   optional relative step; otherwise get + set
+//   streams()                       optional => [{ id, name, binary, pid, volume, muted }]
+//   setStreamVolume(stream, level)  optional per-application volume
+//   setStreamMute(stream, state)    optional per-application mute
+// Any object of that shape can be passed as `backend`, which is how tests
+// run without audio tools. Commands with `change` set are recorded instead
+// of run by a recording controller (see `recording()`), which backs dry-run
+// mode; queries still run. Backend objects passed in are used as they are.
+// With no backend installed, a recording controller still plans changes.
+
+export class AudioError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'AudioError';
+        this.code = code;
+    }
+}
+
+const clamp = (level) => Math.min(100, Math.max(0, Math.round(level)));
+
+const muteArg = (state, on = '1', off = '0', toggle = 'toggle') =>
+    state === 'toggle' ? toggle : state ? on : off;
+
+// "Volume: front-left: 26214 /  40% / -23.88 dB, ..." -> 40
+export const parsePercent = (output) => {
+    const match = String(output).match(/(\d+(?:\.\d+)?)%/);
+    return match ? Math.round(Number(match[1])) : null;
+};
+
+// `pactl list sink-inputs`: one block per playing stream
+export const parsePactlSinkInputs = (output) => String(output)
+    .split(/^Sink Input #/m)
+    .slice(1)
+    .map(block => {
+        const property = (key) => block.match(new RegExp(`^\\s*${key.replace(/\./g, '\\.')} = "(.*)"$`, 'm'))?.[1] ?? null;
+        const pid = property('application.process.id');
+        return {
+            id: block.match(/^(\d+)/)[1],
+            name: property('application.name') || property('media.name') || 'Unknown',
+            binary: property('application.process.binary'),
+            pid: pid ? Number(pid) : null,
+            volume: parsePercent(block.match(/^\s*Volume:.*$/m)?.[0] ?? ''),
+            muted: /^\s*Mute: yes$/m.test(block)
+        };
+    });
+
+// `wpctl get-volume`: "Volume: 0.40" or "Volume: 0.40 [MUTED]"
+export const parseWpctlVolume = (output) => {
+    const match = String(output).match(/Volume:\s*([\d.]+)/);
+    return {
+        volume: match ? Math.round(Number(match[1]) * 100) : null,
+        muted: /\[MUTED\]/.test(output)
+    };
+};
+
+// Streams of the Audio section of `wpctl status`: "   78. Firefox". Their
+// ports ("79. output_FL > ...") are skipped.
+export const parseWpctlStreams = (output) => {
+    const lines = String(output).split(/\r?\n/);
+    const streams = [];
+    let section = null;
+    let inStreams = false;
+    for (const line of lines) {
+        if (/^\S/.test(line)) {
+            section = line.trim();
+            inStreams = false;
+            continue;
+        }
+        if (section !== 'Audio') {
+            continue;
+        }
+        if (/[├└]─/.test(line)) {
+            inStreams = /Streams:/.test(line);
+            continue;
+        }
+        const stream = inStreams && line.match(/^[\s│]*(\d+)\.\s+([^<>[\]]+?)\s*$/);
+        if (stream) {
+            streams.push({ id: stream[1], name: stream[2], binary: null, pid: null, volume: null, muted: false });
+        }
+    }
+    return streams;
+};
+
+// `amixer sget Master`: "Front Left: Playback 26214 [40%] [on]"
+export const parseAmixer = (output) => ({
+    volume: parsePercent(String(output).match(/\[\d+%\]/)?.[0] ?? ''),
+    muted: /\[off\]/.test(output)
+});
+
+// `osascript -e "get volume settings"`: "output volume:40, ..., output muted:false"
+export const parseVolumeSettings = (output) => ({
+    volume: Number(String(output).match(/output volume:(\d+)/)?.[1] ?? NaN),
+    muted: /output muted:true/.test(output)
+});
+
+export const backends = {
+    pactl: (run) => ({
+        name: 'pactl',
+        get: async () => ({
+            volume: parsePercent(await run('pactl', ['get-sink-volume', '@DEFAULT_SINK@'])),
+            muted: /yes/.test(await run('pactl', ['get-sink-mute', '@DEFAULT_SINK@']))
+        }),
+        set: (level) => run('pactl', ['set-sink-volume', '@DEFAULT_SINK@', `${level}%`], { change: true }),
+        setMute: (state) => run('pactl', ['set-sink-mute', '@DEFAULT_SINK@', muteArg(state)], { change: true }),
+        streams: async () => parsePactlSinkInputs(await run('pactl', ['list', 'sink-inputs'])),
+        setStreamVolume: (stream, level) => run('pactl', ['set-sink-input-volume', stream.id, `${level}%`], { change: true }),
+        setStreamMute: (stream, state) => run('pactl', ['set-sink-input-mute', stream.id, muteArg(state)], { change: true })
+    }),
+
+    wpctl: (run) => ({
+        name: 'wpctl',
+        get: async () => parseWpctlVolume(await run('wpctl', ['get-volume', '@DEFAULT_AUDIO_SINK@'])),
+        set: (level) => run('wpctl', ['set-volume', '-l', '1.0', '@DEFAULT_AUDIO_SINK@', `${level}%`], { change: true }),
+        setMute: (state) => run('wpctl', ['set-mute', '@DEFAULT_AUDIO_SINK@', muteArg(state)], { change: true }),
+        streams: async () => {
+            const streams = parseWpctlStreams(await run('wpctl', ['status']));
+            for (const stream of streams) {
+                Object.assign(stream, parseWpctlVolume(await run('wpctl', ['get-volume', stream.id])));
+            }
+            return streams;
+        },
+        setStreamVolume: (stream, level) => run('wpctl', ['set-volume', stream.id, `${level}%`], { change: true }),
+        setStreamMute: (stream, state) => run('wpctl', ['set-mute', stream.id, muteArg(state)], { change: true })
+    }),
+
+    amixer: (run) => ({
+        name: 'amixer',
+        get: async () => parseAmixer(await run('amixer', ['sget', 'Master'])),
+        set: (level) => run('amixer', ['-q', 'sset', 'Master', `${level}%`], { change: true }),
+        setMute: (state) => run('amixer', ['-q', 'sset', 'Master', muteArg(state, 'mute', 'unmute')], { change: true })
+    }),
+
+    osascript: (run) => ({
+        name: 'osascript',
+        get: async () => parseVolumeSettings(await run('osascript', ['-e', 'get volume settings'])),
+        set: (level) => run('osascript', ['-e', `set volume output volume ${level}`], { change: true }),
+        setMute: async (state) => {
+            const muted = state === 'toggle' ? !parseVolumeSettings(await run('osascript', ['-e', 'get volume settings'])).muted : state;
+            return run('osascript', ['-e', `set volume output muted ${muted}`], { change: true });
+        }
+    }),
+
+    // nircmd cannot read levels; per-application control goes by executable
+    nircmd: (run) => ({
+        name: 'nircmd',
+        get: async () => ({ volume: null, muted: null }),
+        set: (level) => run('nircmd.exe', ['setsysvolume', String(Math.round(65535 * level / 100))], { change: true }),
+        change: (delta) => run('nircmd.exe', ['changesysvolume', String(Math.round(65535 * delta / 100))], { change: true }),
+        setMute: (state) => run('nircmd.exe', ['mutesysvolume', muteArg(state, '1', '0', '2')], { change: true }),
+        setStreamVolume: (stream, level) => run('nircmd.exe', ['setappvolume', stream.binary, String(level / 100)], { change: true }),
+        setStreamMute: (stream, state) => run('nircmd.exe', ['muteappvolume', stream.binary, muteArg(state, '1', '0', '2')], { change: true })
+    }),
+
+    // In-process state; `state.streams` can be seeded with fake applications
+    memory: (run, state = { volume: 50, muted: false, streams: [] }) => ({
+        name: 'memory',
+        state,
+        get: async () => ({ volume: state.volume, muted: state.muted }),
+        set: async (level) => {
+            await run('memory', ['volume', String(level)], { change: true, apply: () => { state.volume = level; } });
+        },
+        setMute: async (value) => {
+            const muted = value === 'toggle' ? !state.muted : value;
+            await run('memory', ['mute', String(muted)], { change: true, apply: () => { state.muted = muted; } });
+        },
+        streams: async () => state.streams.map(stream => ({ ...stream })),
+        setStreamVolume: async (stream, level) => {
+            await run('memory', ['stream-volume', stream.id, String(level)], {
+                change: true,
+                apply: () => { state.streams.find(item => item.id === stream.id).volume = level; }
+            });
+        },
+        setStreamMute: async (stream, value) => {
+            const target = state.streams.find(item => item.id === stream.id);
+            const muted = value === 'toggle' ? !target.muted : value;
+            await run('memory', ['stream-mute', stream.id, String(muted)], { change: true, apply: () => { target.muted = muted; } });
+        }
+    })
+};
+
+// Stands in for a missing backend in dry runs: changes are still planned,
+// marked unavailable like launcher plans for tools that are not installed
+const unavailableBackend = (plans) => {
+    const plan = async (...args) => {
+        plans.push({ name: 'audio', command: null, args: args.map(String), available: false });
+    };
+    return {
+        name: 'none',
+        get: async () => ({ volume: null, muted: null }),
+        set: (level) => plan('volume', level),
+        change: (delta) => plan('change', delta),
+        setMute: (state) => plan('mute', state),
+        setStreamVolume: (stream, level) => plan('stream-volume', stream.name, level),
+        setStreamMute: (stream, state) => plan('stream-mute', stream.name, state)
+    };
+};
+
+const DETECTION_ORDER = {
+    linux: [['pactl', 'pactl'], ['wpctl', 'wpctl'], ['amixer', 'amixer']],
+    darwin: [['osascript', 'osascript']],
+    win32: [['nircmd', 'nircmd.exe']]
+};
+
+// "Spotify", "spotify.exe" -> "spotify"
+const streamKey = (name) => String(name || '').toLowerCase().replace(/\.exe$/, '').replace(/\s+/g, '');
+
+export class AudioController {
+    constructor({
+        launcher = defaultLauncher,
+        backend = process.env.AUDIO_BACKEND || null,
+        execFileImpl = execFile,
+        timeout = 5000
+    } = {}) {
+        this.launcher = launcher;
+        this.preferred = backend;
+        this.execFileImpl = execFileImpl;
+        this.timeout = timeout;
+        this.instance = null;
+        this.plans = null;
+        this.parent = null;
+    }
+
+    // Copy of this controller that records changes instead of making them
+    recording(plans = []) {
+        const copy = new AudioController({
+            launcher: this.launcher,
+            execFileImpl: this.execFileImpl,
+            timeout: this.timeout,
+            backend: this.preferred
+        });
+        copy.plans = plans;
+        copy.parent = this;
+        return copy;
+    }
+
+    // Name of the backend to use, or null when none is installed
+    detect() {
+        if (typeof this.preferred === 'string') {
+            return this.preferred;
+        }
+        const candidates = DETECTION_ORDER[this.launcher.platformKey()] || [];
+        return candidates.find(([, command]) => this.launcher.which(command))?.[0] ?? null;
+    }
+
+    backend() {
+        if (this.instance) {
+            return this.instance;
+        }
+        if (this.preferred && typeof this.preferred === 'object') {
+            this.instance = this.preferred;
+            return this.instance;
+        }
+        const name = this.detect();
+        if (!name && this.plans) {
+            this.instance = unavailableBackend(this.plans);
+            return this.instance;
+        }
+        if (!name || !backends[name]) {
+            throw new AudioError(name
+                ? `Unknown audio backend "${name}"`
+                : 'No audio control found. Please install pactl, wpctl or amixer (nircmd on Windows).', 'ENOTSUP');
+        }
+        // A recording copy works on the in-memory state of the real backend
+        const state = name === 'memory' && this.parent ? this.parent.backend().state : undefined;
+        this.instance = backends[name](this.run.bind(this), state);
+        return this.instance;
+    }
+
+    async run(command, args, { change = false, apply = null } = {}) {
+        if (change && this.plans) {
+            this.plans.push({ name: 'audio', command, args });
+            return '';
+        }
+        if (apply) {
+            apply();
+            return '';
+        }
+        return new Promise((resolve, reject) => {
+            this.execFileImpl(command, args, { timeout: this.timeout, env: { ...process.env, LC_ALL: 'C' } }, (error, stdout) => {
+                if (error) {
+                    reject(error.code === 'ENOENT' ? new AudioError(`"${command}" not found or not installed`, 'ENOTSUP') : error);
+                } else {
+                    resolve(stdout);
+                }
+            });
+        });
+    }
+
+    async status() {
+        const backend = this.backend();
+        return { backend: backend.name, ...await backend.get() };
+    }
+
+    async setVolume(level) {
+        const volume = clamp(level);
+        await this.backend().set(volume);
+        return volume;
+    }
+
+    // Step the volume by `delta` percent. Resolves to the new level, or
+    // null when the backend cannot read it.
+    async changeVolume(delta) {
+        const backend = this.backend();
+        const { volume } = await backend.get();
+        if (volume === null || volume === undefined) {
+            if (!backend.change) {
+                throw new AudioError(`${backend.name} cannot change the volume relatively`, 'ENOTSUP');
+            }
+            await backend.change(delta);
+            return null;
+        }
+        return this.setVolume(volume + delta);
+    }
+
+    async mute() {
+        await this.backend().setMute(true);
+        return true;
+    }
+
+    async unmute() {
+        await this.backend().setMute(false);
+        return false;
+    }
+
+    // Resolves to the new muted state, or null when it cannot be read
+    async toggleMute() {
+        const backend = this.backend();
+        const { muted } = await backend.get();
+        if (muted === null || muted === undefined) {
+            await backend.setMute('toggle');
+            return null;
+        }
+        await backend.setMute(!muted);
+        return !muted;
+    }
+
+    async streams() {
+        const backend = this.backend();
+        if (!backend.streams) {
+            throw new AudioError(`${backend.name} cannot list applications playing audio`, 'ENOTSUP');
+        }
+        return backend.streams();
+    }
+
+    // Streams belonging to an application, by its name, executable or
+    // `aliases`. Backends that cannot list streams address the executable.
+    async findStreams({ name, aliases = [] }) {
+        const backend = this.backend();
+        if (!backend.streams) {
+            return [{ id: null, name, binary: /\.exe$/i.test(name) ? name : `${streamKey(name)}.exe`, pid: null }];
+        }
+        const keys = new Set([name, ...aliases].map(streamKey));
+        const matches = (await backend.streams()).filter(stream => keys.has(streamKey(stream.name)) || keys.has(streamKey(stream.binary)));
+        if (!matches.length) {
+            throw new AudioError(`${name} is not playing any audio`, 'ENOENT');
+        }
+        return matches;
+    }
+
+    async setAppVolume(app, level) {
+        const backend = this.backend();
+        if (!backend.setStreamVolume) {
+            throw new AudioError(`${backend.name} cannot set application volume`, 'ENOTSUP');
+        }
+        const volume = clamp(level);
+        for (const stream of await this.findStreams(app)) {
+            await backend.setStreamVolume(stream, volume);
+        }
+        return volume;
+    }
+
+    async setAppMute(app, state) {
+        const backend = this.backend();
+        if (!backend.setStreamMute) {
+            throw new AudioError(`${backend.name} cannot mute applications`, 'ENOTSUP');
+        }
+        for (const stream of await this.findStreams(app)) {
+            await backend.setStreamMute(stream, state);
+        }
+        return state;
+    }
+}
+
+export const audio = new AudioController();
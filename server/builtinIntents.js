@@ -0,0 +1,1384 @@
+import path from 'path';
+import { extractEntity } from './entities.js';
+import { formatInfo } from './systemInfo.js';
+import { parseAlertRule } from './alerts.js';
+import { parseSchedule } from './scheduler.js';
+import { describeEntry, parseReminder, parseTimer } from './reminders.js';
+import { describeSuggestions } from './fuzzy.js';
+import { ROUTINE_VERB, matchRoutineName, normalizeRoutine, normalizeRoutineName, parseRoutineDefinition } from './routines.js';
+import { parseFileQuery } from './fileSearch.js';
+import { FileOperationError } from './fileOps.js';
+import { describeConfirmation } from './intentRegistry.js';
+import { translator } from './i18n.js';
+
+// Built-in intents. Each one replaces a branch of the old if/else chain in
+// CommandProcessor.processCommand. Priorities are grouped roughly as:
+//   40+  specific multi-word commands (settings pages)
+//   30   explicit targets (websites, power actions)
+//   20   named features (search, youtube, volume, whatsapp, folders)
+//   10   information probes and time/date
+//   5    generic "open <anything>" fallback
+// Responses are message keys formatted in the request's language by `t`
+// (see i18n.js and server/locales).
+
+const stripWords = (cmd, words) =>
+    cmd.replace(new RegExp(`\\b(?:${words.join('|')})\\b`, 'g'), ' ').replace(/\s+/g, ' ').trim();
+
+const pickKeyword = (cmd, table, fallback) => {
+    for (const [value, keywords] of Object.entries(table)) {
+        if (keywords.some(keyword => new RegExp(`\\b${keyword}\\b`).test(cmd))) {
+            return value;
+        }
+    }
+    return fallback;
+};
+
+// "volume to 35 percent", "set volume to 35", "brightness 60"
+const volumeLevel = ({ cmd }) => {
+    const level = extractEntity('percentage', cmd) || extractEntity('number', cmd);
+    return level && { ...level, type: 'percentage', value: Math.min(100, Math.max(0, level.value)) };
+};
+
+// "connect to my bluetooth headphones" -> "headphones", "connect to home wifi" -> "home"
+const connectTarget = ({ match }) => {
+    const target = match.groups.target
+        .replace(/^(?:the|my)\s+/, '')
+        .replace(/^bluetooth\s+/, '')
+        .replace(/\s+(?:wi-?fi|wireless)?\s*network$|\s+wi-?fi$/, '')
+        .trim();
+    return /^(?:wi-?fi|bluetooth|wireless|network|internet|it|that)?$/.test(target) ? null : target;
+};
+
+// File search options for a spoken request, or null when it names nothing
+// to search for beyond a folder ("show files in downloads" opens the folder)
+const fileQuery = ({ cmd }) => {
+    const options = parseFileQuery(cmd);
+    return options.query || options.extensions.length || options.modifiedAfter || options.sort === 'newest' ? options : null;
+};
+
+// Search options for the file named in a `source` group
+const fileSource = ({ match }) => fileQuery({ cmd: match.groups.source });
+
+// Run a file operation, answering the errors a user can act on
+const runFileOperation = async (t, operation) => {
+    try {
+        return await operation();
+    } catch (error) {
+        if (!(error instanceof FileOperationError)) {
+            throw error;
+        }
+        switch (error.code) {
+            case 'ENOENT':
+                return { status: 'error', response: t('files.none') };
+            case 'EAMBIGUOUS':
+                return {
+                    status: 'error',
+                    response: t('fileOps.ambiguous', {
+                        list: error.matches.slice(0, 5).map(match => t('files.item', { name: match.name, folder: match.folder ?? match.path })).join('\n')
+                    }),
+                    matches: error.matches
+                };
+            case 'EACCES':
+                return { status: 'error', response: t('fileOps.outside') };
+            default:
+                throw error;
+        }
+    }
+};
+
+const FILE_FOLDERS = 'desktop|documents|downloads|pictures|music|videos';
+
+// "what's in my clipboard", "the link on the clipboard" ending a command
+// stand for the clipboard's text, read when the intent runs
+const CLIPBOARD_REFERENCE = /\b(?:(?:what(?:'s| is)|(?:the\s+)?(?:link|url|address|text|contents?))\s+(?:in|on|from)\s+)?(?:my|the)\s+clipboard(?:\s+(?:contents?|text))?$/;
+
+const clipboardReference = (text) => {
+    const match = text.match(CLIPBOARD_REFERENCE);
+    return match && { type: 'clipboard', value: null, text: match[0] };
+};
+
+// The clipboard's text on one line, or null when it is empty
+const clipboardText = async (processor) => (await processor.clipboard.read()).replace(/\s+/g, ' ').trim() || null;
+
+// Long clipboard text is shortened when spoken back
+const preview = (text, length = 200) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+// Dictated text as it was said: commands are matched lowercased, so the
+// pattern is matched again, ignoring case, against the original text
+const dictatedText = (text, patterns, fallback) => {
+    for (const pattern of patterns) {
+        const match = text.trim().match(new RegExp(pattern.source, 'i'));
+        if (match) {
+            return match.groups.text;
+        }
+    }
+    return fallback;
+};
+
+const COPY_TO_CLIPBOARD = [
+    /^copy\s+(?<text>.+?)\s+(?:to|into|onto|on)\s+(?:my\s+|the\s+)?clipboard$/,
+    /^(?:put|save)\s+(?<text>.+?)\s+(?:in|into|on)\s+(?:my\s+|the\s+)?clipboard$/
+];
+
+export const builtinIntents = [
+    // Web-based commands (work on all platforms)
+    {
+        name: 'openWebsite',
+        patterns: [/\b(?:open|go to|visit|browse to)\s+(?<url>.+)/],
+        slots: { url: ({ match }) => clipboardReference(match.groups.url) ?? extractEntity('url', match.groups.url) },
+        required: ['url'],
+        priority: 30,
+        handler: async ({ slots, processor, t }) => {
+            let { url } = slots;
+            if (url.type === 'clipboard') {
+                const text = await clipboardText(processor);
+                if (!text) {
+                    return { status: 'error', response: t('clipboard.empty') };
+                }
+                url = extractEntity('url', text);
+                if (!url) {
+                    return { status: 'error', response: t('clipboard.notUrl') };
+                }
+            }
+            await processor.openWebsite(url.value);
+            return t('website.opening', { url: url.text });
+        }
+    },
+
+    // Search commands
+    {
+        name: 'search',
+        patterns: ['search', 'google'],
+        slots: {
+            query: ({ cmd }) => clipboardReference(cmd) ?? stripWords(cmd, ['search', 'google', 'for'])
+        },
+        required: ['query'],
+        priority: 22,
+        handler: async ({ slots, processor, t }) => {
+            const query = slots.query.type === 'clipboard' ? await clipboardText(processor) : slots.query;
+            if (!query) {
+                return { status: 'error', response: t('clipboard.empty') };
+            }
+            await processor.openWebsite(`google.com/search?q=${encodeURIComponent(query)}`);
+            return t('search.google', { query: preview(query) });
+        }
+    },
+
+    // YouTube search
+    {
+        name: 'youtube',
+        patterns: ['youtube'],
+        slots: {
+            query: ({ cmd }) => stripWords(cmd, ['youtube', 'search', 'on', 'for', 'open'])
+        },
+        priority: 25,
+        handler: async ({ slots, processor, t }) => {
+            if (slots.query) {
+                await processor.openWebsite(`youtube.com/results?search_query=${encodeURIComponent(slots.query)}`);
+                return t('search.youtube', { query: slots.query });
+            }
+            await processor.openWebsite('youtube.com');
+            return t('youtube.opening');
+        }
+    },
+
+    // Time and date
+    {
+        name: 'time',
+        patterns: ['time', 'what time'],
+        priority: 10,
+        handler: async ({ t }) => t('time.current', { time: t.time(new Date()) })
+    },
+    {
+        name: 'date',
+        patterns: ['date', 'what date'],
+        priority: 10,
+        handler: async ({ t }) => t('date.current', { date: t.date(new Date()) })
+    },
+
+    // Weather
+    {
+        name: 'weather',
+        patterns: ['weather'],
+        priority: 20,
+        handler: async ({ processor, t }) => {
+            await processor.openWebsite('weather.com');
+            return t('weather.opening');
+        }
+    },
+
+    // System-specific applications
+    {
+        name: 'calculator',
+        patterns: ['calculator', 'calc'],
+        priority: 15,
+        handler: async ({ processor, t }) => {
+            await processor.openApplication('calculator');
+            return t('calculator.opening');
+        }
+    },
+    {
+        name: 'textEditor',
+        patterns: ['notepad', 'text editor'],
+        priority: 15,
+        handler: async ({ processor, t }) => {
+            await processor.openApplication('notepad');
+            return t('textEditor.opening');
+        }
+    },
+
+    // WhatsApp commands
+    {
+        name: 'whatsappCall',
+        patterns: ['call'],
+        requires: ['whatsapp'],
+        slots: { contact: 'contact' },
+        required: ['contact'],
+        priority: 22,
+        handler: async ({ slots, processor, t }) => {
+            await processor.openWhatsAppCall(slots.contact.value);
+            return t('whatsapp.calling', { contact: slots.contact.value });
+        }
+    },
+    {
+        name: 'whatsappMessage',
+        patterns: ['message', 'text'],
+        requires: ['whatsapp'],
+        slots: { contact: 'contact' },
+        priority: 21,
+        handler: async ({ slots, processor, t }) => {
+            const contact = slots.contact ? slots.contact.value : 'contact';
+            await processor.openWhatsAppMessage(contact);
+            return t('whatsapp.chat', { contact });
+        }
+    },
+    {
+        name: 'whatsapp',
+        patterns: ['whatsapp'],
+        priority: 20,
+        handler: async ({ processor, t }) => {
+            await processor.openApplication('whatsapp');
+            return t('whatsapp.opening');
+        }
+    },
+
+    // File manager commands
+    {
+        name: 'openFolder',
+        patterns: [
+            /\b(?:file manager|explorer|files|folder|open)\b.*\b(?<folder>downloads|documents|desktop|pictures|music|videos)\b/,
+            /\b(?:open|show)\s+(?:my\s+|the\s+)?home\s+(?:folder|directory)\b/
+        ],
+        slots: { folder: 'path' },
+        required: ['folder'],
+        priority: 22,
+        handler: async ({ slots, processor, t }) => {
+            const folder = slots.folder.value;
+            await processor.openFileLocation(folder);
+            return t('folder.opening', { folder: folder[0].toUpperCase() + folder.slice(1) });
+        }
+    },
+    {
+        name: 'findFiles',
+        patterns: [
+            /^(?:find|locate)\s/,
+            /^where(?:'s| is| are)\s+my\s/,
+            /\b(?:search|look)\s+(?:for\s+)?(?:my\s+)?(?:files?|documents?|pdfs?|photos?|pictures?|images?|videos?|downloads?|spreadsheets?)\b/,
+            /\b(?:show|list)\b.*\b(?:files?|documents?|pdfs?|photos?|downloads?)\b/,
+            /\brecent(?:ly)?\s+(?:files|downloads|documents)\b/
+        ],
+        slots: { search: fileQuery },
+        required: ['search'],
+        priority: 24,
+        handler: async ({ slots, processor, t }) => {
+            const { matches } = await processor.files.search({ ...slots.search, limit: slots.search.limit ?? 5 });
+            if (!matches.length) {
+                return { status: 'error', response: t('files.none') };
+            }
+            const list = matches.map(match => t('files.item', { name: match.name, folder: match.folder ?? match.path })).join('\n');
+            return { status: 'success', response: t('files.found', { count: matches.length, list }), matches };
+        }
+    },
+    {
+        name: 'openFile',
+        patterns: [
+            /^open\s+(?:the\s+|my\s+)?(?:latest|newest|most recent|last)\b/,
+            /^open\s+(?:the\s+|my\s+)?(?:file|document)\s+(?:called|named)\s/,
+            /^open\s+(?:the\s+|my\s+)?\S+\.[a-z0-9]{2,5}$/,
+            /^open\s+(?:the\s+|my\s+)?.+\s(?:file|pdf|document|spreadsheet|presentation|photo|picture|image|video)$/
+        ],
+        slots: { search: fileQuery },
+        required: ['search'],
+        priority: 26,
+        handler: async ({ slots, processor, t }) => {
+            const [match] = (await processor.files.search({ ...slots.search, limit: 1 })).matches;
+            if (!match) {
+                return { status: 'error', response: t('files.none') };
+            }
+            await processor.openFile(match.path);
+            return { status: 'success', response: t('files.opening', { name: match.name }), match };
+        }
+    },
+    {
+        name: 'createFolder',
+        patterns: [
+            new RegExp(`^(?:create|make)\\s+(?:a\\s+)?(?:new\\s+)?(?:folder|directory)\\s+(?:called\\s+|named\\s+)?(?<name>.+?)(?:\\s+(?:on|in)\\s+(?:my\\s+|the\\s+)?(?<folder>${FILE_FOLDERS})(?:\\s+folder)?)?$`),
+            new RegExp(`^new\\s+folder\\s+(?:called\\s+|named\\s+)?(?<name>.+?)(?:\\s+(?:on|in)\\s+(?:my\\s+|the\\s+)?(?<folder>${FILE_FOLDERS}))?$`)
+        ],
+        slots: { folder: ({ match }) => match.groups.folder ?? 'documents' },
+        required: ['name'],
+        priority: 30,
+        undo: 'undo last file operation',
+        handler: async ({ slots, processor, t }) => runFileOperation(t, async () => {
+            const { target } = await processor.fileOps.createFolder(slots.name, { folder: slots.folder });
+            return t('fileOps.created', { name: path.basename(target), folder: path.basename(path.dirname(target)) });
+        })
+    },
+    {
+        name: 'moveFile',
+        patterns: [new RegExp(`^(?<action>move|copy)\\s+(?<source>.+?)\\s+(?:to|into)\\s+(?:my\\s+|the\\s+)?(?<folder>${FILE_FOLDERS})(?:\\s+folder)?$`)],
+        slots: { source: fileSource },
+        required: ['source', 'folder'],
+        priority: 30,
+        undo: 'undo last file operation',
+        handler: async ({ slots, processor, t }) => runFileOperation(t, async () => {
+            const source = await processor.fileOps.resolve(slots.source);
+            const copy = slots.action === 'copy';
+            const { target } = await (copy ? processor.fileOps.copy(source, slots.folder) : processor.fileOps.move(source, slots.folder));
+            return t(copy ? 'fileOps.copied' : 'fileOps.moved', { name: path.basename(target), folder: path.basename(path.dirname(target)) });
+        })
+    },
+    {
+        name: 'renameFile',
+        patterns: [/^rename\s+(?<source>.+?)\s+(?:to|as)\s+(?<name>.+)$/],
+        slots: { source: fileSource },
+        required: ['source', 'name'],
+        priority: 30,
+        undo: 'undo last file operation',
+        handler: async ({ slots, processor, t }) => runFileOperation(t, async () => {
+            const source = await processor.fileOps.resolve(slots.source);
+            const { target } = await processor.fileOps.rename(source, slots.name);
+            return t('fileOps.renamed', { name: path.basename(source), newName: path.basename(target) });
+        })
+    },
+    {
+        name: 'trashFile',
+        patterns: [
+            /^(?:delete|trash|remove|throw away)\s+(?<source>.+)$/,
+            /^(?:move|send)\s+(?<source>.+?)\s+to\s+(?:the\s+)?(?:trash|bin|recycle bin)$/
+        ],
+        slots: { source: fileSource },
+        required: ['source'],
+        priority: 28,
+        undo: 'undo last file operation',
+        handler: async ({ slots, processor, t }) => runFileOperation(t, async () => {
+            const source = await processor.fileOps.resolve(slots.source);
+            await processor.fileOps.trash(source);
+            return t('fileOps.trashed', { name: path.basename(source) });
+        })
+    },
+    {
+        name: 'undoFileOperation',
+        patterns: [/\bundo\s+(?:the\s+|my\s+)?(?:last\s+)?file\s+(?:operation|change)\b/, /\brestore\s+(?:the\s+)?(?:last\s+)?(?:deleted|trashed)\s+file\b/],
+        priority: 35,
+        handler: async ({ processor, t }) => {
+            const last = processor.fileOps.history[processor.fileOps.history.length - 1];
+            try {
+                const { type, source, target } = await processor.fileOps.undo();
+                return t(`fileOps.undone.${type}`, { name: path.basename(type === 'copy' || type === 'createFolder' ? target : source) });
+            } catch (error) {
+                if (error instanceof FileOperationError && error.code === 'ENOENT' && !processor.fileOps.history.length) {
+                    return { status: 'error', response: t('fileOps.nothingToUndo') };
+                }
+                if (error instanceof FileOperationError && error.code === 'ECHANGED') {
+                    return { status: 'error', response: t('fileOps.copyChanged', { name: path.basename(last.target) }) };
+                }
+                // Removed outside the assistant; the entry is gone from the history
+                if (error instanceof FileOperationError && error.code === 'ESTALE') {
+                    return { status: 'error', response: t('fileOps.targetGone', { name: path.basename(last.target) }) };
+                }
+                throw error;
+            }
+        }
+    },
+    {
+        name: 'fileManager',
+        patterns: ['file manager', 'explorer', 'files'],
+        priority: 20,
+        handler: async ({ processor, t }) => {
+            await processor.openApplication('filemanager');
+            return t('fileManager.opening');
+        }
+    },
+
+    // Clipboard
+    {
+        name: 'copyToClipboard',
+        patterns: COPY_TO_CLIPBOARD,
+        required: ['text'],
+        priority: 35,
+        // Dictated text may contain "and"
+        atomic: true,
+        handler: async ({ slots, text, processor, t }) => {
+            const copied = await processor.clipboard.write(dictatedText(text, COPY_TO_CLIPBOARD, slots.text));
+            return t('clipboard.copied', { text: preview(copied) });
+        }
+    },
+    {
+        name: 'readClipboard',
+        patterns: [
+            /^(?:read|show|tell me)\s+(?:me\s+)?(?:what(?:'s| is)\s+(?:in|on)\s+)?(?:my\s+|the\s+)?clipboard(?:\s+(?:contents?|text))?$/,
+            /^what(?:'s| is)\s+(?:in|on)\s+(?:my\s+|the\s+)?clipboard$/
+        ],
+        priority: 25,
+        handler: async ({ processor, t }) => {
+            const text = (await processor.clipboard.read()).trim();
+            if (!text) {
+                return t('clipboard.empty');
+            }
+            return { response: t('clipboard.contents', { text: preview(text) }), clipboard: text };
+        }
+    },
+
+    // Settings commands
+    {
+        name: 'settings',
+        patterns: ['settings', 'control panel'],
+        slots: {
+            section: ({ cmd }) => pickKeyword(cmd, {
+                network: ['wifi', 'network'],
+                display: ['display', 'screen'],
+                sound: ['sound', 'audio'],
+                bluetooth: ['bluetooth']
+            }, 'main')
+        },
+        priority: 40,
+        handler: async ({ slots, processor, t }) => {
+            await processor.openSettings(slots.section);
+            return t(`settings.${slots.section}`);
+        }
+    },
+
+    // Application launching commands
+    {
+        name: 'openApplication',
+        patterns: [/\b(?:open|launch|start)\s+(?<app>.+)/],
+        required: ['app'],
+        priority: 5,
+        handler: async ({ slots, processor, t }) => {
+            const app = processor.matchApplication(slots.app);
+            if (app.suggestions) {
+                return { status: 'error', response: describeSuggestions(app.suggestions, t), suggestions: app.suggestions };
+            }
+            await processor.openSpecificApplication(app.name);
+            return t('app.opening', { app: processor.apps.get(app.name)?.label ?? app.name });
+        }
+    },
+
+    {
+        name: 'listApps',
+        patterns: [
+            /\b(?:list|show|what are|which)\b.*\b(?:apps|applications|programs)\b/,
+            /^(?:my |installed )?(?:apps|applications|programs)$/
+        ],
+        priority: 40,
+        handler: ({ processor, t }) => {
+            const installed = processor.apps.installed();
+            if (!installed.length) {
+                return t('apps.none');
+            }
+            const list = installed.map(app => `• ${app.label}`).join('\n');
+            return {
+                status: 'success',
+                response: t('apps.list', { count: installed.length, list }),
+                apps: installed.map(({ name, label }) => ({ name, label }))
+            };
+        }
+    },
+
+    // Running applications
+    {
+        name: 'topProcesses',
+        patterns: [
+            /\b(?:what|which)\b.*\busing\b.*\b(?:most|lot of|all the)\s+(?:memory|ram|cpu|processor)\b/,
+            /\b(?:list|show)\b.*\b(?:processes|running (?:apps|applications|programs))\b/,
+            /^(?:top processes|task manager)$/
+        ],
+        slots: { sort: ({ cmd }) => /\b(?:cpu|processor)\b/.test(cmd) ? 'cpu' : 'memory' },
+        priority: 45,
+        handler: async ({ slots, processor, t }) => {
+            const processes = await processor.processes.list({ sort: slots.sort, limit: 5 });
+            if (!processes.length) {
+                return t('processes.none');
+            }
+            const list = processes.map((proc, index) => t('processes.item', {
+                number: index + 1,
+                name: proc.name,
+                pid: proc.pid,
+                cpu: proc.cpu ?? '?',
+                memory: Math.round(proc.memory / 1024 ** 2)
+            })).join('\n');
+            return { status: 'success', response: t(`processes.top.${slots.sort}`, { list }), processes };
+        }
+    },
+    {
+        name: 'closeApplication',
+        patterns: [/\b(?:close|quit|exit|kill|terminate|end task|force quit|force close)\s+(?:the\s+)?(?:process\s+|pid\s+)?(?<target>.+)/],
+        slots: {
+            target: ({ match }) => match.groups.target.replace(/\s+(?:app|application|window|process)$/, '').trim(),
+            force: ({ cmd }) => /\bforce\b/.test(cmd)
+        },
+        required: ['target'],
+        priority: 30,
+        handler: async ({ slots, processor, t }) => {
+            let closed;
+            try {
+                closed = await processor.closeApplication(slots.target, { force: slots.force });
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return { status: 'error', response: t('processes.notRunning', { name: slots.target }) };
+                }
+                throw error;
+            }
+
+            const { name, results } = closed;
+            const count = (outcome) => results.filter(result => result.outcome === outcome).length;
+            const failed = results.find(result => result.outcome === 'failed');
+            if (failed) {
+                return { status: 'error', response: t('processes.failed', { name, message: failed.error }), results };
+            }
+            if (count('protected') === results.length) {
+                return { status: 'error', response: t('processes.protected', { name }), results };
+            }
+            const response = count('killed')
+                ? t('processes.forced', { name })
+                : t('processes.closed', { name, count: count('closed') });
+            return { status: 'success', response, results };
+        }
+    },
+    {
+        name: 'focusApplication',
+        patterns: [/\b(?:switch to|focus(?: on)?|bring up)\s+(?<app>.+)/],
+        required: ['app'],
+        priority: 20,
+        handler: async ({ slots, processor, t }) => {
+            const name = await processor.focusApplication(slots.app);
+            return t('app.focusing', { app: name });
+        }
+    },
+
+    // System control commands (require elevated permissions)
+    {
+        name: 'shutdown',
+        patterns: ['shutdown', 'shut down'],
+        slots: { delay: 'duration' },
+        priority: 30,
+        confirm: (slots, t) => t('shutdown.confirm', { delay: t.duration((slots.delay ? slots.delay.value : 60) * 1000) }),
+        undo: 'cancel shutdown',
+        handler: async ({ slots, options, processor, t }) => {
+            const seconds = slots.delay ? slots.delay.value : 60; // default 1 minute
+            const commandId = options.confirmation?.metadata.historyId ?? null;
+            // The delay actually scheduled: Unix shutdown rounds up to minutes
+            const action = await processor.systemShutdown(seconds, { commandId });
+            return t('shutdown.scheduled', { remaining: t.duration(action.delaySeconds * 1000), time: t.time(action.targetTime) });
+        }
+    },
+    {
+        name: 'cancelPowerAction',
+        patterns: [/\b(?:cancel|abort|stop|call off)\b.*\b(?:shutdown|shut down)\b/],
+        priority: 45,
+        handler: async ({ processor, t }) => {
+            const cancelled = await processor.powerActions.cancel();
+            if (!cancelled.length) {
+                return { status: 'error', response: t('shutdown.nothingToCancel') };
+            }
+            return t('shutdown.cancelled');
+        }
+    },
+    {
+        name: 'listPowerActions',
+        patterns: [
+            /\b(?:how long|when)\b.*\b(?:shutdown|shut down)\b/,
+            /\b(?:pending|scheduled)\b.*\b(?:shutdowns?|shut downs?|power actions?)\b/
+        ],
+        priority: 45,
+        handler: async ({ processor, t }) => {
+            const actions = processor.powerActions.list();
+            if (!actions.length) {
+                return t('shutdown.noneScheduled');
+            }
+            const next = actions[0];
+            return t('shutdown.pending', { remaining: t.duration(next.remainingSeconds * 1000), time: t.time(next.targetTime) });
+        }
+    },
+    {
+        name: 'restart',
+        patterns: ['restart', 'reboot'],
+        priority: 30,
+        confirm: (slots, t) => t('restart.confirm'),
+        handler: async ({ processor, t }) => {
+            await processor.systemRestart();
+            return t('restart.started');
+        }
+    },
+    {
+        name: 'sleep',
+        patterns: ['sleep', 'hibernate'],
+        priority: 30,
+        confirm: (slots, t) => t('sleep.confirm'),
+        handler: async ({ processor, t }) => {
+            await processor.systemSleep();
+            return t('sleep.started');
+        }
+    },
+
+    // Metric alerts
+    {
+        name: 'createAlert',
+        patterns: [/\b(?:tell|alert|notify|warn|let)\s+me\b.*\b(?:when|if|once)\b/],
+        slots: { rule: ({ cmd }) => parseAlertRule(cmd) },
+        required: ['rule'],
+        priority: 45,
+        undo: ({ rule }) => `remove ${rule.metric} alerts`,
+        handler: async ({ slots, processor, t }) => {
+            const rule = processor.alerts.create({ ...slots.rule, locale: t.locale });
+            return t('alerts.created', { name: rule.name });
+        }
+    },
+    {
+        name: 'listAlerts',
+        patterns: [/\b(?:list|show|what are|which)\b.*\balerts\b/, /^(?:my )?alerts$/],
+        priority: 40,
+        handler: async ({ processor, t }) => {
+            const rules = processor.alerts.list();
+            if (!rules.length) {
+                return t('alerts.none');
+            }
+            return t('alerts.list', { list: rules.map(rule => `• ${rule.name} (${rule.state})`).join('\n') });
+        }
+    },
+    {
+        name: 'deleteAlert',
+        patterns: [/\b(?:delete|remove|cancel|clear|stop)\b.*\balerts?\b/],
+        slots: {
+            metric: ({ cmd }) => ['battery', 'memory', 'temperature', 'disk'].find(metric => cmd.includes(metric))
+        },
+        priority: 40,
+        handler: async ({ slots, processor, t }) => {
+            const rules = processor.alerts.list().filter(rule => !slots.metric || rule.metric === slots.metric);
+            if (!rules.length) {
+                return { status: 'error', response: t('alerts.noneToRemove') };
+            }
+            rules.forEach(rule => processor.alerts.delete(rule.id));
+            return t('alerts.removed', { count: rules.length });
+        }
+    },
+
+    // Routines
+    {
+        name: 'createRoutine',
+        patterns: [/\b(?:create|make|add|define|save)\s+(?:a\s+|new\s+)*routine\b/],
+        slots: { routine: ({ cmd }) => parseRoutineDefinition(cmd) },
+        priority: 45,
+        atomic: true,
+        undo: ({ routine }) => `delete routine ${routine.name}`,
+        handler: async ({ slots, processor, t }) => {
+            if (!slots.routine?.steps.length) {
+                return { status: 'error', response: t('routines.needSteps') };
+            }
+            const routine = await processor.routines.save(normalizeRoutine(slots.routine));
+            const steps = routine.steps.map((step, index) => `${index + 1}. ${step.command}`).join('\n');
+            return t('routines.saved', { name: routine.name, steps });
+        }
+    },
+    {
+        name: 'listRoutines',
+        patterns: [/\b(?:list|show|what are|which)\b.*\broutines\b/, /^(?:my )?routines$/],
+        priority: 40,
+        handler: async ({ processor, t }) => {
+            const routines = await processor.routines.list();
+            if (!routines.length) {
+                return t('routines.none');
+            }
+            const list = routines.map(routine => t('routines.item', { name: routine.name, count: routine.steps.length }));
+            return t('routines.list', { list: list.join('\n') });
+        }
+    },
+    {
+        name: 'deleteRoutine',
+        patterns: [/\b(?:delete|remove|forget)\s+(?:the\s+)?routine\s+(?<name>.+)$/],
+        slots: { name: ({ match }) => normalizeRoutineName(match.groups.name) },
+        required: ['name'],
+        priority: 45,
+        handler: async ({ slots, processor, t }) => {
+            if (!await processor.routines.delete(slots.name)) {
+                return { status: 'error', response: t('routines.notFound', { name: slots.name }) };
+            }
+            return t('routines.deleted', { name: slots.name });
+        }
+    },
+    {
+        // "run start work", "run routine start work"; a name that starts with
+        // one of the verbs ("start work") can be said as is. Without the verb
+        // a routine named "mute" would take over the built-in command.
+        name: 'runRoutine',
+        patterns: [ROUTINE_VERB],
+        slots: { name: ({ cmd }) => matchRoutineName(cmd) },
+        required: ['name'],
+        priority: 35,
+        handler: async ({ slots, processor, options, userAgent, t }) => {
+            const routine = await processor.routines.get(slots.name);
+            if (!routine) {
+                return { status: 'error', response: t('routines.notFound', { name: slots.name }) };
+            }
+            return processor.runRoutine(routine, userAgent, options);
+        }
+    },
+
+    // Scheduled commands: any other command followed by a schedule,
+    // "open calendar.google.com every weekday at 9am"
+    {
+        name: 'scheduleCommand',
+        patterns: [/\b(?:every|each|daily|hourly|cron|in|after|at)\b/, /^schedule\b/],
+        slots: {
+            task: ({ cmd, registry }) => {
+                const schedule = parseSchedule(cmd);
+                const inner = schedule && registry.resolve(schedule.command);
+                if (!inner || inner.intent.name === 'scheduleCommand') {
+                    return null;
+                }
+                // Intents that take their own delay ("shutdown in 5 minutes")
+                // keep it unless scheduling was asked for explicitly
+                const ownsDelay = Object.values(inner.intent.slots).includes('duration');
+                if (schedule.kind === 'delay' && ownsDelay && !/^schedule\b/.test(cmd)) {
+                    return null;
+                }
+                // The inner intent's slots are kept to describe its confirmation
+                // in the language of the request
+                const destructive = Boolean(describeConfirmation(inner.intent, inner.slots, translator()));
+                return { ...schedule, intent: inner.intent.name, slots: inner.slots, destructive };
+            }
+        },
+        required: ['task'],
+        priority: 48,
+        undo: ({ task }) => `cancel the schedule for ${task.command}`,
+        confirm: ({ task }, t) => task.destructive && t('schedules.confirm', {
+            action: describeConfirmation(builtinIntents.find(intent => intent.name === task.intent), task.slots, t),
+            description: task.description
+        }),
+        handler: async ({ slots, processor, locale, t }) => {
+            const { command, cron, runAt, description, destructive } = slots.task;
+            const schedule = await processor.scheduler.create({
+                command,
+                cron,
+                runAt,
+                description,
+                confirmed: Boolean(destructive),
+                locale
+            });
+            return cron
+                ? t('schedules.createdRecurring', { command, description, next: t.dateTime(schedule.nextRunAt) })
+                : t('schedules.created', { command, description });
+        }
+    },
+    {
+        name: 'listSchedules',
+        patterns: [/\b(?:list|show|what are|which)\b.*\b(?:schedules|scheduled (?:commands|tasks))\b/, /^(?:my )?schedules$/],
+        priority: 46,
+        handler: async ({ processor, t }) => {
+            const schedules = processor.scheduler.list();
+            if (!schedules.length) {
+                return t('schedules.none');
+            }
+            const lines = schedules.map((schedule, index) => t('schedules.item', {
+                number: index + 1,
+                command: schedule.command,
+                description: schedule.description,
+                next: t.dateTime(schedule.nextRunAt)
+            }));
+            return t('schedules.list', { list: lines.join('\n') });
+        }
+    },
+    {
+        // "cancel schedule 2", "cancel all schedules", "delete the schedule for open calendar"
+        name: 'cancelSchedule',
+        patterns: [/\b(?:cancel|delete|remove|stop)\b.*\bschedules?\b(?:\s+(?:for|of)\s+(?<target>.+))?/],
+        slots: {
+            number: ({ cmd, slots }) => slots.target ? null : extractEntity('number', cmd),
+            all: ({ cmd }) => /\ball\b/.test(cmd) || null
+        },
+        priority: 46,
+        handler: async ({ slots, processor, t }) => {
+            const schedules = processor.scheduler.list();
+            let targets = [];
+            if (slots.all) {
+                targets = schedules;
+            } else if (slots.target) {
+                targets = schedules.filter(schedule => schedule.command.includes(slots.target));
+            } else if (slots.number) {
+                targets = schedules.slice(slots.number.value - 1, slots.number.value);
+            } else if (schedules.length === 1) {
+                targets = schedules;
+            }
+
+            if (!targets.length) {
+                return { status: 'error', response: t('schedules.noMatch') };
+            }
+            for (const schedule of targets) {
+                await processor.scheduler.cancel(schedule.id);
+            }
+            return t('schedules.cancelled', { commands: targets.map(schedule => `"${schedule.command}"`).join(', ') });
+        }
+    },
+
+    // Timers and reminders
+    {
+        name: 'setTimer',
+        patterns: [/\btimer\b/],
+        slots: { timer: ({ cmd }) => parseTimer(cmd) },
+        required: ['timer'],
+        priority: 50,
+        undo: ({ timer }) => timer.label ? `cancel the timer for ${timer.label}` : 'cancel my timer',
+        handler: async ({ slots, processor, t }) => {
+            const { seconds, label } = slots.timer;
+            processor.reminders.create({ kind: 'timer', label, locale: t.locale, inSeconds: seconds });
+            const duration = t.duration(seconds * 1000);
+            return label ? t('timer.setLabelled', { duration, label }) : t('timer.set', { duration });
+        }
+    },
+    {
+        name: 'setReminder',
+        patterns: [/^(?:please\s+)?remind me\b/],
+        slots: { reminder: ({ cmd }) => parseReminder(cmd) },
+        required: ['reminder'],
+        priority: 50,
+        undo: ({ reminder }) => `cancel the reminder about ${reminder.message}`,
+        handler: async ({ slots, options, processor, t }) => {
+            const { message, dueAt } = slots.reminder;
+            if (!dueAt) {
+                // A recurring schedule runs "remind me to ..." when it is due
+                if (options.scheduled) {
+                    await processor.notifier.notify({ type: 'reminder', title: t('reminder.title'), message });
+                    return t('reminder.due', { message });
+                }
+                return { status: 'error', response: t('reminder.needTime', { message }) };
+            }
+            const entry = processor.reminders.create({ kind: 'reminder', message, locale: t.locale, dueAt });
+            return t('reminder.set', { message, time: t.dateTime(entry.dueAt) });
+        }
+    },
+    {
+        name: 'listReminders',
+        patterns: [
+            /\b(?:list|show|what|which|any)\b.*\b(?:reminders|timers?)\b/,
+            /\bhow (?:much|long)\b.*\b(?:left|remaining)\b/,
+            /^(?:my )?(?:reminders|timers)$/
+        ],
+        slots: { kind: ({ cmd }) => pickKeyword(cmd, { timer: ['timers?', 'left', 'remaining'], reminder: ['reminders?'] }, null) },
+        priority: 52,
+        handler: async ({ slots, processor, t }) => {
+            const entries = processor.reminders.list({ kind: slots.kind });
+            if (!entries.length) {
+                return t(`reminders.none.${slots.kind || 'any'}`);
+            }
+            return entries.map(entry => describeEntry(entry, t)).join('\n');
+        }
+    },
+    {
+        // "cancel my timer", "cancel all reminders", "delete the reminder about the meeting"
+        name: 'cancelReminder',
+        patterns: [/\b(?:cancel|stop|delete|remove|clear|dismiss)\b.*\b(?:reminders?|timers?)\b(?:\s+(?:for|about|to)\s+(?<target>.+))?/],
+        slots: {
+            kind: ({ cmd }) => pickKeyword(cmd, { timer: ['timers?'], reminder: ['reminders?'] }, null),
+            all: ({ cmd }) => /\ball\b/.test(cmd) || null
+        },
+        priority: 52,
+        handler: async ({ slots, processor, t }) => {
+            const kind = slots.kind || 'any';
+            const entries = processor.reminders.list({ kind: slots.kind, includeFired: true });
+            let targets = entries.filter(entry => entry.state === 'pending');
+            if (slots.target) {
+                targets = entries.filter(entry => `${entry.label || ''} ${entry.message}`.includes(slots.target));
+            } else if (!slots.all && targets.length > 1) {
+                return { status: 'error', response: t(`reminders.ambiguous.${kind}`, { count: targets.length }) };
+            }
+
+            if (!targets.length) {
+                return { status: 'error', response: t(`reminders.noMatch.${kind}`) };
+            }
+            targets.forEach(entry => processor.reminders.cancel(entry.id));
+            return t(`reminders.cancelled.${kind}`, { count: targets.length });
+        }
+    },
+    {
+        name: 'snoozeReminder',
+        patterns: [/\bsnooze\b/],
+        slots: { delay: 'duration' },
+        priority: 52,
+        handler: async ({ slots, processor, t }) => {
+            const entry = processor.reminders.lastFired();
+            if (!entry) {
+                return { status: 'error', response: t('snooze.nothing') };
+            }
+            const seconds = slots.delay ? slots.delay.value : 5 * 60;
+            processor.reminders.snooze(entry.id, seconds);
+            return t('snooze.done', { message: entry.message, duration: t.duration(seconds * 1000) });
+        }
+    },
+
+    // History
+    {
+        name: 'clearHistory',
+        patterns: [/\b(?:clear|delete|erase|wipe)\b.*\bhistory\b/],
+        priority: 35,
+        confirm: (slots, t) => t('history.confirmClear'),
+        handler: async ({ processor, t }) => {
+            await processor.clearHistory();
+            return t('history.cleared');
+        }
+    },
+
+    // Answers to a pending confirmation. The token comes from the request, or
+    // the most recent pending action is used.
+    {
+        name: 'confirm',
+        patterns: [/^(?:yes|yeah|yep|confirm|sure|go ahead|do it)(?:\s+(?:it|that|please|do it))?$/],
+        priority: 50,
+        handler: async ({ options, processor, t }) => processor.resolveConfirmation('confirm', options.token, t)
+    },
+    {
+        name: 'cancel',
+        patterns: [/^(?:no|nope|cancel|abort|never ?mind|don't)(?:\s+(?:it|that|please|do it))?$/],
+        priority: 50,
+        handler: async ({ options, processor, t }) => processor.resolveConfirmation('cancel', options.token, t)
+    },
+
+    // Volume control
+    {
+        name: 'volumeUp',
+        patterns: ['volume up', 'increase volume', 'turn up the volume', 'louder'],
+        priority: 20,
+        followUps: { more: 'volume up', less: 'volume down' },
+        undo: 'volume down',
+        handler: async ({ processor, t }) => {
+            const level = await processor.adjustVolume('up');
+            return level === null ? t('volume.up') : t('volume.upTo', { level });
+        }
+    },
+    {
+        name: 'volumeDown',
+        patterns: ['volume down', 'decrease volume', 'turn down the volume', 'quieter'],
+        priority: 20,
+        followUps: { more: 'volume down', less: 'volume up' },
+        undo: 'volume up',
+        handler: async ({ processor, t }) => {
+            const level = await processor.adjustVolume('down');
+            return level === null ? t('volume.down') : t('volume.downTo', { level });
+        }
+    },
+    {
+        name: 'setVolume',
+        patterns: [/\bvolume\b.*\d/, /\bvolume\s+(?:to|at)\b/],
+        slots: { level: volumeLevel },
+        required: ['level'],
+        priority: 21,
+        followUps: {
+            more: ({ level }) => `volume to ${Math.min(100, level.value + 10)}%`,
+            less: ({ level }) => `volume to ${Math.max(0, level.value - 10)}%`
+        },
+        handler: async ({ slots, processor, t }) => {
+            await processor.adjustVolume('set', slots.level.value);
+            return t('volume.set', { level: slots.level.value });
+        }
+    },
+    {
+        name: 'getVolume',
+        patterns: [
+            /\b(?:what(?:'s| is)|tell me)\s+(?:the\s+)?(?:current\s+)?(?:volume|sound level)\b/,
+            /\bhow loud\b/,
+            'current volume', 'volume level'
+        ],
+        priority: 22,
+        handler: async ({ processor, t }) => {
+            const { volume, muted } = await processor.audio.status();
+            if (volume === null || Number.isNaN(volume)) {
+                return t('volume.unknown');
+            }
+            return t(muted ? 'volume.currentMuted' : 'volume.current', { level: volume });
+        }
+    },
+    {
+        name: 'mute',
+        patterns: ['mute', 'volume off', 'sound off'],
+        priority: 20,
+        undo: 'unmute',
+        handler: async ({ processor, t }) => {
+            await processor.adjustVolume('mute');
+            return t('volume.muted');
+        }
+    },
+    {
+        name: 'unmute',
+        patterns: ['unmute', 'volume on', 'sound on'],
+        priority: 20,
+        undo: 'mute',
+        handler: async ({ processor, t }) => {
+            await processor.adjustVolume('unmute');
+            return t('volume.unmuted');
+        }
+    },
+    {
+        name: 'toggleMute',
+        patterns: [/\btoggle\s+(?:the\s+)?(?:mute|sound|audio)\b/],
+        priority: 21,
+        handler: async ({ processor, t }) => {
+            const muted = await processor.adjustVolume('toggle');
+            return muted === null ? t('volume.toggled') : t(muted ? 'volume.muted' : 'volume.unmuted');
+        }
+    },
+    {
+        name: 'appVolume',
+        patterns: [
+            /\bvolume\s+(?:of|for|on)\s+(?<app>.+?)\s+(?:to|at)\s+\d/,
+            /^(?:set|turn|put)\s+(?<app>(?!the\b|volume\b)\S.*?)\s+(?:volume|sound)\s+(?:to|at)\s+\d/
+        ],
+        slots: { level: volumeLevel },
+        required: ['app', 'level'],
+        priority: 23,
+        handler: async ({ slots, processor, t }) => {
+            const { label, target } = processor.audioTarget(slots.app);
+            try {
+                const level = await processor.audio.setAppVolume(target, slots.level.value);
+                return t('volume.appSet', { app: label, level });
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return { status: 'error', response: t('volume.notPlaying', { app: label }) };
+                }
+                throw error;
+            }
+        }
+    },
+    {
+        name: 'muteApp',
+        patterns: [/^(?<action>mute|unmute|silence)\s+(?<app>.+)$/],
+        slots: {
+            app: ({ match }) => /^(?:the\s+)?(?:volume|sound|audio|everything|all|computer|speakers?)$/.test(match.groups.app)
+                ? null
+                : match.groups.app.replace(/^the\s+/, ''),
+            muted: ({ match }) => match.groups.action !== 'unmute'
+        },
+        required: ['app'],
+        priority: 22,
+        undo: ({ app, muted }) => `${muted ? 'unmute' : 'mute'} ${app}`,
+        handler: async ({ slots, processor, t }) => {
+            const { label, target } = processor.audioTarget(slots.app);
+            try {
+                await processor.audio.setAppMute(target, slots.muted);
+                return t(slots.muted ? 'volume.appMuted' : 'volume.appUnmuted', { app: label });
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return { status: 'error', response: t('volume.notPlaying', { app: label }) };
+                }
+                throw error;
+            }
+        }
+    },
+    {
+        name: 'listAudioStreams',
+        patterns: [/\b(?:what|which)\b.*\b(?:playing|making)\s+(?:sound|audio|noise)\b/, 'audio apps'],
+        priority: 22,
+        handler: async ({ processor, t }) => {
+            const streams = await processor.audio.streams();
+            if (!streams.length) {
+                return t('audio.none');
+            }
+            const list = streams.map(stream => t(stream.muted ? 'audio.itemMuted' : 'audio.item', {
+                name: stream.name,
+                level: stream.volume ?? '?'
+            })).join('\n');
+            return { status: 'success', response: t('audio.list', { list }), streams };
+        }
+    },
+
+    // Display commands
+    {
+        name: 'brightnessUp',
+        patterns: [
+            'brightness up', 'increase brightness', 'increase the brightness', 'turn up the brightness',
+            /\bbrighten\s+(?:the\s+)?(?:screen|display)\b/, /\b(?:screen|display)\s+brighter\b/
+        ],
+        priority: 20,
+        followUps: { more: 'brightness up', less: 'brightness down' },
+        undo: 'brightness down',
+        handler: async ({ processor, t }) => {
+            const level = await processor.adjustDisplay('up');
+            return t('brightness.upTo', { level });
+        }
+    },
+    {
+        name: 'brightnessDown',
+        patterns: [
+            'brightness down', 'decrease brightness', 'decrease the brightness', 'turn down the brightness',
+            /\bdim\s+(?:the\s+)?(?:screen|display|monitor)\b/, /\b(?:screen|display)\s+dimmer\b/
+        ],
+        priority: 20,
+        followUps: { more: 'brightness down', less: 'brightness up' },
+        undo: 'brightness up',
+        handler: async ({ processor, t }) => {
+            const level = await processor.adjustDisplay('down');
+            return t('brightness.downTo', { level });
+        }
+    },
+    {
+        name: 'setBrightness',
+        patterns: [/\bbrightness\b.*\d/],
+        slots: { level: volumeLevel },
+        required: ['level'],
+        priority: 21,
+        followUps: {
+            more: ({ level }) => `brightness ${Math.min(100, level.value + 10)}%`,
+            less: ({ level }) => `brightness ${Math.max(1, level.value - 10)}%`
+        },
+        handler: async ({ slots, processor, t }) => {
+            const level = await processor.adjustDisplay('set', slots.level.value);
+            return t('brightness.set', { level });
+        }
+    },
+    {
+        name: 'getBrightness',
+        patterns: [
+            /\b(?:what(?:'s| is)|tell me)\s+(?:the\s+)?(?:current\s+)?(?:screen\s+)?brightness\b/,
+            /\bhow bright\b/,
+            'current brightness', 'brightness level'
+        ],
+        priority: 22,
+        handler: async ({ processor, t }) => {
+            const level = await processor.display.getBrightness();
+            return level === null ? t('brightness.unknown') : t('brightness.current', { level });
+        }
+    },
+    {
+        name: 'displayPower',
+        patterns: [
+            /\b(?:turn|switch|shut)\s+(?<state>on|off)\s+(?:the\s+)?(?:display|screen|monitor)s?\b/,
+            /\b(?:turn|switch)\s+(?:the\s+)?(?:display|screen|monitor)s?\s+(?<state>on|off)\b/,
+            /^(?:the\s+)?(?:display|screen|monitor)s?\s+(?<state>on|off)$/
+        ],
+        slots: { on: ({ match }) => match.groups.state === 'on' },
+        priority: 30,
+        handler: async ({ slots, processor, t }) => {
+            await processor.adjustDisplay(slots.on ? 'on' : 'off');
+            return t(slots.on ? 'display.on' : 'display.off');
+        }
+    },
+    {
+        name: 'nightLight',
+        patterns: [/\bnight\s*(?:light|shift|mode)\b/, /\bblue\s+light\s+filter\b/],
+        slots: {
+            state: ({ cmd }) => pickKeyword(cmd, {
+                off: ['off', 'disable', 'stop', 'deactivate'],
+                on: ['on', 'enable', 'start', 'activate']
+            }, 'toggle')
+        },
+        priority: 25,
+        undo: ({ state }) => state === 'toggle' ? 'toggle night light' : `night light ${state === 'on' ? 'off' : 'on'}`,
+        handler: async ({ slots, processor, t }) => {
+            const on = await processor.adjustDisplay('nightLight', slots.state === 'toggle' ? 'toggle' : slots.state === 'on');
+            return t(on ? 'nightLight.on' : 'nightLight.off');
+        }
+    },
+
+    // Wi-Fi and Bluetooth commands
+    {
+        name: 'wifiPower',
+        patterns: [
+            /\b(?:turn|switch)\s+(?<state>on|off)\s+(?:the\s+)?wi-?fi\b/,
+            /\b(?:turn|switch)\s+(?:the\s+)?wi-?fi\s+(?<state>on|off)\b/,
+            /\b(?<state>enable|disable)\s+(?:the\s+)?wi-?fi\b/,
+            /^wi-?fi\s+(?<state>on|off)$/
+        ],
+        slots: { on: ({ match }) => ['on', 'enable'].includes(match.groups.state) },
+        priority: 30,
+        undo: ({ on }) => `wifi ${on ? 'off' : 'on'}`,
+        handler: async ({ slots, processor, t }) => {
+            await processor.connectivity.setWifi(slots.on);
+            return t(slots.on ? 'wifi.on' : 'wifi.off');
+        }
+    },
+    {
+        name: 'bluetoothPower',
+        patterns: [
+            /\b(?:turn|switch)\s+(?<state>on|off)\s+(?:the\s+)?bluetooth\b/,
+            /\b(?:turn|switch)\s+(?:the\s+)?bluetooth\s+(?<state>on|off)\b/,
+            /\b(?<state>enable|disable)\s+(?:the\s+)?bluetooth\b/,
+            /^bluetooth\s+(?<state>on|off)$/
+        ],
+        slots: { on: ({ match }) => ['on', 'enable'].includes(match.groups.state) },
+        priority: 30,
+        undo: ({ on }) => `bluetooth ${on ? 'off' : 'on'}`,
+        handler: async ({ slots, processor, t }) => {
+            await processor.connectivity.setBluetooth(slots.on);
+            return t(slots.on ? 'bluetooth.on' : 'bluetooth.off');
+        }
+    },
+    {
+        name: 'listWifi',
+        patterns: [
+            /\b(?:list|show|scan|find|search)\b.*\b(?:wi-?fi|wireless)\b/,
+            /\b(?:available|nearby)\s+(?:wi-?fi\s+)?networks\b/,
+            'wifi networks'
+        ],
+        priority: 28,
+        handler: async ({ processor, t }) => {
+            const networks = await processor.connectivity.wifiNetworks();
+            if (!networks.length) {
+                return t('wifi.noNetworks');
+            }
+            const list = networks.slice(0, 10).map(network => t(network.active ? 'wifi.networkActive' : 'wifi.network', {
+                ssid: network.ssid,
+                signal: network.signal ?? '?'
+            })).join('\n');
+            return { status: 'success', response: t('wifi.networks', { list }), networks };
+        }
+    },
+    {
+        name: 'bluetoothDevices',
+        patterns: [/\b(?:list|show)\b.*\bbluetooth\b/, 'bluetooth devices', 'paired devices'],
+        priority: 28,
+        handler: async ({ processor, t }) => {
+            const devices = await processor.connectivity.bluetoothDevices();
+            if (!devices.length) {
+                return t('bluetooth.noDevices');
+            }
+            const list = devices.map(device => t(device.connected ? 'bluetooth.deviceConnected' : 'bluetooth.device', {
+                name: device.name
+            })).join('\n');
+            return { status: 'success', response: t('bluetooth.devices', { list }), devices };
+        }
+    },
+    {
+        name: 'connect',
+        patterns: [/^connect\s+(?:to\s+)?(?<target>.+)$/],
+        slots: { target: connectTarget },
+        required: ['target'],
+        priority: 30,
+        undo: ({ target }) => `disconnect from ${target}`,
+        handler: async ({ slots, processor, t }) => {
+            try {
+                const { type, name } = await processor.connectivity.connect(slots.target);
+                return t(type === 'wifi' ? 'connect.wifi' : 'connect.bluetooth', { name });
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return { status: 'error', response: t('connect.notFound', { name: slots.target }) };
+                }
+                throw error;
+            }
+        }
+    },
+    {
+        name: 'disconnect',
+        patterns: [/^disconnect\s+(?:from\s+)?(?<target>.+)$/],
+        slots: { target: connectTarget },
+        required: ['target'],
+        priority: 30,
+        undo: ({ target }) => `connect to ${target}`,
+        handler: async ({ slots, processor, t }) => {
+            try {
+                const { name } = await processor.connectivity.disconnect(slots.target);
+                return t('connect.disconnected', { name });
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return { status: 'error', response: t('connect.notConnected', { name: slots.target }) };
+                }
+                throw error;
+            }
+        }
+    },
+    {
+        name: 'connectionStatus',
+        patterns: [
+            /\bwhat(?:'s| is| am i)\b.*\bconnected\s+to\b/,
+            /\bwhich\s+(?:wi-?fi|network)\b/,
+            /\bam i (?:connected|online)\b/,
+            'wifi', 'wifi status', 'bluetooth', 'bluetooth status'
+        ],
+        priority: 26,
+        handler: async ({ processor, t }) => {
+            const { wifi, bluetooth } = await processor.connectivity.status();
+            if (!wifi && !bluetooth) {
+                return { status: 'error', response: t('connectivity.unavailable') };
+            }
+            const lines = [];
+            if (wifi) {
+                if (wifi.connection) {
+                    lines.push(wifi.connection.signal === null
+                        ? t('connectivity.wifi', { ssid: wifi.connection.ssid })
+                        : t('connectivity.wifiSignal', { ssid: wifi.connection.ssid, signal: wifi.connection.signal }));
+                } else {
+                    lines.push(t(wifi.enabled ? 'connectivity.wifiIdle' : 'connectivity.wifiOff'));
+                }
+            }
+            if (bluetooth) {
+                if (!bluetooth.powered) {
+                    lines.push(t('connectivity.bluetoothOff'));
+                } else if (bluetooth.connected.length) {
+                    lines.push(t('connectivity.bluetooth', { list: bluetooth.connected.map(device => device.name).join(', ') }));
+                } else {
+                    lines.push(t('connectivity.bluetoothIdle'));
+                }
+            }
+            return { status: 'success', response: lines.join('\n'), connectivity: { wifi, bluetooth } };
+        }
+    },
+
+    // System information commands
+    {
+        name: 'systemInfo',
+        patterns: ['system info', 'system information', 'computer specs'],
+        priority: 15,
+        handler: async ({ processor, t }) => formatInfo('system', await processor.getSystemInfo(), t)
+    },
+    {
+        name: 'memoryInfo',
+        patterns: ['ram', 'memory'],
+        priority: 12,
+        handler: async ({ processor, t }) => formatInfo('memory', await processor.getMemoryInfo(), t)
+    },
+    {
+        name: 'storageInfo',
+        patterns: ['storage', 'disk space', 'hard drive'],
+        priority: 12,
+        handler: async ({ processor, t }) => formatInfo('storage', await processor.getStorageInfo(), t)
+    },
+    {
+        name: 'cpuInfo',
+        patterns: ['cpu', 'processor'],
+        priority: 12,
+        handler: async ({ processor, t }) => formatInfo('cpu', await processor.getCPUInfo(), t)
+    },
+    {
+        name: 'networkInfo',
+        patterns: ['network', 'ip address'],
+        priority: 10,
+        handler: async ({ processor, t }) => formatInfo('network', await processor.getNetworkInfo(), t)
+    },
+    {
+        name: 'batteryInfo',
+        patterns: [/\bbattery\b.*\b(?:laptop|computer)\b/, /\b(?:laptop|computer)\b.*\bbattery\b/],
+        priority: 14,
+        handler: async ({ processor, t }) => formatInfo('battery', await processor.getBatteryInfo(), t)
+    },
+    {
+        name: 'temperatureInfo',
+        patterns: [/\btemperature\b.*\b(?:cpu|system)\b/, /\b(?:cpu|system)\b.*\btemperature\b/],
+        priority: 14,
+        handler: async ({ processor, t }) => formatInfo('temperature', await processor.getTemperatureInfo(), t)
+    }
+];
+
+export const registerBuiltinIntents = (registry) => {
+    for (const intent of builtinIntents) {
+        registry.register(intent);
+    }
+    return registry;
+};
@@ -0,0 +1,43 @@
+// Push channel to connected clients over Server-Sent Events.
+//
+// Anything the server wants to tell clients about without being asked
+// (fired alerts, reminders, ...) is broadcast here as a typed event; clients
+// listen on GET /api/events.
+
+export class ClientEventHub {
+    constructor() {
+        this.clients = new Set();
+        this.nextId = 1;
+    }
+
+    // Attach an HTTP response as an SSE client. Returns a detach function.
+    attach(res, { types = null } = {}) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.write(': connected\n\n');
+
+        const client = { res, types };
+        this.clients.add(client);
+        return () => this.clients.delete(client);
+    }
+
+    broadcast(type, payload) {
+        const id = this.nextId++;
+        const message = `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(payload)}\n\n`;
+        let delivered = 0;
+
+        for (const client of this.clients) {
+            if (client.types && !client.types.includes(type)) {
+                continue;
+            }
+            client.res.write(message);
+            delivered++;
+        }
+        return delivered;
+    }
+}
+
+export const clientEvents = new ClientEventHub();
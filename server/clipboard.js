@@ -0,0 +1,213 @@
+import { execFile, spawn } from 'child_process';
+import { launcher as defaultLauncher } from './launcher.js';
+
+// Clipboard access: read and replace the system clipboard's text.
+//
+// Backends, tried in order for the platform:
+//   Linux   wl-clipboard (wl-copy/wl-paste) under Wayland, then xclip and
+//           xsel under X11
+//   macOS   pbcopy/pbpaste
+//   Windows clip.exe to write, PowerShell's Get-Clipboard to read
+//   stub    an in-memory clipboard, for headless machines and tests
+// CLIPBOARD_BACKEND names a backend explicitly ("stub" on a server without
+// a desktop session); otherwise the first one whose tool is installed and
+// whose display server is running is used.
+//
+// Backends are objects built around the controller's `run(command, args,
+// { input, change })`: { name, read() => text, write(text) }. Text written
+// is piped to the tool's stdin, so it never shows up in a process listing.
+// A recording controller (see `recording()`) plans writes instead of making
+// them, backing dry-run mode; reads still happen.
+
+export class ClipboardError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'ClipboardError';
+        this.code = code;
+    }
+}
+
+// Larger writes are refused rather than piped into the clipboard tool
+export const MAX_CLIPBOARD_LENGTH = 100000;
+
+// Readers print the clipboard with a trailing newline (Windows adds CRLF)
+const trimNewline = (text) => String(text).replace(/\r?\n$/, '');
+
+export const clipboardBackends = {
+    wayland: (controller) => ({
+        name: 'wayland',
+        // wl-paste fails with "Nothing is copied" on an empty clipboard
+        read: () => controller.run('wl-paste', ['--no-newline']).catch(() => ''),
+        write: (text) => controller.run('wl-copy', [], { input: text, change: true })
+    }),
+    xclip: (controller) => ({
+        name: 'xclip',
+        // "Error: target STRING not available" when nothing is copied
+        read: () => controller.run('xclip', ['-selection', 'clipboard', '-out']).catch(() => ''),
+        write: (text) => controller.run('xclip', ['-selection', 'clipboard', '-in'], { input: text, change: true })
+    }),
+    xsel: (controller) => ({
+        name: 'xsel',
+        read: () => controller.run('xsel', ['--clipboard', '--output']),
+        write: (text) => controller.run('xsel', ['--clipboard', '--input'], { input: text, change: true })
+    }),
+    pbcopy: (controller) => ({
+        name: 'pbcopy',
+        read: () => controller.run('pbpaste', []),
+        write: (text) => controller.run('pbcopy', [], { input: text, change: true })
+    }),
+    windows: (controller) => ({
+        name: 'windows',
+        read: async () => trimNewline(await controller.run('powershell.exe', ['-NoProfile', '-NonInteractive', '-Command', 'Get-Clipboard -Raw'])),
+        write: (text) => controller.run('clip.exe', [], { input: text, change: true })
+    }),
+    stub: (controller) => ({
+        name: 'stub',
+        read: async () => controller.stubText,
+        write: async (text) => {
+            if (controller.plans) {
+                controller.plans.push({ name: 'clipboard', command: null, args: [], input: text });
+                return;
+            }
+            controller.stubText = text;
+        }
+    })
+};
+
+// Backends to try per platform: [name, executable to look for, display
+// server environment variable it needs]
+const DETECTION_ORDER = {
+    linux: [['wayland', 'wl-copy', 'WAYLAND_DISPLAY'], ['xclip', 'xclip', 'DISPLAY'], ['xsel', 'xsel', 'DISPLAY']],
+    darwin: [['pbcopy', 'pbcopy', null]],
+    win32: [['windows', 'clip.exe', null]]
+};
+
+const MISSING = 'Clipboard not available. On Linux, wl-clipboard (Wayland) or xclip/xsel (X11) is needed in a desktop session; set CLIPBOARD_BACKEND=stub on a headless machine.';
+
+export class ClipboardController {
+    constructor({
+        launcher = defaultLauncher,
+        env = process.env,
+        execFileImpl = execFile,
+        spawnImpl = spawn,
+        backend = env.CLIPBOARD_BACKEND || null,
+        timeout = 5000
+    } = {}) {
+        this.launcher = launcher;
+        this.env = env;
+        this.execFileImpl = execFileImpl;
+        this.spawnImpl = spawnImpl;
+        // A backend name, or a backend object passed in directly
+        this.provided = backend;
+        this.timeout = timeout;
+        this.instance = null;
+        this.stubText = '';
+        this.plans = null;
+    }
+
+    // Copy of this controller that records writes instead of making them
+    recording(plans = []) {
+        const copy = new ClipboardController({
+            launcher: this.launcher,
+            env: this.env,
+            execFileImpl: this.execFileImpl,
+            spawnImpl: this.spawnImpl,
+            backend: this.provided,
+            timeout: this.timeout
+        });
+        copy.stubText = this.stubText;
+        copy.plans = plans;
+        return copy;
+    }
+
+    async run(command, args, { input = null, change = false } = {}) {
+        if (change && this.plans) {
+            this.plans.push({ name: 'clipboard', command, args, input });
+            return '';
+        }
+        const notFound = (error) => error.code === 'ENOENT'
+            ? new ClipboardError(`"${command}" not found or not installed`, 'ENOTSUP')
+            : error;
+
+        if (input === null) {
+            return new Promise((resolve, reject) => {
+                this.execFileImpl(command, args, { timeout: this.timeout, maxBuffer: 4 * MAX_CLIPBOARD_LENGTH }, (error, stdout) => {
+                    if (error) {
+                        reject(notFound(error));
+                    } else {
+                        resolve(stdout);
+                    }
+                });
+            });
+        }
+
+        // xclip and wl-copy stay behind to serve the selection, holding any
+        // output pipes open, so writers are waited on by exit code alone
+        return new Promise((resolve, reject) => {
+            const child = this.spawnImpl(command, args, { timeout: this.timeout, stdio: ['pipe', 'ignore', 'ignore'] });
+            child.once('error', error => reject(notFound(error)));
+            child.once('exit', code => {
+                if (code === 0) {
+                    resolve('');
+                } else {
+                    reject(new ClipboardError(`"${command}" exited with code ${code}`, 'EFAIL'));
+                }
+            });
+            child.stdin.on('error', () => {});
+            child.stdin.end(input);
+        });
+    }
+
+    // The backend in use; throws ENOTSUP when there is none
+    backend() {
+        if (this.provided && typeof this.provided === 'object') {
+            return this.provided;
+        }
+        if (this.instance) {
+            return this.instance;
+        }
+
+        if (this.provided) {
+            const factory = clipboardBackends[this.provided];
+            if (!factory) {
+                throw new ClipboardError(`Unknown clipboard backend "${this.provided}"`, 'ENOTSUP');
+            }
+            this.instance = factory(this);
+            return this.instance;
+        }
+        for (const [name, command, display] of DETECTION_ORDER[this.launcher.platformKey()] || []) {
+            if ((!display || this.env[display]) && this.launcher.which(command)) {
+                this.instance = clipboardBackends[name](this);
+                return this.instance;
+            }
+        }
+        throw new ClipboardError(MISSING, 'ENOTSUP');
+    }
+
+    // The backend name, or null when the clipboard cannot be used
+    capabilities() {
+        try {
+            return { backend: this.backend().name };
+        } catch {
+            return { backend: null };
+        }
+    }
+
+    async read() {
+        return String(await this.backend().read() ?? '');
+    }
+
+    async write(text) {
+        const value = String(text ?? '');
+        if (!value) {
+            throw new ClipboardError('Nothing to copy', 'EINVAL');
+        }
+        if (value.length > MAX_CLIPBOARD_LENGTH) {
+            throw new ClipboardError(`Clipboard text is limited to ${MAX_CLIPBOARD_LENGTH} characters`, 'EINVAL');
+        }
+        await this.backend().write(value);
+        return value;
+    }
+}
+
+export const clipboard = new ClipboardController();
@@ -0,0 +1,68 @@
+// Compound utterances: "open spotify and turn the volume down".
+//
+// An utterance is split on "and", "then", commas and semicolons, but a new
+// part only starts where the text after the separator is a command on its
+// own. Anything else stays with the part before it, so "search salt and
+// pepper" remains one search and "search salt and pepper and mute" becomes
+// "search salt and pepper" + "mute".
+// Intents marked `atomic` (whose slots legitimately span conjunctions, like
+// routine definitions) are never split.
+
+// Beyond this many segments the utterance is treated as a single command
+const MAX_SEGMENTS = 8;
+
+const SEPARATOR = /\s*(?:,\s*(?:and\s+)?then\b|\band\s+then\b|\bthen\b|\band\b|[,;])\s*/;
+
+// Re-join segments with the separators they originally had
+const joinSegments = (segments) => segments.reduce((text, segment, index) => {
+    if (index === 0) {
+        return segment.text;
+    }
+    return /^[,;]$/.test(segment.separator)
+        ? `${text}${segment.separator} ${segment.text}`
+        : `${text} ${segment.separator} ${segment.text}`;
+}, '');
+
+// Start a new part at every segment that is a command on its own; other
+// segments belong to the part before them
+const partition = (segments, resolves) => {
+    const groups = [];
+    for (const segment of segments) {
+        if (groups.length && !resolves(segment.text)) {
+            groups[groups.length - 1].push(segment);
+        } else {
+            groups.push([segment]);
+        }
+    }
+    const parts = groups.map(joinSegments);
+    return parts.length > 1 && parts.every(resolves) ? parts : null;
+};
+
+// Returns the ordered sub-commands, or null when the command is not compound
+export const splitCompound = (cmd, registry) => {
+    if (registry.resolve(cmd)?.intent.atomic) {
+        return null;
+    }
+
+    // Each segment remembers the separator in front of it
+    const segments = [];
+    let rest = cmd;
+    let separator = '';
+    while (rest) {
+        const match = rest.match(SEPARATOR);
+        const head = match ? rest.slice(0, match.index) : rest;
+        if (head) {
+            segments.push({ separator, text: head });
+        }
+        if (!match) {
+            break;
+        }
+        separator = match[0].trim();
+        rest = rest.slice(match.index + match[0].length);
+    }
+    if (segments.length < 2 || segments.length > MAX_SEGMENTS) {
+        return null;
+    }
+
+    return partition(segments, part => Boolean(registry.resolve(part)));
+};
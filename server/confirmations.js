@@ -0,0 +1,130 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { translator } from './i18n.js';
+
+// Pending-confirmation state machine for destructive actions.
+//
+//   pending --confirm--> confirmed
+//   pending --cancel---> cancelled
+//   pending --timeout--> expired
+//
+// A destructive request is parked here with an `execute` callback and only
+// runs when confirmed before it expires. Every transition out of `pending`
+// emits 'resolved' (confirmation, outcome) so callers can record the outcome.
+// Outcome messages are worded in the `locale` the action was requested in.
+
+export class ConfirmationError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'ConfirmationError';
+        this.code = code;
+    }
+}
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+export class ConfirmationManager extends EventEmitter {
+    constructor({ timeoutMs = Number(process.env.CONFIRMATION_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS } = {}) {
+        super();
+        this.timeoutMs = timeoutMs;
+        this.pending = new Map();
+    }
+
+    // Public view of a pending entry (no callbacks or timers)
+    view(entry) {
+        const { token, action, description, metadata, state, createdAt, expiresAt } = entry;
+        return { token, action, description, metadata, state, createdAt, expiresAt };
+    }
+
+    request({ action, description, execute, metadata = {}, locale }) {
+        const token = randomUUID();
+        const createdAt = new Date();
+        const entry = {
+            token,
+            action,
+            description,
+            metadata,
+            execute,
+            locale,
+            state: 'pending',
+            createdAt,
+            expiresAt: new Date(createdAt.getTime() + this.timeoutMs)
+        };
+
+        entry.timer = setTimeout(() => this.expire(token), this.timeoutMs);
+        entry.timer.unref?.();
+        this.pending.set(token, entry);
+
+        return this.view(entry);
+    }
+
+    // Merge extra metadata (e.g. the history entry id) into a pending entry
+    attach(token, metadata) {
+        const entry = this.pending.get(token);
+        if (entry) {
+            entry.metadata = { ...entry.metadata, ...metadata };
+        }
+    }
+
+    get(token) {
+        const entry = this.pending.get(token);
+        return entry ? this.view(entry) : null;
+    }
+
+    list() {
+        return [...this.pending.values()].map(entry => this.view(entry));
+    }
+
+    latest() {
+        const entries = [...this.pending.values()];
+        return entries.length ? this.view(entries[entries.length - 1]) : null;
+    }
+
+    take(token) {
+        const entry = this.pending.get(token);
+        if (!entry) {
+            throw new ConfirmationError('No pending action for this confirmation token (it may have expired)', 'ENOENT');
+        }
+        clearTimeout(entry.timer);
+        this.pending.delete(token);
+        return entry;
+    }
+
+    async confirm(token) {
+        const entry = this.take(token);
+        entry.state = 'confirmed';
+
+        let outcome;
+        try {
+            outcome = await entry.execute(this.view(entry));
+        } catch (error) {
+            outcome = { status: 'error', response: translator(entry.locale)('error.failed', { message: error.message }) };
+        }
+
+        this.emit('resolved', this.view(entry), outcome);
+        return { confirmation: this.view(entry), outcome };
+    }
+
+    cancel(token) {
+        const entry = this.take(token);
+        entry.state = 'cancelled';
+
+        const outcome = { status: 'cancelled', response: translator(entry.locale)('confirmation.cancelled', { action: entry.description }) };
+        this.emit('resolved', this.view(entry), outcome);
+        return { confirmation: this.view(entry), outcome };
+    }
+
+    expire(token) {
+        const entry = this.pending.get(token);
+        if (!entry) {
+            return;
+        }
+        this.pending.delete(token);
+        entry.state = 'expired';
+
+        const outcome = { status: 'expired', response: translator(entry.locale)('confirmation.expired', { action: entry.description }) };
+        this.emit('resolved', this.view(entry), outcome);
+    }
+}
+
+export const confirmations = new ConfirmationManager();
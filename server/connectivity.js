@@ -0,0 +1,532 @@
+import { execFile } from 'child_process';
+import { launcher as defaultLauncher } from './launcher.js';
+
+// Wi-Fi and Bluetooth control.
+//
+// Wi-Fi goes through nmcli (NetworkManager) on Linux, networksetup on macOS
+// and netsh on Windows; Bluetooth through bluetoothctl (BlueZ) on Linux and
+// blueutil on macOS. Command output is parsed into plain objects:
+//   network   { ssid, signal (0-100, null if unknown), security, active }
+//   wifi      { enabled, connection: { ssid, device, signal } | null }
+//   device    { address, name, paired, connected }
+//   bluetooth { powered, controller }
+//
+// Adapters are objects built around the controller's `run(command, args,
+// { change })`:
+//   wifi       { name, status(), setEnabled(on), scan(), connect(ssid, password), disconnect() }
+//   bluetooth  { name, status(), setPowered(on), devices(), connect(address), disconnect(address) }
+// `execFileImpl` replaces child_process.execFile and `adapters` passes adapter
+// objects in directly, so the parsers can be exercised with recorded output
+// and no network hardware. A recording controller (see `recording()`)
+// records changes instead of making them, backing dry-run mode; queries
+// still run. Passwords never appear in a plan.
+
+export class ConnectivityError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'ConnectivityError';
+        this.code = code;
+    }
+}
+
+// Spoken names against SSIDs and device names: case, spaces and
+// punctuation are ignored
+export const nameKey = (name) => String(name || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+
+// The best match for `spoken` among `items`: exact, then prefix, then substring
+export const findByName = (items, spoken, key = item => item.name) => {
+    const wanted = nameKey(spoken);
+    if (!wanted) {
+        return null;
+    }
+    const keyed = items.map(item => [nameKey(key(item)), item]);
+    return keyed.find(([name]) => name === wanted)?.[1]
+        ?? keyed.find(([name]) => name.startsWith(wanted))?.[1]
+        ?? keyed.find(([name]) => name && wanted.length >= 3 && name.includes(wanted))?.[1]
+        ?? null;
+};
+
+// One line of `nmcli -t` output: ":" separates fields, "\:" and "\\" escape
+export const splitTerse = (line) => {
+    const fields = [];
+    let current = '';
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '\\' && i + 1 < line.length) {
+            current += line[++i];
+        } else if (line[i] === ':') {
+            fields.push(current);
+            current = '';
+        } else {
+            current += line[i];
+        }
+    }
+    fields.push(current);
+    return fields;
+};
+
+const lines = (output) => String(output).split(/\r?\n/).filter(line => line.trim());
+
+// SSIDs reach the tools as arguments of their own; one starting with "-"
+// would be read as an option
+const assertNetworkName = (ssid) => {
+    if (String(ssid).startsWith('-')) {
+        throw new ConnectivityError(`"${ssid}" is not a valid network name`, 'EINVAL');
+    }
+    return ssid;
+};
+
+// Strongest entry per SSID, connected network first; hidden networks are left out
+const rankNetworks = (networks) => {
+    const bySsid = new Map();
+    for (const network of networks.filter(network => network.ssid)) {
+        const seen = bySsid.get(network.ssid);
+        if (!seen || network.active > seen.active || (network.active === seen.active && (network.signal ?? -1) > (seen.signal ?? -1))) {
+            bySsid.set(network.ssid, network);
+        }
+    }
+    return [...bySsid.values()].sort((a, b) => Number(b.active) - Number(a.active) || (b.signal ?? -1) - (a.signal ?? -1));
+};
+
+// `nmcli -t -f IN-USE,SSID,SIGNAL,SECURITY device wifi list`
+export const parseNmcliWifiList = (output) => rankNetworks(lines(output).map(line => {
+    const [inUse, ssid, signal, security] = splitTerse(line);
+    return {
+        ssid,
+        signal: signal === '' ? null : Number(signal),
+        security: security && security !== '--' ? security : null,
+        active: inUse === '*'
+    };
+}));
+
+// `nmcli -t -f DEVICE,TYPE,STATE,CONNECTION device status`
+export const parseNmcliDevices = (output) => lines(output).map(line => {
+    const [device, type, state, connection] = splitTerse(line);
+    return { device, type, state, connection: connection && connection !== '--' ? connection : null };
+});
+
+// "Name: value" blocks of netsh, networksetup and bluetoothctl
+const parseFields = (output) => {
+    const fields = {};
+    for (const line of lines(output)) {
+        const match = line.match(/^\s*([^:]+?)\s*:\s*(.*)$/);
+        if (match && !(match[1].toLowerCase() in fields)) {
+            fields[match[1].toLowerCase()] = match[2].trim();
+        }
+    }
+    return fields;
+};
+
+// `netsh wlan show interfaces`
+export const parseNetshInterfaces = (output) => {
+    const fields = parseFields(output);
+    return {
+        name: fields.name || null,
+        enabled: !/\b(?:Hardware|Software) Off\b/i.test(output),
+        connection: fields.state === 'connected' && fields.ssid
+            ? { ssid: fields.ssid, device: fields.name || null, signal: fields.signal ? Number.parseInt(fields.signal, 10) : null }
+            : null
+    };
+};
+
+// `netsh wlan show networks mode=bssid`: "SSID 1 : Name" starts each network
+export const parseNetshNetworks = (output) => {
+    const networks = [];
+    for (const line of lines(output)) {
+        const ssid = line.match(/^SSID \d+\s*:\s*(.*)$/);
+        const field = line.match(/^\s+(Authentication|Signal)\s*:\s*(.*)$/);
+        if (ssid) {
+            networks.push({ ssid: ssid[1].trim(), signal: null, security: null, active: false });
+        } else if (field && networks.length) {
+            const network = networks[networks.length - 1];
+            if (field[1] === 'Authentication') {
+                network.security = field[2] === 'Open' ? null : field[2];
+            } else if (network.signal === null) {
+                network.signal = Number.parseInt(field[2], 10);
+            }
+        }
+    }
+    return rankNetworks(networks);
+};
+
+// `networksetup -listallhardwareports`: the Wi-Fi device name ("en0")
+export const parseHardwarePorts = (output) => {
+    const match = String(output).match(/Hardware Port:\s*(?:Wi-Fi|AirPort)\s*\r?\nDevice:\s*(\S+)/);
+    return match ? match[1] : null;
+};
+
+// `bluetoothctl devices`: "Device AA:BB:CC:DD:EE:FF Headphones"
+export const parseBluetoothDevices = (output) => lines(output)
+    .map(line => line.match(/^Device\s+([0-9A-F]{2}(?::[0-9A-F]{2}){5})\s+(.*)$/i))
+    .filter(Boolean)
+    .map(([, address, name]) => ({ address, name: name.trim() }));
+
+// `bluetoothctl show` and `bluetoothctl info <address>`
+export const parseBluetoothInfo = (output) => {
+    const fields = parseFields(String(output).replace(/^(?:Controller|Device)\s+\S+.*$/m, ''));
+    const flag = (key) => key in fields ? fields[key] === 'yes' : null;
+    return {
+        address: String(output).match(/^(?:Controller|Device)\s+(\S+)/m)?.[1] ?? null,
+        name: fields.alias || fields.name || null,
+        powered: flag('powered'),
+        paired: flag('paired'),
+        connected: flag('connected')
+    };
+};
+
+export const wifiAdapters = {
+    nmcli: (controller) => {
+        const nmcli = (args, options) => controller.run('nmcli', args, options);
+        const connectedDevice = async () => parseNmcliDevices(await nmcli(['-t', '-f', 'DEVICE,TYPE,STATE,CONNECTION', 'device', 'status']))
+            .find(item => item.type === 'wifi' && item.state.startsWith('connected'));
+        return {
+            name: 'nmcli',
+            status: async () => {
+                const enabled = (await nmcli(['-t', '-f', 'WIFI', 'radio'])).trim() === 'enabled';
+                const device = await connectedDevice();
+                if (!enabled || !device) {
+                    return { enabled, connection: null };
+                }
+                const active = parseNmcliWifiList(await nmcli(['-t', '-f', 'IN-USE,SSID,SIGNAL,SECURITY', 'device', 'wifi', 'list', '--rescan', 'no']))
+                    .find(network => network.active);
+                return {
+                    enabled,
+                    connection: { ssid: active?.ssid ?? device.connection, device: device.device, signal: active?.signal ?? null }
+                };
+            },
+            setEnabled: (on) => nmcli(['radio', 'wifi', on ? 'on' : 'off'], { change: true }),
+            scan: async () => parseNmcliWifiList(await nmcli(['-t', '-f', 'IN-USE,SSID,SIGNAL,SECURITY', 'device', 'wifi', 'list', '--rescan', 'auto'])),
+            // Saved profiles are brought up as they are; new networks get one
+            connect: async (ssid, password) => {
+                const saved = lines(await nmcli(['-t', '-f', 'NAME,TYPE', 'connection', 'show']))
+                    .map(splitTerse)
+                    .some(([name, type]) => name === ssid && type === '802-11-wireless');
+                if (saved && !password) {
+                    return nmcli(['connection', 'up', 'id', ssid], { change: true });
+                }
+                return nmcli(['device', 'wifi', 'connect', ssid, ...(password ? ['password', password] : [])], { change: true });
+            },
+            // The profile name may differ from the SSID ("Home 1"), so the
+            // device is disconnected rather than the connection
+            disconnect: async () => {
+                const device = await connectedDevice();
+                if (!device) {
+                    throw new ConnectivityError('Wi-Fi is not connected', 'ENOENT');
+                }
+                return nmcli(['device', 'disconnect', device.device], { change: true });
+            }
+        };
+    },
+    networksetup: (controller) => {
+        let device = null;
+        const wifiDevice = async () => {
+            device = device || parseHardwarePorts(await controller.run('networksetup', ['-listallhardwareports']));
+            if (!device) {
+                throw new ConnectivityError('No Wi-Fi hardware found', 'ENODEV');
+            }
+            return device;
+        };
+        return {
+            name: 'networksetup',
+            status: async () => {
+                const name = await wifiDevice();
+                const enabled = /:\s*On\b/.test(await controller.run('networksetup', ['-getairportpower', name]));
+                const ssid = (await controller.run('networksetup', ['-getairportnetwork', name])).match(/Network:\s*(.+)/)?.[1]?.trim();
+                return { enabled, connection: enabled && ssid ? { ssid, device: name, signal: null } : null };
+            },
+            setEnabled: async (on) => controller.run('networksetup', ['-setairportpower', await wifiDevice(), on ? 'on' : 'off'], { change: true }),
+            scan: async () => {
+                throw new ConnectivityError('Listing Wi-Fi networks is not supported on macOS', 'ENOTSUP');
+            },
+            connect: async (ssid, password) => controller.run('networksetup',
+                ['-setairportnetwork', await wifiDevice(), ssid, ...(password ? [password] : [])], { change: true }),
+            disconnect: async () => controller.run('networksetup', ['-removepreferredwirelessnetwork', await wifiDevice()], { change: true })
+        };
+    },
+    netsh: (controller) => {
+        const netsh = (args, options) => controller.run('netsh', args, options);
+        return {
+            name: 'netsh',
+            status: async () => {
+                const { enabled, connection } = parseNetshInterfaces(await netsh(['wlan', 'show', 'interfaces']));
+                return { enabled, connection };
+            },
+            // Needs an elevated server
+            setEnabled: async (on) => {
+                const { name } = parseNetshInterfaces(await netsh(['wlan', 'show', 'interfaces']));
+                return netsh(['interface', 'set', 'interface', `name=${name || 'Wi-Fi'}`, `admin=${on ? 'enabled' : 'disabled'}`], { change: true });
+            },
+            scan: async () => {
+                const { connection } = parseNetshInterfaces(await netsh(['wlan', 'show', 'interfaces']));
+                return parseNetshNetworks(await netsh(['wlan', 'show', 'networks', 'mode=bssid']))
+                    .map(network => ({ ...network, active: network.ssid === connection?.ssid }));
+            },
+            // Only networks with a saved profile can be joined
+            connect: (ssid) => netsh(['wlan', 'connect', `name=${ssid}`], { change: true }),
+            disconnect: () => netsh(['wlan', 'disconnect'], { change: true })
+        };
+    }
+};
+
+export const bluetoothAdapters = {
+    bluetoothctl: (controller) => {
+        const bluetoothctl = (args, options) => controller.run('bluetoothctl', args, options);
+        // bluetoothctl reports some failures on stdout with a zero exit code
+        const checked = async (args) => {
+            const output = await bluetoothctl(args, { change: true });
+            if (/\b(?:Failed|not available|No default controller)\b/i.test(output)) {
+                throw new ConnectivityError(output.trim().split(/\r?\n/).pop(), 'EFAIL');
+            }
+            return output;
+        };
+        return {
+            name: 'bluetoothctl',
+            status: async () => {
+                const output = await bluetoothctl(['show']);
+                if (/No default controller/i.test(output) || !output.trim()) {
+                    throw new ConnectivityError('No Bluetooth adapter found', 'ENODEV');
+                }
+                const info = parseBluetoothInfo(output);
+                return { powered: Boolean(info.powered), controller: info.name };
+            },
+            setPowered: (on) => checked(['power', on ? 'on' : 'off']),
+            devices: async () => {
+                const devices = [];
+                for (const { address, name } of parseBluetoothDevices(await bluetoothctl(['devices'])).slice(0, 30)) {
+                    const info = parseBluetoothInfo(await bluetoothctl(['info', address]).catch(() => ''));
+                    devices.push({ address, name: info.name || name, paired: Boolean(info.paired), connected: Boolean(info.connected) });
+                }
+                return devices;
+            },
+            connect: (address) => checked(['connect', address]),
+            disconnect: (address) => checked(['disconnect', address])
+        };
+    },
+    // blueutil from Homebrew
+    blueutil: (controller) => ({
+        name: 'blueutil',
+        status: async () => ({ powered: (await controller.run('blueutil', ['--power'])).trim() === '1', controller: null }),
+        setPowered: (on) => controller.run('blueutil', ['--power', on ? '1' : '0'], { change: true }),
+        devices: async () => JSON.parse(await controller.run('blueutil', ['--paired', '--format', 'json']) || '[]')
+            .map(({ address, name, paired, connected }) => ({ address, name, paired: Boolean(paired), connected: Boolean(connected) })),
+        connect: (address) => controller.run('blueutil', ['--connect', address], { change: true }),
+        disconnect: (address) => controller.run('blueutil', ['--disconnect', address], { change: true })
+    })
+};
+
+// Adapters to try per platform: [name, executable to look for]
+const DETECTION_ORDER = {
+    wifi: {
+        linux: [['nmcli', 'nmcli']],
+        darwin: [['networksetup', 'networksetup']],
+        win32: [['netsh', 'netsh']]
+    },
+    bluetooth: {
+        linux: [['bluetoothctl', 'bluetoothctl']],
+        darwin: [['blueutil', 'blueutil']]
+    }
+};
+
+const FACTORIES = { wifi: wifiAdapters, bluetooth: bluetoothAdapters };
+
+const MISSING = {
+    wifi: 'Wi-Fi control not available. On Linux, NetworkManager (nmcli) is needed.',
+    bluetooth: 'Bluetooth control not available. On Linux, BlueZ (bluetoothctl) is needed; on macOS, blueutil.'
+};
+
+export class ConnectivityController {
+    constructor({
+        launcher = defaultLauncher,
+        execFileImpl = execFile,
+        adapters = {},
+        timeout = 20000
+    } = {}) {
+        this.launcher = launcher;
+        this.execFileImpl = execFileImpl;
+        this.provided = adapters;
+        this.timeout = timeout;
+        this.instances = new Map();
+        this.plans = null;
+    }
+
+    // Copy of this controller that records changes instead of making them
+    recording(plans = []) {
+        const copy = new ConnectivityController({
+            launcher: this.launcher,
+            execFileImpl: this.execFileImpl,
+            adapters: this.provided,
+            timeout: this.timeout
+        });
+        copy.plans = plans;
+        return copy;
+    }
+
+    async run(command, args, { change = false } = {}) {
+        if (change && this.plans) {
+            const passwordAt = args.indexOf('password');
+            this.plans.push({
+                name: 'connectivity',
+                command,
+                args: passwordAt >= 0 ? [...args.slice(0, passwordAt + 1), '***'] : args
+            });
+            return '';
+        }
+        return new Promise((resolve, reject) => {
+            this.execFileImpl(command, args, { timeout: this.timeout, env: { ...process.env, LC_ALL: 'C' } }, (error, stdout, stderr) => {
+                if (error) {
+                    if (error.code === 'ENOENT') {
+                        reject(new ConnectivityError(`"${command}" not found or not installed`, 'ENOTSUP'));
+                    } else {
+                        reject(new ConnectivityError(String(stderr || stdout || error.message).trim().split(/\r?\n/).pop(), 'EFAIL'));
+                    }
+                } else {
+                    resolve(stdout);
+                }
+            });
+        });
+    }
+
+    // The adapter for `kind` ('wifi' or 'bluetooth')
+    adapter(kind) {
+        if (this.provided[kind]) {
+            return this.provided[kind];
+        }
+        if (!this.instances.has(kind)) {
+            const found = (DETECTION_ORDER[kind][this.launcher.platformKey()] || [])
+                .find(([, command]) => this.launcher.which(command));
+            if (!found) {
+                throw new ConnectivityError(MISSING[kind], 'ENOTSUP');
+            }
+            this.instances.set(kind, FACTORIES[kind][found[0]](this));
+        }
+        return this.instances.get(kind);
+    }
+
+    // What is available: { wifi, bluetooth } adapter names or null
+    capabilities() {
+        const names = {};
+        for (const kind of Object.keys(FACTORIES)) {
+            try {
+                names[kind] = this.adapter(kind).name;
+            } catch {
+                names[kind] = null;
+            }
+        }
+        return names;
+    }
+
+    async wifiStatus() {
+        return this.adapter('wifi').status();
+    }
+
+    async setWifi(on) {
+        await this.adapter('wifi').setEnabled(on);
+        return on;
+    }
+
+    async wifiNetworks() {
+        return this.adapter('wifi').scan();
+    }
+
+    // Join a network by (spoken) SSID. Networks in range are matched loosely;
+    // one not in the scan is tried under the exact name given.
+    async connectWifi(ssid, password = null) {
+        const adapter = this.adapter('wifi');
+        const networks = await adapter.scan().catch(() => []);
+        const network = findByName(networks, ssid, item => item.ssid) || { ssid: String(ssid).trim() };
+        await adapter.connect(assertNetworkName(network.ssid), password);
+        return network.ssid;
+    }
+
+    async bluetoothStatus() {
+        return this.adapter('bluetooth').status();
+    }
+
+    async setBluetooth(on) {
+        await this.adapter('bluetooth').setPowered(on);
+        return on;
+    }
+
+    async bluetoothDevices() {
+        return this.adapter('bluetooth').devices();
+    }
+
+    // A known Bluetooth device by address or (spoken) name
+    async findDevice(spoken) {
+        const devices = await this.bluetoothDevices();
+        const device = devices.find(item => item.address.toLowerCase() === String(spoken).toLowerCase())
+            || findByName(devices, spoken);
+        if (!device) {
+            throw new ConnectivityError(`No Bluetooth device named "${spoken}"`, 'ENOENT');
+        }
+        return device;
+    }
+
+    async connectDevice(spoken) {
+        const device = await this.findDevice(spoken);
+        await this.adapter('bluetooth').connect(device.address);
+        return device;
+    }
+
+    async disconnectDevice(spoken) {
+        const device = await this.findDevice(spoken);
+        await this.adapter('bluetooth').disconnect(device.address);
+        return device;
+    }
+
+    requireAny() {
+        const { wifi, bluetooth } = this.capabilities();
+        if (!wifi && !bluetooth) {
+            throw new ConnectivityError('Wi-Fi and Bluetooth control not available. On Linux, nmcli and bluetoothctl are needed.', 'ENOTSUP');
+        }
+    }
+
+    // "connect to <name>": a Wi-Fi network in range, else a paired Bluetooth
+    // device. Resolves to { type: 'wifi', name } or { type: 'bluetooth', name, address }.
+    async connect(spoken) {
+        this.requireAny();
+        const networks = await this.wifiNetworks().catch(() => []);
+        const network = findByName(networks, spoken, item => item.ssid);
+        if (network) {
+            await this.adapter('wifi').connect(assertNetworkName(network.ssid), null);
+            return { type: 'wifi', name: network.ssid };
+        }
+        const devices = await this.bluetoothDevices().catch(() => []);
+        const device = findByName(devices.filter(item => item.paired), spoken);
+        if (device) {
+            await this.adapter('bluetooth').connect(device.address);
+            return { type: 'bluetooth', name: device.name, address: device.address };
+        }
+        throw new ConnectivityError(`No Wi-Fi network or Bluetooth device named "${spoken}"`, 'ENOENT');
+    }
+
+    // Counterpart of connect(): the current Wi-Fi network or a connected device
+    async disconnect(spoken) {
+        this.requireAny();
+        const wifi = await this.wifiStatus().catch(() => null);
+        if (wifi?.connection && findByName([wifi.connection], spoken, item => item.ssid)) {
+            await this.adapter('wifi').disconnect();
+            return { type: 'wifi', name: wifi.connection.ssid };
+        }
+        const devices = await this.bluetoothDevices().catch(() => []);
+        const device = findByName(devices.filter(item => item.connected), spoken);
+        if (device) {
+            await this.adapter('bluetooth').disconnect(device.address);
+            return { type: 'bluetooth', name: device.name, address: device.address };
+        }
+        throw new ConnectivityError(`Not connected to anything named "${spoken}"`, 'ENOENT');
+    }
+
+    // Everything at once for "what am I connected to"; parts that are not
+    // available are null
+    async status() {
+        const wifi = await this.wifiStatus().catch(() => null);
+        const bluetooth = await this.bluetoothStatus().catch(() => null);
+        const devices = bluetooth?.powered ? await this.bluetoothDevices().catch(() => []) : [];
+        return {
+            wifi,
+            bluetooth: bluetooth && { ...bluetooth, connected: devices.filter(device => device.connected) }
+        };
+    }
+}
+
+export const connectivity = new ConnectivityController();
@@ -0,0 +1,129 @@
+import { translator } from './i18n.js';
+
+// Per-session dialogue context for follow-up commands.
+//
+// Clients pass a session id with each command. The last command of a session
+// (its text, intent, slots and result) is kept so that elliptical follow-ups
+// can be rewritten into a full command before intent resolution:
+//   "again", "repeat that"            -> the previous command
+//   "more", "less"                    -> the intent's `followUps` entry
+//   "undo that"                       -> the intent's `undo` command
+//   "now on youtube", "on google"     -> the previous query on another site
+//   "what about java"                 -> the previous command with a new query
+// Sessions expire after CONVERSATION_TTL_MS of inactivity (default 5 minutes).
+
+const FOLLOW_UPS = [
+    { kind: 'again', pattern: /^(?:(?:do (?:that|it) )?again|repeat(?: that| it)?|one more time|same again)$/ },
+    { kind: 'undo', pattern: /^(?:undo|revert|reverse)(?: (?:that|it|the last (?:one|command)))?$/ },
+    { kind: 'more', pattern: /^(?:(?:a (?:bit|little) |a lot |even |some |much )?more|again but more|keep going)$/ },
+    { kind: 'less', pattern: /^(?:(?:a (?:bit|little) |a lot |even |some |much )?less|too much|back a bit)$/ },
+    { kind: 'retarget', pattern: /^(?:(?:now|and|then|ok|okay)\s+)?(?:search (?:that|it) )?(?:on|in)\s+(?<target>[a-z0-9.]+)(?:\s+instead)?$/ },
+    { kind: 'replace', pattern: /^(?:and )?(?:what|how) about\s+(?<value>.+?)(?:\s+instead)?$/ }
+];
+
+const followUpCommand = (spec, slots) => typeof spec === 'function' ? spec(slots) : spec;
+
+// Rewrite a follow-up against the previous turn. Returns
+// { text, followUp } or { error } when it is a follow-up that cannot apply,
+// and null when the command is not a follow-up. Errors are worded with `t`.
+export const resolveFollowUp = (cmd, last, registry, t = translator()) => {
+    const followUp = FOLLOW_UPS.map(({ kind, pattern }) => ({ kind, match: cmd.match(pattern) }))
+        .find(({ match }) => match);
+    if (!followUp || !last) {
+        return null;
+    }
+
+    const intent = registry.get(last.intent);
+    const { kind, match } = followUp;
+    let text = null;
+
+    switch (kind) {
+        case 'again':
+            text = last.text;
+            break;
+        case 'undo':
+            if (last.result.status !== 'success') {
+                return { error: t('followUp.failed', { command: last.text }) };
+            }
+            text = intent?.undo && followUpCommand(intent.undo, last.slots);
+            if (!text) {
+                return { error: t('followUp.cannotUndo', { command: last.text }) };
+            }
+            break;
+        case 'more':
+        case 'less':
+            text = intent?.followUps?.[kind] && followUpCommand(intent.followUps[kind], last.slots);
+            if (!text) {
+                return { error: t(`followUp.notApplicable.${kind}`, { command: last.text }) };
+            }
+            break;
+        case 'retarget':
+            if (!last.slots.query) {
+                return null;
+            }
+            text = `search ${last.slots.query} on ${match.groups.target}`;
+            break;
+        case 'replace':
+            // Only commands with a free-text query can take a new one
+            if (!last.slots.query || !last.text.includes(last.slots.query)) {
+                return null;
+            }
+            text = last.text.replace(last.slots.query, match.groups.value);
+            break;
+    }
+    return { text, followUp: kind };
+};
+
+export class ConversationStore {
+    constructor({ ttlMs = Number(process.env.CONVERSATION_TTL_MS) || 5 * 60 * 1000 } = {}) {
+        this.ttlMs = ttlMs;
+        this.sessions = new Map();
+    }
+
+    // Drop sessions that have been idle longer than the TTL
+    prune(now = Date.now()) {
+        for (const [id, session] of this.sessions) {
+            if (now - session.updatedAt.getTime() > this.ttlMs) {
+                this.sessions.delete(id);
+            }
+        }
+    }
+
+    get(id) {
+        this.prune();
+        return this.sessions.get(id) || null;
+    }
+
+    last(id) {
+        return this.get(id)?.last || null;
+    }
+
+    // Record a resolved command as the session's latest turn
+    remember(id, { text, intent, slots, result }) {
+        this.prune();
+        const now = Date.now();
+        const session = this.sessions.get(id) || { id, createdAt: new Date(now), turns: 0 };
+        session.turns++;
+        session.updatedAt = new Date(now);
+        session.last = {
+            text,
+            intent,
+            slots,
+            result: { status: result.status, response: result.response },
+            at: new Date(now)
+        };
+        this.sessions.set(id, session);
+        return session;
+    }
+
+    forget(id) {
+        return this.sessions.delete(id);
+    }
+
+    list() {
+        this.prune();
+        return [...this.sessions.values()];
+    }
+}
+
+export const conversations = new ConversationStore();
@@ -0,0 +1,231 @@
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Installed application discovery on Linux from XDG .desktop files.
+//
+// Entries are read from $XDG_DATA_HOME/applications (~/.local/share) and each
+// $XDG_DATA_DIRS/applications (/usr/local/share, /usr/share). The desktop id
+// is the path below applications/ with "/" turned into "-"; the first
+// directory providing an id wins, so a user's copy (including a Hidden=true
+// one) shadows the system file.
+//
+// Each usable entry becomes an app catalog definition (see apps.js):
+//   { name, label, aliases: [Name, GenericName], keywords, platforms: { linux: [argv] }, desktopId, file }
+// Exec is split into argv without a shell, and field codes (%f, %U, ...) are
+// dropped since nothing is passed on launch. Hidden, NoDisplay, non-Application
+// and Terminal=true entries are skipped: the latter need a terminal to be
+// useful.
+//
+// The index emits 'change' with the entries after every scan, and rescans
+// (debounced) when a watched applications directory changes.
+
+export const applicationDirs = (env = process.env, home = os.homedir()) => {
+    const dataHome = env.XDG_DATA_HOME || path.join(home, '.local', 'share');
+    const dataDirs = (env.XDG_DATA_DIRS || '/usr/local/share:/usr/share').split(':').filter(Boolean);
+    return [...new Set([dataHome, ...dataDirs].map(dir => path.join(dir, 'applications')))];
+};
+
+// Backslash escapes of string values ("\s", "\n", "\t", "\r", "\\")
+const unescapeValue = (value) => value.replace(/\\([sntr\\;])/g, (escape, char) =>
+    ({ s: ' ', n: '\n', t: '\t', r: '\r', '\\': '\\', ';': '\\;' })[char]);
+
+// "a;b\;c;" -> ["a", "b;c"]
+const splitList = (value = '') => value
+    .split(/(?<!\\);/)
+    .map(item => item.replace(/\\;/g, ';').trim())
+    .filter(Boolean);
+
+// Keys of the [Desktop Entry] group. Localized keys ("Name[hi]") are kept
+// under their full name.
+export const parseDesktopEntry = (text) => {
+    const fields = {};
+    let group = null;
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) {
+            continue;
+        }
+        const header = line.match(/^\[(.+)\]$/);
+        if (header) {
+            group = header[1];
+            continue;
+        }
+        const field = group === 'Desktop Entry' && line.match(/^([A-Za-z0-9-]+(?:\[[^\]]+\])?)\s*=\s*(.*)$/);
+        if (field && !(field[1] in fields)) {
+            fields[field[1]] = unescapeValue(field[2]);
+        }
+    }
+    return fields;
+};
+
+// Split an Exec value into argv following the desktop entry spec: double
+// quotes group, backslash escapes inside quotes, "%%" is a literal percent
+// and other field codes are removed. Returns null for malformed values.
+export const parseExec = (exec) => {
+    const args = [];
+    let current = null;
+    let quoted = false;
+
+    for (let i = 0; i < exec.length; i++) {
+        const char = exec[i];
+        if (quoted) {
+            if (char === '\\' && i + 1 < exec.length) {
+                current += exec[++i];
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+            current = current ?? '';
+        } else if (/\s/.test(char)) {
+            if (current !== null) {
+                args.push(current);
+                current = null;
+            }
+        } else {
+            current = (current ?? '') + char;
+        }
+    }
+    if (quoted) {
+        return null;
+    }
+    if (current !== null) {
+        args.push(current);
+    }
+
+    return args
+        .filter(arg => !/^%[a-zA-Z]$/.test(arg))
+        .map(arg => arg.replace(/%(.)/g, (code, char) => char === '%' ? '%' : ''))
+        .filter(Boolean);
+};
+
+// "org.gnome.Calculator.desktop" -> "org.gnome.calculator"
+const appName = (desktopId) => desktopId
+    .replace(/\.desktop$/, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9._-]+/g, '-')
+    .replace(/^[^a-z0-9]+/, '');
+
+// App catalog definition for a parsed entry, or null when it is not launchable
+export const toAppDefinition = (desktopId, fields, file = null) => {
+    const isTrue = (key) => fields[key] === 'true';
+    if (fields.Type !== 'Application' || isTrue('Hidden') || isTrue('NoDisplay') || isTrue('Terminal')) {
+        return null;
+    }
+    const argv = fields.Exec ? parseExec(fields.Exec) : null;
+    const name = appName(desktopId);
+    if (!argv?.length || !fields.Name || !name) {
+        return null;
+    }
+    return {
+        name,
+        label: fields.Name,
+        aliases: [...new Set([fields.Name, fields.GenericName].filter(Boolean))],
+        keywords: splitList(fields.Keywords),
+        platforms: { linux: [argv] },
+        desktopId,
+        file
+    };
+};
+
+export class DesktopEntryIndex extends EventEmitter {
+    constructor({
+        dirs = applicationDirs(),
+        platform = os.platform(),
+        debounceMs = 500,
+        fsImpl = fs
+    } = {}) {
+        super();
+        this.dirs = dirs;
+        this.platform = platform;
+        this.debounceMs = debounceMs;
+        this.fs = fsImpl;
+        this.entries = [];
+        this.watchers = [];
+        this.timer = null;
+    }
+
+    // .desktop files below `dir` as [desktopId, file]
+    async listFiles(dir, prefix = '') {
+        let items;
+        try {
+            items = await this.fs.promises.readdir(dir, { withFileTypes: true });
+        } catch {
+            return [];
+        }
+        const files = [];
+        for (const item of items) {
+            const file = path.join(dir, item.name);
+            if (item.isDirectory()) {
+                files.push(...await this.listFiles(file, `${prefix}${item.name}-`));
+            } else if (item.name.endsWith('.desktop')) {
+                files.push([`${prefix}${item.name}`, file]);
+            }
+        }
+        return files;
+    }
+
+    async refresh() {
+        const seen = new Set();
+        const entries = [];
+        for (const dir of this.dirs) {
+            for (const [desktopId, file] of await this.listFiles(dir)) {
+                if (seen.has(desktopId)) {
+                    continue;
+                }
+                seen.add(desktopId);
+                try {
+                    const entry = toAppDefinition(desktopId, parseDesktopEntry(await this.fs.promises.readFile(file, 'utf8')), file);
+                    if (entry) {
+                        entries.push(entry);
+                    }
+                } catch {
+                    // unreadable entries are skipped
+                }
+            }
+        }
+
+        this.entries = entries.sort((a, b) => a.name.localeCompare(b.name));
+        this.emit('change', this.entries);
+        return this.entries;
+    }
+
+    // Scan now and rescan whenever an applications directory changes.
+    // Directories that do not exist yet are not watched.
+    async start() {
+        if (this.platform !== 'linux' || this.watchers.length) {
+            return this.entries;
+        }
+        for (const dir of this.dirs) {
+            try {
+                const watcher = this.fs.watch(dir, () => this.scheduleRefresh());
+                watcher.on('error', () => watcher.close());
+                watcher.unref?.();
+                this.watchers.push(watcher);
+            } catch {
+                // missing directory or watch limit reached
+            }
+        }
+        return this.refresh();
+    }
+
+    scheduleRefresh() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.refresh().catch(error => console.error('Application index refresh error:', error));
+        }, this.debounceMs);
+        this.timer.unref?.();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.watchers.forEach(watcher => watcher.close());
+        this.watchers = [];
+    }
+}
+
+export const desktopEntries = new DesktopEntryIndex();
@@ -0,0 +1,351 @@
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { launcher as defaultLauncher } from './launcher.js';
+
+// Display control: brightness, display power and night light.
+//
+// Each feature has its own backends, tried in order for the platform:
+//   brightness   Linux: /sys/class/backlight, brightnessctl, xrandr (software
+//                gamma, for external monitors); macOS: `brightness`;
+//                Windows: WMI through PowerShell
+//   power        Linux: xset (DPMS); macOS: pmset; Windows: nircmd
+//   night light  Linux: gsettings (GNOME), redshift; macOS: `nightlight`
+// A sysfs device counts as available when it exists; it is used for writes
+// only when the file is writable, brightnessctl (which goes through logind)
+// being preferred otherwise.
+//
+// Backends are objects built around the controller's `run(command, args,
+// { change })` and `write(file, value)`:
+//   brightness  { name, get() => percent | null, set(percent) }
+//   power       { name, set(on) }
+//   nightLight  { name, get() => boolean | null, set(on) }
+// The sysfs tree is read below `root`, so tests can run against a fake
+// /sys on a headless machine; `backends` passes backend objects in directly.
+// A recording controller (see `recording()`) records changes instead of
+// making them, backing dry-run mode; reads still happen.
+
+export class DisplayError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'DisplayError';
+        this.code = code;
+    }
+}
+
+// Brightness never goes fully dark: that is what "turn off the display" is for
+const clampBrightness = (level) => Math.min(100, Math.max(1, Math.round(level)));
+
+const BACKLIGHT_TYPES = ['firmware', 'platform', 'raw'];
+
+// Backlight devices under <root>/sys/class/backlight, best first
+export const listBacklights = async (root = '/') => {
+    const dir = path.join(root, 'sys', 'class', 'backlight');
+    let names;
+    try {
+        names = await fs.readdir(dir);
+    } catch {
+        return [];
+    }
+    const devices = [];
+    for (const name of names) {
+        const read = async (file) => (await fs.readFile(path.join(dir, name, file), 'utf8')).trim();
+        try {
+            devices.push({
+                name,
+                path: path.join(dir, name),
+                type: await read('type').catch(() => 'raw'),
+                max: Number(await read('max_brightness'))
+            });
+        } catch {
+            // not a usable backlight
+        }
+    }
+    return devices
+        .filter(device => device.max > 0)
+        .sort((a, b) => BACKLIGHT_TYPES.indexOf(a.type) - BACKLIGHT_TYPES.indexOf(b.type));
+};
+
+// `brightnessctl -m`: "intel_backlight,backlight,12000,50%,24000"
+export const parseBrightnessctl = (output) => {
+    const percent = String(output).split(/\r?\n/)[0]?.split(',')[3];
+    return percent ? Number.parseInt(percent, 10) : null;
+};
+
+// `xrandr --verbose`: connected outputs with their "Brightness: 0.80"
+export const parseXrandr = (output) => {
+    const outputs = [];
+    for (const line of String(output).split(/\r?\n/)) {
+        const connected = line.match(/^(\S+) connected( primary)?/);
+        if (connected) {
+            outputs.push({ name: connected[1], primary: Boolean(connected[2]), brightness: null });
+            continue;
+        }
+        const brightness = line.match(/^\s+Brightness:\s*([\d.]+)/);
+        if (brightness && outputs.length) {
+            outputs[outputs.length - 1].brightness = Math.round(Number(brightness[1]) * 100);
+        }
+    }
+    return outputs.sort((a, b) => Number(b.primary) - Number(a.primary));
+};
+
+export const brightnessBackends = {
+    sysfs: (controller, device) => ({
+        name: 'sysfs',
+        device: device.name,
+        get: async () => {
+            const file = await fs.readFile(path.join(device.path, 'actual_brightness'), 'utf8')
+                .catch(() => fs.readFile(path.join(device.path, 'brightness'), 'utf8'));
+            return Math.round(Number(file.trim()) / device.max * 100);
+        },
+        set: (level) => controller.write(path.join(device.path, 'brightness'), String(Math.max(1, Math.round(device.max * level / 100))))
+    }),
+    brightnessctl: (controller) => ({
+        name: 'brightnessctl',
+        get: async () => parseBrightnessctl(await controller.run('brightnessctl', ['-m'])),
+        set: (level) => controller.run('brightnessctl', ['-q', 'set', `${level}%`], { change: true })
+    }),
+    xrandr: (controller) => ({
+        name: 'xrandr',
+        get: async () => parseXrandr(await controller.run('xrandr', ['--verbose']))[0]?.brightness ?? null,
+        set: async (level) => {
+            const outputs = parseXrandr(await controller.run('xrandr', ['--verbose']));
+            if (!outputs.length) {
+                throw new DisplayError('No connected display found', 'ENOTSUP');
+            }
+            for (const output of outputs) {
+                await controller.run('xrandr', ['--output', output.name, '--brightness', String(level / 100)], { change: true });
+            }
+        }
+    }),
+    // `brightness` from Homebrew: "display 0: brightness 0.750000"
+    brightness: (controller) => ({
+        name: 'brightness',
+        get: async () => {
+            const match = (await controller.run('brightness', ['-l'])).match(/brightness ([\d.]+)/);
+            return match ? Math.round(Number(match[1]) * 100) : null;
+        },
+        set: (level) => controller.run('brightness', [String(level / 100)], { change: true })
+    }),
+    wmi: (controller) => ({
+        name: 'wmi',
+        get: async () => {
+            const output = await controller.run('powershell.exe', ['-NoProfile', '-NonInteractive', '-Command',
+                '(Get-CimInstance -Namespace root/WMI -ClassName WmiMonitorBrightness).CurrentBrightness']);
+            const level = Number.parseInt(output, 10);
+            return Number.isFinite(level) ? level : null;
+        },
+        set: (level) => controller.run('powershell.exe', ['-NoProfile', '-NonInteractive', '-Command',
+            `(Get-WmiObject -Namespace root/WMI -Class WmiMonitorBrightnessMethods).WmiSetBrightness(1, ${Number(level)})`], { change: true })
+    })
+};
+
+export const powerBackends = {
+    xset: (controller) => ({
+        name: 'xset',
+        set: (on) => controller.run('xset', ['dpms', 'force', on ? 'on' : 'off'], { change: true })
+    }),
+    pmset: (controller) => ({
+        name: 'pmset',
+        set: async (on) => {
+            if (on) {
+                return controller.run('caffeinate', ['-u', '-t', '1'], { change: true });
+            }
+            return controller.run('pmset', ['displaysleepnow'], { change: true });
+        }
+    }),
+    nircmd: (controller) => ({
+        name: 'nircmd',
+        set: (on) => controller.run('nircmd.exe', ['monitor', on ? 'on' : 'off'], { change: true })
+    })
+};
+
+const GNOME_NIGHT_LIGHT = ['org.gnome.settings-daemon.plugins.color', 'night-light-enabled'];
+
+export const nightLightBackends = {
+    gsettings: (controller) => ({
+        name: 'gsettings',
+        get: async () => (await controller.run('gsettings', ['get', ...GNOME_NIGHT_LIGHT])).trim() === 'true',
+        set: (on) => controller.run('gsettings', ['set', ...GNOME_NIGHT_LIGHT, String(on)], { change: true })
+    }),
+    // redshift keeps no state to read back
+    redshift: (controller) => ({
+        name: 'redshift',
+        get: async () => null,
+        set: (on) => controller.run('redshift', on ? ['-P', '-O', '4000'] : ['-x'], { change: true })
+    }),
+    nightlight: (controller) => ({
+        name: 'nightlight',
+        get: async () => /on/.test(await controller.run('nightlight', ['status'])),
+        set: (on) => controller.run('nightlight', [on ? 'on' : 'off'], { change: true })
+    })
+};
+
+// Backends to try per platform: [name, executable to look for]
+const DETECTION_ORDER = {
+    brightness: {
+        linux: [['sysfs', null], ['brightnessctl', 'brightnessctl'], ['xrandr', 'xrandr']],
+        darwin: [['brightness', 'brightness']],
+        win32: [['wmi', 'powershell.exe']]
+    },
+    power: {
+        linux: [['xset', 'xset']],
+        darwin: [['pmset', 'pmset']],
+        win32: [['nircmd', 'nircmd.exe']]
+    },
+    nightLight: {
+        linux: [['gsettings', 'gsettings'], ['redshift', 'redshift']],
+        darwin: [['nightlight', 'nightlight']]
+    }
+};
+
+const FACTORIES = { brightness: brightnessBackends, power: powerBackends, nightLight: nightLightBackends };
+
+const MISSING = {
+    brightness: 'Brightness control not available. On Linux, a backlight device, brightnessctl or xrandr is needed.',
+    power: 'Display power control not available. On Linux, xset (X11) is needed; on Windows, nircmd.',
+    nightLight: 'Night light control not available. On Linux, GNOME (gsettings) or redshift is needed.'
+};
+
+export class DisplayController {
+    constructor({
+        launcher = defaultLauncher,
+        root = '/',
+        execFileImpl = execFile,
+        backends = {},
+        timeout = 5000
+    } = {}) {
+        this.launcher = launcher;
+        this.root = root;
+        this.execFileImpl = execFileImpl;
+        this.provided = backends;
+        this.timeout = timeout;
+        this.instances = new Map();
+        this.plans = null;
+    }
+
+    // Copy of this controller that records changes instead of making them
+    recording(plans = []) {
+        const copy = new DisplayController({
+            launcher: this.launcher,
+            root: this.root,
+            execFileImpl: this.execFileImpl,
+            backends: this.provided,
+            timeout: this.timeout
+        });
+        copy.plans = plans;
+        return copy;
+    }
+
+    async run(command, args, { change = false } = {}) {
+        if (change && this.plans) {
+            this.plans.push({ name: 'display', command, args });
+            return '';
+        }
+        return new Promise((resolve, reject) => {
+            this.execFileImpl(command, args, { timeout: this.timeout, env: { ...process.env, LC_ALL: 'C' } }, (error, stdout) => {
+                if (error) {
+                    reject(error.code === 'ENOENT' ? new DisplayError(`"${command}" not found or not installed`, 'ENOTSUP') : error);
+                } else {
+                    resolve(stdout);
+                }
+            });
+        });
+    }
+
+    async write(file, value) {
+        if (this.plans) {
+            this.plans.push({ name: 'display', command: null, args: [file, value] });
+            return;
+        }
+        await fs.writeFile(file, value);
+    }
+
+    // The backend for `feature` ('brightness', 'power' or 'nightLight')
+    async backend(feature) {
+        if (this.provided[feature]) {
+            return this.provided[feature];
+        }
+        if (this.instances.has(feature)) {
+            return this.instances.get(feature);
+        }
+
+        let instance = null;
+        for (const [name, command] of DETECTION_ORDER[feature][this.launcher.platformKey()] || []) {
+            if (name === 'sysfs') {
+                const [device] = await listBacklights(this.root);
+                const writable = device && await fs.access(path.join(device.path, 'brightness'), fs.constants.W_OK)
+                    .then(() => true, () => false);
+                // Read-only devices are still used when nothing else can write
+                if (device && (writable || this.plans || !this.launcher.which('brightnessctl'))) {
+                    instance = brightnessBackends.sysfs(this, device);
+                    break;
+                }
+                continue;
+            }
+            if (this.launcher.which(command)) {
+                instance = FACTORIES[feature][name](this);
+                break;
+            }
+        }
+        if (!instance) {
+            throw new DisplayError(MISSING[feature], 'ENOTSUP');
+        }
+        this.instances.set(feature, instance);
+        return instance;
+    }
+
+    // What is available: { brightness, power, nightLight } backend names or null
+    async capabilities() {
+        const names = {};
+        for (const feature of Object.keys(FACTORIES)) {
+            names[feature] = await this.backend(feature).then(backend => backend.name, () => null);
+        }
+        return names;
+    }
+
+    async getBrightness() {
+        return (await this.backend('brightness')).get();
+    }
+
+    async setBrightness(level) {
+        const brightness = clampBrightness(level);
+        await (await this.backend('brightness')).set(brightness);
+        return brightness;
+    }
+
+    // Step brightness by `delta` percent; resolves to the new level
+    async changeBrightness(delta) {
+        const current = await this.getBrightness();
+        if (current === null || current === undefined) {
+            throw new DisplayError('The current brightness cannot be read on this system', 'ENOTSUP');
+        }
+        return this.setBrightness(current + delta);
+    }
+
+    async setPower(on) {
+        await (await this.backend('power')).set(on);
+        return on;
+    }
+
+    async getNightLight() {
+        return (await this.backend('nightLight')).get();
+    }
+
+    // `on` is true, false or 'toggle'; resolves to the new state
+    async setNightLight(on) {
+        const backend = await this.backend('nightLight');
+        let state = on;
+        if (on === 'toggle') {
+            const current = await backend.get();
+            if (current === null) {
+                throw new DisplayError(`${backend.name} cannot tell whether night light is on; say "night light on" or "off"`, 'ENOTSUP');
+            }
+            state = !current;
+        }
+        await backend.set(state);
+        return state;
+    }
+}
+
+export const display = new DisplayController();
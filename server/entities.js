@@ -0,0 +1,252 @@
+import { FILE_EXTENSIONS } from './fileSearch.js';
+
+// Shared entity extraction for intent slots.
+//
+// Every extractor takes the (lowercased) command text and returns a typed
+// entity or null:
+//   { type, value, text, ...extra }
+// `value` is the normalized value handlers should use, `text` is the span of
+// the command it was read from so clients can show what was understood.
+
+const NUMBER_WORDS = {
+    zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+    ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+    seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50,
+    sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+
+const FRACTION_WORDS = { half: 0.5, quarter: 0.25 };
+
+const UNIT_SECONDS = {
+    s: 1, sec: 1, second: 1,
+    m: 60, min: 60, minute: 60,
+    h: 3600, hr: 3600, hour: 3600,
+    day: 86400
+};
+
+export const KNOWN_FOLDERS = ['downloads', 'documents', 'desktop', 'pictures', 'music', 'videos', 'home'];
+
+// Words that end a spoken contact name ("message john smith on whatsapp")
+const CONTACT_STOP_WORDS = ['on', 'via', 'using', 'in', 'through', 'with', 'saying', 'that', 'and', 'to', 'about', 'whatsapp'];
+
+const tokenize = (text) => {
+    const tokens = [];
+    const regex = /\d+(?:\.\d+)?|[a-z]+|%/g;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+        tokens.push({ word: match[0], start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+};
+
+const singular = (word) => (word.length > 2 && word.endsWith('s') ? word.slice(0, -1) : word);
+
+const isAndAHalf = (tokens, i) =>
+    tokens[i]?.word === 'and' && ['a', 'an'].includes(tokens[i + 1]?.word) && tokens[i + 2]?.word === 'half';
+
+// Read a number written as digits or words starting at tokens[i].
+// Returns { value, next } or null.
+const readNumber = (tokens, i) => {
+    const first = tokens[i]?.word;
+    if (first === undefined) {
+        return null;
+    }
+
+    if (/^\d/.test(first)) {
+        return { value: parseFloat(first), next: i + 1 };
+    }
+
+    let value = null;
+    let current = 0;
+    let next = i;
+    while (next < tokens.length) {
+        const word = tokens[next].word;
+        if (word in NUMBER_WORDS) {
+            current += NUMBER_WORDS[word];
+        } else if (word === 'hundred' && value !== null) {
+            current = (current || 1) * 100;
+        } else if (word === 'and' && value !== null && tokens[next + 1]?.word in NUMBER_WORDS) {
+            next++;
+            continue;
+        } else {
+            break;
+        }
+        value = current;
+        next++;
+    }
+
+    return value === null ? null : { value, next };
+};
+
+const entity = (type, value, text, extra = {}) => ({ type, value, text, ...extra });
+
+export const extractNumber = (text) => {
+    const tokens = tokenize(text);
+    for (let i = 0; i < tokens.length; i++) {
+        const number = readNumber(tokens, i);
+        if (number) {
+            const span = text.slice(tokens[i].start, tokens[number.next - 1].end);
+            return entity('number', number.value, span);
+        }
+    }
+    return null;
+};
+
+export const extractPercentage = (text) => {
+    const tokens = tokenize(text);
+    for (let i = 0; i < tokens.length; i++) {
+        const number = readNumber(tokens, i);
+        if (!number) {
+            continue;
+        }
+        let next = number.next;
+        if (tokens[next]?.word === 'per' && tokens[next + 1]?.word === 'cent') {
+            next++;
+        }
+        if (['%', 'percent', 'cent'].includes(tokens[next]?.word)) {
+            const span = text.slice(tokens[i].start, tokens[next].end);
+            return entity('percentage', Math.min(100, Math.max(0, number.value)), span);
+        }
+    }
+    return null;
+};
+
+// "10 minutes", "an hour and a half", "2 hours 30 minutes", "half an hour",
+// "one and a half hours", "90s"
+export const extractDuration = (text) => {
+    const tokens = tokenize(text);
+    let seconds = 0;
+    let start = null;
+    let end = null;
+    let pending = null;
+    let pendingStart = null;
+
+    for (let i = 0; i < tokens.length; i++) {
+        const word = tokens[i].word;
+        const unit = UNIT_SECONDS[word] ?? UNIT_SECONDS[singular(word)];
+
+        if (unit !== undefined && pending !== null) {
+            seconds += pending * unit;
+            start = start ?? pendingStart;
+            end = tokens[i].end;
+            pending = null;
+            if (isAndAHalf(tokens, i + 1)) {
+                seconds += 0.5 * unit;
+                end = tokens[i + 3].end;
+                i += 3;
+            }
+            continue;
+        }
+
+        if (word in FRACTION_WORDS) {
+            pending = FRACTION_WORDS[word];
+            pendingStart = pendingStart ?? tokens[i].start;
+            // "half an hour", "a quarter of an hour"
+            while (['a', 'an', 'of'].includes(tokens[i + 1]?.word)) {
+                i++;
+            }
+            continue;
+        }
+
+        if ((word === 'a' || word === 'an') && pending === null) {
+            pending = 1;
+            pendingStart = tokens[i].start;
+            continue;
+        }
+
+        const number = readNumber(tokens, i);
+        if (number) {
+            pending = number.value;
+            pendingStart = tokens[i].start;
+            i = number.next - 1;
+            if (isAndAHalf(tokens, i + 1)) {
+                pending += 0.5;
+                i += 3;
+            }
+            continue;
+        }
+
+        pending = null;
+        pendingStart = null;
+    }
+
+    if (start === null) {
+        return null;
+    }
+    return entity('duration', Math.round(seconds), text.slice(start, end));
+};
+
+// "docs.python.org/3", "https://example.com", "github dot com". A name ending
+// in a file extension ("resume.odt") is only a website with a scheme or www.
+export const extractUrl = (text) => {
+    const spoken = text.replace(/(\w)\s+dot\s+(?=\w)/g, '$1.');
+    const regex = /\b((?:https?:\/\/)?((?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+([a-z]{2,24}))(?::\d+)?(?:[/?#][^\s]*)?)/gi;
+    let match;
+    while ((match = regex.exec(spoken)) !== null) {
+        const [raw, , host, tld] = match;
+        if (FILE_EXTENSIONS.has(tld.toLowerCase()) && !/^(?:https?:\/\/|www\.)/i.test(raw)) {
+            continue;
+        }
+        const url = /^https?:\/\//i.test(raw) ? raw : `https://${raw}`;
+        return entity('url', url, raw, { host: host.toLowerCase() });
+    }
+    return null;
+};
+
+const titleCase = (value) => value.replace(/\b\w/g, letter => letter.toUpperCase());
+
+// "message john smith on whatsapp" -> John Smith
+export const extractContact = (text) => {
+    const match = text.match(/\b(?:message|text|call|chat with|ping|send)\s+(?:to\s+)?(.+)/);
+    if (!match) {
+        return null;
+    }
+
+    const words = [];
+    for (const word of match[1].split(/\s+/)) {
+        if (CONTACT_STOP_WORDS.includes(word)) {
+            if (words.length) {
+                break;
+            }
+            continue;
+        }
+        words.push(word);
+    }
+
+    if (!words.length) {
+        return null;
+    }
+    const name = words.join(' ').replace(/[^\p{L}\p{N}\s'.-]/gu, '').trim();
+    return name ? entity('contact', titleCase(name), words.join(' ')) : null;
+};
+
+// Explicit paths ("~/projects", "/var/log", "c:\users") or well-known folders
+export const extractPath = (text) => {
+    const explicit = text.match(/(?:^|\s)((?:~|\.{1,2})?\/[^\s]*|[a-z]:\\[^\s]*)/i);
+    if (explicit) {
+        return entity('path', explicit[1], explicit[1], { kind: 'path' });
+    }
+
+    const folder = text.match(new RegExp(`\\b(${KNOWN_FOLDERS.join('|')})\\b`));
+    if (folder) {
+        return entity('path', folder[1], folder[1], { kind: 'folder' });
+    }
+    return null;
+};
+
+export const extractors = {
+    number: extractNumber,
+    percentage: extractPercentage,
+    duration: extractDuration,
+    url: extractUrl,
+    contact: extractContact,
+    path: extractPath
+};
+
+export const extractEntity = (type, text) => {
+    const extractor = extractors[type];
+    if (!extractor) {
+        throw new Error(`Unknown entity type "${type}"`);
+    }
+    return text ? extractor(text) : null;
+};
@@ -0,0 +1,410 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileSearch as defaultFileSearch } from './fileSearch.js';
+
+// File operations: create folder, move, copy, rename and trash, with undo.
+//
+// Every path involved has to be inside a safe root (FILE_OPERATION_ROOTS,
+// separated by the platform's path delimiter; by default the file search
+// roots). Parents are resolved through symlinks before the check, and the
+// roots themselves can be written into but never moved, renamed or trashed.
+//
+// Deleting moves to the trash instead of unlinking: the XDG trash on Linux
+// ($XDG_DATA_HOME/Trash with a .trashinfo record, so desktop trash views can
+// restore it) and ~/.Trash on macOS. Moves and copies never overwrite: a
+// clash gets a "name (2).ext" style name.
+//
+// Each completed operation is recorded as
+//   { id, type, source, target, trashInfo, size, mtimeMs, at }
+// in a history of the last `historyLimit` operations, which `undo()` walks
+// back. The history lives in memory unless a store ({ list, save, delete },
+// see `load()`) keeps it across restarts. Copies record their size and
+// newest modification time; undoing one that was changed since refuses
+// rather than deleting the changes. An operation whose result was removed
+// outside the assistant can never be undone: undoing it drops it from the
+// history (ESTALE), so the next undo moves on to the one before. A recording
+// instance (see `recording()`) validates and plans operations without
+// touching the disk or the history; it backs dry-run mode.
+
+export class FileOperationError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'FileOperationError';
+        this.code = code;
+    }
+}
+
+// A single path component a user may create
+export const assertSafeName = (name) => {
+    const trimmed = String(name ?? '').trim();
+    if (!trimmed || trimmed === '.' || trimmed === '..' || trimmed.length > 255) {
+        throw new FileOperationError(`"${trimmed}" is not a valid name`, 'EINVAL');
+    }
+    if (/[/\\\0\r\n]/.test(trimmed) || (process.platform === 'win32' && /[<>:"|?*]/.test(trimmed))) {
+        throw new FileOperationError(`"${trimmed}" contains characters that are not allowed in names`, 'EINVAL');
+    }
+    return trimmed;
+};
+
+// Local time as the trash spec wants it: 2024-05-01T13:45:00
+const trashDate = (date) => {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+export const trashInfo = (original, date = new Date()) =>
+    `[Trash Info]\nPath=${original.split('/').map(encodeURIComponent).join('/')}\nDeletionDate=${trashDate(date)}\n`;
+
+export class FileOperations {
+    constructor({
+        files = defaultFileSearch,
+        roots = null,
+        fsImpl = fs,
+        platform = os.platform(),
+        home = os.homedir(),
+        env = process.env,
+        historyLimit = 20,
+        store = null
+    } = {}) {
+        this.files = files;
+        const configured = (env.FILE_OPERATION_ROOTS || '').split(path.delimiter).filter(Boolean);
+        this.roots = roots || (configured.length ? configured.map(root => path.resolve(root.replace(/^~(?=$|[\\/])/, home))) : files.roots);
+        this.fs = fsImpl;
+        this.platform = platform;
+        this.home = home;
+        this.env = env;
+        this.historyLimit = historyLimit;
+        this.store = store;
+        this.history = [];
+        this.nextId = 1;
+        this.plans = null;
+    }
+
+    // Copy that plans operations instead of performing them
+    recording(plans = []) {
+        const copy = Object.assign(Object.create(FileOperations.prototype), this);
+        copy.plans = plans;
+        return copy;
+    }
+
+    async exists(file) {
+        try {
+            await this.fs.promises.lstat(file);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    async realRoots() {
+        const roots = [];
+        for (const root of this.roots) {
+            try {
+                roots.push(await this.fs.promises.realpath(root));
+            } catch {
+                // missing roots cannot hold anything
+            }
+        }
+        return roots;
+    }
+
+    // Resolve `target` (its parent through symlinks) and check it is inside a
+    // safe root. `allowRoot` lets a root itself through, for destinations.
+    async assertSafe(target, { allowRoot = false } = {}) {
+        const resolved = path.resolve(target);
+        let real;
+        try {
+            real = path.join(await this.fs.promises.realpath(path.dirname(resolved)), path.basename(resolved));
+        } catch {
+            throw new FileOperationError(`Folder "${path.dirname(resolved)}" does not exist`, 'ENOENT');
+        }
+        const roots = await this.realRoots();
+        if (roots.includes(real)) {
+            if (allowRoot) {
+                return real;
+            }
+            throw new FileOperationError(`"${resolved}" itself cannot be changed`, 'EACCES');
+        }
+        if (!roots.some(root => real.startsWith(root + path.sep))) {
+            throw new FileOperationError(`"${resolved}" is outside the folders voice commands may change`, 'EACCES');
+        }
+        return real;
+    }
+
+    // A destination folder: a well-known folder name or a path
+    async destination(folder) {
+        const dir = this.files.folders[folder] ?? folder;
+        if (!dir || !path.isAbsolute(dir)) {
+            throw new FileOperationError(`Unknown folder "${folder}"`, 'EINVAL');
+        }
+        const safe = await this.assertSafe(dir, { allowRoot: true });
+        const stat = await this.fs.promises.stat(safe).catch(() => null);
+        if (!stat?.isDirectory()) {
+            throw new FileOperationError(`Folder "${dir}" does not exist`, 'ENOENT');
+        }
+        return safe;
+    }
+
+    // `dir/name`, or "name (2).ext", "name (3).ext", ... when taken
+    async uniqueTarget(dir, name) {
+        const extension = path.extname(name);
+        const stem = name.slice(0, name.length - extension.length);
+        let candidate = path.join(dir, name);
+        for (let n = 2; await this.exists(candidate); n++) {
+            candidate = path.join(dir, `${stem} (${n})${extension}`);
+        }
+        return candidate;
+    }
+
+    // The single file a spoken description refers to. Search options come
+    // from parseFileQuery(); close runners-up make the request ambiguous
+    // rather than guessed, since the result is about to be changed.
+    async resolve(options) {
+        const { matches } = await this.files.search({ ...options, limit: options.limit ?? 5 });
+        if (!matches.length) {
+            throw new FileOperationError('No matching file found', 'ENOENT');
+        }
+        const [best, next] = matches;
+        if (options.sort !== 'newest' && next && best.score - next.score < 3) {
+            const error = new FileOperationError(`Several files match: ${matches.slice(0, 3).map(match => `${match.name} (${match.folder})`).join(', ')}`, 'EAMBIGUOUS');
+            error.matches = matches;
+            throw error;
+        }
+        return best.path;
+    }
+
+    // Move across filesystems by copying
+    async moveEntry(source, target) {
+        try {
+            await this.fs.promises.rename(source, target);
+        } catch (error) {
+            if (error.code !== 'EXDEV') {
+                throw error;
+            }
+            await this.fs.promises.cp(source, target, { recursive: true, errorOnExist: true, force: false });
+            await this.fs.promises.rm(source, { recursive: true });
+        }
+    }
+
+    // Load the history kept in `store`, which then records every change
+    async load(store = this.store) {
+        this.store = store;
+        const stored = (await store.list()).sort((a, b) => a.id - b.id);
+        this.history = stored.slice(-this.historyLimit);
+        this.nextId = Math.max(0, ...stored.map(operation => operation.id)) + 1;
+        return this.history;
+    }
+
+    async record(type, source, target, extra = {}) {
+        const operation = { id: this.nextId++, type, source, target, ...extra, at: new Date().toISOString() };
+        this.history.push(operation);
+        const dropped = this.history.splice(0, Math.max(0, this.history.length - this.historyLimit));
+        if (this.store) {
+            await this.store.save(operation);
+            for (const old of dropped) {
+                await this.store.delete(old.id);
+            }
+        }
+        return operation;
+    }
+
+    // Total size and newest modification time of a file or a whole tree
+    async fingerprint(target) {
+        const stat = await this.fs.promises.lstat(target);
+        let size = stat.size;
+        let mtimeMs = stat.mtimeMs;
+        if (stat.isDirectory()) {
+            for (const name of await this.fs.promises.readdir(target)) {
+                const entry = await this.fingerprint(path.join(target, name));
+                size += entry.size;
+                mtimeMs = Math.max(mtimeMs, entry.mtimeMs);
+            }
+        }
+        return { size, mtimeMs };
+    }
+
+    plan(type, source, target) {
+        this.plans.push({ name: 'fileOperation', command: type, args: [source, target].filter(Boolean) });
+        return { id: null, type, source, target, at: new Date().toISOString() };
+    }
+
+    async createFolder(name, { folder = 'documents' } = {}) {
+        const target = path.join(await this.destination(folder), assertSafeName(name));
+        if (await this.exists(target)) {
+            throw new FileOperationError(`"${path.basename(target)}" already exists`, 'EEXIST');
+        }
+        if (this.plans) {
+            return this.plan('createFolder', null, target);
+        }
+        await this.fs.promises.mkdir(target);
+        return this.record('createFolder', null, target);
+    }
+
+    async move(source, folder) {
+        const from = await this.assertSafe(source);
+        const dir = await this.destination(folder);
+        if (path.dirname(from) === dir) {
+            throw new FileOperationError(`"${path.basename(from)}" is already there`, 'EEXIST');
+        }
+        if (dir === from || dir.startsWith(from + path.sep)) {
+            throw new FileOperationError('A folder cannot be moved into itself', 'EINVAL');
+        }
+        const target = await this.uniqueTarget(dir, path.basename(from));
+        if (this.plans) {
+            return this.plan('move', from, target);
+        }
+        await this.moveEntry(from, target);
+        return this.record('move', from, target);
+    }
+
+    async copy(source, folder) {
+        const from = await this.assertSafe(source);
+        const dir = await this.destination(folder);
+        if (dir === from || dir.startsWith(from + path.sep)) {
+            throw new FileOperationError('A folder cannot be copied into itself', 'EINVAL');
+        }
+        const target = await this.uniqueTarget(dir, path.basename(from));
+        if (this.plans) {
+            return this.plan('copy', from, target);
+        }
+        await this.fs.promises.cp(from, target, { recursive: true, errorOnExist: true, force: false });
+        return this.record('copy', from, target, await this.fingerprint(target));
+    }
+
+    // A new name without an extension keeps the old one ("report.pdf" -> "final.pdf")
+    async rename(source, name) {
+        const from = await this.assertSafe(source);
+        let newName = assertSafeName(name);
+        const stat = await this.fs.promises.lstat(from);
+        if (!stat.isDirectory() && !path.extname(newName) && path.extname(from)) {
+            newName += path.extname(from);
+        }
+        const target = path.join(path.dirname(from), newName);
+        if (target === from) {
+            throw new FileOperationError(`"${newName}" already has that name`, 'EEXIST');
+        }
+        if (await this.exists(target)) {
+            throw new FileOperationError(`"${newName}" already exists`, 'EEXIST');
+        }
+        if (this.plans) {
+            return this.plan('rename', from, target);
+        }
+        await this.fs.promises.rename(from, target);
+        return this.record('rename', from, target);
+    }
+
+    trashDir() {
+        if (this.platform === 'darwin') {
+            return path.join(this.home, '.Trash');
+        }
+        if (this.platform === 'win32') {
+            throw new FileOperationError('Moving files to the Recycle Bin is not supported', 'ENOTSUP');
+        }
+        return path.join(this.env.XDG_DATA_HOME || path.join(this.home, '.local', 'share'), 'Trash');
+    }
+
+    async trash(source) {
+        const from = await this.assertSafe(source);
+        await this.fs.promises.lstat(from);
+        const trash = this.trashDir();
+        const xdg = this.platform !== 'darwin';
+        const filesDir = xdg ? path.join(trash, 'files') : trash;
+        if (this.plans) {
+            return this.plan('trash', from, await this.uniqueTarget(filesDir, path.basename(from)));
+        }
+
+        await this.fs.promises.mkdir(filesDir, { recursive: true });
+        let target = await this.uniqueTarget(filesDir, path.basename(from));
+        let info = null;
+        if (xdg) {
+            const infoDir = path.join(trash, 'info');
+            await this.fs.promises.mkdir(infoDir, { recursive: true });
+            // The info file is created exclusively first: it reserves the name
+            for (let n = 2; ; n++) {
+                info = path.join(infoDir, `${path.basename(target)}.trashinfo`);
+                try {
+                    await this.fs.promises.writeFile(info, trashInfo(from), { flag: 'wx' });
+                    break;
+                } catch (error) {
+                    if (error.code !== 'EEXIST') {
+                        throw error;
+                    }
+                    const extension = path.extname(from);
+                    target = await this.uniqueTarget(filesDir, `${path.basename(from, extension)} (${n})${extension}`);
+                }
+            }
+        }
+        try {
+            await this.moveEntry(from, target);
+        } catch (error) {
+            if (info) {
+                await this.fs.promises.rm(info, { force: true });
+            }
+            throw error;
+        }
+        return this.record('trash', from, target, info ? { trashInfo: info } : {});
+    }
+
+    list() {
+        return [...this.history].reverse();
+    }
+
+    // Reverse the most recent operation. Resolves to the operation undone.
+    async undo() {
+        const operation = this.history[this.history.length - 1];
+        if (!operation) {
+            throw new FileOperationError('There is no file operation to undo', 'ENOENT');
+        }
+        const { type, source, target } = operation;
+        if (['move', 'rename', 'trash'].includes(type) && await this.exists(source)) {
+            throw new FileOperationError(`Cannot undo: "${source}" exists again`, 'EEXIST');
+        }
+        if (!await this.exists(target)) {
+            if (!this.plans) {
+                await this.forget(operation);
+            }
+            throw new FileOperationError(`Cannot undo: "${target}" is gone`, 'ESTALE');
+        }
+        if (type === 'copy' && operation.size !== undefined) {
+            const { size, mtimeMs } = await this.fingerprint(target);
+            if (size !== operation.size || mtimeMs !== operation.mtimeMs) {
+                throw new FileOperationError(`Cannot undo: "${path.basename(target)}" was changed after it was copied`, 'ECHANGED');
+            }
+        }
+        if (this.plans) {
+            this.plan(`undo ${type}`, target, source);
+            return operation;
+        }
+
+        switch (type) {
+            case 'createFolder':
+                try {
+                    await this.fs.promises.rmdir(target);
+                } catch (error) {
+                    if (error.code === 'ENOTEMPTY' || error.code === 'EEXIST') {
+                        throw new FileOperationError(`Cannot undo: "${path.basename(target)}" is no longer empty`, 'ENOTEMPTY');
+                    }
+                    throw error;
+                }
+                break;
+            case 'copy':
+                await this.fs.promises.rm(target, { recursive: true });
+                break;
+            default:
+                await this.moveEntry(target, source);
+                if (operation.trashInfo) {
+                    await this.fs.promises.rm(operation.trashInfo, { force: true });
+                }
+        }
+        await this.forget(operation);
+        return operation;
+    }
+
+    async forget(operation) {
+        this.history = this.history.filter(entry => entry !== operation);
+        await this.store?.delete(operation.id);
+    }
+}
+
+export const fileOperations = new FileOperations();
@@ -0,0 +1,374 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// File search over the user's folders.
+//
+// Searches walk the configured roots (FILE_SEARCH_ROOTS, separated by the
+// platform's path delimiter; by default the well-known folders below) without
+// following symlinks. Hidden entries and dependency/cache directories are
+// skipped, and a walk stops after `maxScanned` entries so a huge tree cannot
+// stall a voice command.
+//
+// Matches are plain objects:
+//   { path, name, extension, folder (well-known folder or root it was found under), size, modified (ISO), score }
+// Every query word has to appear in the file name; whole words score above
+// word prefixes, which score above substrings, with a small bonus for recent
+// files and a penalty for deeply nested ones.
+//
+// Well-known folders come from the XDG user-dirs file on Linux, so localized
+// folder names are followed. `parseFileQuery()` turns spoken requests ("my
+// resume pdf", "photos from yesterday", "latest file in downloads") into
+// search options.
+
+export class FileSearchError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'FileSearchError';
+        this.code = code;
+    }
+}
+
+const IGNORED_DIRS = new Set(['node_modules', '__pycache__', 'venv', 'site-packages', 'bower_components', '$recycle.bin']);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Spoken file types and the extensions they stand for
+export const FILE_TYPES = {
+    pdf: ['pdf'],
+    document: ['pdf', 'doc', 'docx', 'odt', 'rtf', 'txt', 'md', 'pages'],
+    spreadsheet: ['xls', 'xlsx', 'ods', 'csv', 'numbers'],
+    presentation: ['ppt', 'pptx', 'odp', 'key'],
+    slide: ['ppt', 'pptx', 'odp', 'key'],
+    photo: ['jpg', 'jpeg', 'png', 'gif', 'heic', 'webp', 'bmp', 'tiff', 'raw'],
+    picture: ['jpg', 'jpeg', 'png', 'gif', 'heic', 'webp', 'bmp', 'tiff', 'raw'],
+    image: ['jpg', 'jpeg', 'png', 'gif', 'heic', 'webp', 'bmp', 'tiff', 'svg', 'raw'],
+    screenshot: ['png', 'jpg', 'jpeg'],
+    video: ['mp4', 'mkv', 'mov', 'avi', 'webm', 'm4v', 'wmv'],
+    movie: ['mp4', 'mkv', 'mov', 'avi', 'webm', 'm4v', 'wmv'],
+    song: ['mp3', 'flac', 'wav', 'ogg', 'm4a', 'aac', 'opus'],
+    music: ['mp3', 'flac', 'wav', 'ogg', 'm4a', 'aac', 'opus'],
+    audio: ['mp3', 'flac', 'wav', 'ogg', 'm4a', 'aac', 'opus'],
+    archive: ['zip', 'tar', 'gz', 'tgz', '7z', 'rar', 'xz', 'bz2'],
+    zip: ['zip'],
+    installer: ['exe', 'msi', 'dmg', 'pkg', 'deb', 'rpm', 'appimage']
+};
+
+// Extensions that can be said on their own ("find the budget xlsx")
+const SPOKEN_EXTENSIONS = new Set([
+    'pdf', 'doc', 'docx', 'odt', 'rtf', 'txt', 'md', 'xls', 'xlsx', 'ods', 'csv', 'ppt', 'pptx', 'odp',
+    'jpg', 'jpeg', 'png', 'gif', 'heic', 'webp', 'svg', 'mp3', 'mp4', 'mkv', 'mov', 'wav', 'flac',
+    'zip', 'tar', 'gz', 'iso', 'exe', 'msi', 'dmg', 'deb', 'json', 'html', 'py', 'js', 'epub'
+]);
+
+// Every extension a spoken "name.ext" can end in. With one of these the name
+// is a file, not a website, even where the extension is also a top-level
+// domain (.md, .py, .zip); see extractUrl() in entities.js.
+export const FILE_EXTENSIONS = new Set([...Object.values(FILE_TYPES).flat(), ...SPOKEN_EXTENSIONS, 'sh']);
+
+const FOLDER_NAMES = {
+    downloads: ['XDG_DOWNLOAD_DIR', 'Downloads'],
+    documents: ['XDG_DOCUMENTS_DIR', 'Documents'],
+    desktop: ['XDG_DESKTOP_DIR', 'Desktop'],
+    pictures: ['XDG_PICTURES_DIR', 'Pictures'],
+    music: ['XDG_MUSIC_DIR', 'Music'],
+    videos: ['XDG_VIDEOS_DIR', 'Videos']
+};
+
+// ~/.config/user-dirs.dirs: XDG_DOWNLOAD_DIR="$HOME/Downloads"
+export const parseUserDirs = (text, home) => {
+    const dirs = {};
+    for (const line of String(text).split(/\r?\n/)) {
+        const match = line.match(/^\s*(XDG_\w+_DIR)\s*=\s*"(.*)"\s*$/);
+        if (match) {
+            dirs[match[1]] = match[2].replace(/^\$HOME/, home);
+        }
+    }
+    return dirs;
+};
+
+// Well-known folder name -> absolute path
+export const knownFolders = ({ home = os.homedir(), platform = os.platform(), env = process.env, fsImpl = fs } = {}) => {
+    let userDirs = {};
+    if (platform === 'linux') {
+        const configHome = env.XDG_CONFIG_HOME || path.join(home, '.config');
+        try {
+            userDirs = parseUserDirs(fsImpl.readFileSync(path.join(configHome, 'user-dirs.dirs'), 'utf8'), home);
+        } catch {
+            // no user-dirs file: English defaults
+        }
+    }
+    const folders = { home };
+    for (const [name, [key, fallback]] of Object.entries(FOLDER_NAMES)) {
+        folders[name] = userDirs[key] || path.join(home, name === 'videos' && platform === 'darwin' ? 'Movies' : fallback);
+    }
+    return folders;
+};
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const TIME_UNITS = { minute: 60 * 1000, hour: 60 * 60 * 1000, day: DAY, week: 7 * DAY, month: 30 * DAY };
+
+// Spoken time ranges -> { modifiedAfter, modifiedBefore, text }
+const parseTimeRange = (text, now) => {
+    const today = startOfDay(now);
+    const ranges = [
+        [/\btoday\b/, () => ({ modifiedAfter: today })],
+        [/\byesterday\b/, () => ({ modifiedAfter: new Date(today.getTime() - DAY), modifiedBefore: today })],
+        [/\bthis week\b/, () => ({ modifiedAfter: new Date(today.getTime() - ((today.getDay() + 6) % 7) * DAY) })],
+        [/\blast week\b/, () => ({ modifiedAfter: new Date(now.getTime() - 7 * DAY) })],
+        [/\bthis month\b/, () => ({ modifiedAfter: new Date(now.getFullYear(), now.getMonth(), 1) })],
+        [/\b(?:in the |over the )?(?:last|past) (\d+|a|an) (minute|hour|day|week|month)s?\b/, (match) => ({
+            modifiedAfter: new Date(now.getTime() - (/^\d+$/.test(match[1]) ? Number(match[1]) : 1) * TIME_UNITS[match[2]])
+        })],
+        [/\brecent(?:ly)?\b/, () => ({ modifiedAfter: new Date(now.getTime() - 7 * DAY) })]
+    ];
+    for (const [pattern, range] of ranges) {
+        const match = text.match(pattern);
+        if (match) {
+            return { ...range(match), text: match[0] };
+        }
+    }
+    return null;
+};
+
+const FILLER_WORDS = new Set([
+    'find', 'search', 'locate', 'look', 'show', 'list', 'open', 'get', 'where', 'is', 'are', "where's",
+    'me', 'my', 'the', 'a', 'an', 'all', 'any', 'some', 'for', 'of', 'in', 'on', 'from', 'to', 'with', 'and',
+    'file', 'files', 'folder', 'called', 'named', 'that', 'which', 'i', 'was', 'were', 'have', 'has', 'been',
+    'modified', 'changed', 'edited', 'created', 'saved', 'downloaded', 'added', 'made', 'latest', 'newest', 'last',
+    'most', 'recent', 'one', 'please', 'up', 'it', 'there'
+]);
+
+// Folders that name a place even without "in" ("my latest download")
+const BARE_FOLDERS = { download: 'downloads', downloads: 'downloads', desktop: 'desktop' };
+
+// Spoken request -> search options:
+//   { query, extensions, folder, modifiedAfter, modifiedBefore, sort, limit }
+// "open the latest file in downloads" -> { folder: 'downloads', sort: 'newest', limit: 1 }
+// "find my resume pdf" -> { query: 'resume', extensions: ['pdf'] }
+export const parseFileQuery = (text, { now = new Date() } = {}) => {
+    let rest = ` ${String(text).toLowerCase().trim()} `;
+    const options = { query: '', extensions: [], folder: null, modifiedAfter: null, modifiedBefore: null, sort: 'relevance', limit: null };
+    const remove = (span) => {
+        rest = rest.replace(span, ' ');
+    };
+
+    const folder = rest.match(new RegExp(`\\b(?:in|from|on|inside|under)\\s+(?:my\\s+|the\\s+)?(${[...Object.keys(FOLDER_NAMES), 'home'].join('|')})(?:\\s+folder)?\\b`));
+    if (folder) {
+        options.folder = folder[1];
+        remove(folder[0]);
+    }
+
+    const time = parseTimeRange(rest, now);
+    if (time) {
+        options.modifiedAfter = time.modifiedAfter;
+        options.modifiedBefore = time.modifiedBefore ?? null;
+        remove(time.text);
+    }
+
+    if (/\b(?:latest|newest|most recent|last)\b/.test(rest)) {
+        options.sort = 'newest';
+        options.limit = 1;
+    } else if (options.modifiedAfter) {
+        options.sort = 'newest';
+    }
+
+    const words = [];
+    for (const word of rest.trim().split(/\s+/).filter(Boolean)) {
+        const extension = word.match(/^\.?([a-z0-9]{1,5})$/)?.[1];
+        const type = FILE_TYPES[word] || FILE_TYPES[word.replace(/s$/, '')];
+        if (BARE_FOLDERS[word] && !options.folder) {
+            options.folder = BARE_FOLDERS[word];
+        } else if (type) {
+            options.extensions.push(...type);
+        } else if (extension && (SPOKEN_EXTENSIONS.has(extension) || (word.startsWith('.') && extension))) {
+            options.extensions.push(extension);
+        } else if (/^[^\s/\\]+\.[a-z0-9]{1,5}$/.test(word)) {
+            // "resume.pdf" is a name and an extension
+            options.extensions.push(path.extname(word).slice(1));
+            words.push(word.slice(0, -path.extname(word).length));
+        } else if (!FILLER_WORDS.has(word)) {
+            words.push(word);
+        }
+    }
+    options.extensions = [...new Set(options.extensions)];
+    options.query = words.join(' ');
+    return options;
+};
+
+// "My_Resume-2024 (final).pdf" -> ["my", "resume", "2024", "final"]
+const nameWords = (name) => name.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// Score of a file name against query terms, or null when a term is missing
+export const scoreName = (name, terms) => {
+    const base = name.slice(0, name.length - path.extname(name).length).toLowerCase();
+    const words = nameWords(base);
+    let score = 0;
+    for (const term of terms) {
+        if (words.includes(term)) {
+            score += 10;
+        } else if (words.some(word => word.startsWith(term))) {
+            score += 6;
+        } else if (base.includes(term)) {
+            score += 3;
+        } else {
+            return null;
+        }
+    }
+    if (terms.length && base === terms.join(' ')) {
+        score += 5;
+    }
+    return score;
+};
+
+export class FileSearch {
+    constructor({
+        folders = knownFolders(),
+        roots = null,
+        fsImpl = fs,
+        maxDepth = 8,
+        maxScanned = 50000,
+        now = () => new Date()
+    } = {}) {
+        this.folders = folders;
+        this.roots = roots || this.defaultRoots();
+        this.fs = fsImpl;
+        this.maxDepth = maxDepth;
+        this.maxScanned = maxScanned;
+        this.now = now;
+    }
+
+    defaultRoots() {
+        const configured = (process.env.FILE_SEARCH_ROOTS || '').split(path.delimiter).filter(Boolean);
+        if (configured.length) {
+            return configured.map(root => path.resolve(root.replace(/^~(?=$|[\\/])/, this.folders.home)));
+        }
+        return Object.entries(this.folders)
+            .filter(([name]) => name !== 'home')
+            .map(([, folder]) => folder);
+    }
+
+    // Roots to walk: one well-known folder, or all configured roots
+    rootsFor(folder) {
+        if (!folder) {
+            return [...new Set(this.roots)];
+        }
+        if (!this.folders[folder]) {
+            throw new FileSearchError(`Unknown folder "${folder}"`, 'EINVAL');
+        }
+        return [this.folders[folder]];
+    }
+
+    // Name of the well-known folder or root a path is in
+    folderOf(file) {
+        const owners = [...Object.entries(this.folders).filter(([name]) => name !== 'home'), ...this.roots.map(root => [path.basename(root), root])];
+        const owner = owners.find(([, root]) => file === root || file.startsWith(root + path.sep));
+        return owner ? owner[0] : null;
+    }
+
+    // Whether a path is inside one of the searchable roots or folders.
+    // Symlinks are resolved first, so a link inside a root cannot reach a file
+    // outside it; paths that do not exist are not contained.
+    async contains(file) {
+        let real;
+        try {
+            real = await this.fs.promises.realpath(path.resolve(file));
+        } catch {
+            return false;
+        }
+        const roots = await Promise.all([...this.roots, ...Object.values(this.folders)]
+            .map(root => this.fs.promises.realpath(root).catch(() => null)));
+        return roots.some(root => root && (real === root || real.startsWith(root + path.sep)));
+    }
+
+    // Breadth-first walk yielding { path, name, depth, stat } for files
+    async *walk(root, budget) {
+        const queue = [[root, 0]];
+        while (queue.length && budget.scanned < this.maxScanned) {
+            const [dir, depth] = queue.shift();
+            let entries;
+            try {
+                entries = await this.fs.promises.readdir(dir, { withFileTypes: true });
+            } catch {
+                continue;
+            }
+            for (const entry of entries) {
+                if (entry.name.startsWith('.') || budget.scanned >= this.maxScanned) {
+                    continue;
+                }
+                budget.scanned++;
+                const file = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    if (depth < this.maxDepth && !IGNORED_DIRS.has(entry.name.toLowerCase())) {
+                        queue.push([file, depth + 1]);
+                    }
+                } else if (entry.isFile()) {
+                    try {
+                        yield { path: file, name: entry.name, depth, stat: await this.fs.promises.stat(file) };
+                    } catch {
+                        // removed while walking
+                    }
+                }
+            }
+        }
+        if (queue.length) {
+            budget.truncated = true;
+        }
+    }
+
+    // Search the roots. Resolves to { matches, scanned, truncated }.
+    async search({
+        query = '',
+        extensions = [],
+        folder = null,
+        modifiedAfter = null,
+        modifiedBefore = null,
+        sort = 'relevance',
+        limit = 10
+    } = {}) {
+        const terms = nameWords(String(query || ''));
+        const wanted = new Set(extensions.map(extension => String(extension).toLowerCase().replace(/^\./, '')));
+        const after = modifiedAfter ? new Date(modifiedAfter).getTime() : null;
+        const before = modifiedBefore ? new Date(modifiedBefore).getTime() : null;
+        const now = this.now().getTime();
+        const budget = { scanned: 0, truncated: false };
+        const seen = new Set();
+        const matches = [];
+
+        for (const root of this.rootsFor(folder)) {
+            for await (const file of this.walk(root, budget)) {
+                const extension = path.extname(file.name).slice(1).toLowerCase();
+                const modified = file.stat.mtimeMs;
+                if (seen.has(file.path)
+                    || (wanted.size && !wanted.has(extension))
+                    || (after !== null && modified < after)
+                    || (before !== null && modified >= before)) {
+                    continue;
+                }
+                const nameScore = scoreName(file.name, terms);
+                if (nameScore === null) {
+                    continue;
+                }
+                seen.add(file.path);
+                const ageDays = Math.max(0, (now - modified) / DAY);
+                matches.push({
+                    path: file.path,
+                    name: file.name,
+                    extension,
+                    folder: folder || this.folderOf(file.path),
+                    size: file.stat.size,
+                    modified: new Date(modified).toISOString(),
+                    score: Number((nameScore + 3 * Math.max(0, 1 - ageDays / 30) - 0.5 * file.depth).toFixed(2))
+                });
+            }
+        }
+
+        matches.sort(sort === 'newest'
+            ? (a, b) => b.modified.localeCompare(a.modified) || b.score - a.score
+            : (a, b) => b.score - a.score || b.modified.localeCompare(a.modified));
+        return { matches: limit ? matches.slice(0, limit) : matches, scanned: budget.scanned, truncated: budget.truncated };
+    }
+}
+
+export const fileSearch = new FileSearch();
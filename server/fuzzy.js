@@ -0,0 +1,152 @@
+import { translator } from './i18n.js';
+
+// Fuzzy matching for near-miss commands ("opne calculater", "spotfy").
+//
+// Words are compared with optimal string alignment distance (Levenshtein
+// plus adjacent transpositions) and a Soundex check for words that sound
+// alike. An unrecognized command is corrected word by word against the intent
+// vocabulary (words in the intents' patterns) and the application catalog;
+// every corrected variant that resolves to an intent becomes a suggestion.
+// A clear winner is confident enough to run, anything else is offered back
+// as ranked suggestions.
+
+export const CONFIDENT_SCORE = 0.8;
+export const AMBIGUITY_MARGIN = 0.1;
+const MIN_SCORE = 0.6;
+const MAX_ALTERNATIVES = 3;
+const MAX_VARIANTS = 64;
+
+// Score for keeping an unknown word that has close alternatives
+const KEEP_SCORE = 0.6;
+
+export const editDistance = (a, b) => {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) {
+        rows[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+};
+
+const SOUNDEX_CODES = { b: 1, f: 1, p: 1, v: 1, c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2, d: 3, t: 3, l: 4, m: 5, n: 5, r: 6 };
+
+export const soundex = (word) => {
+    const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+    if (!letters) {
+        return '';
+    }
+    let code = letters[0].toUpperCase();
+    let previous = SOUNDEX_CODES[letters[0]];
+    for (const letter of letters.slice(1)) {
+        const digit = SOUNDEX_CODES[letter];
+        if (digit && digit !== previous) {
+            code += digit;
+        }
+        if (!'hw'.includes(letter)) {
+            previous = digit;
+        }
+    }
+    return code.padEnd(4, '0').slice(0, 4);
+};
+
+// 0..1; words that sound alike get a small boost
+export const similarity = (a, b) => {
+    if (a === b) {
+        return 1;
+    }
+    const score = 1 - editDistance(a, b) / Math.max(a.length, b.length);
+    return soundex(a) === soundex(b) ? Math.min(0.95, score + 0.1) : score;
+};
+
+// Closest vocabulary entries for a word, best first
+export const rankMatches = (word, vocabulary, { min = MIN_SCORE, limit = MAX_ALTERNATIVES } = {}) =>
+    [...new Set(vocabulary)]
+        .map(value => ({ value, score: Number(similarity(word, value).toFixed(3)) }))
+        .filter(match => match.score >= min)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+
+// Confident when the best suggestion scores high and clearly beats the next
+export const isConfident = (suggestions) => {
+    const [best, second] = suggestions;
+    return Boolean(best) && best.score >= CONFIDENT_SCORE &&
+        (!second || best.score - second.score >= AMBIGUITY_MARGIN - 1e-9);
+};
+
+// Words the intents respond to, taken from their patterns
+export const intentVocabulary = (registry) => {
+    const words = new Set();
+    for (const intent of registry.list()) {
+        for (const pattern of [...intent.patterns, ...intent.requires]) {
+            const source = pattern.source
+                .replace(/\(\?<\w+>/g, ' ')   // named group labels
+                .replace(/\\[a-zA-Z]/g, ' '); // \b, \s, \d ...
+            (source.match(/[a-z]{3,}/g) || []).forEach(word => words.add(word));
+        }
+    }
+    return words;
+};
+
+// Ranked suggestions for a command no intent matched:
+//   [{ text, intent, score }]
+export const suggestCommands = (cmd, { registry, appNames = [] }) => {
+    const vocabulary = new Set([...intentVocabulary(registry), ...appNames]);
+    const apps = new Set(appNames);
+
+    // Alternatives per word; known words, numbers and short words stay as-is
+    const choices = cmd.split(/\s+/).filter(Boolean).map(word => {
+        if (vocabulary.has(word) || word.length < 3 || /\d/.test(word)) {
+            return [{ value: word, score: null }];
+        }
+        const matches = rankMatches(word, vocabulary);
+        return matches.length ? [...matches, { value: word, score: KEEP_SCORE }] : [{ value: word, score: null }];
+    });
+
+    // Every combination of alternatives, capped
+    let variants = [{ words: [], scores: [] }];
+    for (const options of choices) {
+        variants = variants.flatMap(variant => options.map(option => ({
+            words: [...variant.words, option.value],
+            scores: option.score === null ? variant.scores : [...variant.scores, option.score]
+        }))).slice(0, MAX_VARIANTS);
+    }
+
+    const suggestions = new Map();
+    for (const { words, scores } of variants) {
+        if (!scores.length) {
+            continue;
+        }
+        let text = words.join(' ');
+        // A bare application name means "open it"
+        if (!registry.resolve(text) && apps.has(text.replace(/\s+/g, ''))) {
+            text = `open ${text}`;
+        }
+        const match = registry.resolve(text);
+        if (!match || text === cmd) {
+            continue;
+        }
+        // Variants that mean the same thing collapse into the best one
+        const key = `${match.intent.name} ${JSON.stringify(match.slots)}`;
+        const score = Number((scores.reduce((sum, value) => sum + value, 0) / scores.length).toFixed(3));
+        if (!suggestions.has(key) || suggestions.get(key).score < score) {
+            suggestions.set(key, { text, intent: match.intent.name, score });
+        }
+    }
+    return [...suggestions.values()].sort((a, b) => b.score - a.score).slice(0, 5);
+};
+
+export const describeSuggestions = (suggestions, t = translator()) => {
+    const quoted = suggestions.map(suggestion => `"${suggestion.text}"`);
+    return quoted.length > 1
+        ? t('didYouMeanOneOf', { commands: quoted.slice(0, -1).join(', '), last: quoted[quoted.length - 1] })
+        : t('didYouMean', { command: quoted[0] });
+};
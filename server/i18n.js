@@ -0,0 +1,246 @@
+import { readdirSync, readFileSync } from 'fs';
+
+// Languages: per-locale command vocabularies and response messages.
+//
+// Each language has a resource file in server/locales/<code>.json:
+//   name          the language's own name
+//   digits        optional native digits 0-9, read as ASCII digits
+//   fillers       politeness words dropped before matching ("कृपया")
+//   conjunctions  words joining two commands ("और फिर")
+//   phrases       [{ say: [template, ...], command, verbatim }] rewriting an
+//                 utterance into the English command the intents understand.
+//                 "{name}" captures text, which is then translated word by
+//                 word, except for the names listed in `verbatim`: dictated
+//                 text ("{text}", a search "{query}") is passed on as spoken.
+//                 The first matching phrase wins, so specific ones go first.
+//   words         localized word or phrase -> English ("कैलकुलेटर": "calculator")
+//   messages      response templates by key, "{name}" being a parameter. A
+//                 template may be an object of plural forms (Intl.PluralRules
+//                 categories), picked by the `count` parameter.
+// Intents stay English: other languages are translated before resolution,
+// and English commands work in every locale. Messages a locale lacks fall
+// back to English.
+
+export const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'en';
+const FALLBACK_LOCALE = 'en';
+
+const LOCALES_DIR = new URL('./locales/', import.meta.url);
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// \b only knows ASCII, so word edges are spelled out for every script
+const WORD = '[\\p{L}\\p{M}\\p{N}]';
+const wordPattern = (words) => new RegExp(
+    `(?<!${WORD})(?:${words.map(escapeRegExp).join('|')})(?!${WORD})`,
+    'gu'
+);
+
+// Zero-width joiners and the Devanagari nukta are spelled inconsistently by
+// speech recognizers and keyboards, so they are ignored when matching
+const normalize = (text) => text.normalize('NFC')
+    .replace(/[\u200c\u200d\u093c]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const templatePattern = (template) => new RegExp(`^${normalize(template)
+    .split(/(\{\w+\})/)
+    .map(part => /^\{\w+\}$/.test(part) ? `(?<${part.slice(1, -1)}>.+?)` : escapeRegExp(part))
+    .join('')}$`, 'u');
+
+// The same template matched against the text as spoken, to read verbatim
+// captures: case may differ, joiners and the nukta may be present
+const IGNORED_MARKS = '[\\u200c\\u200d\\u093c]*';
+const spokenPattern = (template) => new RegExp(`^${normalize(template)
+    .split(/(\{\w+\})/)
+    .map(part => /^\{\w+\}$/.test(part)
+        ? `(?<${part.slice(1, -1)}>.+?)`
+        : [...part].map(char => char === ' ' ? '\\s+' : `${escapeRegExp(char)}${IGNORED_MARKS}`).join(''))
+    .join('')}$`, 'iu');
+
+const compileLocale = (code, resource) => {
+    const words = new Map(Object.entries(resource.words || {}).map(([word, english]) => [normalize(word), english]));
+    const longestFirst = [...words.keys()].sort((a, b) => b.length - a.length);
+    const fillers = (resource.fillers || []).map(normalize);
+    const conjunctions = (resource.conjunctions || []).map(normalize).sort((a, b) => b.length - a.length);
+
+    return {
+        code,
+        name: resource.name || code,
+        digits: resource.digits || null,
+        fillers: fillers.length ? wordPattern(fillers) : null,
+        spokenFillers: fillers.length ? new RegExp(wordPattern(fillers).source, 'giu') : null,
+        conjunctions: conjunctions.length ? wordPattern(conjunctions) : null,
+        spokenConjunctions: conjunctions.length ? new RegExp(wordPattern(conjunctions).source, 'giu') : null,
+        phrases: (resource.phrases || []).flatMap(({ say, command, verbatim = [] }) =>
+            say.map(template => ({
+                pattern: templatePattern(template),
+                spoken: verbatim.length ? spokenPattern(template) : null,
+                command,
+                verbatim
+            }))),
+        words,
+        wordsPattern: longestFirst.length ? wordPattern(longestFirst) : null,
+        messages: resource.messages || {},
+        plurals: new Intl.PluralRules(code)
+    };
+};
+
+const loadLocales = (dir = LOCALES_DIR) => new Map(readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+        const code = file.slice(0, -'.json'.length);
+        return [code, compileLocale(code, JSON.parse(readFileSync(new URL(file, dir), 'utf8')))];
+    }));
+
+export const locales = loadLocales();
+
+export const listLocales = () => [...locales.values()].map(({ code, name }) => ({ code, name }));
+
+// "hi-IN" -> "hi"; null when the language is not available
+export const matchLocale = (tag) => {
+    if (!tag || typeof tag !== 'string') {
+        return null;
+    }
+    const code = tag.trim().toLowerCase().replace('_', '-');
+    if (locales.has(code)) {
+        return code;
+    }
+    const base = code.split('-')[0];
+    return locales.has(base) ? base : null;
+};
+
+// Pick the locale for a request: an explicit `lang` wins (null when it is
+// not available), then the best Accept-Language entry
+// ("hi-IN,hi;q=0.9,en;q=0.8"), then DEFAULT_LOCALE
+export const negotiateLocale = ({ lang, acceptLanguage } = {}) => {
+    if (lang) {
+        return matchLocale(lang);
+    }
+    const ranked = (acceptLanguage || '').split(',')
+        .map((entry, index) => {
+            const [tag, ...params] = entry.trim().split(';');
+            const quality = params.map(param => param.trim()).find(param => param.startsWith('q='));
+            return { tag, quality: quality ? Number(quality.slice(2)) : 1, index };
+        })
+        .filter(({ tag, quality }) => tag && quality > 0)
+        .sort((a, b) => (b.quality - a.quality) || (a.index - b.index));
+
+    for (const { tag } of ranked) {
+        const code = matchLocale(tag);
+        if (code) {
+            return code;
+        }
+    }
+    return DEFAULT_LOCALE;
+};
+
+const translateWords = (resource, text) => resource.wordsPattern
+    ? text.replace(resource.wordsPattern, word => resource.words.get(word)).replace(/\s+/g, ' ').trim()
+    : text;
+
+// `spoken` is the same utterance before normalization, which verbatim
+// captures are read from
+const matchPhrase = (resource, text, spoken = null) => {
+    for (const { pattern, command, verbatim, spoken: spokenMatcher } of resource.phrases) {
+        const match = text.match(pattern);
+        if (match) {
+            const original = spokenMatcher && spoken ? spoken.match(spokenMatcher) : null;
+            return command.replace(/\{(\w+)\}/g, (placeholder, name) => {
+                if (!match.groups?.[name]) {
+                    return placeholder;
+                }
+                if (verbatim.includes(name)) {
+                    return original?.groups[name] ?? match.groups[name];
+                }
+                return translateWords(resource, match.groups[name]);
+            });
+        }
+    }
+    return null;
+};
+
+// Rewrite a command spoken in `locale` as the English command the intents
+// understand. Returns { text, translated }; English (or anything the locale
+// has no phrase or word for) comes back unchanged.
+export const toEnglish = (text, locale = DEFAULT_LOCALE) => {
+    const resource = locales.get(locale);
+    if (!resource || (!resource.phrases.length && !resource.wordsPattern)) {
+        return { text, translated: false };
+    }
+
+    let cmd = normalize(text);
+    if (resource.digits) {
+        cmd = cmd.replace(new RegExp(`[${resource.digits}]`, 'gu'), digit => String(resource.digits.indexOf(digit)));
+    }
+    if (resource.fillers) {
+        cmd = cmd.replace(resource.fillers, ' ').replace(/\s+/g, ' ').trim();
+    }
+    // As spoken, for verbatim captures: only fillers and extra spaces go
+    let spoken = text.normalize('NFC');
+    if (resource.spokenFillers) {
+        spoken = spoken.replace(resource.spokenFillers, ' ');
+    }
+    spoken = spoken.replace(/\s+/g, ' ').trim();
+
+    // "यूट्यूब खोलो और आवाज़ बढ़ाओ" is two phrases; joined with "and" the
+    // compound splitter takes it from there
+    let english = null;
+    const segments = resource.conjunctions
+        ? cmd.split(resource.conjunctions).map(segment => segment.trim()).filter(Boolean)
+        : [cmd];
+    if (segments.length > 1) {
+        const spokenSegments = spoken.split(resource.spokenConjunctions).map(segment => segment.trim()).filter(Boolean);
+        const parts = segments.map((segment, index) =>
+            matchPhrase(resource, segment, spokenSegments.length === segments.length ? spokenSegments[index] : null));
+        english = parts.every(Boolean) ? parts.join(' and ') : null;
+    }
+    english = english ?? matchPhrase(resource, cmd, spoken) ?? translateWords(resource, cmd);
+
+    return english === text.toLowerCase().trim()
+        ? { text, translated: false }
+        : { text: english, translated: true };
+};
+
+// Format the message `key` in `locale`, falling back to English
+export const translate = (locale, key, params = {}) => {
+    const resource = [locales.get(locale), locales.get(FALLBACK_LOCALE)]
+        .find(candidate => candidate && candidate.messages[key] !== undefined);
+    if (!resource) {
+        return key;
+    }
+
+    let template = resource.messages[key];
+    if (typeof template === 'object') {
+        template = template[resource.plurals.select(Number(params.count))] ?? template.other;
+    }
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+        params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder);
+};
+
+// Message formatter bound to a locale, handed to intent handlers as `t`.
+// Also formats durations and dates; English keeps the server's regional
+// date format.
+export const translator = (locale = DEFAULT_LOCALE) => {
+    const code = locales.has(locale) ? locale : FALLBACK_LOCALE;
+    const intlLocale = code === FALLBACK_LOCALE ? undefined : code;
+    const t = (key, params) => translate(code, key, params);
+
+    t.locale = code;
+    t.duration = (ms) => {
+        const totalSeconds = Math.max(0, Math.round(ms / 1000));
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        const parts = [];
+
+        if (hours) parts.push(t('duration.hours', { count: hours }));
+        if (minutes) parts.push(t('duration.minutes', { count: minutes }));
+        if (seconds || !parts.length) parts.push(t('duration.seconds', { count: seconds }));
+        return parts.join(' ');
+    };
+    t.time = (date) => new Date(date).toLocaleTimeString(intlLocale);
+    t.date = (date) => new Date(date).toLocaleDateString(intlLocale);
+    t.dateTime = (date) => new Date(date).toLocaleString(intlLocale);
+    return t;
+};
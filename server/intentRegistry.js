@@ -0,0 +1,157 @@
+// Intent registry used by CommandProcessor.processCommand.
+//
+// Each intent declares the patterns that trigger it, the slots it needs and a
+// priority. Instead of taking the first substring hit, the dispatcher scores
+// every candidate and runs the best one, so registration order no longer
+// decides which handler wins.
+//
+// Intent definition:
+//   name      unique identifier, returned to clients as `intent`
+//   patterns  RegExp or phrase strings; at least one must match. Phrases are
+//             matched on word boundaries. Named regex groups become slots.
+//   requires  optional phrases that must all appear for the intent to apply
+//   slots     optional map of slot name -> entity type from entities.js
+//             ('duration', 'url', ...) or extractor ({ cmd, match, slots, registry }) => value.
+//             Entity slots read the named group of the same name when the
+//             pattern has one, otherwise the whole command.
+//   required  optional list of slot names that must be non-empty to match
+//   priority  base score; higher wins (defaults to 0)
+//   confirm   optional description (string or (slots, t) => string) marking
+//             the intent as destructive; it then only runs after confirmation.
+//             A function may return null when these slots need no confirmation.
+//   followUps optional map for conversational follow-ups ("more", "less") to
+//             the command they stand for (string or (slots) => string)
+//   undo      optional command (string or (slots) => string) reversing this
+//             intent, used by "undo that"
+//   atomic    optional; true when the slots span "and"/"then" (routine
+//             definitions), so the utterance is never split as compound
+//   handler   async ({ cmd, text, slots, options, userAgent, processor, locale, t }) => string | { status, response, ... }
+//             `t` formats response messages in the request's locale (i18n.js)
+
+import { extractEntity } from './entities.js';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toRegExp = (pattern) => {
+    if (pattern instanceof RegExp) {
+        return pattern;
+    }
+    return new RegExp(`\\b${escapeRegExp(pattern.toLowerCase())}\\b`);
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// The confirmation `intent` asks for with these slots, worded by `t`, or null
+export const describeConfirmation = (intent, slots, t) => {
+    const { confirm } = intent;
+    return (typeof confirm === 'function' ? confirm(slots, t) : confirm) || null;
+};
+
+export class IntentRegistry {
+    constructor() {
+        this.intents = new Map();
+    }
+
+    register(definition) {
+        const { name, patterns, handler } = definition;
+
+        if (!name || typeof handler !== 'function') {
+            throw new Error('Intent requires a name and a handler function');
+        }
+        if (!Array.isArray(patterns) || patterns.length === 0) {
+            throw new Error(`Intent "${name}" requires at least one pattern`);
+        }
+        if (this.intents.has(name)) {
+            throw new Error(`Intent "${name}" is already registered`);
+        }
+
+        this.intents.set(name, {
+            slots: {},
+            required: [],
+            priority: 0,
+            ...definition,
+            patterns: patterns.map(toRegExp),
+            requires: (definition.requires || []).map(toRegExp),
+            order: this.intents.size
+        });
+        return this;
+    }
+
+    unregister(name) {
+        return this.intents.delete(name);
+    }
+
+    get(name) {
+        return this.intents.get(name);
+    }
+
+    list() {
+        return [...this.intents.values()];
+    }
+
+    // Score one intent against a normalized command. Returns null when the
+    // intent does not apply.
+    evaluate(intent, cmd) {
+        if (!intent.requires.every(pattern => pattern.test(cmd))) {
+            return null;
+        }
+
+        let best = null;
+        for (const pattern of intent.patterns) {
+            const match = cmd.match(pattern);
+            if (match && (!best || match[0].length > best[0].length)) {
+                best = match;
+            }
+        }
+        if (!best) {
+            return null;
+        }
+
+        const slots = {};
+        for (const [slotName, value] of Object.entries(best.groups || {})) {
+            if (!isEmpty(value)) {
+                slots[slotName] = value.trim();
+            }
+        }
+        for (const [slotName, spec] of Object.entries(intent.slots)) {
+            const value = typeof spec === 'string'
+                ? extractEntity(spec, best.groups?.[slotName] ?? cmd)
+                : spec({ cmd, match: best, slots, registry: this });
+            if (isEmpty(value)) {
+                delete slots[slotName];
+            } else {
+                slots[slotName] = value;
+            }
+        }
+
+        if (intent.required.some(slotName => isEmpty(slots[slotName]))) {
+            return null;
+        }
+
+        // Priority decides between intents; pattern coverage breaks ties
+        // between intents of equal priority.
+        const coverage = cmd.length ? best[0].length / cmd.length : 0;
+        return {
+            intent,
+            slots,
+            match: best,
+            score: intent.priority + coverage
+        };
+    }
+
+    // Return every matching intent, best first.
+    candidates(cmd) {
+        return this.list()
+            .map(intent => this.evaluate(intent, cmd))
+            .filter(Boolean)
+            .sort((a, b) => (b.score - a.score) || (a.intent.order - b.intent.order));
+    }
+
+    resolve(cmd) {
+        return this.candidates(cmd)[0] || null;
+    }
+}
+
+// Shared registry. Built-in intents are registered by builtinIntents.js;
+// additional modules can register their own intents here.
+export const intentRegistry = new IntentRegistry();
@@ -0,0 +1,292 @@
+import { spawn, execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Shell-free process launching.
+//
+// Every process CommandProcessor starts goes through a Launcher. Executables
+// come from an allow-listed catalog with per-platform candidates, arguments
+// are passed as an argv array and no shell is ever involved, so spoken input
+// such as "open foo; rm -rf ~" reaches the target program as a single literal
+// argument at most.
+//
+// Catalog entries map platform -> list of argv prefixes. The first candidate
+// whose executable exists on PATH is used (replacing "a || b" shell chains).
+// `acceptsArgs` marks entries that may receive extra arguments at launch time.
+//
+// Applications users open by name are not listed here: the app catalog
+// (apps.js) merges them into `catalog` next to these system entries.
+//
+// A recording launcher (see `recording()`) resolves plans exactly the same way
+// but stores them instead of running anything; it backs dry-run mode.
+
+export const defaultCatalog = {
+    // Opens URLs, URI schemes and folders with the desktop default handler
+    opener: {
+        acceptsArgs: true,
+        darwin: [['open']],
+        win32: [['explorer.exe']],
+        linux: [['xdg-open'], ['gio', 'open']]
+    },
+    // macOS application by bundle name ("open -a Spotify")
+    appByName: {
+        acceptsArgs: true,
+        darwin: [['open', '-a']]
+    },
+
+    // Settings pages
+    'settings:main': {
+        darwin: [['open', '-b', 'com.apple.systempreferences']],
+        win32: [['explorer.exe', 'ms-settings:']],
+        linux: [['gnome-control-center'], ['systemsettings5'], ['systemsettings'], ['unity-control-center']]
+    },
+    'settings:network': {
+        darwin: [['open', '-b', 'com.apple.systempreferences', '/System/Library/PreferencePanes/Network.prefPane']],
+        win32: [['explorer.exe', 'ms-settings:network']],
+        linux: [['gnome-control-center', 'network'], ['systemsettings5', 'kcm_networkmanagement']]
+    },
+    'settings:display': {
+        darwin: [['open', '-b', 'com.apple.systempreferences', '/System/Library/PreferencePanes/Displays.prefPane']],
+        win32: [['explorer.exe', 'ms-settings:display']],
+        linux: [['gnome-control-center', 'display'], ['systemsettings5', 'kcm_displayconfiguration']]
+    },
+    'settings:sound': {
+        darwin: [['open', '-b', 'com.apple.systempreferences', '/System/Library/PreferencePanes/Sound.prefPane']],
+        win32: [['explorer.exe', 'ms-settings:sound']],
+        linux: [['gnome-control-center', 'sound'], ['systemsettings5', 'kcm_pulseaudio']]
+    },
+    'settings:bluetooth': {
+        darwin: [['open', '-b', 'com.apple.systempreferences', '/System/Library/PreferencePanes/Bluetooth.prefPane']],
+        win32: [['explorer.exe', 'ms-settings:bluetooth']],
+        linux: [['gnome-control-center', 'bluetooth'], ['systemsettings5', 'kcm_bluetooth']]
+    },
+    'settings:privacy': { win32: [['explorer.exe', 'ms-settings:privacy']] },
+    'settings:update': { win32: [['explorer.exe', 'ms-settings:windowsupdate']] },
+
+    // Power control
+    shutdown: {
+        acceptsArgs: true,
+        darwin: [['sudo', 'shutdown', '-h']],
+        win32: [['shutdown.exe', '/s', '/t']],
+        linux: [['sudo', 'shutdown', '-h']]
+    },
+    shutdownCancel: {
+        darwin: [['sudo', 'killall', 'shutdown']],
+        win32: [['shutdown.exe', '/a']],
+        linux: [['sudo', 'shutdown', '-c']]
+    },
+    restart: {
+        darwin: [['sudo', 'shutdown', '-r', 'now']],
+        win32: [['shutdown.exe', '/r', '/t', '10']],
+        linux: [['sudo', 'reboot']]
+    },
+    sleep: {
+        darwin: [['pmset', 'sleepnow']],
+        win32: [['rundll32.exe', 'powrprof.dll,SetSuspendState', '0,1,0']],
+        linux: [['systemctl', 'suspend']]
+    },
+
+    // Process control: graceful close, "/f" to force (see processes.js)
+    taskkill: {
+        acceptsArgs: true,
+        win32: [['taskkill.exe']]
+    },
+    // Bring an application window to the front
+    focus: {
+        acceptsArgs: true,
+        darwin: [['open', '-a']],
+        linux: [['wmctrl', '-a']]
+    },
+
+    // Desktop notifications
+    notify: {
+        acceptsArgs: true,
+        darwin: [['osascript', '-e']],
+        win32: [['powershell.exe', '-NoProfile', '-NonInteractive', '-Command']],
+        linux: [['notify-send', '--app-name=Voice Control']]
+    }
+};
+
+export class LaunchError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'LaunchError';
+        this.code = code;
+    }
+}
+
+// URL schemes that may be handed to the desktop opener
+const OPENABLE_SCHEMES = ['http:', 'https:', 'whatsapp:', 'ms-settings:', 'mailto:'];
+
+// Reject values that could be read as options or smuggle control characters.
+// Shell metacharacters are harmless here (no shell), so they are left alone.
+export const assertSafeArgument = (value) => {
+    if (typeof value !== 'string' || value.length === 0) {
+        throw new LaunchError('Launch argument must be a non-empty string', 'EINVAL');
+    }
+    if (/[\0\r\n]/.test(value)) {
+        throw new LaunchError('Launch argument contains control characters', 'EINVAL');
+    }
+    if (value.startsWith('-')) {
+        throw new LaunchError(`Launch argument "${value}" looks like an option`, 'EINVAL');
+    }
+    return value;
+};
+
+export class Launcher {
+    constructor({
+        platform = os.platform(),
+        catalog = defaultCatalog,
+        spawnImpl = spawn,
+        execFileImpl = execFile,
+        which
+    } = {}) {
+        this.platform = platform;
+        this.catalog = catalog;
+        this.spawnImpl = spawnImpl;
+        this.execFileImpl = execFileImpl;
+        if (which) {
+            this.which = which;
+        }
+        this.plans = null;
+    }
+
+    // Copy of this launcher that records every plan instead of executing it
+    recording(plans = []) {
+        const copy = new Launcher({
+            platform: this.platform,
+            catalog: this.catalog,
+            which: (command) => this.which(command)
+        });
+        copy.plans = plans;
+        return copy;
+    }
+
+    platformKey() {
+        return ['win32', 'darwin'].includes(this.platform) ? this.platform : 'linux';
+    }
+
+    // Locate an executable on PATH. Returns the resolved path or null.
+    which(command) {
+        if (path.isAbsolute(command)) {
+            return fs.existsSync(command) ? command : null;
+        }
+
+        const extensions = this.platform === 'win32'
+            ? ['', ...(process.env.PATHEXT || '.EXE;.CMD;.BAT').toLowerCase().split(';')]
+            : [''];
+        for (const dir of (process.env.PATH || '').split(path.delimiter)) {
+            for (const ext of extensions) {
+                const candidate = path.join(dir, command + ext);
+                try {
+                    fs.accessSync(candidate, fs.constants.X_OK);
+                    return candidate;
+                } catch {
+                    // keep looking
+                }
+            }
+        }
+        return null;
+    }
+
+    has(name) {
+        return Boolean(this.catalog[name]?.[this.platformKey()]?.length);
+    }
+
+    // Whether an entry exists for this platform and which candidate would run
+    availability(name) {
+        const candidates = this.catalog[name]?.[this.platformKey()] || [];
+        const argv = candidates.find(([command]) => this.which(command));
+        return {
+            supported: candidates.length > 0,
+            available: Boolean(argv),
+            command: argv ? argv[0] : null
+        };
+    }
+
+    // Resolve a catalog entry to the argv that would run, without running it.
+    resolve(name, args = []) {
+        const entry = this.catalog[name];
+        const candidates = entry?.[this.platformKey()];
+
+        if (!candidates || candidates.length === 0) {
+            throw new LaunchError(`"${name}" is not available on this platform`, 'ENOTSUP');
+        }
+        if (args.length && !entry.acceptsArgs) {
+            throw new LaunchError(`"${name}" does not accept arguments`, 'EINVAL');
+        }
+
+        let argv = candidates.find(([command]) => this.which(command));
+        let available = true;
+        if (!argv) {
+            if (!this.plans) {
+                throw new LaunchError(`"${name}" not found or not installed (tried ${candidates.map(([command]) => command).join(', ')})`, 127);
+            }
+            // Dry runs still report what would be attempted
+            argv = candidates[0];
+            available = false;
+        }
+
+        const [command, ...prefix] = argv;
+        return { name, command, args: [...prefix, ...args.map(String)], available };
+    }
+
+    // Run a catalog entry. GUI applications are started detached and resolve
+    // once spawned; everything else resolves with stdout when it exits.
+    async launch(name, args = [], options = {}) {
+        return this.execute(this.resolve(name, args), options);
+    }
+
+    async execute(plan, { detached = false, timeout = 10000 } = {}) {
+        if (this.plans) {
+            this.plans.push({ ...plan, detached });
+            return '';
+        }
+
+        if (detached) {
+            return new Promise((resolve, reject) => {
+                const child = this.spawnImpl(plan.command, plan.args, {
+                    detached: true,
+                    stdio: 'ignore',
+                    shell: false
+                });
+                child.once('error', (error) => reject(this.normalizeError(error, plan)));
+                child.once('spawn', () => {
+                    child.unref();
+                    resolve('');
+                });
+            });
+        }
+
+        return new Promise((resolve, reject) => {
+            this.execFileImpl(plan.command, plan.args, { timeout, shell: false }, (error, stdout, stderr) => {
+                if (error) {
+                    reject(this.normalizeError(error, plan));
+                } else {
+                    resolve(stdout || stderr || '');
+                }
+            });
+        });
+    }
+
+    // Open a URL, URI or filesystem path with the platform's default handler.
+    async open(target, options = {}) {
+        assertSafeArgument(target);
+
+        const scheme = target.match(/^([a-z][a-z0-9+.-]*:)(?!\\)/i)?.[1].toLowerCase();
+        if (scheme && !OPENABLE_SCHEMES.includes(scheme)) {
+            throw new LaunchError(`Refusing to open "${scheme}" links`, 'EINVAL');
+        }
+        return this.launch('opener', [target], options);
+    }
+
+    normalizeError(error, plan) {
+        if (error.code === 'ENOENT') {
+            return new LaunchError(`"${plan.command}" not found or not installed`, 127);
+        }
+        return error;
+    }
+}
+
+export const launcher = new Launcher();
@@ -0,0 +1,189 @@
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { probeBattery } from './systemInfo.js';
+
+// Shared live metrics sampler.
+//
+// One sampler runs per server no matter how many clients listen. It starts
+// with the first subscriber, stops with the last one and only collects the
+// metrics somebody subscribed to. Every tick emits a 'sample' event:
+//   { timestamp, cpu, memory, load, network, battery }   (subscribed keys only)
+
+export const METRICS = ['cpu', 'memory', 'load', 'network', 'battery'];
+
+// Battery readings change slowly and can be expensive off Linux
+const BATTERY_EVERY_MS = 30000;
+
+// /proc/net/dev: per-interface receive/transmit byte counters
+export const parseNetDev = (output) => output
+    .split(/\r?\n/)
+    .slice(2)
+    .map(line => line.match(/^\s*([^:]+):\s*(.*)$/))
+    .filter(Boolean)
+    .map(([, name, rest]) => {
+        const fields = rest.trim().split(/\s+/).map(Number);
+        return { name: name.trim(), rxBytes: fields[0], txBytes: fields[8] };
+    });
+
+const cpuTimes = () => os.cpus().map(({ times }) => {
+    const total = Object.values(times).reduce((sum, value) => sum + value, 0);
+    return { idle: times.idle, total };
+});
+
+export class MetricsSampler extends EventEmitter {
+    constructor({
+        intervalMs = Number(process.env.METRICS_INTERVAL_MS) || 1000,
+        platform = os.platform(),
+        root = '/'
+    } = {}) {
+        super();
+        this.intervalMs = intervalMs;
+        this.platform = platform;
+        this.root = root;
+        this.subscribers = new Set();
+        this.timer = null;
+        this.latest = null;
+        this.previousCpu = null;
+        this.previousNetwork = null;
+        this.battery = null;
+        this.batteryAt = 0;
+    }
+
+    // Union of the metrics all current subscribers asked for
+    wanted() {
+        const wanted = new Set();
+        for (const subscriber of this.subscribers) {
+            subscriber.metrics.forEach(metric => wanted.add(metric));
+        }
+        return wanted;
+    }
+
+    // Subscribe to a subset of METRICS. Returns an unsubscribe function.
+    subscribe(metrics, listener) {
+        const subscriber = {
+            metrics: (metrics && metrics.length ? metrics : METRICS).filter(metric => METRICS.includes(metric)),
+            listener
+        };
+        this.subscribers.add(subscriber);
+        this.start();
+
+        return () => {
+            this.subscribers.delete(subscriber);
+            if (this.subscribers.size === 0) {
+                this.stop();
+            }
+        };
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+        // Prime the delta-based metrics so the first sample has rates
+        this.previousCpu = cpuTimes();
+        this.timer = setInterval(() => {
+            this.tick().catch(error => console.error('Metrics sample error:', error));
+        }, this.intervalMs);
+        this.timer.unref?.();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.previousCpu = null;
+        this.previousNetwork = null;
+    }
+
+    sampleCpu() {
+        const current = cpuTimes();
+        const previous = this.previousCpu || current;
+        this.previousCpu = current;
+
+        const perCore = current.map((core, index) => {
+            const idle = core.idle - (previous[index]?.idle ?? core.idle);
+            const total = core.total - (previous[index]?.total ?? core.total);
+            return total > 0 ? Number(((1 - idle / total) * 100).toFixed(1)) : 0;
+        });
+        const usagePercent = perCore.length
+            ? Number((perCore.reduce((sum, value) => sum + value, 0) / perCore.length).toFixed(1))
+            : 0;
+        return { usagePercent, perCore };
+    }
+
+    sampleMemory() {
+        const totalBytes = os.totalmem();
+        const freeBytes = os.freemem();
+        const usedBytes = totalBytes - freeBytes;
+        return {
+            totalBytes,
+            usedBytes,
+            freeBytes,
+            usagePercent: Number(((usedBytes / totalBytes) * 100).toFixed(1))
+        };
+    }
+
+    async sampleNetwork(now) {
+        if (this.platform !== 'linux') {
+            return { available: false, interfaces: [] };
+        }
+
+        let counters;
+        try {
+            counters = parseNetDev(await fs.readFile(path.join(this.root, 'proc/net/dev'), 'utf8'));
+        } catch {
+            return { available: false, interfaces: [] };
+        }
+
+        const previous = this.previousNetwork;
+        this.previousNetwork = { at: now, counters: new Map(counters.map(entry => [entry.name, entry])) };
+        const seconds = previous ? (now - previous.at) / 1000 : 0;
+
+        return {
+            available: true,
+            interfaces: counters.map(entry => {
+                const before = previous?.counters.get(entry.name);
+                return {
+                    ...entry,
+                    rxBytesPerSecond: before && seconds ? Math.max(0, Math.round((entry.rxBytes - before.rxBytes) / seconds)) : null,
+                    txBytesPerSecond: before && seconds ? Math.max(0, Math.round((entry.txBytes - before.txBytes) / seconds)) : null
+                };
+            })
+        };
+    }
+
+    async sampleBattery(now) {
+        if (!this.battery || now - this.batteryAt >= BATTERY_EVERY_MS) {
+            this.battery = await probeBattery({ platform: this.platform, root: this.root });
+            this.batteryAt = now;
+        }
+        return this.battery;
+    }
+
+    async tick() {
+        const wanted = this.wanted();
+        const now = Date.now();
+        const sample = { timestamp: new Date(now).toISOString() };
+
+        if (wanted.has('cpu')) sample.cpu = this.sampleCpu();
+        if (wanted.has('memory')) sample.memory = this.sampleMemory();
+        if (wanted.has('load')) sample.load = os.loadavg();
+        if (wanted.has('network')) sample.network = await this.sampleNetwork(now);
+        if (wanted.has('battery')) sample.battery = await this.sampleBattery(now);
+
+        this.latest = sample;
+        this.emit('sample', sample);
+
+        for (const subscriber of this.subscribers) {
+            const filtered = { timestamp: sample.timestamp };
+            for (const metric of subscriber.metrics) {
+                filtered[metric] = sample[metric];
+            }
+            subscriber.listener(filtered);
+        }
+        return sample;
+    }
+}
+
+export const metricsSampler = new MetricsSampler();
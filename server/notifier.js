@@ -0,0 +1,72 @@
+import { randomUUID } from 'crypto';
+import { clientEvents } from './clientEvents.js';
+
+// Pluggable notification delivery.
+//
+// A backend is a named function `(notification) => Promise` that delivers a
+// notification somewhere: connected clients (always registered), the desktop
+// (registered by server.js, which owns the platform switch), ... Only enabled
+// backends receive notifications; NOTIFY_BACKENDS picks them
+// (comma separated, default "clients"). A failing backend is logged and does
+// not stop the others.
+//
+// Notification shape:
+//   { id, type, title, message, timestamp, ...extra }
+
+const parseBackends = (value) => (value || 'clients').split(',').map(name => name.trim()).filter(Boolean);
+
+export class Notifier {
+    constructor({ enabled = parseBackends(process.env.NOTIFY_BACKENDS) } = {}) {
+        this.backends = new Map();
+        this.enabled = new Set(enabled);
+    }
+
+    register(name, deliver) {
+        this.backends.set(name, deliver);
+        return this;
+    }
+
+    enable(name, on = true) {
+        if (on) {
+            this.enabled.add(name);
+        } else {
+            this.enabled.delete(name);
+        }
+    }
+
+    list() {
+        return [...this.backends.keys()].map(name => ({ name, enabled: this.enabled.has(name) }));
+    }
+
+    // Deliver to every enabled backend. Resolves with per-backend outcomes.
+    async notify({ type = 'notification', title, message, ...extra }) {
+        const notification = {
+            id: randomUUID(),
+            type,
+            title,
+            message,
+            timestamp: new Date(),
+            ...extra
+        };
+
+        const deliveries = [];
+        for (const [name, deliver] of this.backends) {
+            if (!this.enabled.has(name)) {
+                continue;
+            }
+            try {
+                await deliver(notification);
+                deliveries.push({ backend: name, delivered: true });
+            } catch (error) {
+                console.error(`Notification backend ${name} failed:`, error.message);
+                deliveries.push({ backend: name, delivered: false, error: error.message });
+            }
+        }
+        return { notification, deliveries };
+    }
+}
+
+export const notifier = new Notifier()
+    .register('clients', async (notification) => {
+        clientEvents.broadcast('notification', notification);
+    });
@@ -0,0 +1,91 @@
+import { randomUUID } from 'crypto';
+import { launcher as defaultLauncher } from './launcher.js';
+
+// Tracks the scheduled power actions this server issued (currently delayed
+// shutdowns) so they can be listed and aborted by voice or API.
+//
+// The operating system only keeps one pending shutdown, so aborting any
+// tracked action runs the platform's abort command (`shutdown -c`,
+// `shutdown /a`, ...) and drops every tracked shutdown.
+
+export const formatRemaining = (ms) => {
+    const totalSeconds = Math.max(0, Math.round(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const parts = [];
+
+    if (hours) parts.push(`${hours} hour${hours === 1 ? '' : 's'}`);
+    if (minutes) parts.push(`${minutes} minute${minutes === 1 ? '' : 's'}`);
+    if (seconds || !parts.length) parts.push(`${seconds} second${seconds === 1 ? '' : 's'}`);
+    return parts.join(' ');
+};
+
+export class PowerActionTracker {
+    constructor({ launcher = defaultLauncher } = {}) {
+        this.launcher = launcher;
+        this.actions = new Map();
+    }
+
+    // Forget actions whose target time has passed
+    prune(now = Date.now()) {
+        for (const [id, action] of this.actions) {
+            if (action.targetTime.getTime() <= now) {
+                this.actions.delete(id);
+            }
+        }
+    }
+
+    async scheduleShutdown(seconds, { commandId = null } = {}) {
+        const args = this.launcher.platform === 'win32'
+            ? [String(seconds)]
+            : [`+${Math.ceil(seconds / 60)}`];
+        const plan = this.launcher.resolve('shutdown', args);
+
+        await this.launcher.execute(plan);
+
+        // Unix shutdown only takes whole minutes
+        const delaySeconds = this.launcher.platform === 'win32' ? seconds : Math.ceil(seconds / 60) * 60;
+        const action = {
+            id: randomUUID(),
+            action: 'shutdown',
+            createdAt: new Date(),
+            delaySeconds,
+            targetTime: new Date(Date.now() + delaySeconds * 1000),
+            platform: this.launcher.platform,
+            command: [plan.command, ...plan.args].join(' '),
+            commandId
+        };
+        this.actions.set(action.id, action);
+        return action;
+    }
+
+    list() {
+        this.prune();
+        const now = Date.now();
+        return [...this.actions.values()]
+            .sort((a, b) => a.targetTime - b.targetTime)
+            .map(action => ({ ...action, remainingSeconds: Math.round((action.targetTime - now) / 1000) }));
+    }
+
+    get(id) {
+        this.prune();
+        return this.actions.get(id) || null;
+    }
+
+    // Abort pending shutdowns. Returns the actions that were cancelled.
+    async cancel(id = null) {
+        this.prune();
+        if (id ? !this.actions.has(id) : this.actions.size === 0) {
+            return [];
+        }
+
+        await this.launcher.launch('shutdownCancel');
+
+        const cancelled = [...this.actions.values()];
+        this.actions.clear();
+        return cancelled;
+    }
+}
+
+export const powerActions = new PowerActionTracker();
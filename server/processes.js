@@ -0,0 +1,320 @@
+import { exec } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { launcher as defaultLauncher } from './launcher.js';
+
+// Running process listing and termination.
+//
+// Linux reads /proc directly (under `root`, so tests can point it at a fake
+// tree); macOS parses `ps` and Windows `tasklist`. Processes are plain
+// objects:
+//   { pid, ppid, name, command, cpu (percent of one core, null if unknown), memory (bytes) }
+//
+// Termination sends a graceful signal first (SIGTERM, or taskkill without /f
+// on Windows) and forces the process only if it is still alive after
+// `graceMs`. System processes on the deny-list, the kernel's own threads and
+// this server are never touched; PROTECTED_PROCESSES adds names to the list.
+//
+// A recording manager (see `recording()`) lists for real but stores signals in
+// a plan instead of sending them; it backs dry-run mode.
+
+export class ProcessError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'ProcessError';
+        this.code = code;
+    }
+}
+
+// Linux reports CPU time in clock ticks and RSS in pages
+const CLOCK_TICKS = 100;
+const PAGE_SIZE = 4096;
+
+export const PROTECTED_PROCESSES = new Set([
+    // Linux
+    'systemd', 'init', 'kthreadd', 'dbus-daemon', 'dbus-broker', 'systemd-logind', 'login', 'sshd', 'polkitd',
+    'xorg', 'xwayland', 'gdm', 'gdm3', 'sddm', 'lightdm', 'gnome-shell', 'gnome-session-binary', 'mutter',
+    'kwin_x11', 'kwin_wayland', 'plasmashell', 'ksmserver', 'xfwm4', 'xfce4-session',
+    'pipewire', 'wireplumber', 'pulseaudio', 'networkmanager', 'udisksd', 'upowerd',
+    // macOS
+    'launchd', 'kernel_task', 'windowserver', 'loginwindow', 'dock', 'finder', 'systemuiserver', 'coreaudiod',
+    // Windows
+    'system', 'system idle process', 'registry', 'smss', 'csrss', 'wininit', 'winlogon', 'services', 'lsass',
+    'svchost', 'dwm', 'explorer', 'fontdrvhost', 'sihost', 'taskhostw', 'memory compression'
+]);
+
+// "C:\\Program Files\\Foo\\Foo.exe" -> "foo"
+export const processKey = (name) => path.basename(String(name || '').replace(/\\/g, '/'))
+    .toLowerCase()
+    .replace(/\.exe$/, '')
+    .trim();
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const runCommand = (command) => new Promise((resolve, reject) => {
+    exec(command, { timeout: 10000, maxBuffer: 8 * 1024 * 1024 }, (error, stdout) => {
+        if (error) {
+            reject(error);
+        } else {
+            resolve(stdout);
+        }
+    });
+});
+
+// Fields of /proc/<pid>/stat. The name is in parentheses and may itself
+// contain spaces and parentheses, so fields are counted from the last ")".
+export const parseProcStat = (text) => {
+    const open = text.indexOf('(');
+    const close = text.lastIndexOf(')');
+    if (open < 0 || close < open) {
+        return null;
+    }
+    const fields = text.slice(close + 2).trim().split(/\s+/);
+    return {
+        pid: Number(text.slice(0, open)),
+        name: text.slice(open + 1, close),
+        state: fields[0],
+        ppid: Number(fields[1]),
+        cpuTicks: Number(fields[11]) + Number(fields[12]),
+        memory: Number(fields[21]) * PAGE_SIZE
+    };
+};
+
+// `ps -axo pid=,ppid=,pcpu=,rss=,comm=` (macOS)
+export const parsePsOutput = (output) => output
+    .split(/\r?\n/)
+    .map(line => line.match(/^\s*(\d+)\s+(\d+)\s+([\d.]+)\s+(\d+)\s+(.+)$/))
+    .filter(Boolean)
+    .map(([, pid, ppid, cpu, rss, command]) => ({
+        pid: Number(pid),
+        ppid: Number(ppid),
+        name: path.basename(command.trim()),
+        command: command.trim(),
+        cpu: Number(cpu),
+        memory: Number(rss) * 1024
+    }));
+
+// `tasklist /fo csv /nh` (Windows): "Image Name","PID","Session Name","Session#","Mem Usage"
+export const parseTasklist = (output) => output
+    .split(/\r?\n/)
+    .map(line => [...line.matchAll(/"([^"]*)"/g)].map(match => match[1]))
+    .filter(fields => fields.length >= 5 && /^\d+$/.test(fields[1]))
+    .map(([name, pid, , , memory]) => ({
+        pid: Number(pid),
+        ppid: null,
+        name,
+        command: name,
+        cpu: null,
+        memory: Number(memory.replace(/\D/g, '')) * 1024
+    }));
+
+export class ProcessManager {
+    constructor({
+        platform = os.platform(),
+        root = '/',
+        run = runCommand,
+        kill = (pid, signal) => process.kill(pid, signal),
+        launcher = defaultLauncher,
+        sampleMs = 500,
+        graceMs = 3000,
+        protectedNames = [...PROTECTED_PROCESSES, ...(process.env.PROTECTED_PROCESSES || '').split(',')],
+        ownPids = [process.pid, process.ppid]
+    } = {}) {
+        this.platform = platform;
+        this.root = root;
+        this.run = run;
+        this.kill = kill;
+        this.launcher = launcher;
+        this.sampleMs = sampleMs;
+        this.graceMs = graceMs;
+        this.protectedNames = new Set(protectedNames.map(processKey).filter(Boolean));
+        this.ownPids = new Set(ownPids);
+        this.plans = null;
+    }
+
+    // Copy of this manager that records signals instead of sending them
+    recording(plans = []) {
+        const copy = Object.assign(Object.create(ProcessManager.prototype), this);
+        copy.launcher = this.launcher.recording(plans);
+        copy.plans = plans;
+        return copy;
+    }
+
+    procPath(...parts) {
+        return path.join(this.root, 'proc', ...parts);
+    }
+
+    // Snapshot of /proc without CPU usage. Kernel threads (no command line)
+    // and zombies are left out.
+    async readProc() {
+        const pids = (await fs.readdir(this.procPath())).filter(entry => /^\d+$/.test(entry));
+        const processes = [];
+        for (const pid of pids) {
+            try {
+                const stat = parseProcStat(await fs.readFile(this.procPath(pid, 'stat'), 'utf8'));
+                const argv = (await fs.readFile(this.procPath(pid, 'cmdline'), 'utf8')).split('\0').filter(Boolean);
+                if (!stat || stat.state === 'Z' || !argv.length) {
+                    continue;
+                }
+                processes.push({ ...stat, argv });
+            } catch {
+                // exited while being read
+            }
+        }
+        return processes;
+    }
+
+    async listLinux() {
+        const first = new Map((await this.readProc()).map(proc => [proc.pid, proc.cpuTicks]));
+        const started = Date.now();
+        await wait(this.sampleMs);
+        const snapshot = await this.readProc();
+        const seconds = Math.max((Date.now() - started) / 1000, 0.001);
+
+        return snapshot.map(({ pid, ppid, name, argv, cpuTicks, memory }) => ({
+            pid,
+            ppid,
+            name,
+            command: argv.join(' '),
+            executable: path.basename(argv[0]),
+            cpu: first.has(pid)
+                ? Number(((cpuTicks - first.get(pid)) / CLOCK_TICKS / seconds * 100).toFixed(1))
+                : 0,
+            memory
+        }));
+    }
+
+    async list({ sort = 'memory', limit = null, name = null } = {}) {
+        let processes;
+        if (this.platform === 'linux') {
+            processes = await this.listLinux();
+        } else if (this.platform === 'darwin') {
+            processes = parsePsOutput(await this.run('ps -axo pid=,ppid=,pcpu=,rss=,comm='));
+        } else if (this.platform === 'win32') {
+            processes = parseTasklist(await this.run('tasklist /fo csv /nh'));
+        } else {
+            throw new ProcessError(`Process listing is not supported on ${this.platform}`, 'ENOTSUP');
+        }
+
+        if (name) {
+            processes = processes.filter(proc => this.matches(proc, [processKey(name)]));
+        }
+        const key = sort === 'cpu' ? 'cpu' : 'memory';
+        processes.sort((a, b) => (b[key] ?? -1) - (a[key] ?? -1) || a.pid - b.pid);
+        return limit ? processes.slice(0, limit) : processes;
+    }
+
+    matches(proc, keys) {
+        return keys.includes(processKey(proc.name)) || (proc.executable && keys.includes(processKey(proc.executable)));
+    }
+
+    isProtected(proc) {
+        return proc.pid <= 1
+            || proc.ppid === 2
+            || this.ownPids.has(proc.pid)
+            || this.protectedNames.has(processKey(proc.name))
+            || Boolean(proc.executable && this.protectedNames.has(processKey(proc.executable)));
+    }
+
+    async alive(pid) {
+        if (this.platform === 'linux') {
+            try {
+                return parseProcStat(await fs.readFile(this.procPath(String(pid), 'stat'), 'utf8'))?.state !== 'Z';
+            } catch {
+                return false;
+            }
+        }
+        try {
+            this.kill(pid, 0);
+            return true;
+        } catch (error) {
+            return error.code === 'EPERM';
+        }
+    }
+
+    async signal(pid, force) {
+        if (this.plans) {
+            this.plans.push({ name: force ? 'forceKill' : 'terminate', command: null, args: [String(pid)] });
+            return;
+        }
+        if (this.platform === 'win32') {
+            await this.launcher.launch('taskkill', ['/pid', String(pid), ...(force ? ['/f'] : [])]);
+            return;
+        }
+        this.kill(pid, force ? 'SIGKILL' : 'SIGTERM');
+    }
+
+    // Ask one process to exit, forcing it after the grace period.
+    // Resolves to 'closed' or 'killed'.
+    async stop(pid, { force = false, graceMs = this.graceMs } = {}) {
+        if (!force) {
+            await this.signal(pid, false);
+            if (this.plans) {
+                return 'closed';
+            }
+            for (const deadline = Date.now() + graceMs; Date.now() < deadline;) {
+                if (!await this.alive(pid)) {
+                    return 'closed';
+                }
+                await wait(100);
+            }
+            if (!await this.alive(pid)) {
+                return 'closed';
+            }
+        }
+        await this.signal(pid, true);
+        return 'killed';
+    }
+
+    // Terminate processes by pid or name. Names are compared with process
+    // and executable names; `aliases` adds more (an app's executables).
+    // Returns [{ pid, name, outcome: 'closed' | 'killed' | 'protected' | 'failed', error }].
+    async terminate({ pid = null, name = null, aliases = [], force = false, graceMs } = {}) {
+        const processes = await this.list();
+        let targets;
+        if (pid !== null && pid !== undefined) {
+            targets = processes.filter(proc => proc.pid === Number(pid));
+            if (!targets.length) {
+                throw new ProcessError(`No process with pid ${pid}`, 'ENOENT');
+            }
+        } else if (name) {
+            const keys = [...new Set([name, ...aliases].map(processKey).filter(Boolean))];
+            targets = processes.filter(proc => this.matches(proc, keys));
+            if (!targets.length) {
+                throw new ProcessError(`"${name}" is not running`, 'ENOENT');
+            }
+        } else {
+            throw new ProcessError('A pid or process name is required', 'EINVAL');
+        }
+
+        // Parents first: closing one often takes its children with it
+        const pids = new Set(targets.map(proc => proc.pid));
+        targets.sort((a, b) => Number(pids.has(a.ppid)) - Number(pids.has(b.ppid)));
+
+        const results = [];
+        for (const proc of targets) {
+            const result = { pid: proc.pid, name: proc.name };
+            if (this.isProtected(proc)) {
+                results.push({ ...result, outcome: 'protected' });
+                continue;
+            }
+            if (!this.plans && !await this.alive(proc.pid)) {
+                results.push({ ...result, outcome: 'closed' });
+                continue;
+            }
+            try {
+                results.push({ ...result, outcome: await this.stop(proc.pid, { force, graceMs }) });
+            } catch (error) {
+                results.push({
+                    ...result,
+                    outcome: error.code === 'ESRCH' ? 'closed' : 'failed',
+                    error: error.code === 'EPERM' ? 'Permission denied' : error.message
+                });
+            }
+        }
+        return results;
+    }
+}
+
+export const processManager = new ProcessManager();
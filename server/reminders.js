@@ -0,0 +1,199 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { extractDuration } from './entities.js';
+import { parseSchedule } from './scheduler.js';
+import { DEFAULT_LOCALE, translator } from './i18n.js';
+import { notifier as defaultNotifier } from './notifier.js';
+
+// Timers and reminders.
+//
+// Both are one-off notifications kept in a server-side store and delivered
+// through the notifier when due. A timer counts down a duration ("set a timer
+// for 5 minutes"); a reminder carries a message and a due time ("remind me to
+// stand up at 3pm"). Fired entries stay around for a while so they can be
+// snoozed. Emits 'fired' with the entry.
+//
+// Entry shape:
+//   { id, kind: 'timer' | 'reminder', message, label, locale, dueAt, state,
+//     createdAt, firedAt, snoozeCount }
+// state: pending -> fired -> (snoozed back to) pending
+// `locale` is the language the notification is worded in.
+
+const DEFAULT_SNOOZE_SECONDS = 5 * 60;
+const MAX_DELAY_MS = 2 ** 31 - 1;
+
+export class ReminderError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ReminderError';
+    }
+}
+
+// "set a timer for 5 minutes", "10 minute timer for the pasta"
+export const parseTimer = (cmd) => {
+    const duration = extractDuration(cmd);
+    if (!duration) {
+        return null;
+    }
+    const label = cmd.slice(cmd.indexOf(duration.text) + duration.text.length)
+        .replace(/^\s*(?:timer\b)?\s*(?:for|called|named)\s+(?:the\s+)?/, '')
+        .replace(/\btimer\b/, '')
+        .trim();
+    return { seconds: duration.value, label: label || null };
+};
+
+// "remind me to stand up at 3pm", "remind me in 20 minutes to drink water".
+// Recurring phrases are left to the scheduler, which runs "remind me to ..."
+// without a time on every occurrence.
+export const parseReminder = (cmd, now = Date.now()) => {
+    const schedule = parseSchedule(cmd, now);
+    if (schedule?.kind === 'cron') {
+        return null;
+    }
+    const message = (schedule ? schedule.command : cmd)
+        .replace(/^(?:please\s+)?remind me\s*(?:to|about|that|of)?\s*/, '')
+        .trim();
+    return { message: message || 'Reminder', dueAt: schedule ? schedule.runAt : null };
+};
+
+export class ReminderManager extends EventEmitter {
+    constructor({ notifier = defaultNotifier, keepFiredMs = 60 * 60 * 1000 } = {}) {
+        super();
+        this.notifier = notifier;
+        this.keepFiredMs = keepFiredMs;
+        this.entries = new Map();
+        this.timers = new Map();
+    }
+
+    // Validate an entry without storing or arming it
+    preview({ kind = 'reminder', message, label = null, locale = DEFAULT_LOCALE, dueAt, inSeconds }) {
+        if (!['timer', 'reminder'].includes(kind)) {
+            throw new ReminderError('kind must be "timer" or "reminder"');
+        }
+        const due = inSeconds !== undefined ? Date.now() + Number(inSeconds) * 1000 : new Date(dueAt).getTime();
+        if (!Number.isFinite(due)) {
+            throw new ReminderError('A due time (dueAt or inSeconds) is required');
+        }
+        if (due <= Date.now()) {
+            throw new ReminderError('The due time must be in the future');
+        }
+        if (kind === 'reminder' && (!message || typeof message !== 'string')) {
+            throw new ReminderError('Reminders need a message');
+        }
+
+        const t = translator(locale);
+        return {
+            id: randomUUID(),
+            kind,
+            message: kind === 'timer' ? message || (label ? t('timer.doneLabelled', { label }) : t('timer.done')) : message.trim(),
+            label,
+            locale,
+            dueAt: new Date(due),
+            state: 'pending',
+            createdAt: new Date(),
+            firedAt: null,
+            snoozeCount: 0
+        };
+    }
+
+    create(spec) {
+        const entry = this.preview(spec);
+        this.entries.set(entry.id, entry);
+        this.arm(entry);
+        return entry;
+    }
+
+    arm(entry) {
+        clearTimeout(this.timers.get(entry.id));
+        const delay = Math.max(0, entry.dueAt.getTime() - Date.now());
+        const timer = setTimeout(() => {
+            if (delay > MAX_DELAY_MS) {
+                this.arm(entry);
+                return;
+            }
+            this.fire(entry.id).catch(error => console.error('Reminder delivery error:', error));
+        }, Math.min(delay, MAX_DELAY_MS));
+        timer.unref?.();
+        this.timers.set(entry.id, timer);
+    }
+
+    // Drop fired entries that are too old to snooze
+    prune(now = Date.now()) {
+        for (const [id, entry] of this.entries) {
+            if (entry.state === 'fired' && now - entry.firedAt.getTime() > this.keepFiredMs) {
+                this.entries.delete(id);
+            }
+        }
+    }
+
+    list({ kind = null, includeFired = false } = {}) {
+        this.prune();
+        const now = Date.now();
+        return [...this.entries.values()]
+            .filter(entry => (!kind || entry.kind === kind) && (includeFired || entry.state === 'pending'))
+            .sort((a, b) => a.dueAt - b.dueAt)
+            .map(entry => ({ ...entry, remainingSeconds: Math.max(0, Math.round((entry.dueAt - now) / 1000)) }));
+    }
+
+    get(id) {
+        return this.entries.get(id) || null;
+    }
+
+    // Most recently fired entry, the default target of "snooze"
+    lastFired() {
+        this.prune();
+        return [...this.entries.values()]
+            .filter(entry => entry.state === 'fired')
+            .sort((a, b) => b.firedAt - a.firedAt)[0] || null;
+    }
+
+    cancel(id) {
+        clearTimeout(this.timers.get(id));
+        this.timers.delete(id);
+        return this.entries.delete(id);
+    }
+
+    snooze(id, seconds = DEFAULT_SNOOZE_SECONDS) {
+        const entry = this.entries.get(id);
+        if (!entry) {
+            throw new ReminderError('Reminder not found');
+        }
+        entry.dueAt = new Date(Date.now() + seconds * 1000);
+        entry.state = 'pending';
+        entry.snoozeCount++;
+        this.arm(entry);
+        return entry;
+    }
+
+    async fire(id) {
+        const entry = this.entries.get(id);
+        if (!entry || entry.state !== 'pending') {
+            return null;
+        }
+        entry.state = 'fired';
+        entry.firedAt = new Date();
+        this.timers.delete(id);
+
+        const title = translator(entry.locale)(entry.kind === 'timer' ? 'timer.title' : 'reminder.title');
+        const result = await this.notifier.notify({
+            type: entry.kind,
+            title,
+            message: entry.message,
+            reminderId: entry.id
+        });
+        this.emit('fired', entry, result);
+        return result;
+    }
+}
+
+export const describeEntry = (entry, t = translator()) => {
+    const remaining = t.duration((entry.remainingSeconds ?? 0) * 1000);
+    if (entry.kind === 'reminder') {
+        return t('reminder.entry', { message: entry.message, time: t.dateTime(entry.dueAt) });
+    }
+    return entry.label
+        ? t('timer.remainingLabelled', { label: entry.label, remaining })
+        : t('timer.remaining', { remaining });
+};
+
+export const reminders = new ReminderManager();
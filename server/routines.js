@@ -0,0 +1,142 @@
+import { extractDuration } from './entities.js';
+import { translator } from './i18n.js';
+
+// User-defined routines: a named, ordered list of commands that run through
+// CommandProcessor.processCommand one after another.
+//
+// Routine shape:
+//   { name, steps: [{ command, delayMs }], stopOnError }
+// `delayMs` is waited before the step runs. Storage lives with the other
+// collections in server.js; this module validates, parses and runs routines.
+
+export const MAX_ROUTINE_DEPTH = 3;
+const MAX_DELAY_MS = 10 * 60 * 1000;
+
+export class RoutineError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RoutineError';
+    }
+}
+
+export const normalizeRoutineName = (name) => String(name || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Names of stored routines, kept in sync by the storage layer so intent
+// matching can stay synchronous
+export const knownRoutineNames = new Set();
+
+export const rememberRoutineNames = (names) => {
+    knownRoutineNames.clear();
+    names.forEach(name => knownRoutineNames.add(normalizeRoutineName(name)));
+};
+
+// Validate an API payload into a routine
+export const normalizeRoutine = ({ name, steps, stopOnError = true } = {}) => {
+    const routineName = normalizeRoutineName(name);
+    if (!routineName) {
+        throw new RoutineError('Routine name is required');
+    }
+    if (!Array.isArray(steps) || steps.length === 0) {
+        throw new RoutineError('Routine needs at least one step');
+    }
+
+    return {
+        name: routineName,
+        stopOnError: Boolean(stopOnError),
+        steps: steps.map((step, index) => {
+            const command = typeof step === 'string' ? step : step?.command;
+            const delayMs = typeof step === 'string' ? 0 : Number(step?.delayMs || 0);
+            if (!command || typeof command !== 'string' || !command.trim()) {
+                throw new RoutineError(`Step ${index + 1} needs a command`);
+            }
+            if (!Number.isFinite(delayMs) || delayMs < 0 || delayMs > MAX_DELAY_MS) {
+                throw new RoutineError(`Step ${index + 1} delay must be between 0 and ${MAX_DELAY_MS} ms`);
+            }
+            return { command: command.trim(), delayMs };
+        })
+    };
+};
+
+// Spoken step list: "open vscode, open github.com, wait 5 seconds then volume down".
+// A "wait ..." part becomes the delay of the step after it.
+export const parseSpokenSteps = (text) => {
+    const steps = [];
+    let delayMs = 0;
+
+    for (const part of text.split(/\s*(?:,|;|\bthen\b)\s*/).map(piece => piece.trim()).filter(Boolean)) {
+        const wait = part.match(/^(?:wait|pause|sleep)\b\s*(?:for\s+)?(.*)$/);
+        if (wait) {
+            const duration = extractDuration(wait[1]);
+            delayMs += duration ? duration.value * 1000 : 1000;
+            continue;
+        }
+        steps.push({ command: part, delayMs });
+        delayMs = 0;
+    }
+    return steps;
+};
+
+// "create routine start work: open vscode, open github.com then volume down"
+export const parseRoutineDefinition = (cmd) => {
+    const match = cmd.match(/\b(?:create|make|add|define|save)\s+(?:a\s+|new\s+)*routine\s+(?:called\s+|named\s+)?(.+?)(?:\s*:\s*|\s+(?:with|to|that does|as)\s+)(.+)$/);
+    if (!match) {
+        return null;
+    }
+    return { name: normalizeRoutineName(match[1]), steps: parseSpokenSteps(match[2]) };
+};
+
+// Routines are run by a verb and their name
+export const ROUTINE_VERB = /^(?:run|start|do|execute|play)\s+/;
+
+// Match a spoken command against stored routine names:
+// "start work", "run start work", "run routine start work"
+export const matchRoutineName = (cmd) => {
+    const spoken = normalizeRoutineName(cmd);
+    if (!ROUTINE_VERB.test(spoken)) {
+        return null;
+    }
+    const candidates = [spoken, spoken.replace(ROUTINE_VERB, '').replace(/^(?:(?:the|my)\s+)?(?:routine\s+)?/, '').replace(/\s+routine$/, '')];
+    return candidates.find(candidate => knownRoutineNames.has(candidate)) || null;
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run a routine's steps in order. `runStep(command)` returns a
+// processCommand-style result; per-step results are collected for history
+// and reported with `t`.
+export const runRoutine = async (routine, runStep, { sleep = wait, t = translator() } = {}) => {
+    const steps = [];
+    let failed = false;
+
+    for (const step of routine.steps) {
+        if (failed && routine.stopOnError) {
+            steps.push({ command: step.command, status: 'skipped', response: t('routines.skipped') });
+            continue;
+        }
+        if (step.delayMs) {
+            await sleep(step.delayMs);
+        }
+
+        const result = await runStep(step.command);
+        steps.push({
+            command: step.command,
+            status: result.status,
+            response: result.response,
+            intent: result.intent
+        });
+        if (result.status === 'error') {
+            failed = true;
+        }
+    }
+
+    const succeeded = steps.filter(step => step.status === 'success').length;
+    return {
+        status: failed ? 'error' : 'success',
+        response: t(failed ? 'routines.failed' : 'routines.succeeded', { name: routine.name, succeeded, count: steps.length }),
+        steps
+    };
+};
@@ -0,0 +1,388 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { extractDuration } from './entities.js';
+import { translator } from './i18n.js';
+
+// Scheduled and recurring commands.
+//
+// A schedule runs any command processCommand accepts, either once at `runAt`
+// or repeatedly on a five-field cron expression (minute hour day-of-month
+// month day-of-week, server local time). Schedules are kept in a store
+// ({ list, save, delete }) so they survive restarts; one timer is armed for
+// the earliest due schedule. Emits 'ran' with (schedule, result).
+//
+// Schedule shape:
+//   { id, command, cron, runAt, description, confirmed, locale, nextRunAt,
+//     lastRunAt, lastStatus, runCount, createdAt }
+// `locale` is the language responses are given in when the command runs.
+
+// setTimeout cannot wait longer than ~24.8 days; longer waits re-arm
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+export class ScheduleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ScheduleError';
+    }
+}
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES },
+    { name: 'dayOfWeek', min: 0, max: 7, names: DAY_NAMES }
+];
+
+const cronValue = (value, field) => {
+    const index = field.names?.indexOf(value.slice(0, 3));
+    const number = index >= 0 ? index + field.min : Number(value);
+    if (!Number.isInteger(number) || number < field.min || number > field.max) {
+        throw new ScheduleError(`Invalid ${field.name} value "${value}"`);
+    }
+    return number;
+};
+
+// Expand one cron field ("*/15", "1-5", "mon,wed,fri") into a set of values
+const parseCronField = (text, field) => {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new ScheduleError(`Invalid ${field.name} step "${part}"`);
+        }
+
+        let [start, end] = [field.min, field.max];
+        if (range !== '*') {
+            const [from, to] = range.split('-');
+            start = cronValue(from, field);
+            end = to === undefined ? (stepText === undefined ? start : field.max) : cronValue(to, field);
+        }
+        if (start > end) {
+            throw new ScheduleError(`Invalid ${field.name} range "${part}"`);
+        }
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+    return values;
+};
+
+export const parseCron = (expression) => {
+    const parts = String(expression || '').trim().toLowerCase().split(/\s+/);
+    if (parts.length !== 5) {
+        throw new ScheduleError('Cron expressions need five fields: minute hour day-of-month month day-of-week');
+    }
+
+    const cron = {};
+    CRON_FIELDS.forEach((field, index) => {
+        cron[field.name] = parseCronField(parts[index], field);
+    });
+    // 7 is an alias for Sunday
+    if (cron.dayOfWeek.delete(7)) {
+        cron.dayOfWeek.add(0);
+    }
+    // Standard cron: when both day fields are restricted, either may match
+    cron.anyDay = parts[2] !== '*' && parts[4] !== '*';
+    return cron;
+};
+
+const dayMatches = (cron, date) => {
+    const dayOfMonth = cron.dayOfMonth.has(date.getDate());
+    const dayOfWeek = cron.dayOfWeek.has(date.getDay());
+    return cron.anyDay ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+};
+
+// Next time after `after` (ms) that matches the expression, or null
+export const nextCronTime = (expression, after = Date.now()) => {
+    const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+    const date = new Date(after);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    // Skip whole months, days and hours that cannot match; bounded to a few
+    // years so impossible dates ("0 0 31 2 *") end
+    const limit = after + 5 * 366 * 24 * 60 * 60 * 1000;
+    while (date.getTime() <= limit) {
+        if (!cron.month.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0);
+        } else if (!dayMatches(cron, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0);
+        } else if (!cron.hour.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0);
+        } else if (!cron.minute.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1);
+        } else {
+            return date.getTime();
+        }
+    }
+    return null;
+};
+
+// Spoken schedules
+
+const TIME = String.raw`(?:\d{1,2}(?::\d{2})?(?:\s*(?:am|pm|a\.m\.?|p\.m\.?))?|noon|midnight)`;
+const DAYS = {
+    day: '*', weekday: '1-5', weekend: '0,6',
+    sunday: '0', monday: '1', tuesday: '2', wednesday: '3', thursday: '4', friday: '5', saturday: '6'
+};
+const DAY_WORDS = Object.keys(DAYS).join('|');
+
+// "9am", "9:30 pm", "21:15", "noon" -> { hour, minute }
+const parseClock = (text) => {
+    if (text === 'noon') return { hour: 12, minute: 0 };
+    if (text === 'midnight') return { hour: 0, minute: 0 };
+
+    const match = text.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.?|p\.m\.?)?$/);
+    if (!match) {
+        return null;
+    }
+    let hour = Number(match[1]);
+    const minute = Number(match[2] || 0);
+    const meridiem = match[3]?.[0];
+    if (meridiem === 'p' && hour < 12) hour += 12;
+    if (meridiem === 'a' && hour === 12) hour = 0;
+    return hour < 24 && minute < 60 ? { hour, minute } : null;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+const clockText = ({ hour, minute }) => `${pad(hour)}:${pad(minute)}`;
+
+// Pull the schedule phrase out of a spoken command:
+//   "open calendar.google.com every weekday at 9am"
+//   "every 15 minutes check battery", "what time is it in 20 minutes"
+//   "open github.com tomorrow at 8:30", "volume down cron 0 22 * * *"
+// Returns { command, cron | runAt, description, kind } or null. `kind` is
+// 'cron' for recurring schedules, 'delay' for "in <duration>" and 'clock'
+// for a time of day.
+export const parseSchedule = (cmd, now = Date.now()) => {
+    const finish = (phrase, schedule) => {
+        const command = cmd.replace(phrase, ' ')
+            .replace(/^\s*(?:schedule|please)\s+(?:to\s+)?/, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+        return command ? { command, ...schedule } : null;
+    };
+
+    const cron = cmd.match(/\b(?:on\s+)?cron\s+((?:\S+\s+){4}\S+)/);
+    if (cron) {
+        return finish(cron[0], { kind: 'cron', cron: cron[1], description: `on cron "${cron[1]}"` });
+    }
+
+    const interval = cmd.match(/\b(?:every\s+(?:(\d+)\s+)?(minute|hour)s?|(hourly))\b/);
+    if (interval) {
+        const count = Number(interval[1] || 1);
+        const unit = interval[3] ? 'hour' : interval[2];
+        const expression = unit === 'minute'
+            ? `${count === 1 ? '*' : `*/${count}`} * * * *`
+            : `0 ${count === 1 ? '*' : `*/${count}`} * * *`;
+        const every = count === 1 ? unit : `${count} ${unit}s`;
+        return finish(interval[0], { kind: 'cron', cron: expression, description: `every ${every}` });
+    }
+
+    // "every weekday", "on mondays", "daily"; 9am when no time is given
+    const recurring = cmd.match(new RegExp(String.raw`\b(?:at\s+(?<before>${TIME})\s+)?` +
+        String.raw`(?:(?:every|each)\s+(?<every>${DAY_WORDS})s?|on\s+(?<on>${DAY_WORDS})s|(?<daily>daily))\b` +
+        String.raw`(?:\s+at\s+(?<after>${TIME}))?`));
+    if (recurring) {
+        const { before, every, on, after } = recurring.groups;
+        const dayWord = every || on || 'day';
+        const clock = parseClock(before || after || '9am');
+        if (!clock) {
+            return null;
+        }
+        return finish(recurring[0], {
+            kind: 'cron',
+            cron: `${clock.minute} ${clock.hour} * * ${DAYS[dayWord]}`,
+            description: `every ${dayWord} at ${clockText(clock)}`
+        });
+    }
+
+    const delay = cmd.match(/\b(?:in|after)\s+((?:an?|one|half|\d+|[a-z]+)\b.*?\b(?:seconds?|secs?|minutes?|mins?|hours?|hrs?)(?:\s+and\s+a\s+half)?)\b/);
+    if (delay) {
+        const duration = extractDuration(delay[1]);
+        if (duration) {
+            return finish(delay[0], {
+                kind: 'delay',
+                runAt: now + duration.value * 1000,
+                description: `in ${delay[1]}`
+            });
+        }
+    }
+
+    const at = cmd.match(new RegExp(String.raw`\b(?:(?<dayBefore>today|tomorrow)\s+)?at\s+(?<time>${TIME})(?:\s+(?<dayAfter>today|tomorrow))?(?!\S)`));
+    if (at) {
+        const clock = parseClock(at.groups.time);
+        if (clock) {
+            const target = new Date(now);
+            target.setHours(clock.hour, clock.minute, 0, 0);
+            const day = at.groups.dayBefore || at.groups.dayAfter;
+            if (day === 'tomorrow' || (!day && target.getTime() <= now)) {
+                target.setDate(target.getDate() + 1);
+            }
+            return finish(at[0], {
+                kind: 'clock',
+                runAt: target.getTime(),
+                description: `at ${target.toLocaleString()}`
+            });
+        }
+    }
+    return null;
+};
+
+export class Scheduler extends EventEmitter {
+    constructor({ store, run, missedGraceMs = 10 * 60 * 1000, now = () => Date.now() } = {}) {
+        super();
+        this.store = store;
+        this.run = run;
+        this.missedGraceMs = missedGraceMs;
+        this.now = now;
+        this.schedules = new Map();
+        this.timer = null;
+    }
+
+    // Load stored schedules. One-off schedules missed while the server was
+    // down run now if they are recent enough, otherwise they are dropped.
+    async load() {
+        const now = this.now();
+        this.schedules.clear();
+
+        for (const schedule of await this.store.list()) {
+            if (schedule.cron) {
+                schedule.nextRunAt = nextCronTime(schedule.cron, now);
+            } else if (schedule.runAt < now - this.missedGraceMs) {
+                console.log(`⏭️  Dropping missed schedule "${schedule.command}"`);
+                await this.store.delete(schedule.id);
+                continue;
+            } else {
+                schedule.nextRunAt = Math.max(schedule.runAt, now);
+            }
+            this.schedules.set(schedule.id, schedule);
+        }
+        this.arm();
+        return this.list();
+    }
+
+    // Validate a schedule and work out when it first runs, without storing it
+    preview({ command, cron = null, runAt = null, description = null, confirmed = false, locale = null }) {
+        if (!command || typeof command !== 'string' || !command.trim()) {
+            throw new ScheduleError('command is required');
+        }
+        if (!cron && !runAt) {
+            throw new ScheduleError('Either cron or runAt is required');
+        }
+
+        const now = this.now();
+        let nextRunAt;
+        if (cron) {
+            nextRunAt = nextCronTime(parseCron(cron), now);
+            if (nextRunAt === null) {
+                throw new ScheduleError(`Cron expression "${cron}" never matches`);
+            }
+        } else {
+            nextRunAt = new Date(runAt).getTime();
+            if (!Number.isFinite(nextRunAt)) {
+                throw new ScheduleError('runAt must be a date');
+            }
+            if (nextRunAt <= now) {
+                throw new ScheduleError('runAt must be in the future');
+            }
+        }
+
+        return {
+            id: randomUUID(),
+            command: command.trim(),
+            cron,
+            runAt: cron ? null : nextRunAt,
+            description: description || (cron ? `on cron "${cron}"` : `at ${new Date(nextRunAt).toLocaleString()}`),
+            confirmed: Boolean(confirmed),
+            locale,
+            nextRunAt,
+            lastRunAt: null,
+            lastStatus: null,
+            runCount: 0,
+            createdAt: new Date(now)
+        };
+    }
+
+    async create(spec) {
+        const schedule = this.preview(spec);
+        await this.store.save(schedule);
+        this.schedules.set(schedule.id, schedule);
+        this.arm();
+        return schedule;
+    }
+
+    list() {
+        return [...this.schedules.values()].sort((a, b) => a.nextRunAt - b.nextRunAt);
+    }
+
+    get(id) {
+        return this.schedules.get(id) || null;
+    }
+
+    async cancel(id) {
+        if (!this.schedules.delete(id)) {
+            return false;
+        }
+        await this.store.delete(id);
+        this.arm();
+        return true;
+    }
+
+    // Arm one timer for the earliest due schedule
+    arm() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const next = this.list()[0];
+        if (!next) {
+            return;
+        }
+        const delay = Math.min(Math.max(next.nextRunAt - this.now(), 0), MAX_TIMER_MS);
+        this.timer = setTimeout(() => {
+            this.tick().catch(error => console.error('Scheduler error:', error));
+        }, delay);
+        this.timer.unref?.();
+    }
+
+    async tick() {
+        const now = this.now();
+        for (const schedule of this.list().filter(entry => entry.nextRunAt <= now)) {
+            await this.fire(schedule, now);
+        }
+        this.arm();
+    }
+
+    async fire(schedule, now = this.now()) {
+        let result;
+        try {
+            result = await this.run(schedule);
+        } catch (error) {
+            console.error(`Scheduled command "${schedule.command}" failed:`, error);
+            result = { status: 'error', response: translator(schedule.locale)('error.failed', { message: error.message }) };
+        }
+
+        schedule.lastRunAt = new Date(now);
+        schedule.lastStatus = result.status;
+        schedule.runCount++;
+
+        if (schedule.cron) {
+            schedule.nextRunAt = nextCronTime(schedule.cron, now);
+            await this.store.save(schedule);
+        } else {
+            this.schedules.delete(schedule.id);
+            await this.store.delete(schedule.id);
+        }
+
+        this.emit('ran', schedule, result);
+        return result;
+    }
+}
@@ -0,0 +1,439 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { translator } from './i18n.js';
+
+// System information probes.
+//
+// Each probe returns a plain object; rendering for humans is a separate step
+// (formatInfo). Probes take a context so they can run against stubbed command
+// output or a fake filesystem:
+//   platform  os.platform() value to probe for
+//   run       async (command) => stdout, used for platform tools
+//   root      filesystem root for /proc and /sys reads (defaults to '/')
+
+const GB = 1024 ** 3;
+
+const defaultContext = (context = {}) => ({
+    platform: os.platform(),
+    root: '/',
+    run: async () => '',
+    ...context
+});
+
+const readText = async (context, file) => {
+    try {
+        return (await fs.readFile(path.join(context.root, file), 'utf8')).trim();
+    } catch {
+        return null;
+    }
+};
+
+const tryRun = async (context, command) => {
+    try {
+        return await context.run(command);
+    } catch {
+        return '';
+    }
+};
+
+const toNumber = (value) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+};
+
+// "Key=Value" blocks as printed by `wmic ... /format:list`
+export const parseWmicList = (output) => output
+    .split(/\r?\n\s*\r?\n/)
+    .map(block => Object.fromEntries(block
+        .split(/\r?\n/)
+        .map(line => line.match(/^\s*([^=]+?)=(.*)$/))
+        .filter(Boolean)
+        .map(([, key, value]) => [key.trim(), value.trim()])))
+    .filter(record => Object.keys(record).length);
+
+// "Key: Value" lines as printed by lscpu, lsb_release and friends
+export const parseColonList = (output) => Object.fromEntries(output
+    .split(/\r?\n/)
+    .map(line => line.match(/^\s*([^:]+?)\s*:\s*(.*)$/))
+    .filter(Boolean)
+    .map(([, key, value]) => [key, value.trim()]));
+
+// KEY="value" lines from /etc/os-release
+export const parseOsRelease = (output) => Object.fromEntries(output
+    .split(/\r?\n/)
+    .map(line => line.match(/^([A-Z_]+)=(?:"(.*)"|(.*))$/))
+    .filter(Boolean)
+    .map(([, key, quoted, bare]) => [key, quoted ?? bare]));
+
+// `df -kP` output: sizes in 1K blocks
+export const parseDf = (output) => output
+    .split(/\r?\n/)
+    .slice(1)
+    .map(line => line.trim().split(/\s+/))
+    .filter(columns => columns.length >= 6)
+    .map(columns => {
+        const [filesystem, blocks, used, available, capacity] = columns;
+        const sizeBytes = Number(blocks) * 1024;
+        const usedBytes = Number(used) * 1024;
+        return {
+            filesystem,
+            mount: columns.slice(5).join(' '),
+            sizeBytes,
+            usedBytes,
+            freeBytes: Number(available) * 1024,
+            usagePercent: toNumber(capacity)
+        };
+    })
+    .filter(disk => disk.sizeBytes > 0);
+
+// /proc/meminfo values are in kB
+export const parseMeminfo = (output) => Object.fromEntries(output
+    .split(/\r?\n/)
+    .map(line => line.match(/^(\w+):\s+(\d+)/))
+    .filter(Boolean)
+    .map(([, key, value]) => [key, Number(value) * 1024]));
+
+// `pmset -g batt`: "... 85%; charging; 1:20 remaining"
+export const parsePmsetBattery = (output) => {
+    const match = output.match(/(\d+)%;\s*([^;]+);/);
+    if (!match) {
+        return null;
+    }
+    const status = match[2].trim();
+    return {
+        percent: Number(match[1]),
+        charging: status === 'charging' || status === 'charged' || status === 'finishing charge',
+        status
+    };
+};
+
+export const probeSystem = async (context = {}) => {
+    context = defaultContext(context);
+    let osInfo = { name: context.platform, version: os.release() };
+
+    if (context.platform === 'win32') {
+        const [record] = parseWmicList(await tryRun(context, 'wmic os get Caption,Version /format:list'));
+        if (record) {
+            osInfo = { name: record.Caption, version: record.Version };
+        }
+    } else if (context.platform === 'darwin') {
+        const fields = parseColonList(await tryRun(context, 'sw_vers'));
+        if (fields.ProductName) {
+            osInfo = { name: fields.ProductName, version: fields.ProductVersion };
+        }
+    } else {
+        const release = parseOsRelease((await readText(context, 'etc/os-release')) || '');
+        if (release.NAME) {
+            osInfo = { name: release.PRETTY_NAME || release.NAME, version: release.VERSION_ID || null };
+        }
+    }
+
+    const totalBytes = os.totalmem();
+    const freeBytes = os.freemem();
+    return {
+        hostname: os.hostname(),
+        platform: context.platform,
+        arch: os.arch(),
+        uptimeSeconds: Math.floor(os.uptime()),
+        os: osInfo,
+        memory: { totalBytes, usedBytes: totalBytes - freeBytes, freeBytes }
+    };
+};
+
+export const probeMemory = async (context = {}) => {
+    context = defaultContext(context);
+    const totalBytes = os.totalmem();
+    let freeBytes = os.freemem();
+    let swap = null;
+    let modules = [];
+
+    if (context.platform === 'win32') {
+        modules = parseWmicList(await tryRun(context, 'wmic memorychip get Capacity,Speed,Manufacturer /format:list'))
+            .map(record => ({
+                sizeBytes: toNumber(record.Capacity),
+                speedMHz: toNumber(record.Speed),
+                manufacturer: record.Manufacturer || null
+            }));
+    } else if (context.platform !== 'darwin') {
+        const meminfo = parseMeminfo((await readText(context, 'proc/meminfo')) || '');
+        if (meminfo.MemAvailable !== undefined) {
+            freeBytes = meminfo.MemAvailable;
+        }
+        if (meminfo.SwapTotal !== undefined) {
+            swap = { totalBytes: meminfo.SwapTotal, freeBytes: meminfo.SwapFree ?? 0 };
+        }
+    }
+
+    const usedBytes = totalBytes - freeBytes;
+    return {
+        totalBytes,
+        usedBytes,
+        freeBytes,
+        usagePercent: Number(((usedBytes / totalBytes) * 100).toFixed(1)),
+        swap,
+        modules
+    };
+};
+
+export const probeStorage = async (context = {}) => {
+    context = defaultContext(context);
+    let disks;
+
+    if (context.platform === 'win32') {
+        disks = parseWmicList(await tryRun(context, 'wmic logicaldisk get Size,FreeSpace,Caption /format:list'))
+            .filter(record => toNumber(record.Size))
+            .map(record => {
+                const sizeBytes = toNumber(record.Size);
+                const freeBytes = toNumber(record.FreeSpace) ?? 0;
+                return {
+                    filesystem: record.Caption,
+                    mount: record.Caption,
+                    sizeBytes,
+                    usedBytes: sizeBytes - freeBytes,
+                    freeBytes,
+                    usagePercent: Math.round(((sizeBytes - freeBytes) / sizeBytes) * 100)
+                };
+            });
+    } else {
+        // Skip pseudo filesystems that only clutter the list
+        disks = parseDf(await tryRun(context, 'df -kP'))
+            .filter(disk => !/^(tmpfs|devtmpfs|overlay|shm|udev|none|map )/.test(disk.filesystem));
+    }
+
+    const total = disks.reduce((sum, disk) => ({
+        sizeBytes: sum.sizeBytes + disk.sizeBytes,
+        usedBytes: sum.usedBytes + disk.usedBytes,
+        freeBytes: sum.freeBytes + disk.freeBytes
+    }), { sizeBytes: 0, usedBytes: 0, freeBytes: 0 });
+
+    return { disks, total };
+};
+
+export const probeCPU = async (context = {}) => {
+    context = defaultContext(context);
+    const cpus = os.cpus();
+    const info = {
+        model: cpus[0]?.model?.trim() || 'Unknown',
+        cores: null,
+        logicalCores: cpus.length,
+        speedMHz: cpus[0]?.speed || null,
+        maxSpeedMHz: null,
+        architecture: os.arch(),
+        loadAverage: os.loadavg()
+    };
+
+    if (context.platform === 'win32') {
+        const [record] = parseWmicList(await tryRun(context, 'wmic cpu get Name,NumberOfCores,NumberOfLogicalProcessors,MaxClockSpeed /format:list'));
+        if (record) {
+            info.model = record.Name || info.model;
+            info.cores = toNumber(record.NumberOfCores);
+            info.logicalCores = toNumber(record.NumberOfLogicalProcessors) ?? info.logicalCores;
+            info.maxSpeedMHz = toNumber(record.MaxClockSpeed);
+        }
+    } else if (context.platform === 'darwin') {
+        const [brand, physical] = (await tryRun(context, 'sysctl -n machdep.cpu.brand_string hw.physicalcpu')).split(/\r?\n/);
+        info.model = brand?.trim() || info.model;
+        info.cores = toNumber(physical);
+    } else {
+        const fields = parseColonList(await tryRun(context, 'lscpu'));
+        const sockets = toNumber(fields['Socket(s)']) ?? 1;
+        const perSocket = toNumber(fields['Core(s) per socket']);
+        info.model = fields['Model name'] || info.model;
+        info.cores = perSocket ? sockets * perSocket : null;
+        info.maxSpeedMHz = toNumber(fields['CPU max MHz']);
+    }
+
+    return info;
+};
+
+export const probeNetwork = async (context = {}) => {
+    context = defaultContext(context);
+    const interfaces = Object.entries(os.networkInterfaces())
+        .map(([name, addresses]) => ({
+            name,
+            internal: (addresses || []).every(address => address.internal),
+            mac: addresses?.[0]?.mac || null,
+            addresses: (addresses || []).map(({ address, family, netmask, cidr }) => ({
+                address,
+                family: typeof family === 'number' ? `IPv${family}` : family,
+                netmask,
+                cidr
+            }))
+        }));
+
+    return { interfaces };
+};
+
+export const probeBattery = async (context = {}) => {
+    context = defaultContext(context);
+    const unavailable = { available: false, percent: null, charging: null, status: null };
+
+    if (context.platform === 'win32') {
+        const [record] = parseWmicList(await tryRun(context, 'wmic path Win32_Battery get EstimatedChargeRemaining,BatteryStatus /format:list'));
+        if (!record) {
+            return unavailable;
+        }
+        // BatteryStatus 2 means "on AC power", 6-9 are charging states
+        const status = toNumber(record.BatteryStatus);
+        return {
+            available: true,
+            percent: toNumber(record.EstimatedChargeRemaining),
+            charging: status === 2 || (status >= 6 && status <= 9),
+            status: String(status)
+        };
+    }
+
+    if (context.platform === 'darwin') {
+        const battery = parsePmsetBattery(await tryRun(context, 'pmset -g batt'));
+        return battery ? { available: true, ...battery } : unavailable;
+    }
+
+    let supplies = [];
+    try {
+        supplies = await fs.readdir(path.join(context.root, 'sys/class/power_supply'));
+    } catch {
+        return unavailable;
+    }
+    for (const supply of supplies.filter(name => name.startsWith('BAT')).sort()) {
+        const capacity = await readText(context, `sys/class/power_supply/${supply}/capacity`);
+        if (capacity === null) {
+            continue;
+        }
+        const status = await readText(context, `sys/class/power_supply/${supply}/status`);
+        return {
+            available: true,
+            percent: toNumber(capacity),
+            charging: status === 'Charging' || status === 'Full',
+            status: status || null
+        };
+    }
+    return unavailable;
+};
+
+export const probeTemperature = async (context = {}) => {
+    context = defaultContext(context);
+    let sensors = [];
+
+    if (context.platform === 'win32') {
+        // Reported in tenths of a Kelvin
+        sensors = parseWmicList(await tryRun(context, 'wmic /namespace:\\\\root\\wmi PATH MSAcpi_ThermalZoneTemperature get CurrentTemperature,InstanceName /format:list'))
+            .filter(record => toNumber(record.CurrentTemperature))
+            .map(record => ({
+                name: record.InstanceName || 'thermal zone',
+                celsius: Number((toNumber(record.CurrentTemperature) / 10 - 273.15).toFixed(1))
+            }));
+    } else if (context.platform !== 'darwin') {
+        let zones = [];
+        try {
+            zones = await fs.readdir(path.join(context.root, 'sys/class/thermal'));
+        } catch {
+            zones = [];
+        }
+        for (const zone of zones.filter(name => name.startsWith('thermal_zone')).sort()) {
+            const temp = toNumber(await readText(context, `sys/class/thermal/${zone}/temp`));
+            if (temp === null) {
+                continue;
+            }
+            const type = await readText(context, `sys/class/thermal/${zone}/type`);
+            sensors.push({ name: type || zone, celsius: Number((temp / 1000).toFixed(1)) });
+        }
+    }
+
+    return { available: sensors.length > 0, sensors };
+};
+
+export const probes = {
+    system: probeSystem,
+    memory: probeMemory,
+    storage: probeStorage,
+    cpu: probeCPU,
+    network: probeNetwork,
+    battery: probeBattery,
+    temperature: probeTemperature
+};
+
+// Human-readable rendering
+
+const gb = (bytes) => (bytes / GB).toFixed(2);
+
+export const formatters = {
+    system: (info, t) => t('info.system', {
+        hostname: info.hostname,
+        platform: info.platform,
+        arch: info.arch,
+        uptime: t('duration.hours', { count: Math.floor(info.uptimeSeconds / 3600) }),
+        used: gb(info.memory.usedBytes),
+        total: gb(info.memory.totalBytes),
+        free: gb(info.memory.freeBytes),
+        os: `${info.os.name}${info.os.version ? ` ${info.os.version}` : ''}`
+    }),
+
+    memory: (info, t) => {
+        const lines = [t('info.memory', {
+            total: gb(info.totalBytes),
+            used: gb(info.usedBytes),
+            percent: info.usagePercent,
+            free: gb(info.freeBytes)
+        })];
+        if (info.swap?.totalBytes) {
+            lines.push(t('info.memory.swap', { used: gb(info.swap.totalBytes - info.swap.freeBytes), total: gb(info.swap.totalBytes) }));
+        }
+        for (const module of info.modules) {
+            const size = module.sizeBytes ? `${gb(module.sizeBytes)} GB` : t('info.memory.unknownSize');
+            lines.push(t('info.memory.module', { size })
+                + `${module.speedMHz ? ` @ ${module.speedMHz} MHz` : ''}${module.manufacturer ? ` (${module.manufacturer})` : ''}`);
+        }
+        return lines.join('\n');
+    },
+
+    storage: (info, t) => {
+        if (!info.disks.length) {
+            return t('info.storage.unavailable');
+        }
+        const lines = info.disks.map(disk => t('info.storage.disk', {
+            mount: disk.mount,
+            free: gb(disk.freeBytes),
+            size: gb(disk.sizeBytes),
+            percent: disk.usagePercent
+        }));
+        return t('info.storage', { list: lines.join('\n'), free: gb(info.total.freeBytes), size: gb(info.total.sizeBytes) });
+    },
+
+    cpu: (info, t) => t('info.cpu', {
+        model: info.model,
+        cores: info.cores ?? '?',
+        logical: info.logicalCores,
+        speed: info.speedMHz ?? '?',
+        max: info.maxSpeedMHz ? t('info.cpu.max', { speed: info.maxSpeedMHz }) : '',
+        load: info.loadAverage.map(load => load.toFixed(2)).join(', ')
+    }),
+
+    network: (info, t) => {
+        const lines = [t('info.network')];
+        for (const iface of info.interfaces.filter(entry => !entry.internal)) {
+            for (const address of iface.addresses) {
+                lines.push(`📡 ${iface.name}: ${address.address} (${address.family})`);
+            }
+        }
+        return lines.join('\n');
+    },
+
+    battery: (info, t) => {
+        if (!info.available) {
+            return t('info.battery.unavailable');
+        }
+        return t('info.battery', { percent: info.percent, charging: info.charging ? t('info.battery.charging') : '' })
+            + (info.status ? ` (${info.status})` : '');
+    },
+
+    temperature: (info, t) => {
+        if (!info.available) {
+            return t('info.temperature.unavailable');
+        }
+        return t('info.temperature', { list: info.sensors.map(sensor => `🔥 ${sensor.name}: ${sensor.celsius}°C`).join('\n') });
+    }
+};
+
+// Messages come from the locale resources (i18n.js); `t` defaults to English
+export const formatInfo = (kind, info, t = translator()) => formatters[kind](info, t);
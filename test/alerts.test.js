@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AlertManager, parseAlertRule } from '../server/alerts.js';
+
+// `df -kP` with the root filesystem at `percent` used
+const df = (percent) => [
+    'Filesystem     1024-blocks      Used Available Capacity Mounted on',
+    `/dev/nvme0n1p2   100000000  ${percent * 1000000}  ${(100 - percent) * 1000000}      ${percent}% /`,
+    'tmpfs             8000000         0   8000000       0% /dev/shm'
+].join('\n');
+
+// A manager whose probes read canned tool output
+const manager = (outputs) => {
+    const commands = [];
+    const alerts = new AlertManager({
+        context: {
+            platform: 'linux',
+            run: async (command) => {
+                commands.push(command);
+                return outputs[command] ?? '';
+            }
+        }
+    });
+    alerts.start = () => {};
+    return { alerts, commands };
+};
+
+describe('disk alerts', () => {
+    it('fire from the usage `df` reports and recover past the hysteresis', async () => {
+        const outputs = { 'df -kP': df(95) };
+        const { alerts, commands } = manager(outputs);
+        const fired = [];
+        const recovered = [];
+        alerts.on('fired', event => fired.push(event));
+        alerts.on('recovered', event => recovered.push(event));
+
+        const rule = alerts.create(parseAlertRule('tell me when disk usage goes above 90%'));
+        await alerts.evaluate();
+        assert.ok(commands.includes('df -kP'));
+        assert.equal(rule.lastValue, 95);
+        assert.equal(rule.state, 'firing');
+        assert.deepEqual(fired.map(event => [event.metric, event.value]), [['disk', 95]]);
+
+        outputs['df -kP'] = df(88);
+        await alerts.evaluate();
+        assert.equal(rule.state, 'firing');
+
+        outputs['df -kP'] = df(80);
+        await alerts.evaluate();
+        assert.equal(rule.state, 'ok');
+        assert.equal(recovered.length, 1);
+    });
+
+    it('wait until the usage held for the rule duration', async () => {
+        const { alerts } = manager({ 'df -kP': df(97) });
+        const rule = alerts.create(parseAlertRule('alert me if disk stays above 90% for 5 minutes'));
+        const start = Date.now();
+
+        await alerts.evaluate(start);
+        assert.equal(rule.state, 'pending');
+        await alerts.evaluate(start + 5 * 60 * 1000);
+        assert.equal(rule.state, 'firing');
+    });
+
+    it('skip readings when the tool prints nothing', async () => {
+        const { alerts } = manager({});
+        const rule = alerts.create({ metric: 'disk', operator: 'above', threshold: 90 });
+        await alerts.evaluate();
+        assert.equal(rule.lastValue, null);
+        assert.equal(rule.state, 'ok');
+    });
+});
+
+describe('alert wording', () => {
+    it('names rules and events in the language they were set in', async () => {
+        const { alerts } = manager({ 'df -kP': df(95) });
+        const english = alerts.create(parseAlertRule('alert me if disk stays above 90% for 5 minutes'));
+        assert.equal(english.name, 'Disk usage above 90% for 5 minutes');
+
+        const hindi = alerts.create({ ...parseAlertRule('tell me when disk usage goes above 90%'), locale: 'hi' });
+        assert.equal(hindi.name, 'डिस्क उपयोग 90% से ऊपर');
+        const events = [];
+        alerts.on('fired', event => events.push(event));
+        await alerts.evaluate();
+        assert.deepEqual(events.map(event => event.message), ['🚨 अलर्ट: डिस्क उपयोग 90% से ऊपर (अभी 95%)']);
+    });
+});
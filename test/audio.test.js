@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Launcher } from '../server/launcher.js';
+import { AudioController, parsePercent } from '../server/audio.js';
+
+// A controller on the in-memory backend, with applications playing audio
+const memoryAudio = () => {
+    const audio = new AudioController({ backend: 'memory' });
+    audio.backend().state.streams.push(
+        { id: '7', name: 'Spotify', binary: 'spotify', pid: 70, volume: 80, muted: false },
+        { id: '8', name: 'Firefox', binary: 'firefox', pid: 80, volume: 100, muted: false }
+    );
+    return audio;
+};
+
+describe('AudioController on the memory backend', () => {
+    it('clamps the volume to 0-100', async () => {
+        const audio = memoryAudio();
+        assert.equal(await audio.setVolume(150), 100);
+        assert.equal((await audio.status()).volume, 100);
+        assert.equal(await audio.setVolume(-20), 0);
+        assert.equal(await audio.setVolume(33.6), 34);
+        assert.deepEqual(await audio.status(), { backend: 'memory', volume: 34, muted: false });
+    });
+
+    it('steps the volume without leaving the range', async () => {
+        const audio = memoryAudio();
+        await audio.setVolume(95);
+        assert.equal(await audio.changeVolume(10), 100);
+        await audio.setVolume(5);
+        assert.equal(await audio.changeVolume(-10), 0);
+    });
+
+    it('mutes, unmutes and toggles', async () => {
+        const audio = memoryAudio();
+        assert.equal(await audio.mute(), true);
+        assert.equal((await audio.status()).muted, true);
+        assert.equal(await audio.toggleMute(), false);
+        assert.equal(await audio.toggleMute(), true);
+        assert.equal(await audio.unmute(), false);
+        assert.equal((await audio.status()).muted, false);
+    });
+
+    it('sets and mutes application volume by name or alias', async () => {
+        const audio = memoryAudio();
+        assert.equal(await audio.setAppVolume({ name: 'spotify' }, 140), 100);
+        await audio.setAppMute({ name: 'web browser', aliases: ['firefox'] }, true);
+        assert.deepEqual((await audio.streams()).map(({ name, volume, muted }) => [name, volume, muted]), [
+            ['Spotify', 100, false],
+            ['Firefox', 100, true]
+        ]);
+        await assert.rejects(audio.setAppVolume({ name: 'vlc' }, 50), { code: 'ENOENT' });
+    });
+
+    it('plans changes without applying them when recording', async () => {
+        const audio = memoryAudio();
+        await audio.setVolume(40);
+        const plans = [];
+        const recorder = audio.recording(plans);
+
+        assert.equal(await recorder.changeVolume(10), 50);
+        await recorder.mute();
+        assert.deepEqual(plans, [
+            { name: 'audio', command: 'memory', args: ['volume', '50'] },
+            { name: 'audio', command: 'memory', args: ['mute', 'true'] }
+        ]);
+        assert.deepEqual(await audio.status(), { backend: 'memory', volume: 40, muted: false });
+    });
+});
+
+describe('AudioController without audio tools', () => {
+    const launcher = new Launcher({ platform: 'linux', which: () => null });
+
+    it('reports the missing backend', async () => {
+        const audio = new AudioController({ launcher, backend: null });
+        await assert.rejects(audio.setVolume(30), { code: 'ENOTSUP' });
+    });
+
+    it('still plans changes in a dry run', async () => {
+        const plans = [];
+        const recorder = new AudioController({ launcher, backend: null }).recording(plans);
+        assert.equal(await recorder.setVolume(130), 100);
+        assert.equal(await recorder.changeVolume(-10), null);
+        await recorder.setAppVolume({ name: 'spotify' }, 20);
+        assert.deepEqual(plans.map(plan => [plan.command, plan.args, plan.available]), [
+            [null, ['volume', '100'], false],
+            [null, ['change', '-10'], false],
+            [null, ['stream-volume', 'spotify', '20'], false]
+        ]);
+    });
+});
+
+describe('parsePercent', () => {
+    it('reads the first percentage of tool output', () => {
+        assert.equal(parsePercent('Volume: front-left: 26214 /  40% / -23.88 dB, front-right: 26214 /  40%'), 40);
+        assert.equal(parsePercent('no level here'), null);
+    });
+});
@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Launcher } from '../server/launcher.js';
+import { ClipboardController } from '../server/clipboard.js';
+import { IntentRegistry } from '../server/intentRegistry.js';
+import { registerBuiltinIntents } from '../server/builtinIntents.js';
+import { translator } from '../server/i18n.js';
+
+const registry = registerBuiltinIntents(new IntentRegistry());
+
+// A Linux machine with only the given tools installed
+const linux = (installed = []) => new Launcher({
+    platform: 'linux',
+    which: (command) => (installed.includes(command) ? `/usr/bin/${command}` : null)
+});
+
+// Resolve a command and run its handler against a processor with a stub
+// clipboard holding `text`, recording the websites it opens
+const run = async (command, text) => {
+    const clipboard = new ClipboardController({ backend: 'stub' });
+    clipboard.stubText = text;
+    const opened = [];
+    const processor = { clipboard, openWebsite: async (url) => { opened.push(url); } };
+    const { intent, slots } = registry.resolve(command);
+    const result = await intent.handler({ cmd: command, text: command, slots, processor, locale: 'en', t: translator('en') });
+    return { intent: intent.name, slots, result, opened };
+};
+
+describe('stub clipboard', () => {
+    it('reads back what was copied', async () => {
+        const clipboard = new ClipboardController({ backend: 'stub' });
+        assert.equal(await clipboard.read(), '');
+        assert.equal(await clipboard.write('Project Alpha'), 'Project Alpha');
+        assert.equal(await clipboard.read(), 'Project Alpha');
+        assert.deepEqual(clipboard.capabilities(), { backend: 'stub' });
+    });
+
+    it('refuses empty text', async () => {
+        await assert.rejects(new ClipboardController({ backend: 'stub' }).write(''), { code: 'EINVAL' });
+    });
+
+    it('plans writes when recording', async () => {
+        const clipboard = new ClipboardController({ backend: 'stub' });
+        const plans = [];
+        await clipboard.recording(plans).write('secret plan');
+        assert.deepEqual(plans, [{ name: 'clipboard', command: null, args: [], input: 'secret plan' }]);
+        assert.equal(await clipboard.read(), '');
+    });
+});
+
+describe('clipboard backends', () => {
+    it('is unsupported without a tool and a display server', async () => {
+        const headless = new ClipboardController({ launcher: linux(['xclip']), env: {} });
+        assert.deepEqual(headless.capabilities(), { backend: null });
+        await assert.rejects(headless.read(), { code: 'ENOTSUP' });
+        await assert.rejects(headless.write('text'), { code: 'ENOTSUP' });
+
+        const missing = new ClipboardController({ launcher: linux([]), env: { DISPLAY: ':0' } });
+        await assert.rejects(missing.read(), { code: 'ENOTSUP' });
+    });
+
+    it('is unsupported for an unknown backend name', async () => {
+        await assert.rejects(new ClipboardController({ backend: 'pasteboard' }).read(), { code: 'ENOTSUP' });
+    });
+
+    it('picks the first installed backend with its display server running', () => {
+        const controller = new ClipboardController({ launcher: linux(['wl-copy', 'xsel']), env: { DISPLAY: ':0' } });
+        assert.deepEqual(controller.capabilities(), { backend: 'xsel' });
+    });
+});
+
+describe('clipboard references', () => {
+    it('search for the clipboard text', async () => {
+        const { intent, slots, opened, result } = await run("search google for what's in my clipboard", 'best  ramen\nnear me');
+        assert.equal(intent, 'search');
+        assert.equal(slots.query.type, 'clipboard');
+        assert.deepEqual(opened, ['google.com/search?q=best%20ramen%20near%20me']);
+        assert.match(result, /best ramen near me/);
+    });
+
+    it('open the link on the clipboard', async () => {
+        const { intent, slots, opened } = await run('open the link on my clipboard', 'https://example.com/page\n');
+        assert.equal(intent, 'openWebsite');
+        assert.equal(slots.url.type, 'clipboard');
+        assert.deepEqual(opened, ['https://example.com/page']);
+    });
+
+    it('report an empty clipboard or one without a link', async () => {
+        const empty = await run('search the clipboard', '');
+        assert.equal(empty.result.status, 'error');
+        assert.deepEqual(empty.opened, []);
+
+        const text = await run('open what is in my clipboard', 'just some words');
+        assert.equal(text.intent, 'openWebsite');
+        assert.equal(text.result.status, 'error');
+        assert.deepEqual(text.opened, []);
+    });
+});
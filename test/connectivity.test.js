@@ -0,0 +1,171 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Launcher } from '../server/launcher.js';
+import {
+    ConnectivityController,
+    findByName,
+    parseBluetoothDevices,
+    parseBluetoothInfo,
+    parseNmcliDevices,
+    parseNmcliWifiList,
+    splitTerse
+} from '../server/connectivity.js';
+
+// Output recorded from nmcli 1.42 and bluetoothctl 5.66. The active Wi-Fi
+// profile is named "Home 1" while the network is "Home".
+const NMCLI_WIFI_LIST = [
+    '*:Home:82:WPA2',
+    ' :Home:40:WPA2',
+    ' :Cafe\\: Guest:55:',
+    ' :Office 5G:67:WPA2 WPA3',
+    ' ::30:WPA2'
+].join('\n');
+
+const NMCLI_DEVICES = [
+    'wlp2s0:wifi:connected:Home 1',
+    'enp3s0:ethernet:unavailable:',
+    'lo:loopback:connected (externally):lo',
+    'p2p-dev-wlp2s0:wifi-p2p:disconnected:--'
+].join('\n');
+
+const RECORDED = {
+    'nmcli -t -f WIFI radio': 'enabled\n',
+    'nmcli -t -f DEVICE,TYPE,STATE,CONNECTION device status': NMCLI_DEVICES,
+    'nmcli -t -f IN-USE,SSID,SIGNAL,SECURITY device wifi list --rescan no': NMCLI_WIFI_LIST,
+    'nmcli -t -f IN-USE,SSID,SIGNAL,SECURITY device wifi list --rescan auto': NMCLI_WIFI_LIST,
+    'nmcli -t -f NAME,TYPE connection show': 'Home 1:802-11-wireless\nWired connection 1:802-3-ethernet\n',
+    'bluetoothctl show': 'Controller 00:1A:7D:DA:71:13 (public)\n\tName: laptop\n\tAlias: laptop\n\tPowered: yes\n\tDiscoverable: no\n',
+    'bluetoothctl devices': 'Device AA:BB:CC:DD:EE:01 WH-1000XM4\nDevice AA:BB:CC:DD:EE:02 Keyboard K380\n',
+    'bluetoothctl info AA:BB:CC:DD:EE:01': 'Device AA:BB:CC:DD:EE:01 (public)\n\tName: WH-1000XM4\n\tAlias: Sony Headphones\n\tPaired: yes\n\tConnected: yes\n',
+    'bluetoothctl info AA:BB:CC:DD:EE:02': 'Device AA:BB:CC:DD:EE:02 (random)\n\tName: Keyboard K380\n\tAlias: Keyboard K380\n\tPaired: yes\n\tConnected: no\n',
+    'bluetoothctl connect AA:BB:CC:DD:EE:02': 'Attempting to connect to AA:BB:CC:DD:EE:02\nFailed to connect: org.bluez.Error.Failed br-connection-unknown\n'
+};
+
+// A controller answering queries from the recorded output; everything else
+// is recorded as a change and succeeds
+const recorded = (overrides = {}) => {
+    const changes = [];
+    const outputs = { ...RECORDED, ...overrides };
+    const connectivity = new ConnectivityController({
+        launcher: new Launcher({ platform: 'linux', which: (command) => `/usr/bin/${command}` }),
+        execFileImpl: (command, args, options, callback) => {
+            const key = [command, ...args].join(' ');
+            if (!(key in outputs)) {
+                changes.push(key);
+            }
+            process.nextTick(() => callback(null, outputs[key] ?? '', ''));
+        }
+    });
+    return { connectivity, changes };
+};
+
+describe('nmcli -t output', () => {
+    it('splits terse fields on unescaped colons', () => {
+        assert.deepEqual(splitTerse(' :Cafe\\: Guest:55:'), [' ', 'Cafe: Guest', '55', '']);
+        assert.deepEqual(splitTerse('a\\\\b:c'), ['a\\b', 'c']);
+    });
+
+    it('keeps the strongest entry per SSID, connected first, hidden left out', () => {
+        assert.deepEqual(parseNmcliWifiList(NMCLI_WIFI_LIST), [
+            { ssid: 'Home', signal: 82, security: 'WPA2', active: true },
+            { ssid: 'Office 5G', signal: 67, security: 'WPA2 WPA3', active: false },
+            { ssid: 'Cafe: Guest', signal: 55, security: null, active: false }
+        ]);
+    });
+
+    it('parses device status', () => {
+        assert.deepEqual(parseNmcliDevices(NMCLI_DEVICES).slice(0, 2), [
+            { device: 'wlp2s0', type: 'wifi', state: 'connected', connection: 'Home 1' },
+            { device: 'enp3s0', type: 'ethernet', state: 'unavailable', connection: null }
+        ]);
+        assert.equal(parseNmcliDevices(NMCLI_DEVICES)[3].connection, null);
+    });
+});
+
+describe('bluetoothctl output', () => {
+    it('lists devices and reads their info', () => {
+        assert.deepEqual(parseBluetoothDevices(RECORDED['bluetoothctl devices']), [
+            { address: 'AA:BB:CC:DD:EE:01', name: 'WH-1000XM4' },
+            { address: 'AA:BB:CC:DD:EE:02', name: 'Keyboard K380' }
+        ]);
+        assert.deepEqual(parseBluetoothInfo(RECORDED['bluetoothctl info AA:BB:CC:DD:EE:01']), {
+            address: 'AA:BB:CC:DD:EE:01', name: 'Sony Headphones', powered: null, paired: true, connected: true
+        });
+        assert.equal(parseBluetoothInfo(RECORDED['bluetoothctl show']).powered, true);
+    });
+});
+
+describe('findByName', () => {
+    it('prefers exact over prefix over substring matches', () => {
+        const items = [{ name: 'Home Office' }, { name: 'Home' }, { name: 'My Home' }];
+        assert.equal(findByName(items, 'home').name, 'Home');
+        assert.equal(findByName(items, 'home off').name, 'Home Office');
+        assert.equal(findByName(items, 'y ho').name, 'My Home');
+        assert.equal(findByName(items, 'cafe'), null);
+    });
+});
+
+describe('ConnectivityController with recorded output', () => {
+    it('reports the Wi-Fi connection by SSID', async () => {
+        const { connectivity } = recorded();
+        assert.deepEqual(await connectivity.wifiStatus(), {
+            enabled: true,
+            connection: { ssid: 'Home', device: 'wlp2s0', signal: 82 }
+        });
+    });
+
+    it('disconnects Wi-Fi by device, whatever its profile is called', async () => {
+        const { connectivity, changes } = recorded();
+        assert.deepEqual(await connectivity.disconnect('home'), { type: 'wifi', name: 'Home' });
+        assert.deepEqual(changes, ['nmcli device disconnect wlp2s0']);
+    });
+
+    it('joins networks through saved profiles or a new connection', async () => {
+        const { connectivity, changes } = recorded();
+        assert.equal(await connectivity.connectWifi('office 5g', 'secret'), 'Office 5G');
+        assert.equal(await connectivity.connectWifi('Home 1'), 'Home 1');
+        assert.deepEqual(changes, [
+            'nmcli device wifi connect Office 5G password secret',
+            'nmcli connection up id Home 1'
+        ]);
+    });
+
+    it('never passes an SSID that reads as an option', async () => {
+        const { connectivity, changes } = recorded();
+        await assert.rejects(connectivity.connectWifi('--show-secrets'), { code: 'EINVAL' });
+        await assert.rejects(connectivity.connectWifi(' -x'), { code: 'EINVAL' });
+        assert.deepEqual(changes, []);
+    });
+
+    it('masks passwords in dry-run plans', async () => {
+        const { connectivity, changes } = recorded();
+        const plans = [];
+        await connectivity.recording(plans).connectWifi('Office 5G', 'secret');
+        assert.deepEqual(plans, [{ name: 'connectivity', command: 'nmcli', args: ['device', 'wifi', 'connect', 'Office 5G', 'password', '***'] }]);
+        assert.deepEqual(changes, []);
+    });
+
+    it('lists Bluetooth devices and connects paired ones by spoken name', async () => {
+        const { connectivity, changes } = recorded();
+        assert.deepEqual((await connectivity.bluetoothDevices()).map(({ name, connected }) => [name, connected]), [
+            ['Sony Headphones', true],
+            ['Keyboard K380', false]
+        ]);
+        assert.deepEqual(await connectivity.disconnect('sony headphones'), { type: 'bluetooth', name: 'Sony Headphones', address: 'AA:BB:CC:DD:EE:01' });
+        assert.deepEqual(changes, ['bluetoothctl disconnect AA:BB:CC:DD:EE:01']);
+    });
+
+    it('reports bluetoothctl failures printed with a zero exit code', async () => {
+        const { connectivity } = recorded();
+        await assert.rejects(connectivity.connect('keyboard'), { code: 'EFAIL', message: /br-connection-unknown/ });
+    });
+
+    it('reports a Wi-Fi disconnect when nothing is connected', async () => {
+        const { connectivity, changes } = recorded({
+            'nmcli -t -f DEVICE,TYPE,STATE,CONNECTION device status': 'wlp2s0:wifi:disconnected:--\n'
+        });
+        await assert.rejects(connectivity.adapter('wifi').disconnect(), { code: 'ENOENT' });
+        await assert.rejects(connectivity.disconnect('cafe'), { code: 'ENOENT' });
+        assert.deepEqual(changes, []);
+    });
+});
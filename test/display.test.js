@@ -0,0 +1,114 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { Launcher } from '../server/launcher.js';
+import { DisplayController, listBacklights, parseBrightnessctl, parseXrandr } from '../server/display.js';
+
+// No display tools installed: only sysfs is available
+const launcher = new Launcher({ platform: 'linux', which: () => null });
+
+let root;
+
+const backlight = (name) => path.join(root, 'sys', 'class', 'backlight', name);
+const read = async (name, file = 'brightness') => (await fs.readFile(path.join(backlight(name), file), 'utf8')).trim();
+
+const addBacklight = async (name, { type, max, level }) => {
+    await fs.mkdir(backlight(name), { recursive: true });
+    await fs.writeFile(path.join(backlight(name), 'type'), `${type}\n`);
+    await fs.writeFile(path.join(backlight(name), 'max_brightness'), `${max}\n`);
+    await fs.writeFile(path.join(backlight(name), 'brightness'), `${level}\n`);
+};
+
+before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'display-'));
+    await addBacklight('intel_backlight', { type: 'raw', max: 19200, level: 9600 });
+    await addBacklight('acpi_video0', { type: 'firmware', max: 200, level: 100 });
+    // Devices without a usable maximum are ignored
+    await addBacklight('broken', { type: 'platform', max: 0, level: 0 });
+});
+
+after(() => fs.rm(root, { recursive: true, force: true }));
+
+describe('backlights', () => {
+    it('prefers firmware over platform over raw devices', async () => {
+        assert.deepEqual((await listBacklights(root)).map(device => [device.name, device.max]), [
+            ['acpi_video0', 200],
+            ['intel_backlight', 19200]
+        ]);
+        assert.deepEqual(await listBacklights(path.join(root, 'missing')), []);
+    });
+});
+
+describe('DisplayController on a fake /sys', () => {
+    it('reads and writes brightness through the preferred backlight', async () => {
+        const display = new DisplayController({ launcher, root });
+        assert.equal((await display.backend('brightness')).name, 'sysfs');
+        assert.equal(await display.getBrightness(), 50);
+
+        assert.equal(await display.setBrightness(75), 75);
+        assert.equal(await read('acpi_video0'), '150');
+        assert.equal(await read('intel_backlight'), '9600');
+        assert.equal(await display.getBrightness(), 75);
+    });
+
+    it('prefers actual_brightness when the device reports it', async () => {
+        await fs.writeFile(path.join(backlight('acpi_video0'), 'actual_brightness'), '40\n');
+        const display = new DisplayController({ launcher, root });
+        assert.equal(await display.getBrightness(), 20);
+        await fs.rm(path.join(backlight('acpi_video0'), 'actual_brightness'));
+    });
+
+    it('keeps brightness between 1 and 100 percent', async () => {
+        const display = new DisplayController({ launcher, root });
+        assert.equal(await display.setBrightness(0), 1);
+        assert.equal(await read('acpi_video0'), '2');
+        assert.equal(await display.setBrightness(250), 100);
+        assert.equal(await read('acpi_video0'), '200');
+
+        await display.setBrightness(95);
+        assert.equal(await display.changeBrightness(10), 100);
+        await display.setBrightness(5);
+        assert.equal(await display.changeBrightness(-10), 1);
+    });
+
+    it('plans writes instead of making them when recording', async () => {
+        const display = new DisplayController({ launcher, root });
+        await display.setBrightness(50);
+        const plans = [];
+        await display.recording(plans).changeBrightness(-20);
+
+        assert.deepEqual(plans, [{ name: 'display', command: null, args: [path.join(backlight('acpi_video0'), 'brightness'), '60'] }]);
+        assert.equal(await read('acpi_video0'), '100');
+    });
+
+    it('reports features without a backend', async () => {
+        const display = new DisplayController({ launcher, root });
+        assert.deepEqual(await display.capabilities(), { brightness: 'sysfs', power: null, nightLight: null });
+        await assert.rejects(display.setPower(false), { code: 'ENOTSUP' });
+        await assert.rejects(new DisplayController({ launcher, root: path.join(root, 'missing') }).getBrightness(), { code: 'ENOTSUP' });
+    });
+});
+
+describe('display tool parsers', () => {
+    it('reads the percentage from `brightnessctl -m`', () => {
+        assert.equal(parseBrightnessctl('intel_backlight,backlight,12000,50%,24000\n'), 50);
+        assert.equal(parseBrightnessctl(''), null);
+    });
+
+    it('lists connected outputs from `xrandr --verbose`, primary first', () => {
+        const output = [
+            'Screen 0: minimum 320 x 200, current 3840 x 1080, maximum 16384 x 16384',
+            'HDMI-1 connected 1920x1080+1920+0 (normal left inverted right x axis y axis) 527mm x 296mm',
+            '\tBrightness: 0.80',
+            'eDP-1 connected primary 1920x1080+0+0 (normal left inverted right x axis y axis) 309mm x 174mm',
+            '\tBrightness: 1.0',
+            'DP-1 disconnected (normal left inverted right x axis y axis)'
+        ].join('\n');
+        assert.deepEqual(parseXrandr(output), [
+            { name: 'eDP-1', primary: true, brightness: 100 },
+            { name: 'HDMI-1', primary: false, brightness: 80 }
+        ]);
+    });
+});
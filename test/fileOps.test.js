@@ -0,0 +1,132 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { FileOperations } from '../server/fileOps.js';
+
+let root;
+let documents;
+let backup;
+
+// A store like the server's, kept in a Map
+const memoryStore = () => {
+    const entries = new Map();
+    return {
+        entries,
+        list: async () => [...entries.values()],
+        save: async (operation) => { entries.set(operation.id, { ...operation }); },
+        delete: async (id) => { entries.delete(id); }
+    };
+};
+
+const operations = (options = {}) => new FileOperations({
+    files: { roots: [documents, backup], folders: { documents, backup } },
+    roots: [documents, backup],
+    platform: 'linux',
+    home: root,
+    env: { XDG_DATA_HOME: path.join(root, 'share') },
+    ...options
+});
+
+before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'file-ops-'));
+    documents = path.join(root, 'Documents');
+    backup = path.join(root, 'Backup');
+    await fs.mkdir(documents);
+    await fs.mkdir(backup);
+    await fs.writeFile(path.join(documents, 'report.txt'), 'draft\n');
+    await fs.mkdir(path.join(documents, 'photos'));
+    await fs.writeFile(path.join(documents, 'photos', 'cat.jpg'), 'meow');
+});
+
+after(() => fs.rm(root, { recursive: true, force: true }));
+
+describe('undoing copies', () => {
+    it('removes an unchanged copy', async () => {
+        const ops = operations();
+        const { target } = await ops.copy(path.join(documents, 'report.txt'), 'backup');
+        assert.equal(target, path.join(backup, 'report.txt'));
+
+        await ops.undo();
+        await assert.rejects(fs.access(target), { code: 'ENOENT' });
+        assert.equal(await fs.readFile(path.join(documents, 'report.txt'), 'utf8'), 'draft\n');
+    });
+
+    it('keeps a copied file that was edited since', async () => {
+        const ops = operations();
+        const { target } = await ops.copy(path.join(documents, 'report.txt'), 'backup');
+        await fs.appendFile(target, 'edits made in the copy\n');
+
+        await assert.rejects(ops.undo(), { code: 'ECHANGED' });
+        assert.match(await fs.readFile(target, 'utf8'), /edits made in the copy/);
+        assert.equal(ops.history.length, 1);
+        await fs.rm(target);
+    });
+
+    it('keeps a copied folder with files added since', async () => {
+        const ops = operations();
+        const { target } = await ops.copy(path.join(documents, 'photos'), 'backup');
+        await fs.writeFile(path.join(target, 'dog.jpg'), 'woof');
+
+        await assert.rejects(ops.undo(), { code: 'ECHANGED' });
+        assert.deepEqual((await fs.readdir(target)).sort(), ['cat.jpg', 'dog.jpg']);
+        await fs.rm(target, { recursive: true });
+    });
+});
+
+describe('file operation history', () => {
+    it('is kept in the store and survives a restart', async () => {
+        const store = memoryStore();
+        const first = operations({ store });
+        const folder = await first.createFolder('Invoices', { folder: 'documents' });
+        const renamed = await first.rename(path.join(documents, 'report.txt'), 'final');
+        assert.deepEqual([...store.entries.keys()], [folder.id, renamed.id]);
+
+        const second = operations();
+        await second.load(store);
+        assert.deepEqual(second.list().map(operation => operation.type), ['rename', 'createFolder']);
+
+        await second.undo();
+        assert.equal(await fs.readFile(path.join(documents, 'report.txt'), 'utf8'), 'draft\n');
+        assert.deepEqual([...store.entries.keys()], [folder.id]);
+
+        // Ids keep counting after the stored ones and are not reused
+        const again = await second.createFolder('Receipts', { folder: 'documents' });
+        assert.equal(again.id, renamed.id + 1);
+    });
+
+    it('drops an operation whose result was removed outside the assistant', async () => {
+        const store = memoryStore();
+        const ops = operations({ store });
+        const kept = await ops.createFolder('Contracts', { folder: 'documents' });
+        const gone = await ops.createFolder('Drafts', { folder: 'documents' });
+        await fs.rmdir(gone.target);
+
+        await assert.rejects(ops.undo(), { code: 'ESTALE' });
+        assert.deepEqual(ops.list().map(operation => operation.id), [kept.id]);
+        assert.deepEqual([...store.entries.keys()], [kept.id]);
+
+        // The next undo moves on to the operation before
+        assert.equal((await ops.undo()).id, kept.id);
+        await assert.rejects(fs.access(kept.target), { code: 'ENOENT' });
+    });
+
+    it('drops the oldest operations past the limit', async () => {
+        const store = memoryStore();
+        const ops = operations({ store, historyLimit: 2 });
+        for (const name of ['A', 'B', 'C']) {
+            await ops.createFolder(name, { folder: 'backup' });
+        }
+        assert.deepEqual(ops.list().map(operation => path.basename(operation.target)), ['C', 'B']);
+        assert.deepEqual([...store.entries.values()].map(operation => path.basename(operation.target)), ['B', 'C']);
+    });
+
+    it('records nothing when planning', async () => {
+        const store = memoryStore();
+        const plans = [];
+        await operations({ store }).recording(plans).copy(path.join(documents, 'photos'), 'backup');
+        assert.deepEqual(plans, [{ name: 'fileOperation', command: 'copy', args: [path.join(documents, 'photos'), path.join(backup, 'photos')] }]);
+        assert.equal(store.entries.size, 0);
+    });
+});
@@ -0,0 +1,47 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { FileSearch } from '../server/fileSearch.js';
+
+let base;
+let documents;
+
+before(async () => {
+    base = await fs.mkdtemp(path.join(os.tmpdir(), 'file-search-'));
+    documents = path.join(base, 'Documents');
+    await fs.mkdir(path.join(documents, 'notes'), { recursive: true });
+    await fs.mkdir(path.join(base, 'secrets'));
+    await fs.writeFile(path.join(documents, 'notes', 'todo.txt'), 'milk\n');
+    await fs.writeFile(path.join(base, 'secrets', 'id_rsa'), 'key\n');
+    // Links inside the root pointing out of it
+    await fs.symlink(path.join(base, 'secrets', 'id_rsa'), path.join(documents, 'key.txt'));
+    await fs.symlink(path.join(base, 'secrets'), path.join(documents, 'shared'));
+    // A root reached through a link still contains its files
+    await fs.symlink(documents, path.join(base, 'docs-link'));
+});
+
+after(() => fs.rm(base, { recursive: true, force: true }));
+
+describe('FileSearch.contains', () => {
+    const search = () => new FileSearch({ folders: {}, roots: [documents] });
+
+    it('accepts files and folders inside the roots', async () => {
+        assert.equal(await search().contains(path.join(documents, 'notes', 'todo.txt')), true);
+        assert.equal(await search().contains(documents), true);
+        assert.equal(await search().contains(path.join(base, 'docs-link', 'notes', 'todo.txt')), true);
+        assert.equal(await new FileSearch({ folders: {}, roots: [path.join(base, 'docs-link')] }).contains(path.join(documents, 'notes')), true);
+    });
+
+    it('follows symlinks before checking the roots', async () => {
+        assert.equal(await search().contains(path.join(documents, 'key.txt')), false);
+        assert.equal(await search().contains(path.join(documents, 'shared', 'id_rsa')), false);
+        assert.equal(await search().contains(path.join(documents, 'notes', '..', '..', 'secrets', 'id_rsa')), false);
+    });
+
+    it('rejects paths that do not exist', async () => {
+        assert.equal(await search().contains(path.join(documents, 'missing.txt')), false);
+        assert.equal(await new FileSearch({ folders: {}, roots: [path.join(base, 'gone')] }).contains(path.join(base, 'gone')), false);
+    });
+});
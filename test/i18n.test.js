@@ -0,0 +1,23 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { toEnglish } from '../server/i18n.js';
+
+describe('toEnglish', () => {
+    it('translates commands and the words in their slots', () => {
+        assert.deepEqual(toEnglish('वॉल्यूम बढ़ाओ', 'hi'), { text: 'volume up', translated: true });
+        assert.equal(toEnglish('मौसम', 'hi').text, 'weather');
+    });
+
+    it('passes dictated text through as spoken', () => {
+        assert.equal(toEnglish('मेरा कैलकुलेटर नंबर क्लिपबोर्ड पर कॉपी करो', 'hi').text, 'copy मेरा कैलकुलेटर नंबर to clipboard');
+        assert.equal(toEnglish('Project Alpha clipboard par copy karo', 'hi').text, 'copy Project Alpha to clipboard');
+        assert.equal(toEnglish('నా నంబర్ క్లిప్‌బోర్డ్‌కి కాపీ చేయి', 'te').text, 'copy నా నంబర్ to clipboard');
+        assert.equal(toEnglish('5 मिनट में दवा लेना याद दिलाना', 'hi').text, 'remind me in 5 minutes to दवा लेना');
+    });
+
+    it('leaves search queries untranslated', () => {
+        assert.equal(toEnglish('गूगल पर मौसम खोजो', 'hi').text, 'search मौसम');
+        assert.equal(toEnglish('यूट्यूब पर Lo-Fi गाने चलाओ', 'hi').text, 'search Lo-Fi गाने on youtube');
+        assert.equal(toEnglish('वॉल्यूम बढ़ाओ और गूगल पर मौसम खोजो', 'hi').text, 'volume up and search मौसम');
+    });
+});
@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { IntentRegistry } from '../server/intentRegistry.js';
+import { registerBuiltinIntents } from '../server/builtinIntents.js';
+import { extractUrl } from '../server/entities.js';
+import { rememberRoutineNames } from '../server/routines.js';
+
+const registry = registerBuiltinIntents(new IntentRegistry());
+
+describe('files and websites', () => {
+    it('opens a spoken file name as a file, whatever its extension', () => {
+        for (const [command, query, extension] of [
+            ['open resume.odt', 'resume', 'odt'],
+            ['open notes.py', 'notes', 'py'],
+            ['open report.epub', 'report', 'epub'],
+            ['open my budget.xlsx', 'budget', 'xlsx']
+        ]) {
+            const match = registry.resolve(command);
+            assert.equal(match.intent.name, 'openFile', command);
+            assert.equal(match.slots.search.query, query);
+            assert.deepEqual(match.slots.search.extensions, [extension]);
+        }
+    });
+
+    it('still opens websites, including ones with file-like domains given a scheme or www', () => {
+        for (const [command, url] of [
+            ['open google.com', 'https://google.com'],
+            ['open github dot com', 'https://github.com'],
+            ['open docs.python.org/3', 'https://docs.python.org/3'],
+            ['open www.notes.py', 'https://www.notes.py'],
+            ['open https://report.epub', 'https://report.epub']
+        ]) {
+            const match = registry.resolve(command);
+            assert.equal(match.intent.name, 'openWebsite', command);
+            assert.equal(match.slots.url.value, url);
+        }
+    });
+
+    it('does not read file names as domains', () => {
+        assert.equal(extractUrl('resume.odt'), null);
+        assert.equal(extractUrl('install.sh'), null);
+        assert.equal(extractUrl('example.io').value, 'https://example.io');
+    });
+});
+
+describe('routines', () => {
+    it('run by a verb and their name, leaving built-in commands alone', () => {
+        rememberRoutineNames(['mute', 'volume up', 'start work']);
+        try {
+            assert.equal(registry.resolve('mute').intent.name, 'mute');
+            assert.equal(registry.resolve('volume up').intent.name, 'volumeUp');
+
+            for (const [command, name] of [
+                ['run mute', 'mute'],
+                ['start the volume up routine', 'volume up'],
+                ['start work', 'start work'],
+                ['run routine start work', 'start work']
+            ]) {
+                const match = registry.resolve(command);
+                assert.equal(match.intent.name, 'runRoutine', command);
+                assert.equal(match.slots.name, name);
+            }
+        } finally {
+            rememberRoutineNames([]);
+        }
+    });
+});
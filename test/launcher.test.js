@@ -0,0 +1,185 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { Launcher, LaunchError, assertSafeArgument } from '../server/launcher.js';
+import { AppCatalog } from '../server/apps.js';
+import { IntentRegistry } from '../server/intentRegistry.js';
+import { registerBuiltinIntents } from '../server/builtinIntents.js';
+import { translator } from '../server/i18n.js';
+
+// Spoken input that would do damage if it ever reached a shell
+const HOSTILE = ['; rm -rf ~', '$(id)', '`id`', 'cats && rm -rf ~', 'x | sh', "it's > /etc/passwd"];
+
+// A launcher whose processes are only recorded. Every executable "exists".
+const fakeLauncher = (platform = 'linux') => {
+    const calls = [];
+    const launcher = new Launcher({
+        platform,
+        which: (command) => `/usr/bin/${command}`,
+        spawnImpl: (command, args, options) => {
+            calls.push({ via: 'spawn', command, args, options });
+            const child = new EventEmitter();
+            child.unref = () => {};
+            process.nextTick(() => child.emit('spawn'));
+            return child;
+        },
+        execFileImpl: (command, args, options, callback) => {
+            calls.push({ via: 'execFile', command, args, options });
+            process.nextTick(() => callback(null, '', ''));
+        }
+    });
+    return { launcher, calls };
+};
+
+// The launch helpers of CommandProcessor (server.js, which starts the
+// server when imported), over a fake launcher
+const fakeProcessor = (platform) => {
+    const { launcher, calls } = fakeLauncher(platform);
+    const apps = new AppCatalog({ launcher });
+    const processor = {
+        launcher,
+        apps,
+        openApplication: async (name) => {
+            const app = apps.find(name);
+            if (!app || !launcher.has(app.name)) {
+                throw new Error(`Application "${name}" not available on this platform`);
+            }
+            return launcher.launch(app.name, [], { detached: true });
+        },
+        matchApplication: (name) => ({ name: apps.find(name)?.name ?? name }),
+        openSpecificApplication: async (name) => {
+            const app = apps.find(name);
+            if (app && launcher.has(app.name)) {
+                return launcher.launch(app.name, [], { detached: true });
+            }
+            if (launcher.has('appByName')) {
+                return launcher.launch('appByName', [assertSafeArgument(name)]);
+            }
+            throw new Error(`Application "${name}" not found or not installed`);
+        },
+        openWebsite: (url) => launcher.open(url.startsWith('http') ? url : `https://${url}`, { detached: true })
+    };
+    return { processor, calls };
+};
+
+const registry = registerBuiltinIntents(new IntentRegistry());
+
+const say = async (processor, text) => {
+    const cmd = text.toLowerCase().trim();
+    const match = registry.resolve(cmd);
+    assert.ok(match, `"${text}" should resolve to an intent`);
+    return { intent: match.intent.name, result: await match.intent.handler({ cmd, text, slots: match.slots, options: {}, processor, t: translator('en') }) };
+};
+
+const assertNoShell = (calls) => {
+    for (const call of calls) {
+        assert.equal(call.options.shell, false, `${call.command} must run without a shell`);
+        assert.ok(Array.isArray(call.args));
+    }
+};
+
+describe('assertSafeArgument', () => {
+    it('passes shell metacharacters through untouched', () => {
+        for (const value of HOSTILE) {
+            assert.equal(assertSafeArgument(value), value);
+        }
+    });
+
+    it('rejects options, control characters and empty values', () => {
+        for (const value of ['-rf', '--help', 'a\nb', 'a\rb', 'a\0b', '', null]) {
+            assert.throws(() => assertSafeArgument(value), LaunchError);
+        }
+    });
+});
+
+describe('Launcher', () => {
+    it('opens URLs as one argv element of the catalog opener', async () => {
+        const { launcher, calls } = fakeLauncher();
+        for (const value of HOSTILE) {
+            await launcher.open(`https://example.com/?q=${value}`, { detached: true });
+        }
+        assert.deepEqual(calls.map(call => [call.command, call.args]), HOSTILE.map(value => ['xdg-open', [`https://example.com/?q=${value}`]]));
+        assertNoShell(calls);
+    });
+
+    it('refuses schemes outside the allow-list', async () => {
+        const { launcher, calls } = fakeLauncher();
+        for (const target of ['file:///etc/passwd', 'javascript:alert(1)', 'ssh://host']) {
+            await assert.rejects(launcher.open(target), { code: 'EINVAL' });
+        }
+        assert.equal(calls.length, 0);
+    });
+
+    it('runs only catalog entries, and only those that accept arguments get any', async () => {
+        const { launcher, calls } = fakeLauncher();
+        await assert.rejects(launcher.launch('rm', ['-rf', '~']), { code: 'ENOTSUP' });
+        await assert.rejects(launcher.launch('restart', ['; rm -rf ~']), { code: 'EINVAL' });
+        assert.equal(calls.length, 0);
+    });
+
+    it('passes argument values literally on macOS', async () => {
+        const { launcher, calls } = fakeLauncher('darwin');
+        await launcher.launch('appByName', ['Foo; rm -rf ~']);
+        assert.deepEqual(calls.map(call => [call.via, call.command, call.args]), [['execFile', 'open', ['-a', 'Foo; rm -rf ~']]]);
+        assertNoShell(calls);
+    });
+
+    it('records plans instead of running them', async () => {
+        const { launcher, calls } = fakeLauncher();
+        const plans = [];
+        await launcher.recording(plans).open('https://example.com/$(id)');
+        assert.equal(calls.length, 0);
+        assert.deepEqual(plans.map(plan => [plan.command, plan.args]), [['xdg-open', ['https://example.com/$(id)']]]);
+    });
+});
+
+describe('spoken commands', () => {
+    it('search puts the whole query in one encoded URL argument', async () => {
+        const { processor, calls } = fakeProcessor('linux');
+        for (const value of HOSTILE) {
+            const { intent } = await say(processor, `search for ${value}`);
+            assert.equal(intent, 'search');
+        }
+        assert.equal(calls.length, HOSTILE.length);
+        calls.forEach((call, index) => {
+            assert.equal(call.command, 'xdg-open');
+            assert.equal(call.args.length, 1);
+            const url = new URL(call.args[0]);
+            assert.equal(url.host, 'google.com');
+            assert.equal(url.searchParams.get('q'), HOSTILE[index].toLowerCase());
+        });
+        assertNoShell(calls);
+    });
+
+    it('openWebsite opens only the host that was named', async () => {
+        const { processor, calls } = fakeProcessor('linux');
+        const { intent } = await say(processor, 'open github.com; rm -rf ~');
+        assert.equal(intent, 'openWebsite');
+        assert.deepEqual(calls.map(call => [call.command, call.args]), [['xdg-open', ['https://github.com']]]);
+        assertNoShell(calls);
+    });
+
+    it('openApplication launches the catalog argv and nothing else', async () => {
+        const { processor, calls } = fakeProcessor('linux');
+        for (const value of ['', ...HOSTILE]) {
+            await say(processor, `open calculator ${value}`);
+        }
+        assert.deepEqual(calls.map(call => [call.command, call.args]), HOSTILE.concat('').map(() => ['gnome-calculator', []]));
+        assertNoShell(calls);
+    });
+
+    it('unknown applications are never executed on Linux', async () => {
+        const { processor, calls } = fakeProcessor('linux');
+        for (const value of HOSTILE) {
+            await assert.rejects(say(processor, `open foo ${value}`), /not found/);
+        }
+        assert.equal(calls.length, 0);
+    });
+
+    it('unknown applications on macOS reach `open -a` as a single argument', async () => {
+        const { processor, calls } = fakeProcessor('darwin');
+        await say(processor, 'launch foo $(id)');
+        assert.deepEqual(calls.map(call => [call.command, call.args]), [['open', ['-a', 'foo $(id)']]]);
+        assertNoShell(calls);
+    });
+});
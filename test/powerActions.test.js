@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Launcher } from '../server/launcher.js';
+import { PowerActionTracker, formatRemaining } from '../server/powerActions.js';
+
+// A tracker over a launcher that records the commands it runs
+const tracker = (platform) => {
+    const calls = [];
+    const launcher = new Launcher({
+        platform,
+        which: (command) => `/usr/bin/${command}`,
+        execFileImpl: (command, args, options, callback) => {
+            calls.push([command, ...args]);
+            process.nextTick(() => callback(null, '', ''));
+        }
+    });
+    return { powerActions: new PowerActionTracker({ launcher }), calls };
+};
+
+describe('PowerActionTracker', () => {
+    it('schedules a Linux shutdown in whole minutes, rounding up', async () => {
+        const { powerActions, calls } = tracker('linux');
+        const before = Date.now();
+        const action = await powerActions.scheduleShutdown(90, { commandId: 'c1' });
+
+        assert.deepEqual(calls, [['sudo', 'shutdown', '-h', '+2']]);
+        assert.equal(action.delaySeconds, 120);
+        assert.ok(action.targetTime.getTime() >= before + 120000);
+        assert.equal(action.commandId, 'c1');
+        assert.deepEqual(powerActions.list().map(({ id }) => id), [action.id]);
+    });
+
+    it('schedules a Windows shutdown in seconds', async () => {
+        const { powerActions, calls } = tracker('win32');
+        const action = await powerActions.scheduleShutdown(90);
+        assert.deepEqual(calls, [['shutdown.exe', '/s', '/t', '90']]);
+        assert.equal(action.delaySeconds, 90);
+    });
+
+    it('cancels with `shutdown -c` on Linux and forgets every shutdown', async () => {
+        const { powerActions, calls } = tracker('linux');
+        await powerActions.scheduleShutdown(60);
+        await powerActions.scheduleShutdown(300);
+
+        const cancelled = await powerActions.cancel();
+        assert.equal(cancelled.length, 2);
+        assert.deepEqual(calls.at(-1), ['sudo', 'shutdown', '-c']);
+        assert.deepEqual(powerActions.list(), []);
+    });
+
+    it('cancels with `shutdown /a` on Windows', async () => {
+        const { powerActions, calls } = tracker('win32');
+        const action = await powerActions.scheduleShutdown(60);
+        assert.equal((await powerActions.cancel(action.id)).length, 1);
+        assert.deepEqual(calls.at(-1), ['shutdown.exe', '/a']);
+    });
+
+    it('runs nothing when there is no matching shutdown to cancel', async () => {
+        const { powerActions, calls } = tracker('linux');
+        assert.deepEqual(await powerActions.cancel(), []);
+        await powerActions.scheduleShutdown(60);
+        assert.deepEqual(await powerActions.cancel('unknown'), []);
+        assert.equal(calls.length, 1);
+    });
+
+    it('drops shutdowns whose time has passed', async () => {
+        const { powerActions } = tracker('linux');
+        const action = await powerActions.scheduleShutdown(60);
+        action.targetTime = new Date(Date.now() - 1000);
+        assert.deepEqual(powerActions.list(), []);
+    });
+});
+
+describe('formatRemaining', () => {
+    it('spells out hours, minutes and seconds', () => {
+        assert.equal(formatRemaining(0), '0 seconds');
+        assert.equal(formatRemaining(61000), '1 minute 1 second');
+        assert.equal(formatRemaining(7320000), '2 hours 2 minutes');
+    });
+});
@@ -0,0 +1,147 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { ProcessManager, parseProcStat, parsePsOutput, parseTasklist, processKey } from '../server/processes.js';
+
+// /proc/<pid>/stat with the fields ProcessManager reads: state, ppid,
+// utime and stime (ticks) and rss (pages)
+const stat = ({ pid, name, state = 'S', ppid = 1, ticks = 0, pages = 0 }) => {
+    const fields = Array(22).fill('0');
+    Object.assign(fields, { 0: state, 1: String(ppid), 11: String(ticks), 21: String(pages) });
+    return `${pid} (${name}) ${fields.join(' ')}\n`;
+};
+
+const PROCESSES = [
+    { pid: 1, name: 'systemd', ppid: 0, argv: ['/sbin/init'] },
+    { pid: 2, name: 'kthreadd', ppid: 0, argv: [] },
+    { pid: 100, name: 'firefox', argv: ['/usr/lib/firefox/firefox'], pages: 50000, ticks: 10 },
+    { pid: 101, name: 'Web Content', ppid: 100, argv: ['/usr/lib/firefox/firefox', '-contentproc'], pages: 20000 },
+    { pid: 200, name: 'gnome-shell', argv: ['/usr/bin/gnome-shell'], pages: 80000 },
+    { pid: 300, name: 'node', argv: ['node', 'server.js'], pages: 10000 },
+    { pid: 400, name: 'defunct', state: 'Z', argv: ['defunct'] },
+    { pid: 500, name: 'stubborn', argv: ['/opt/stubborn'], pages: 100 },
+    { pid: 600, name: 'worker (1)', argv: ['/usr/bin/python3', 'worker.py'], pages: 100 }
+];
+
+let root;
+
+const writeProcess = async (proc) => {
+    const dir = path.join(root, 'proc', String(proc.pid));
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, 'stat'), stat(proc));
+    await fs.writeFile(path.join(dir, 'cmdline'), proc.argv.map(arg => `${arg}\0`).join(''));
+};
+
+// A manager over the fake tree whose signals end processes, except
+// "stubborn", which only SIGKILL ends
+const manager = () => {
+    const signals = [];
+    const processes = new ProcessManager({
+        platform: 'linux',
+        root,
+        sampleMs: 0,
+        graceMs: 150,
+        ownPids: [300],
+        protectedNames: ['gnome-shell', 'systemd'],
+        kill: (pid, signal) => {
+            signals.push([pid, signal]);
+            const proc = PROCESSES.find(entry => entry.pid === pid);
+            if (signal === 'SIGKILL' || proc.name !== 'stubborn') {
+                fs.writeFile(path.join(root, 'proc', String(pid), 'stat'), stat({ ...proc, state: 'Z' }));
+            }
+        }
+    });
+    return { processes, signals };
+};
+
+before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'processes-'));
+    // Entries that are not pids are skipped
+    await fs.mkdir(path.join(root, 'proc', 'self'), { recursive: true });
+});
+
+after(() => fs.rm(root, { recursive: true, force: true }));
+
+describe('ProcessManager on a fake /proc', () => {
+    before(async () => {
+        for (const proc of PROCESSES) {
+            await writeProcess(proc);
+        }
+    });
+
+    it('lists processes with memory, leaving out kernel threads and zombies', async () => {
+        const { processes } = manager();
+        const listed = await processes.list();
+        assert.deepEqual(listed.map(proc => proc.pid), [200, 100, 101, 300, 500, 600, 1]);
+
+        const firefox = listed.find(proc => proc.pid === 100);
+        assert.equal(firefox.memory, 50000 * 4096);
+        assert.equal(firefox.command, '/usr/lib/firefox/firefox');
+        assert.equal(firefox.executable, 'firefox');
+        assert.equal(listed.find(proc => proc.pid === 600).name, 'worker (1)');
+    });
+
+    it('filters by process or executable name and limits the result', async () => {
+        const { processes } = manager();
+        assert.deepEqual((await processes.list({ name: 'firefox' })).map(proc => proc.pid), [100, 101]);
+        assert.equal((await processes.list({ limit: 2 })).length, 2);
+    });
+
+    it('never signals processes on the deny-list, pid 1 or this server', async () => {
+        const { processes, signals } = manager();
+        for (const [target, pid] of [['gnome-shell', 200], ['systemd', 1], ['node', 300]]) {
+            assert.deepEqual(await processes.terminate({ name: target }), [{ pid, name: target, outcome: 'protected' }]);
+        }
+        assert.deepEqual(await processes.terminate({ pid: 300 }), [{ pid: 300, name: 'node', outcome: 'protected' }]);
+        assert.deepEqual(signals, []);
+    });
+
+    it('closes gracefully, parents first, then forces what is left', async () => {
+        const { processes, signals } = manager();
+        const closed = await processes.terminate({ name: 'firefox' });
+        assert.deepEqual(closed.map(({ pid, outcome }) => [pid, outcome]), [[100, 'closed'], [101, 'closed']]);
+
+        const killed = await processes.terminate({ name: 'stubborn' });
+        assert.deepEqual(killed.map(({ pid, outcome }) => [pid, outcome]), [[500, 'killed']]);
+        assert.deepEqual(signals, [[100, 'SIGTERM'], [101, 'SIGTERM'], [500, 'SIGTERM'], [500, 'SIGKILL']]);
+
+        // Restore the tree for other tests
+        for (const proc of PROCESSES) {
+            await writeProcess(proc);
+        }
+    });
+
+    it('plans signals instead of sending them when recording', async () => {
+        const { processes, signals } = manager();
+        const plans = [];
+        const results = await processes.recording(plans).terminate({ pid: 600, force: true });
+        assert.deepEqual(results.map(({ outcome }) => outcome), ['killed']);
+        assert.deepEqual(plans, [{ name: 'forceKill', command: null, args: ['600'] }]);
+        assert.deepEqual(signals, []);
+    });
+
+    it('reports processes that are not running', async () => {
+        const { processes } = manager();
+        await assert.rejects(processes.terminate({ name: 'missing' }), { code: 'ENOENT' });
+        await assert.rejects(processes.terminate({ pid: 999 }), { code: 'ENOENT' });
+    });
+});
+
+describe('process output parsers', () => {
+    it('reads names with spaces and parentheses from /proc/<pid>/stat', () => {
+        const parsed = parseProcStat(stat({ pid: 7, name: 'a (b) c', ppid: 3, ticks: 5, pages: 2 }));
+        assert.deepEqual(parsed, { pid: 7, name: 'a (b) c', state: 'S', ppid: 3, cpuTicks: 5, memory: 8192 });
+    });
+
+    it('parses `ps` and `tasklist` output', () => {
+        assert.deepEqual(parsePsOutput('  42     1  12.5  2048 /Applications/Safari.app/Contents/MacOS/Safari\n'), [{
+            pid: 42, ppid: 1, name: 'Safari', command: '/Applications/Safari.app/Contents/MacOS/Safari', cpu: 12.5, memory: 2048 * 1024
+        }]);
+        assert.deepEqual(parseTasklist('"chrome.exe","1234","Console","1","120,000 K"\r\n'), [{
+            pid: 1234, ppid: null, name: 'chrome.exe', command: 'chrome.exe', cpu: null, memory: 120000 * 1024
+        }]);
+        assert.equal(processKey('C:\\Program Files\\Foo\\Foo.exe'), 'foo');
+    });
+});